@@ -0,0 +1,119 @@
+// client/src/__mocks__/collaborationServer.js
+// Minimal stand-in for the collaboration namespace of the API server, used by tests
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { applyOperation, transformOperations } from '../utils/textOperation';
+
+/**
+ * Start a local socket.io server implementing the document room and
+ * presence protocols
+ * @param {Object} initialDocs - Map of fileId to initial content
+ * @returns {Promise<Object>} Server handle with url, io, docs and close
+ */
+export const startCollaborationServer = (initialDocs = {}) => {
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  const docs = {};
+
+  Object.entries(initialDocs).forEach(([fileId, content]) => {
+    docs[fileId] = { content, history: [] };
+  });
+
+  const getDoc = (fileId) => {
+    if (!docs[fileId]) {
+      docs[fileId] = { content: '', history: [] };
+    }
+    return docs[fileId];
+  };
+
+  io.of('/collaboration').on('connection', (socket) => {
+    // Presence of this client, keyed by project ID
+    const presence = {};
+    socket.data.presence = presence;
+    
+    const leavePresence = (projectId) => {
+      if (!presence[projectId]) return;
+      delete presence[projectId];
+      socket.leave(`presence:${projectId}`);
+      socket.to(`presence:${projectId}`).emit('presence:leave', { projectId, clientId: socket.id });
+    };
+    
+    socket.on('presence:join', async ({ projectId, fileId, selections }, ack) => {
+      presence[projectId] = { clientId: socket.id, projectId, fileId, selections, user: socket.handshake.auth?.user };
+      const others = await io.of('/collaboration').in(`presence:${projectId}`).fetchSockets();
+      
+      socket.join(`presence:${projectId}`);
+      socket.to(`presence:${projectId}`).emit('presence:update', presence[projectId]);
+      ack({ peers: others.map(other => other.data.presence[projectId]) });
+    });
+    
+    socket.on('presence:update', ({ projectId, fileId, selections }) => {
+      if (!presence[projectId]) return;
+      presence[projectId] = { ...presence[projectId], fileId, selections };
+      socket.to(`presence:${projectId}`).emit('presence:update', presence[projectId]);
+    });
+    
+    socket.on('presence:leave', ({ projectId }) => leavePresence(projectId));
+    
+    socket.on('disconnecting', () => {
+      Object.keys(presence).forEach(leavePresence);
+    });
+    
+    socket.on('doc:join', ({ projectId, fileId, revision }, ack) => {
+      const doc = getDoc(fileId);
+      socket.join(`${projectId}:${fileId}`);
+
+      if (revision !== undefined) {
+        ack({ revision: doc.history.length, operations: doc.history.slice(revision) });
+      } else {
+        ack({ revision: doc.history.length, content: doc.content });
+      }
+    });
+
+    socket.on('doc:leave', ({ projectId, fileId }) => {
+      socket.leave(`${projectId}:${fileId}`);
+    });
+
+    socket.on('doc:operation', ({ projectId, fileId, revision, operationId, operation }, ack) => {
+      const doc = getDoc(fileId);
+
+      if (doc.history.some(entry => entry.operationId === operationId)) {
+        ack({ revision: doc.history.length });
+        return;
+      }
+
+      try {
+        // Transform against everything the client had not seen yet
+        let transformed = operation;
+        doc.history.slice(revision).forEach(entry => {
+          [, transformed] = transformOperations(entry.operation, transformed);
+        });
+
+        doc.content = applyOperation(doc.content, transformed);
+        doc.history.push({ operationId, operation: transformed });
+
+        const newRevision = doc.history.length;
+        socket.to(`${projectId}:${fileId}`).emit('doc:operation', {
+          fileId,
+          operation: transformed,
+          revision: newRevision
+        });
+        ack({ revision: newRevision });
+      } catch (error) {
+        ack({ error: error.message });
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    httpServer.listen(0, () => {
+      const { port } = httpServer.address();
+      resolve({
+        url: `http://localhost:${port}`,
+        io,
+        docs,
+        close: () => new Promise(done => io.close(() => done()))
+      });
+    });
+  });
+};
@@ -0,0 +1,114 @@
+// client/src/__mocks__/executionServer.js
+// Minimal stand-in for the execution namespace of the API server, used by tests.
+// Programs are scripts of one command per line:
+//   print <text>   write a line to stdout
+//   eprint <text>  write a line to stderr
+//   input          read a line from stdin and print "got <line>"
+//   sleep <ms>     wait
+//   exit <code>    stop with an exit code
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+
+const createProcess = (code, emit) => {
+  const stdin = [];
+  let readers = [];
+  let isClosed = false;
+  let isKilled = false;
+
+  const readLine = () => new Promise((resolve) => {
+    if (stdin.length > 0 || isClosed) {
+      resolve(stdin.shift() ?? null);
+    } else {
+      readers.push(resolve);
+    }
+  });
+
+  const write = (data) => {
+    stdin.push(...data.split('\n').filter((line, index, lines) => index < lines.length - 1 || line));
+    while (readers.length > 0 && stdin.length > 0) readers.shift()(stdin.shift());
+  };
+
+  const closeStdin = () => {
+    isClosed = true;
+    readers.forEach(resolve => resolve(null));
+    readers = [];
+  };
+
+  const run = async () => {
+    const startTime = Date.now();
+
+    for (const line of code.split('\n')) {
+      if (isKilled) return;
+      const [command, ...rest] = line.trim().split(' ');
+      const argument = rest.join(' ');
+
+      if (command === 'print') {
+        emit('exec:output', { stream: 'stdout', data: `${argument}\n` });
+      } else if (command === 'eprint') {
+        emit('exec:output', { stream: 'stderr', data: `${argument}\n` });
+      } else if (command === 'input') {
+        const input = await readLine();
+        if (isKilled) return;
+        emit('exec:output', { stream: 'stdout', data: input === null ? 'got EOF\n' : `got ${input}\n` });
+      } else if (command === 'sleep') {
+        await new Promise(resolve => setTimeout(resolve, Number(argument)));
+      } else if (command === 'exit') {
+        emit('exec:exit', { exitCode: Number(argument), executionTime: Date.now() - startTime });
+        return;
+      }
+    }
+
+    if (!isKilled) emit('exec:exit', { exitCode: 0, executionTime: Date.now() - startTime });
+  };
+
+  const kill = () => {
+    isKilled = true;
+    closeStdin();
+  };
+
+  return { run, write, closeStdin, kill, isKilled: () => isKilled };
+};
+
+/**
+ * Start a local socket.io server implementing the streaming execution protocol
+ * @param {Object} options - Server options
+ * @param {Array} options.languages - Languages programs can be started in
+ * @returns {Promise<Object>} Server handle with url, io, processes and close
+ */
+export const startExecutionServer = ({ languages = ['python'] } = {}) => {
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  const processes = new Map();
+  let executionCount = 0;
+
+  io.of('/execution').on('connection', (socket) => {
+    socket.on('exec:start', ({ code, language }, ack) => {
+      if (!languages.includes(language)) {
+        ack({ error: `Streaming execution is not available for ${language}` });
+        return;
+      }
+
+      const executionId = `execution-${++executionCount}`;
+      const process = createProcess(code, (event, payload) => socket.emit(event, { executionId, ...payload }));
+      processes.set(executionId, process);
+      ack({ executionId });
+      process.run();
+    });
+
+    socket.on('exec:stdin', ({ executionId, data }) => processes.get(executionId)?.write(data));
+    socket.on('exec:eof', ({ executionId }) => processes.get(executionId)?.closeStdin());
+    socket.on('exec:cancel', ({ executionId }) => processes.get(executionId)?.kill());
+  });
+
+  return new Promise((resolve) => {
+    httpServer.listen(0, () => {
+      const { port } = httpServer.address();
+      resolve({
+        url: `http://localhost:${port}`,
+        io,
+        processes,
+        close: () => new Promise(done => io.close(() => done()))
+      });
+    });
+  });
+};
@@ -0,0 +1,167 @@
+// client/src/__mocks__/languageServer.js
+// Minimal stand-in for the language server namespace of the API server, used by tests.
+// The "language server" knows Python-style `def name` definitions and flags TODOs.
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+
+const WORD = /[A-Za-z_]\w*/g;
+
+const getWordAt = (text, { line, character }) => {
+  const lineText = text.split('\n')[line] || '';
+  for (const match of lineText.matchAll(WORD)) {
+    if (match.index <= character && character <= match.index + match[0].length) {
+      return { word: match[0], start: match.index };
+    }
+  }
+  return null;
+};
+
+const findDefinition = (documents, word) => {
+  for (const [uri, text] of documents) {
+    const lines = text.split('\n');
+    for (let line = 0; line < lines.length; line++) {
+      const character = lines[line].indexOf(`def ${word}(`);
+      if (character !== -1) {
+        const start = { line, character: character + 4 };
+        return { uri, range: { start, end: { line, character: start.character + word.length } } };
+      }
+    }
+  }
+  return null;
+};
+
+const getDiagnostics = (text) => text.split('\n').flatMap((lineText, line) => {
+  const character = lineText.indexOf('TODO');
+  if (character === -1) return [];
+
+  return [{
+    range: { start: { line, character }, end: { line, character: character + 4 } },
+    severity: 2,
+    source: 'mock',
+    message: 'Unresolved TODO'
+  }];
+});
+
+// One language server process, talking JSON-RPC through send
+const createSession = (send) => {
+  const documents = new Map();
+  // Answers the client gave to the server's own requests
+  const responses = [];
+  let nextId = 0;
+
+  const publishDiagnostics = (uri) => {
+    send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri, diagnostics: getDiagnostics(documents.get(uri)) } });
+  };
+
+  const handlers = {
+    initialize: () => ({
+      capabilities: {
+        textDocumentSync: 1,
+        completionProvider: { triggerCharacters: ['.'] },
+        hoverProvider: true,
+        definitionProvider: true
+      }
+    }),
+    initialized: () => {
+      const id = `server-${++nextId}`;
+      send({ jsonrpc: '2.0', id, method: 'workspace/configuration', params: { items: [{ section: 'python' }] } });
+    },
+    'textDocument/didOpen': ({ textDocument }) => {
+      documents.set(textDocument.uri, textDocument.text);
+      publishDiagnostics(textDocument.uri);
+    },
+    'textDocument/didChange': ({ textDocument, contentChanges }) => {
+      documents.set(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+      publishDiagnostics(textDocument.uri);
+    },
+    'textDocument/didClose': ({ textDocument }) => {
+      documents.delete(textDocument.uri);
+    },
+    'textDocument/completion': () => {
+      const words = new Set([...documents.values()].flatMap(text => text.match(WORD) || []));
+      return [...words].map(word => ({ label: word, kind: 6 }));
+    },
+    'textDocument/hover': ({ textDocument, position }) => {
+      const found = getWordAt(documents.get(textDocument.uri) || '', position);
+      if (!found) return null;
+
+      return {
+        contents: { kind: 'markdown', value: `\`${found.word}\`` },
+        range: {
+          start: { line: position.line, character: found.start },
+          end: { line: position.line, character: found.start + found.word.length }
+        }
+      };
+    },
+    'textDocument/definition': ({ textDocument, position }) => {
+      const found = getWordAt(documents.get(textDocument.uri) || '', position);
+      return found ? findDefinition(documents, found.word) : null;
+    }
+  };
+
+  const handle = (message) => {
+    if (!message.method) {
+      responses.push(message);
+      return;
+    }
+
+    const handler = handlers[message.method];
+    const result = handler ? handler(message.params) : undefined;
+    if (message.id === undefined) return;
+
+    if (handler) {
+      send({ jsonrpc: '2.0', id: message.id, result: result ?? null });
+    } else {
+      send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Unhandled method ${message.method}` } });
+    }
+  };
+
+  return { handle, documents, responses };
+};
+
+/**
+ * Start a local socket.io server implementing the language server protocol
+ * bridge of the API
+ * @param {Object} options - Server options
+ * @param {Array} options.languages - Languages a server is available for
+ * @returns {Promise<Object>} Server handle with url, io, sessions and close
+ */
+export const startLanguageServer = ({ languages = ['python'] } = {}) => {
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  const sessions = new Map();
+  let sessionCount = 0;
+
+  io.of('/lsp').on('connection', (socket) => {
+    socket.on('lsp:start', ({ language }, ack) => {
+      if (!languages.includes(language)) {
+        ack({ error: `No language server for ${language}` });
+        return;
+      }
+
+      const sessionId = `session-${++sessionCount}`;
+      sessions.set(sessionId, createSession(message => socket.emit('lsp:message', { sessionId, message })));
+      ack({ sessionId });
+    });
+
+    socket.on('lsp:message', ({ sessionId, message }) => {
+      sessions.get(sessionId)?.handle(message);
+    });
+
+    socket.on('lsp:stop', ({ sessionId }) => {
+      sessions.delete(sessionId);
+    });
+  });
+
+  return new Promise((resolve) => {
+    httpServer.listen(0, () => {
+      const { port } = httpServer.address();
+      resolve({
+        url: `http://localhost:${port}`,
+        io,
+        sessions,
+        close: () => new Promise(done => io.close(() => done()))
+      });
+    });
+  });
+};
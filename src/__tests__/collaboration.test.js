@@ -0,0 +1,196 @@
+// client/src/__tests__/collaboration.test.js
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { io } from 'socket.io-client';
+import { startCollaborationServer } from '../__mocks__/collaborationServer';
+import { createDocumentSession } from '../services/collaborationService';
+import {
+  applyOperation,
+  composeOperations,
+  transformOperations,
+  operationFromChanges,
+  editsFromOperation
+} from '../utils/textOperation';
+
+// Local document standing in for a Monaco model, optionally with the
+// content it had before joining
+const createClient = (url, fileId, content = null) => {
+  const socket = io(`${url}/collaboration`, { transports: ['websocket'] });
+  const client = { socket, content };
+
+  client.joined = new Promise((resolve) => {
+    client.session = createDocumentSession(socket, {
+      projectId: 'project-1',
+      fileId,
+      content,
+      onJoin: (content) => {
+        client.content = content;
+        resolve();
+      },
+      onRemoteOperation: (operation) => {
+        client.content = applyOperation(client.content, operation);
+      }
+    });
+  });
+
+  client.edit = (rangeOffset, rangeLength, text) => {
+    const operation = operationFromChanges(client.content.length, [{ rangeOffset, rangeLength, text }]);
+    client.content = applyOperation(client.content, operation);
+    client.session.submitOperation(operation);
+  };
+
+  return client;
+};
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('text operations', () => {
+  it('converges when concurrent operations are transformed', () => {
+    const doc = 'hello world';
+    const a = operationFromChanges(doc.length, [{ rangeOffset: 5, rangeLength: 0, text: ',' }]);
+    const b = operationFromChanges(doc.length, [{ rangeOffset: 6, rangeLength: 5, text: 'there' }]);
+    const [aPrime, bPrime] = transformOperations(a, b);
+
+    expect(applyOperation(applyOperation(doc, a), bPrime)).toBe('hello, there');
+    expect(applyOperation(applyOperation(doc, b), aPrime)).toBe('hello, there');
+  });
+
+  it('composes consecutive operations', () => {
+    const doc = 'abc';
+    const a = operationFromChanges(3, [{ rangeOffset: 3, rangeLength: 0, text: 'd' }]);
+    const b = operationFromChanges(4, [{ rangeOffset: 0, rangeLength: 1, text: '' }]);
+
+    expect(applyOperation(doc, composeOperations(a, b))).toBe('bcd');
+  });
+
+  it('turns an operation back into offset edits', () => {
+    const operation = operationFromChanges(10, [
+      { rangeOffset: 2, rangeLength: 3, text: 'xy' },
+      { rangeOffset: 8, rangeLength: 0, text: 'z' }
+    ]);
+
+    expect(editsFromOperation(operation)).toEqual([
+      { offset: 2, length: 3, text: 'xy' },
+      { offset: 8, length: 0, text: 'z' }
+    ]);
+  });
+});
+
+describe('document sessions', () => {
+  let server;
+  let clients;
+
+  beforeEach(async () => {
+    server = await startCollaborationServer({ 'file-1': 'const a = 1;\n' });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => {
+      client.session.leave();
+      client.socket.disconnect();
+    });
+    await server.close();
+  });
+
+  it('joins with the current room content', async () => {
+    const client = createClient(server.url, 'file-1');
+    clients.push(client);
+    await client.joined;
+
+    expect(client.content).toBe('const a = 1;\n');
+  });
+
+  it('merges concurrent edits from two collaborators', async () => {
+    const alice = createClient(server.url, 'file-1');
+    const bob = createClient(server.url, 'file-1');
+    clients.push(alice, bob);
+    await Promise.all([alice.joined, bob.joined]);
+
+    // Both edit before seeing each other's change
+    alice.edit(0, 0, '// alice\n');
+    alice.edit(8, 0, ' was here');
+    bob.edit(13, 0, 'const b = 2;');
+
+    await waitFor(() =>
+      alice.content === server.docs['file-1'].content &&
+      bob.content === server.docs['file-1'].content &&
+      !alice.session.hasPendingOperations() &&
+      !bob.session.hasPendingOperations()
+    );
+
+    expect(server.docs['file-1'].content).toBe('// alice was here\nconst a = 1;\nconst b = 2;');
+  });
+
+  it('keeps edits made before the join was acknowledged', async () => {
+    server.docs['file-1'].content = 'const a = 1;\n// from the room\n';
+    // Opened from an older snapshot and edited straight away
+    const client = createClient(server.url, 'file-1', 'const a = 1;\n');
+    clients.push(client);
+    client.edit(6, 1, 'answer');
+    client.edit(client.content.length, 0, 'export default answer;\n');
+    
+    await client.joined;
+    await waitFor(() => !client.session.hasPendingOperations());
+    
+    expect(client.content).toBe('const answer = 1;\n// from the room\nexport default answer;\n');
+    expect(server.docs['file-1'].content).toBe(client.content);
+  });
+
+  it('keeps edits made while rejoining after a reconnect', async () => {
+    const alice = createClient(server.url, 'file-1');
+    const bob = createClient(server.url, 'file-1');
+    clients.push(alice, bob);
+    await Promise.all([alice.joined, bob.joined]);
+    
+    // Runs after the session has asked to rejoin, before the answer
+    let editedWhileRejoining = false;
+    alice.socket.once('connect', () => {
+      alice.edit(0, 0, '// alice\n');
+      editedWhileRejoining = true;
+    });
+    alice.socket.io.engine.close();
+    bob.edit(13, 0, 'const b = 2;\n');
+    
+    await waitFor(() => editedWhileRejoining);
+    await waitFor(() =>
+      !alice.session.hasPendingOperations() &&
+      alice.content === server.docs['file-1'].content &&
+      bob.content === server.docs['file-1'].content
+    );
+    
+    expect(server.docs['file-1'].content).toBe('// alice\nconst a = 1;\nconst b = 2;\n');
+  });
+
+  it('joins again if the connection drops before the join is answered', async () => {
+    // The first join never gets an answer
+    let droppedJoin = false;
+    server.io.of('/collaboration').on('connection', (socket) => {
+      socket.use(([event], next) => {
+        if (event === 'doc:join' && !droppedJoin) {
+          droppedJoin = true;
+          socket.conn.close();
+          return;
+        }
+        next();
+      });
+    });
+
+    const client = createClient(server.url, 'file-1', 'const a = 1;\n');
+    clients.push(client);
+    client.edit(0, 0, '// edited\n');
+
+    await client.joined;
+    await waitFor(() => !client.session.hasPendingOperations());
+
+    expect(droppedJoin).toBe(true);
+    expect(client.content).toBe('// edited\nconst a = 1;\n');
+    expect(server.docs['file-1'].content).toBe(client.content);
+  });
+});
@@ -0,0 +1,52 @@
+// client/src/__tests__/diagnosticsService.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ESLINT_CONFIG,
+  getLintLanguage,
+  parseEslintConfig,
+  findEslintConfig,
+  countProblems
+} from '../services/diagnosticsService';
+
+describe('diagnosticsService', () => {
+  it('lints JavaScript and TypeScript files only', () => {
+    expect(getLintLanguage({ extension: '.jsx' })).toBe('javascript');
+    expect(getLintLanguage({ extension: '.TS' })).toBe('typescript');
+    expect(getLintLanguage({ extension: '.py' })).toBeNull();
+    expect(getLintLanguage({ name: 'Makefile' })).toBeNull();
+  });
+
+  it('parses configs with comments', () => {
+    const config = parseEslintConfig(`{
+      // Shared by every package
+      "extends": "eslint:recommended",
+      /* URLs in strings are kept */
+      "settings": { "docs": "https://eslint.org" }
+    }`);
+
+    expect(config).toEqual({ extends: 'eslint:recommended', settings: { docs: 'https://eslint.org' } });
+    expect(parseEslintConfig('')).toEqual({});
+  });
+
+  it('merges configs from the file up to the root config', () => {
+    const configFiles = [
+      { path: '.eslintrc', content: '{ "extends": "eslint:recommended", "rules": { "semi": "error", "quotes": "warn" } }' },
+      { path: 'web/.eslintrc.json', content: '{ "env": { "browser": true }, "rules": { "semi": "off" } }' },
+      { path: 'tools/.eslintrc', content: '{ "root": true, "rules": { "no-console": "off" } }' }
+    ];
+
+    const web = findEslintConfig(configFiles, 'web/src/index.js');
+    expect(web.extends).toEqual(['eslint:recommended']);
+    expect(web.env).toEqual({ browser: true });
+    expect(web.rules).toEqual({ semi: 'off', quotes: 'warn' });
+
+    expect(findEslintConfig(configFiles, 'tools/build.js').rules).toEqual({ 'no-console': 'off' });
+    expect(findEslintConfig([], 'index.js')).toBe(DEFAULT_ESLINT_CONFIG);
+  });
+
+  it('counts errors and warnings', () => {
+    expect(countProblems([{ severity: 'error' }, { severity: 'warning' }, { severity: 'error' }]))
+      .toEqual({ errors: 2, warnings: 1 });
+    expect(countProblems()).toEqual({ errors: 0, warnings: 0 });
+  });
+});
@@ -0,0 +1,98 @@
+// client/src/__tests__/editorGroups.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  createEditorGroup,
+  openInGroup,
+  closeInGroup,
+  moveFileToGroup,
+  pinInGroup,
+  splitGroup,
+  serializeLayout,
+  deserializeLayout
+} from '../utils/editorGroups';
+
+const tabs = (groups) => groups.map(group => `${group.fileIds.join(',')}:${group.activeFileId}`);
+
+describe('editor groups', () => {
+  it('opens and closes tabs per group', () => {
+    const group = createEditorGroup(['a', 'b']);
+    let groups = openInGroup([group], group.id, 'c');
+    expect(tabs(groups)).toEqual(['a,b,c:c']);
+
+    groups = openInGroup(groups, group.id, 'a');
+    expect(tabs(groups)).toEqual(['a,b,c:a']);
+
+    groups = closeInGroup(groups, group.id, 'a');
+    expect(tabs(groups)).toEqual(['b,c:c']);
+  });
+
+  it('splits a group with its active file', () => {
+    const left = createEditorGroup(['a', 'b'], 'a');
+    const { groups, groupId } = splitGroup([left], left.id);
+    expect(tabs(groups)).toEqual(['a,b:a', 'a:a']);
+    expect(groups[1].id).toBe(groupId);
+  });
+
+  it('moves tabs within and between groups', () => {
+    const left = createEditorGroup(['a', 'b', 'c'], 'c');
+    const right = createEditorGroup(['d']);
+
+    // Dropped before the third tab, which is where it already is
+    expect(tabs(moveFileToGroup([left, right], 'a', left.id, left.id, 2))).toEqual(['b,a,c:a', 'd:d']);
+    expect(tabs(moveFileToGroup([left, right], 'c', left.id, left.id, 0))).toEqual(['c,a,b:c', 'd:d']);
+    expect(tabs(moveFileToGroup([left, right], 'c', left.id, right.id, 0))).toEqual(['a,b:b', 'c,d:c']);
+  });
+
+  it('removes a group emptied by a move, but not the last one', () => {
+    const left = createEditorGroup(['a']);
+    const right = createEditorGroup(['b']);
+    expect(tabs(moveFileToGroup([left, right], 'a', left.id, right.id))).toEqual(['b,a:a']);
+
+    const only = createEditorGroup(['a']);
+    expect(tabs(moveFileToGroup([only], 'a', only.id, only.id))).toEqual(['a:a']);
+  });
+
+  it('keeps pinned tabs at the start of the strip', () => {
+    const group = createEditorGroup(['a', 'b', 'c'], 'a');
+    let groups = pinInGroup([group], group.id, 'c', true);
+    expect(tabs(groups)).toEqual(['c,a,b:a']);
+
+    // Unpinned tabs can't be dragged in front of pinned ones
+    groups = moveFileToGroup(groups, 'b', group.id, group.id, 0);
+    expect(tabs(groups)).toEqual(['c,b,a:b']);
+
+    groups = pinInGroup(groups, group.id, 'a', true);
+    groups = pinInGroup(groups, group.id, 'c', false);
+    expect(tabs(groups)).toEqual(['a,c,b:b']);
+    expect(groups[0].pinnedIds).toEqual(['a']);
+
+    const other = createEditorGroup();
+    groups = moveFileToGroup([...groups, other], 'a', group.id, other.id);
+    expect(groups[0].pinnedIds).toEqual([]);
+    expect(groups[1].pinnedIds).toEqual([]);
+  });
+
+  it('restores a stored layout without deleted files', () => {
+    const left = createEditorGroup(['a', 'b'], 'b');
+    const right = createEditorGroup(['c']);
+    const stored = serializeLayout({
+      groups: [left, right],
+      activeGroupId: right.id,
+      direction: 'vertical',
+      sizes: [30, 70]
+    });
+
+    const restored = deserializeLayout(JSON.parse(JSON.stringify(stored)), new Set(['a', 'c']));
+    expect(tabs(restored.groups)).toEqual(['a:a', 'c:c']);
+    expect(restored.activeGroupId).toBe(restored.groups[1].id);
+    expect(restored.direction).toBe('vertical');
+    expect(restored.sizes).toEqual([30, 70]);
+
+    const withoutRight = deserializeLayout(stored, new Set(['a']));
+    expect(tabs(withoutRight.groups)).toEqual(['a:a']);
+    expect(withoutRight.activeGroupId).toBe(withoutRight.groups[0].id);
+    expect(withoutRight.sizes).toBeNull();
+
+    expect(tabs(deserializeLayout(null, new Set()).groups)).toEqual([':null']);
+  });
+});
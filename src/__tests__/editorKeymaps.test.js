@@ -0,0 +1,54 @@
+// client/src/__tests__/editorKeymaps.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { attachKeymap } from '../utils/editorKeymaps';
+import { initVimMode } from 'monaco-vim';
+
+vi.mock('monaco-vim', () => ({
+  initVimMode: vi.fn()
+}));
+
+const emacsListeners = {};
+const emacsDispose = vi.fn();
+
+vi.mock('monaco-emacs', () => ({
+  EmacsExtension: class {
+    onDidMarkChange(listener) { emacsListeners.mark = listener; }
+    onDidChangeKey(listener) { emacsListeners.key = listener; }
+    start() {}
+    dispose() { emacsDispose(); }
+  }
+}));
+
+describe('editor keymaps', () => {
+  it('starts vim mode with the status node and stops it again', async () => {
+    const vimDispose = vi.fn();
+    initVimMode.mockReturnValue({ dispose: vimDispose });
+    const editor = {};
+    const statusNode = document.createElement('div');
+
+    const detach = await attachKeymap(editor, 'vim', statusNode);
+    expect(initVimMode).toHaveBeenCalledWith(editor, statusNode);
+
+    detach();
+    expect(vimDispose).toHaveBeenCalled();
+  });
+
+  it('shows the emacs mark and pending keys', async () => {
+    const statusNode = document.createElement('div');
+    const detach = await attachKeymap({}, 'emacs', statusNode);
+
+    emacsListeners.key('C-x');
+    expect(statusNode.textContent).toBe('C-x');
+    emacsListeners.mark(true);
+    expect(statusNode.textContent).toBe('Mark set  C-x');
+
+    detach();
+    expect(emacsDispose).toHaveBeenCalled();
+    expect(statusNode.textContent).toBe('');
+  });
+
+  it('does nothing for the default keymap', async () => {
+    const detach = await attachKeymap({}, 'default', null);
+    expect(() => detach()).not.toThrow();
+  });
+});
@@ -0,0 +1,76 @@
+// client/src/__tests__/editorSession.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  loadEditorSession,
+  saveEditorSession,
+  fetchEditorSession
+} from '../services/editorSession';
+import { getEditorSession, updateEditorSession } from '../services/projectService';
+
+vi.mock('../services/projectService', () => ({
+  getEditorSession: vi.fn(),
+  updateEditorSession: vi.fn()
+}));
+
+const session = (updatedAt, activeFileId) => ({
+  layout: { groups: [{ fileIds: [activeFileId], activeFileId, pinnedIds: [] }] },
+  updatedAt
+});
+
+describe('editorSession', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    getEditorSession.mockReset();
+    updateEditorSession.mockReset().mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('saves locally at once and to the account in batches', () => {
+    saveEditorSession('p1', session(null, 'a'));
+    saveEditorSession('p1', session(null, 'b'));
+
+    expect(loadEditorSession('p1').layout.groups[0].activeFileId).toBe('b');
+    expect(loadEditorSession('p1').updatedAt).toBeTruthy();
+    expect(updateEditorSession).not.toHaveBeenCalled();
+
+    vi.runAllTimers();
+    expect(updateEditorSession).toHaveBeenCalledTimes(1);
+    expect(updateEditorSession.mock.calls[0][1].layout.groups[0].activeFileId).toBe('b');
+  });
+
+  it('prefers a newer session from the account', async () => {
+    localStorage.setItem('editorSession:p1', JSON.stringify(session('2024-01-01T00:00:00.000Z', 'a')));
+    getEditorSession.mockResolvedValue(session('2024-02-01T00:00:00.000Z', 'b'));
+
+    const restored = await fetchEditorSession('p1');
+
+    expect(restored.layout.groups[0].activeFileId).toBe('b');
+    expect(loadEditorSession('p1').layout.groups[0].activeFileId).toBe('b');
+    vi.runAllTimers();
+    expect(updateEditorSession).not.toHaveBeenCalled();
+  });
+
+  it('pushes a newer local session to the account', async () => {
+    localStorage.setItem('editorSession:p1', JSON.stringify(session('2024-03-01T00:00:00.000Z', 'a')));
+    getEditorSession.mockResolvedValue(session('2024-02-01T00:00:00.000Z', 'b'));
+
+    const restored = await fetchEditorSession('p1');
+
+    expect(restored.layout.groups[0].activeFileId).toBe('a');
+    vi.runAllTimers();
+    expect(updateEditorSession).toHaveBeenCalledWith('p1', restored);
+  });
+
+  it('falls back to the local session when the account is unreachable', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('editorSession:p1', JSON.stringify(session('2024-01-01T00:00:00.000Z', 'a')));
+    getEditorSession.mockRejectedValue(new Error('Network Error'));
+
+    expect((await fetchEditorSession('p1')).layout.groups[0].activeFileId).toBe('a');
+    expect(await fetchEditorSession('p2')).toBeNull();
+  });
+});
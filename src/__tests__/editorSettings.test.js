@@ -0,0 +1,102 @@
+// client/src/__tests__/editorSettings.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  DEFAULT_EDITOR_SETTINGS,
+  loadEditorSettings,
+  saveEditorSettings,
+  flushEditorSettings,
+  fetchEditorSettings,
+  subscribeToEditorSettings
+} from '../services/editorSettings';
+import { getPreferences, updatePreferences, isAuthenticated } from '../services/authService';
+
+vi.mock('../services/authService', () => ({
+  getPreferences: vi.fn(),
+  updatePreferences: vi.fn(),
+  isAuthenticated: vi.fn()
+}));
+
+describe('editorSettings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    getPreferences.mockReset();
+    updatePreferences.mockReset().mockResolvedValue({});
+    isAuthenticated.mockReset().mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('fills in defaults and notifies subscribers of changes', () => {
+    expect(loadEditorSettings()).toEqual(DEFAULT_EDITOR_SETTINGS);
+
+    const listener = vi.fn();
+    const unsubscribe = subscribeToEditorSettings(listener);
+    saveEditorSettings({ tabSize: 4 });
+    unsubscribe();
+    saveEditorSettings({ minimap: false });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toMatchObject({ tabSize: 4, fontSize: 14 });
+    expect(loadEditorSettings()).toMatchObject({ tabSize: 4, minimap: false });
+  });
+
+  it('saves to the account in batches, only when signed in', () => {
+    saveEditorSettings({ tabSize: 4 });
+    saveEditorSettings({ wordWrap: 'off' });
+    vi.runAllTimers();
+    expect(updatePreferences).toHaveBeenCalledTimes(1);
+    expect(updatePreferences.mock.calls[0][0]).toMatchObject({ tabSize: 4, wordWrap: 'off' });
+
+    isAuthenticated.mockReturnValue(false);
+    saveEditorSettings({ fontSize: 16 });
+    vi.runAllTimers();
+    expect(updatePreferences).toHaveBeenCalledTimes(1);
+  });
+
+  it('prefers newer preferences from the account', async () => {
+    localStorage.setItem('editorSettings', JSON.stringify({ tabSize: 4, updatedAt: '2024-01-01T00:00:00.000Z' }));
+    getPreferences.mockResolvedValue({ tabSize: 8, updatedAt: '2024-02-01T00:00:00.000Z' });
+
+    expect((await fetchEditorSettings()).tabSize).toBe(8);
+    vi.runAllTimers();
+    expect(updatePreferences).not.toHaveBeenCalled();
+  });
+
+  it('pushes newer local preferences to the account', async () => {
+    const local = { tabSize: 4, updatedAt: '2024-03-01T00:00:00.000Z' };
+    localStorage.setItem('editorSettings', JSON.stringify(local));
+    getPreferences.mockResolvedValue(null);
+
+    expect((await fetchEditorSettings()).tabSize).toBe(4);
+    vi.runAllTimers();
+    expect(updatePreferences).toHaveBeenCalledWith(local);
+  });
+
+  it('treats account preferences without a timestamp as older', async () => {
+    const local = { tabSize: 4, updatedAt: '2024-03-01T00:00:00.000Z' };
+    localStorage.setItem('editorSettings', JSON.stringify(local));
+    getPreferences.mockResolvedValue({ tabSize: 8 });
+    
+    expect((await fetchEditorSettings()).tabSize).toBe(4);
+    vi.runAllTimers();
+    expect(updatePreferences).toHaveBeenCalledWith(local);
+  });
+
+  it('reports whether flushed changes reached the account', async () => {
+    saveEditorSettings({ tabSize: 4 });
+    await expect(flushEditorSettings()).resolves.toBe(true);
+    expect(updatePreferences).toHaveBeenCalledTimes(1);
+    
+    updatePreferences.mockRejectedValue(new Error('Network Error'));
+    saveEditorSettings({ tabSize: 8 });
+    await expect(flushEditorSettings()).rejects.toThrow('Network Error');
+    
+    isAuthenticated.mockReturnValue(false);
+    saveEditorSettings({ tabSize: 2 });
+    await expect(flushEditorSettings()).resolves.toBe(false);
+    expect(updatePreferences).toHaveBeenCalledTimes(2);
+  });
+});
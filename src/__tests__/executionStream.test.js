@@ -0,0 +1,94 @@
+// client/src/__tests__/executionStream.test.js
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { io } from 'socket.io-client';
+import { startExecutionServer } from '../__mocks__/executionServer';
+import { createExecutionStream } from '../services/executionStreamService';
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('streaming execution', () => {
+  let server;
+  let socket;
+
+  beforeEach(async () => {
+    server = await startExecutionServer({ languages: ['python'] });
+    socket = io(`${server.url}/execution`, { transports: ['websocket'] });
+  });
+
+  afterEach(async () => {
+    socket.disconnect();
+    await server.close();
+  });
+
+  const start = (code, language = 'python') => {
+    const chunks = [];
+    const execution = createExecutionStream(socket, {
+      code,
+      language,
+      onOutput: chunk => chunks.push(chunk)
+    });
+    return { execution, chunks };
+  };
+
+  it('streams output while the program runs', async () => {
+    const { execution, chunks } = start('print one\nsleep 50\neprint two\nprint three');
+    await execution.started;
+
+    await waitFor(() => chunks.length === 1);
+    expect(chunks).toEqual([{ stream: 'stdout', data: 'one\n' }]);
+
+    const result = await execution.done;
+    expect(chunks.map(chunk => chunk.stream)).toEqual(['stdout', 'stderr', 'stdout']);
+    expect(result).toMatchObject({ success: true, output: 'one\nthree\n', error: null });
+    expect(result.executionTime).toBeGreaterThanOrEqual(0);
+  });
+
+  it('sends input lines to the program', async () => {
+    const { execution, chunks } = start('input\ninput\ninput');
+    await execution.started;
+
+    execution.writeStdin('alice\n');
+    await waitFor(() => chunks.length === 1);
+    execution.writeStdin('bob\n');
+    execution.closeStdin();
+
+    const result = await execution.done;
+    expect(result.output).toBe('got alice\ngot bob\ngot EOF\n');
+  });
+
+  it('reports exit codes', async () => {
+    const { execution } = start('eprint boom\nexit 3');
+    await execution.started;
+
+    expect(await execution.done).toMatchObject({
+      success: false,
+      output: '',
+      error: 'Process exited with code 3'
+    });
+  });
+
+  it('cancels a running program', async () => {
+    const { execution } = start('print waiting\ninput\nprint never');
+    await execution.started;
+
+    execution.cancel();
+    expect(await execution.done).toMatchObject({ success: false, error: 'Execution cancelled' });
+
+    const [process] = server.processes.values();
+    await waitFor(() => process.isKilled());
+  });
+
+  it('fails to start when the server does not stream the language', async () => {
+    const { execution } = start('print hi', 'cobol');
+
+    await expect(execution.started).rejects.toThrow('Streaming execution is not available for cobol');
+    expect(await execution.done).toMatchObject({ success: false });
+  });
+});
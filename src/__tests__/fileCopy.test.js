@@ -0,0 +1,55 @@
+// client/src/__tests__/fileCopy.test.js
+import { describe, it, expect } from 'vitest';
+import { collectSubtree, getCopyName, getTopLevelIds, planCopy } from '../utils/fileCopy';
+
+const files = [
+  { _id: 'src', name: 'src', type: 'directory', parentId: null },
+  { _id: 'lib', name: 'lib', type: 'directory', parentId: 'src' },
+  { _id: 'util', name: 'util', extension: '.js', type: 'file', content: 'export {};', parentId: 'lib' },
+  { _id: 'index', name: 'index', extension: '.js', type: 'file', content: 'import "./lib/util";', parentId: 'src' },
+  { _id: 'readme', name: 'README', extension: '.md', type: 'file', content: '# App', parentId: null }
+];
+
+describe('fileCopy', () => {
+  it('collects folder contents parents first', () => {
+    expect(collectSubtree(files, ['src']).map(f => f._id)).toEqual(['src', 'lib', 'index', 'util']);
+    expect(getTopLevelIds(files, ['util', 'src', 'readme'])).toEqual(['src', 'readme']);
+  });
+
+  it('names copies after the original', () => {
+    const file = { name: 'index', extension: '.js', type: 'file' };
+    expect(getCopyName(file, new Set(['app.js']))).toBe('index');
+    expect(getCopyName(file, new Set(['index.js']))).toBe('index copy');
+    expect(getCopyName(file, new Set(['index.js', 'index copy.js']))).toBe('index copy 2');
+  });
+
+  it('duplicates a folder next to the original with its contents', () => {
+    const entries = planCopy(files, ['src']);
+
+    expect(entries.map(e => [e.tempId, e.name, e.parentId])).toEqual([
+      ['copy-0', 'src copy', null],
+      ['copy-1', 'lib', 'copy-0'],
+      ['copy-2', 'index', 'copy-0'],
+      ['copy-3', 'util', 'copy-1']
+    ]);
+    expect(entries[3]).toMatchObject({ type: 'file', extension: '.js', content: 'export {};' });
+  });
+
+  it('copies into a folder without renaming unless names clash', () => {
+    const entries = planCopy(files, ['readme', 'index'], { targetFolderId: 'lib' });
+    expect(entries.map(e => [e.name, e.parentId])).toEqual([
+      ['README', 'lib'],
+      ['index', 'lib']
+    ]);
+
+    const twice = planCopy(files, ['readme', 'readme'], { targetFolderId: null });
+    expect(twice.map(e => e.name)).toEqual(['README copy']);
+  });
+
+  it('checks names against the files of another project', () => {
+    const targetFiles = [{ _id: 'other', name: 'src', type: 'directory', parentId: null }];
+
+    expect(planCopy(files, ['src'], { targetFolderId: null, targetFiles })[0].name).toBe('src copy');
+    expect(planCopy(files, ['readme'], { targetFolderId: null, targetFiles })[0].name).toBe('README');
+  });
+});
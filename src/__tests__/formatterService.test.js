@@ -0,0 +1,58 @@
+// client/src/__tests__/formatterService.test.js
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parsePrettierConfig,
+  findPrettierConfig,
+  registerFormatter,
+  getFormatter,
+  formatCode
+} from '../services/formatterService';
+
+describe('formatterService', () => {
+  it('parses JSON and YAML Prettier configs', () => {
+    expect(parsePrettierConfig('{ "semi": false, "tabWidth": 4 }')).toEqual({ semi: false, tabWidth: 4 });
+    expect(parsePrettierConfig('semi: false\nsingleQuote: true # quotes\ntrailingComma: "all"\n')).toEqual({
+      semi: false,
+      singleQuote: true,
+      trailingComma: 'all'
+    });
+    expect(parsePrettierConfig('')).toEqual({});
+  });
+
+  it('uses the nearest config above a file', () => {
+    const configFiles = [
+      { path: '.prettierrc', content: 'semi: false' },
+      { path: 'web/.prettierrc.json', content: '{ "semi": true }' }
+    ];
+
+    expect(findPrettierConfig(configFiles, 'web/src/index.js')).toEqual({ semi: true });
+    expect(findPrettierConfig(configFiles, 'server/index.js')).toEqual({ semi: false });
+    expect(findPrettierConfig([], 'index.js')).toEqual({});
+  });
+
+  it('formats with the most recently registered formatter', async () => {
+    expect(getFormatter('javascript').id).toBe('prettier');
+    expect(getFormatter('python')).toBeNull();
+
+    const format = vi.fn().mockResolvedValue('formatted');
+    const unregister = registerFormatter({ id: 'custom', name: 'Custom', languages: ['javascript'], format });
+
+    const result = await formatCode('code', {
+      language: 'javascript',
+      filePath: 'src/index.js',
+      configFiles: [{ path: '.prettierrc', content: '{ "semi": false }' }],
+      tabSize: 4
+    });
+
+    expect(result).toBe('formatted');
+    expect(format).toHaveBeenCalledWith('code', {
+      language: 'javascript',
+      filePath: 'src/index.js',
+      config: { tabWidth: 4, semi: false }
+    });
+
+    unregister();
+    expect(getFormatter('javascript').id).toBe('prettier');
+    await expect(formatCode('code', { language: 'python' })).rejects.toThrow('No formatter for python');
+  });
+});
@@ -0,0 +1,41 @@
+// client/src/__tests__/fuzzyMatch.test.js
+import { describe, it, expect } from 'vitest';
+import { fuzzyMatch, rankMatches } from '../utils/fuzzyMatch';
+
+const paths = [
+  'src/components/Editor/FileExplorer.jsx',
+  'src/components/Editor/CodeEditor.jsx',
+  'src/contexts/EditorContext.jsx',
+  'src/utils/filePaths.js',
+  'README.md'
+];
+
+const rank = (query, recentIds = []) => rankMatches(paths, query, {
+  getText: path => path,
+  getId: path => path,
+  recentIds
+}).map(result => result.item);
+
+describe('fuzzyMatch', () => {
+  it('matches characters in order', () => {
+    expect(fuzzyMatch('cmpfe', 'src/components/Editor/FileExplorer.jsx')).not.toBeNull();
+    expect(fuzzyMatch('xjz', 'src/utils/filePaths.js')).toBeNull();
+    expect(fuzzyMatch('read me', 'README.md').positions).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it('ranks file name matches above scattered ones', () => {
+    expect(rank('fileexp')[0]).toBe('src/components/Editor/FileExplorer.jsx');
+    expect(rank('edctx')[0]).toBe('src/contexts/EditorContext.jsx');
+    expect(rank('codeed')).toEqual(['src/components/Editor/CodeEditor.jsx']);
+  });
+
+  it('lists recently opened files first without a query', () => {
+    const recent = ['src/utils/filePaths.js', 'README.md'];
+    expect(rank('', recent).slice(0, 2)).toEqual(recent);
+  });
+
+  it('breaks ties by recency', () => {
+    const recent = ['src/components/Editor/CodeEditor.jsx'];
+    expect(rank('editor.jsx', recent)[0]).toBe('src/components/Editor/CodeEditor.jsx');
+  });
+});
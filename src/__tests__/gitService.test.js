@@ -0,0 +1,188 @@
+// client/src/__tests__/gitService.test.js
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  loadBundle,
+  readTreeEntries,
+  importRepository,
+  getStatus,
+  commitChanges,
+  createWorkingPatch,
+  formatPatches,
+  createBundle,
+  cloneRepository
+} from '../services/gitService';
+
+const created = vi.hoisted(() => ({ project: null, entries: [] }));
+
+vi.mock('../services/projectService', () => ({
+  createProject: async (data) => {
+    created.project = { _id: 'project-1', ...data };
+    return created.project;
+  },
+  createFilesFromPaths: async (projectId, entries) => {
+    created.entries = entries;
+    return [];
+  }
+}));
+
+vi.mock('../services/offlineStore', () => ({
+  putGitRepository: async () => {},
+  getGitRepository: async () => undefined,
+  removeGitRepository: async () => {}
+}));
+
+const run = (cwd, ...args) => execFileSync('git', args, {
+  cwd,
+  encoding: 'utf8',
+  stdio: ['ignore', 'pipe', 'pipe'],
+  env: {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'Fixture',
+    GIT_AUTHOR_EMAIL: 'fixture@example.com',
+    GIT_COMMITTER_NAME: 'Fixture',
+    GIT_COMMITTER_EMAIL: 'fixture@example.com'
+  }
+});
+
+// Project-shaped files for the fixture's HEAD tree
+const projectFiles = (overrides = {}) => {
+  const files = [
+    { _id: 'src', name: 'src', type: 'directory', parentId: null },
+    { _id: 'index', name: 'index', extension: '.js', type: 'file', parentId: 'src', content: 'console.log("hi");\n' },
+    { _id: 'readme', name: 'README', extension: '.md', type: 'file', parentId: null, content: '# Fixture\n' }
+  ];
+  return files
+    .filter(file => overrides[file._id] !== null)
+    .map(file => (overrides[file._id] ? { ...file, content: overrides[file._id] } : file));
+};
+
+describe('gitService', () => {
+  let root;
+  let bare;
+  let bundlePath;
+
+  beforeAll(() => {
+    root = mkdtempSync(join(tmpdir(), 'git-fixture-'));
+    const work = join(root, 'work');
+    bare = join(root, 'repo.git');
+    bundlePath = join(root, 'repo.bundle');
+
+    mkdirSync(join(work, 'src'), { recursive: true });
+    writeFileSync(join(work, 'src', 'index.js'), 'console.log("hi");\n');
+    writeFileSync(join(work, 'README.md'), '# Fixture\n');
+    writeFileSync(join(work, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+
+    run(work, 'init', '-q', '-b', 'main');
+    run(work, 'add', '.');
+    run(work, 'commit', '-q', '-m', 'Initial commit');
+    run(root, 'clone', '-q', '--bare', work, bare);
+    run(bare, 'bundle', 'create', bundlePath, '--all');
+  });
+
+  afterAll(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('loads a bundle and reads the HEAD tree', async () => {
+    const repo = await loadBundle(readFileSync(bundlePath));
+    const entries = await readTreeEntries(repo);
+
+    expect(repo.branch).toBe('main');
+    expect(entries.map(entry => entry.path)).toEqual(['logo.png', 'README.md', 'src/index.js']);
+    expect(entries.find(entry => entry.path === 'src/index.js').content).toBe('console.log("hi");\n');
+    expect(entries.find(entry => entry.path === 'logo.png').content).toBeNull();
+  });
+
+  it('imports text files into a new project and reports skipped ones', async () => {
+    const repo = await loadBundle(readFileSync(bundlePath));
+    const { project, skipped } = await importRepository(repo, { name: 'Fixture' });
+
+    expect(project.name).toBe('Fixture');
+    expect(skipped).toEqual(['logo.png']);
+    expect(created.entries).toEqual([
+      { path: 'README.md', content: '# Fixture\n' },
+      { path: 'src/index.js', content: 'console.log("hi");\n' }
+    ]);
+  });
+
+  it('reports project changes against HEAD', async () => {
+    const repo = await loadBundle(readFileSync(bundlePath));
+
+    expect(await getStatus(repo, projectFiles())).toEqual([]);
+
+    const files = [
+      ...projectFiles({ index: 'console.log("hello");\n', readme: null }),
+      { _id: 'new', name: 'util', extension: '.js', type: 'file', parentId: 'src', content: 'export {};\n' }
+    ];
+    const changes = await getStatus(repo, files);
+
+    expect(changes.map(change => [change.status, change.path])).toEqual([
+      ['deleted', 'README.md'],
+      ['modified', 'src/index.js'],
+      ['added', 'src/util.js']
+    ]);
+  });
+
+  it('produces a working patch that git apply accepts', async () => {
+    const repo = await loadBundle(readFileSync(bundlePath));
+    const changes = await getStatus(repo, projectFiles({ index: 'console.log("patched");\n' }));
+    const patchPath = join(root, 'working.patch');
+    const checkout = join(root, 'apply-check');
+
+    writeFileSync(patchPath, createWorkingPatch(changes));
+    run(root, 'clone', '-q', bare, checkout);
+    run(checkout, 'apply', patchPath);
+
+    expect(readFileSync(join(checkout, 'src', 'index.js'), 'utf8')).toBe('console.log("patched");\n');
+  });
+
+  it('commits changes and exports them as a bundle and as patches', async () => {
+    const repo = await loadBundle(readFileSync(bundlePath));
+    const files = projectFiles({ index: 'console.log("committed");\n', readme: null });
+
+    await commitChanges(repo, files, {
+      message: 'Update greeting\n\nAnd drop the readme.',
+      author: { name: 'Pair', email: 'pair@example.com' }
+    });
+
+    expect(await getStatus(repo, files)).toEqual([]);
+
+    // The bundle applies on top of the original repository
+    const exportedBundle = join(root, 'changes.bundle');
+    writeFileSync(exportedBundle, await createBundle(repo));
+    run(bare, 'bundle', 'verify', '-q', exportedBundle);
+    run(bare, 'fetch', '-q', exportedBundle, 'main:refs/heads/imported');
+
+    expect(run(bare, 'show', 'imported:src/index.js')).toBe('console.log("committed");\n');
+    expect(run(bare, 'ls-tree', '--name-only', 'imported')).toBe('logo.png\nsrc\n');
+    expect(run(bare, 'log', '-1', '--format=%an|%s', 'imported').trim()).toBe('Pair|Update greeting');
+
+    // The patches apply with git am
+    const patchPath = join(root, 'changes.patch');
+    const checkout = join(root, 'am-check');
+    writeFileSync(patchPath, await formatPatches(repo));
+    run(root, 'clone', '-q', bare, checkout);
+    run(checkout, 'am', '-q', patchPath);
+
+    expect(readFileSync(join(checkout, 'src', 'index.js'), 'utf8')).toBe('console.log("committed");\n');
+    expect(run(checkout, 'log', '-1', '--format=%s%n%b').trim()).toBe('Update greeting\nAnd drop the readme.');
+  });
+
+  it('talks to git servers directly unless a CORS proxy is configured', async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetch);
+    
+    try {
+      await expect(cloneRepository({ url: 'https://git.example.com/team/app.git' }))
+        .rejects.toThrow('set VITE_GIT_CORS_PROXY to a CORS proxy you host');
+      expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/git\.example\.com\/team\/app\.git\//);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+// client/src/__tests__/keybindings.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeKeybinding,
+  eventToKeybinding,
+  formatKeybinding,
+  worksInTextFields,
+  resolveKeybindings,
+  findConflicts
+} from '../utils/keybindings';
+
+describe('keybindings', () => {
+  it('normalizes modifier order, case and aliases', () => {
+    expect(normalizeKeybinding('Shift+Ctrl+P')).toBe('ctrl+shift+p');
+    expect(normalizeKeybinding('ctrl+Esc')).toBe('ctrl+escape');
+    expect(normalizeKeybinding('ctrl++')).toBe('ctrl++');
+    expect(normalizeKeybinding('')).toBe('');
+  });
+
+  it('reads keybindings from keyboard events', () => {
+    expect(eventToKeybinding({ key: 'P', code: 'KeyP', ctrlKey: true, shiftKey: true })).toBe('ctrl+shift+p');
+    expect(eventToKeybinding({ key: '!', code: 'Digit1', altKey: true, shiftKey: true })).toBe('alt+shift+1');
+    expect(eventToKeybinding({ key: 'Enter', code: 'Enter', metaKey: true })).toBe('meta+enter');
+    expect(eventToKeybinding({ key: 'Control', code: 'ControlLeft', ctrlKey: true })).toBe('');
+  });
+
+  it('formats keybindings for display', () => {
+    expect(formatKeybinding('ctrl+shift+p')).toBe('Ctrl+Shift+P');
+    expect(formatKeybinding('ctrl+enter')).toBe('Ctrl+Enter');
+    expect(formatKeybinding('ctrl++')).toBe('Ctrl++');
+  });
+
+  it('only lets modified keys through text fields', () => {
+    expect(worksInTextFields('ctrl+p')).toBe(true);
+    expect(worksInTextFields('f2')).toBe(true);
+    expect(worksInTextFields('shift+a')).toBe(false);
+    expect(worksInTextFields('delete')).toBe(false);
+  });
+
+  it('applies user overrides and finds conflicts', () => {
+    const commands = [
+      { id: 'palette', keybinding: 'ctrl+shift+p' },
+      { id: 'quickOpen', keybinding: 'ctrl+p' },
+      { id: 'run', keybinding: 'ctrl+enter' },
+      { id: 'share' }
+    ];
+    const keybindings = resolveKeybindings(commands, { run: '', share: 'Ctrl+P' });
+
+    expect(keybindings.get('palette')).toBe('ctrl+shift+p');
+    expect(keybindings.get('run')).toBe('');
+    expect(keybindings.get('share')).toBe('ctrl+p');
+    expect(findConflicts(keybindings)).toEqual(new Map([['ctrl+p', ['quickOpen', 'share']]]));
+  });
+});
@@ -0,0 +1,171 @@
+// client/src/__tests__/languageServer.test.js
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { io } from 'socket.io-client';
+import { startLanguageServer } from '../__mocks__/languageServer';
+import { createLanguageClient } from '../services/languageServerService';
+import {
+  toLspPosition,
+  toMonacoMarker,
+  toMonacoCompletion,
+  toMonacoHover,
+  toMonacoLocations
+} from '../utils/lspProtocol';
+
+// The parts of the Monaco namespace the conversions use
+const monaco = {
+  MarkerSeverity: { Hint: 1, Info: 2, Warning: 4, Error: 8 },
+  languages: {
+    CompletionItemKind: { Function: 1, Variable: 4, Text: 18 },
+    CompletionItemInsertTextRule: { InsertAsSnippet: 4 }
+  },
+  Uri: { parse: (uri) => ({ uri }) }
+};
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('LSP conversions', () => {
+  const range = { start: { line: 0, character: 4 }, end: { line: 0, character: 8 } };
+  const monacoRange = { startLineNumber: 1, startColumn: 5, endLineNumber: 1, endColumn: 9 };
+
+  it('converts positions, diagnostics and hovers', () => {
+    expect(toLspPosition({ lineNumber: 3, column: 1 })).toEqual({ line: 2, character: 0 });
+
+    expect(toMonacoMarker({ range, severity: 2, message: 'Unused', code: 42 }, monaco)).toEqual({
+      ...monacoRange,
+      severity: 4,
+      message: 'Unused',
+      source: undefined,
+      code: '42'
+    });
+
+    expect(toMonacoHover({ contents: [{ language: 'python', value: 'x: int' }, 'A number'], range })).toEqual({
+      contents: [{ value: '```python\nx: int\n```' }, { value: 'A number' }],
+      range: monacoRange
+    });
+    expect(toMonacoHover({ contents: [] })).toBeNull();
+  });
+
+  it('converts completion items', () => {
+    const defaultRange = { startLineNumber: 2, startColumn: 1, endLineNumber: 2, endColumn: 3 };
+
+    expect(toMonacoCompletion({ label: 'print', kind: 3 }, defaultRange, monaco)).toMatchObject({
+      label: 'print',
+      kind: 1,
+      insertText: 'print',
+      range: defaultRange
+    });
+
+    const snippet = toMonacoCompletion({
+      label: 'main',
+      insertTextFormat: 2,
+      textEdit: { range, newText: 'main(${1})' },
+      documentation: { kind: 'markdown', value: '**main**' }
+    }, defaultRange, monaco);
+    expect(snippet).toMatchObject({
+      kind: 18,
+      insertText: 'main(${1})',
+      insertTextRules: 4,
+      range: monacoRange,
+      documentation: { value: '**main**' }
+    });
+  });
+
+  it('converts locations and location links', () => {
+    expect(toMonacoLocations({ uri: 'file:///a.py', range }, monaco)).toEqual([
+      { uri: { uri: 'file:///a.py' }, range: monacoRange }
+    ]);
+    expect(toMonacoLocations([{ targetUri: 'file:///b.py', targetRange: range }], monaco)).toEqual([
+      { uri: { uri: 'file:///b.py' }, range: monacoRange }
+    ]);
+    expect(toMonacoLocations(null, monaco)).toEqual([]);
+  });
+});
+
+describe('language clients', () => {
+  let server;
+  let socket;
+  let clients;
+
+  beforeEach(async () => {
+    server = await startLanguageServer({ languages: ['python'] });
+    socket = io(`${server.url}/lsp`, { transports: ['websocket'] });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.stop());
+    socket.disconnect();
+    await server.close();
+  });
+
+  const createClient = (options) => {
+    const client = createLanguageClient(socket, { projectId: 'project-1', ...options });
+    clients.push(client);
+    return client;
+  };
+
+  it('syncs documents and receives diagnostics', async () => {
+    const diagnostics = {};
+    const client = createClient({
+      language: 'python',
+      onDiagnostics: (uri, items) => { diagnostics[uri] = items; }
+    });
+
+    // Opened before the session is ready
+    client.openDocument('file:///main.py', 'python', 'x = 1\n');
+    const capabilities = await client.whenReady();
+    expect(capabilities.hoverProvider).toBe(true);
+
+    await waitFor(() => diagnostics['file:///main.py']);
+    expect(diagnostics['file:///main.py']).toEqual([]);
+
+    client.changeDocument('file:///main.py', 'x = 1  # TODO\n');
+    await waitFor(() => diagnostics['file:///main.py'].length === 1);
+    expect(diagnostics['file:///main.py'][0]).toMatchObject({
+      range: { start: { line: 0, character: 9 } },
+      message: 'Unresolved TODO'
+    });
+
+    const [session] = server.sessions.values();
+    await waitFor(() => session.responses.length === 1);
+    expect(session.responses[0].result).toEqual([null]);
+
+    client.closeDocument('file:///main.py');
+    await waitFor(() => session.documents.size === 0);
+  });
+
+  it('answers completion, hover and definition requests across files', async () => {
+    const client = createClient({ language: 'python' });
+    client.openDocument('file:///lib/util.py', 'python', 'def greet(name):\n    return name\n');
+    client.openDocument('file:///main.py', 'python', 'from lib.util import greet\ngreet("hi")\n');
+    await client.whenReady();
+
+    const params = (line, character) => ({ textDocument: { uri: 'file:///main.py' }, position: { line, character } });
+
+    const completions = await client.request('textDocument/completion', params(1, 0));
+    expect(completions.map(item => item.label)).toContain('greet');
+
+    const hover = await client.request('textDocument/hover', params(1, 2));
+    expect(hover.contents.value).toBe('`greet`');
+
+    const definition = await client.request('textDocument/definition', params(1, 2));
+    expect(definition).toEqual({
+      uri: 'file:///lib/util.py',
+      range: { start: { line: 0, character: 4 }, end: { line: 0, character: 9 } }
+    });
+
+    await expect(client.request('textDocument/rename', params(1, 2))).rejects.toThrow('Unhandled method');
+  });
+
+  it('fails to start for languages without a server', async () => {
+    const client = createClient({ language: 'cobol' });
+    await expect(client.whenReady()).rejects.toThrow('No language server for cobol');
+  });
+});
@@ -0,0 +1,72 @@
+// client/src/__tests__/localHistory.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  recordSnapshot,
+  getFileTimeline,
+  subscribeToTimeline,
+  MAX_TIMELINE_ENTRIES
+} from '../services/localHistory';
+
+// In-memory stand-in for the IndexedDB history store
+const store = vi.hoisted(() => ({ entries: [], nextId: 1 }));
+
+vi.mock('../services/offlineStore', () => ({
+  addHistoryEntry: async (entry) => {
+    const id = store.nextId++;
+    store.entries.push({ ...entry, id });
+    return id;
+  },
+  getHistoryEntries: async (fileId) => store.entries.filter(entry => entry.fileId === fileId),
+  removeHistoryEntries: async (ids) => {
+    store.entries = store.entries.filter(entry => !ids.includes(entry.id));
+  }
+}));
+
+describe('localHistory', () => {
+  beforeEach(() => {
+    store.entries = [];
+    store.nextId = 1;
+  });
+
+  it('returns snapshots newest first', async () => {
+    await recordSnapshot('p1', 'f1', 'one');
+    await recordSnapshot('p1', 'f1', 'two', 'restore');
+    await recordSnapshot('p1', 'f2', 'other');
+
+    const timeline = await getFileTimeline('f1');
+
+    expect(timeline.map(entry => entry.content)).toEqual(['two', 'one']);
+    expect(timeline[0].source).toBe('restore');
+  });
+
+  it('skips a snapshot identical to the latest one', async () => {
+    await recordSnapshot('p1', 'f1', 'same');
+    await recordSnapshot('p1', 'f1', 'same');
+
+    expect(await getFileTimeline('f1')).toHaveLength(1);
+  });
+
+  it('keeps only the newest snapshots of a file', async () => {
+    for (let i = 0; i < MAX_TIMELINE_ENTRIES + 5; i++) {
+      await recordSnapshot('p1', 'f1', `version ${i}`);
+    }
+
+    const timeline = await getFileTimeline('f1');
+
+    expect(timeline).toHaveLength(MAX_TIMELINE_ENTRIES);
+    expect(timeline[0].content).toBe(`version ${MAX_TIMELINE_ENTRIES + 4}`);
+    expect(timeline[timeline.length - 1].content).toBe('version 5');
+  });
+
+  it('notifies subscribers of new snapshots', async () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToTimeline(listener);
+
+    await recordSnapshot('p1', 'f1', 'content');
+    unsubscribe();
+    await recordSnapshot('p1', 'f1', 'more content');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('f1');
+  });
+});
@@ -0,0 +1,74 @@
+// client/src/__tests__/moduleBundler.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  resolveModulePath,
+  hasRelativeImports,
+  collectSources,
+  bundleModules,
+  runBundle
+} from '../utils/moduleBundler';
+
+describe('module resolution', () => {
+  const sources = {
+    'src/index.js': '',
+    'src/utils/math.ts': '',
+    'src/lib/index.js': '',
+    'data.json': ''
+  };
+
+  it('resolves relative imports like Node', () => {
+    expect(resolveModulePath('src/index.js', './utils/math', sources)).toBe('src/utils/math.ts');
+    expect(resolveModulePath('src/utils/math.ts', '../lib', sources)).toBe('src/lib/index.js');
+    expect(resolveModulePath('src/index.js', '../data.json', sources)).toBe('data.json');
+    expect(resolveModulePath('src/lib/index.js', '/src/index.js', sources)).toBe('src/index.js');
+  });
+
+  it('leaves packages and missing files unresolved', () => {
+    expect(resolveModulePath('src/index.js', 'lodash', sources)).toBeNull();
+    expect(resolveModulePath('src/index.js', './missing', sources)).toBeNull();
+  });
+
+  it('detects imports of project files', () => {
+    expect(hasRelativeImports("import { add } from './math';")).toBe(true);
+    expect(hasRelativeImports("const util = require('../util');")).toBe(true);
+    expect(hasRelativeImports("import fs from 'fs';\nconsole.log(1);")).toBe(false);
+  });
+
+  it('collects sources with unsaved edits', () => {
+    const files = [
+      { _id: 'a', type: 'file', content: 'saved' },
+      { _id: 'b', type: 'file', content: 'other' },
+      { _id: 'dir', type: 'directory' }
+    ];
+    const filePaths = new Map([['a', 'src/a.js'], ['b', 'b.js'], ['dir', 'src']]);
+
+    expect(collectSources(files, filePaths, [{ _id: 'a', content: 'edited' }])).toEqual({
+      'src/a.js': 'edited',
+      'b.js': 'other'
+    });
+  });
+});
+
+describe('module bundling', () => {
+  it('runs ES modules and CommonJS importing each other', async () => {
+    const logs = [];
+    const bundle = await bundleModules({
+      'src/index.js': "import greet, { name } from './greet';\nconst config = require('../config.json');\nlog(greet(name), config.debug);",
+      'src/greet.ts': "export const name: string = 'world';\nexport default (who: string) => `hello ${who}`;",
+      'config.json': '{ "debug": true }'
+    }, 'src/index.js');
+
+    expect(Object.keys(bundle.modules).sort()).toEqual(['config.json', 'src/greet.ts', 'src/index.js']);
+    runBundle(bundle, { log: (...args) => logs.push(args) });
+    expect(logs).toEqual([['hello world', true]]);
+  });
+
+  it('evaluates each module once, even in a cycle', async () => {
+    const bundle = await bundleModules({
+      'a.js': "exports.loaded = true;\nconst b = require('./b');\nmodule.exports.fromB = b.seenA;",
+      'b.js': "const a = require('./a');\nexports.seenA = a.loaded;"
+    }, 'a.js');
+
+    expect(runBundle(bundle)).toEqual({ loaded: true, fromB: true });
+  });
+});
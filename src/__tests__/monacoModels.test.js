@@ -0,0 +1,220 @@
+// client/src/__tests__/monacoModels.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createElement } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { getModelPath, getPathFromModelUri, getModelLanguage } from '../utils/monacoModels';
+import { EditorContext } from '../contexts/EditorContext';
+import { buildFilePaths } from '../utils/filePaths';
+import useProjectModels from '../hooks/useProjectModels';
+
+// Just enough of the Monaco namespace for useProjectModels: models keyed by
+// URI that report changes, and the editors showing them
+const createFakeMonaco = () => {
+  const models = new Map();
+  const createListeners = new Set();
+  const addListener = (listeners) => (listener) => {
+    listeners.add(listener);
+    return { dispose: () => listeners.delete(listener) };
+  };
+  const defaults = () => ({
+    options: {},
+    getCompilerOptions() { return this.options; },
+    setCompilerOptions(options) { this.options = options; },
+    setEagerModelSync: vi.fn()
+  });
+
+  const monaco = {
+    models,
+    editors: [],
+    Uri: { parse: (value) => ({ toString: () => value }) },
+    languages: {
+      typescript: {
+        ScriptTarget: {},
+        ModuleKind: {},
+        ModuleResolutionKind: {},
+        JsxEmit: {},
+        typescriptDefaults: defaults(),
+        javascriptDefaults: defaults()
+      }
+    },
+    editor: {
+      getEditors: () => monaco.editors,
+      getModels: () => [...models.values()],
+      getModel: (uri) => models.get(uri.toString()) || null,
+      createModel: (content, language, uri) => {
+        const listeners = new Set();
+        let value = content;
+        const model = {
+          uri,
+          language,
+          getValue: () => value,
+          setValue: (newValue) => {
+            value = newValue;
+            listeners.forEach(listener => listener());
+          },
+          onDidChangeContent: addListener(listeners),
+          dispose: () => models.delete(uri.toString())
+        };
+        models.set(uri.toString(), model);
+        createListeners.forEach(listener => listener(model));
+        return model;
+      },
+      onDidCreateModel: addListener(createListeners),
+      registerEditorOpener: (opener) => {
+        monaco.opener = opener;
+        return { dispose: () => {} };
+      }
+    }
+  };
+  return monaco;
+};
+
+const modelContents = (monaco) => Object.fromEntries(
+  [...monaco.models].map(([uri, model]) => [uri, model.getValue()])
+);
+
+describe('monacoModels', () => {
+  it('places models at the real path of their file', () => {
+    expect(getModelPath('src/index.ts')).toBe('file:///src/index.ts');
+    expect(getModelPath('my docs/a#b.md')).toBe('file:///my%20docs/a%23b.md');
+
+    expect(getPathFromModelUri(getModelPath('my docs/a#b.md'))).toBe('my docs/a#b.md');
+    expect(getPathFromModelUri('inmemory://model/1')).toBeNull();
+  });
+
+  it('picks the language from the extension', () => {
+    expect(getModelLanguage({ extension: '.TS' })).toBe('typescript');
+    expect(getModelLanguage({ extension: '.js' })).toBe('javascript');
+    expect(getModelLanguage({ extension: '.xyz' })).toBe('plaintext');
+    expect(getModelLanguage(null)).toBe('plaintext');
+  });
+});
+
+describe('useProjectModels', () => {
+  let monaco;
+  let context;
+  let replaceFileContents;
+
+  const folder = { _id: 'src', name: 'src', type: 'directory', parentId: null };
+  const index = { _id: 'index', name: 'index', extension: '.js', type: 'file', parentId: 'src', content: "import './util';" };
+  const util = { _id: 'util', name: 'util', extension: '.ts', type: 'file', parentId: 'src', content: 'export const a = 1;' };
+  const notebook = { _id: 'nb', name: 'analysis', extension: '.ipynb', type: 'file', parentId: null, content: '{}' };
+
+  const renderModels = (files, openFiles = []) => {
+    context.state = { files, openFiles };
+    const wrapper = ({ children }) => createElement(EditorContext.Provider, {
+      value: {
+        ...context.state,
+        filePaths: buildFilePaths(context.state.files),
+        openFileAt: context.openFileAt,
+        replaceFileContents
+      }
+    }, children);
+    
+    const hook = renderHook(() => useProjectModels(monaco), { wrapper });
+    return {
+      ...hook,
+      update: (files, openFiles = []) => {
+        context.state = { files, openFiles };
+        hook.rerender();
+      }
+    };
+  };
+
+  beforeEach(() => {
+    monaco = createFakeMonaco();
+    context = { openFileAt: vi.fn() };
+    replaceFileContents = vi.fn(async () => []);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps a model for every file at its path', () => {
+    const { update } = renderModels([folder, index, util, notebook], [{ ...util, content: 'export const a = 2;' }]);
+    
+    // Open tabs give their unsaved edits; notebooks and folders get no model
+    expect(modelContents(monaco)).toEqual({
+      'file:///src/index.js': "import './util';",
+      'file:///src/util.ts': 'export const a = 2;'
+    });
+    expect(monaco.models.get('file:///src/util.ts').language).toBe('typescript');
+    
+    const util2 = { ...util, content: 'export const a = 3;' };
+    update([folder, index, util2]);
+    expect(modelContents(monaco)['file:///src/util.ts']).toBe('export const a = 3;');
+    
+    update([folder, util2]);
+    expect(Object.keys(modelContents(monaco))).toEqual(['file:///src/util.ts']);
+  });
+
+  it('moves the model of a renamed file', () => {
+    const { update } = renderModels([folder, index, util]);
+    
+    update([folder, index, { ...util, name: 'helpers', parentId: null }]);
+    
+    expect(modelContents(monaco)).toEqual({
+      'file:///src/index.js': "import './util';",
+      'file:///helpers.ts': 'export const a = 1;'
+    });
+  });
+
+  it('leaves models shown in an editor to the editor', () => {
+    const { update } = renderModels([folder, index, util]);
+    const model = monaco.models.get('file:///src/util.ts');
+    monaco.editors.push({ getModel: () => model });
+    
+    model.setValue('typed in the editor');
+    update([folder, index, { ...util, content: 'saved before' }]);
+    
+    expect(model.getValue()).toBe('typed in the editor');
+    expect(replaceFileContents).not.toHaveBeenCalled();
+    
+    // Removed from the project while still shown
+    update([folder, index]);
+    expect(monaco.models.has('file:///src/util.ts')).toBe(true);
+  });
+
+  it('saves edits the TypeScript service makes to other files', async () => {
+    vi.useFakeTimers();
+    renderModels([folder, index, util]);
+    
+    // e.g. rename symbol touching both files
+    act(() => {
+      monaco.models.get('file:///src/util.ts').setValue('export const b = 1;');
+      monaco.models.get('file:///src/index.js').setValue("import { b } from './util';");
+    });
+    await act(() => vi.advanceTimersByTimeAsync(300));
+    
+    expect(replaceFileContents).toHaveBeenCalledTimes(1);
+    expect(replaceFileContents.mock.calls[0][0]).toEqual([
+      { file: util, content: 'export const b = 1;' },
+      { file: index, content: "import { b } from './util';" }
+    ]);
+  });
+
+  it('saves pending edits and disposes its models when unmounted', () => {
+    vi.useFakeTimers();
+    const { unmount } = renderModels([folder, index, util]);
+    
+    monaco.models.get('file:///src/util.ts').setValue('export const c = 1;');
+    unmount();
+    
+    expect(replaceFileContents).toHaveBeenCalledWith([{ file: util, content: 'export const c = 1;' }]);
+    expect(monaco.models.size).toBe(0);
+  });
+
+  it('opens the file go to definition leads to', () => {
+    renderModels([folder, index, util]);
+    
+    const opened = monaco.opener.openCodeEditor(null, monaco.Uri.parse('file:///src/util.ts'), {
+      startLineNumber: 1,
+      startColumn: 14
+    });
+    
+    expect(opened).toBe(true);
+    expect(context.openFileAt).toHaveBeenCalledWith(util, { lineNumber: 1, column: 14 });
+    expect(monaco.opener.openCodeEditor(null, monaco.Uri.parse('file:///missing.js'))).toBe(false);
+  });
+});
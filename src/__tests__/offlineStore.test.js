@@ -0,0 +1,76 @@
+// client/src/__tests__/offlineStore.test.js
+// @vitest-environment node
+import 'fake-indexeddb/auto';
+import { describe, it, expect } from 'vitest';
+import {
+  cacheProjectFiles,
+  getCachedProjectFiles,
+  cacheFile,
+  removeCachedFile,
+  addOutboxEntry,
+  getOutboxEntries,
+  putOutboxEntry,
+  removeOutboxEntry,
+  addHistoryEntry,
+  getHistoryEntries,
+  removeHistoryEntries,
+  putGitRepository,
+  getGitRepository,
+  removeGitRepository
+} from '../services/offlineStore';
+
+describe('offlineStore', () => {
+  it('replaces the cached files of one project only', async () => {
+    await cacheProjectFiles('p1', [{ _id: 'a', content: 'old' }, { _id: 'b', content: 'b' }]);
+    await cacheProjectFiles('p2', [{ _id: 'a', content: 'other project' }]);
+
+    await cacheProjectFiles('p1', [{ _id: 'a', content: 'new' }]);
+    await cacheFile('p1', { _id: 'c', content: 'c' });
+    await removeCachedFile('p2', 'a');
+
+    const files = await getCachedProjectFiles('p1');
+    expect(files.map(({ _id, content }) => [_id, content])).toEqual([['a', 'new'], ['c', 'c']]);
+    expect(files[0].projectId).toBe('p1');
+    expect(await getCachedProjectFiles('p2')).toEqual([]);
+  });
+
+  it('keeps outbox entries in the order they were queued', async () => {
+    const first = await addOutboxEntry({ type: 'update', projectId: 'p1', fileId: 'a', content: '1' });
+    const second = await addOutboxEntry({ type: 'delete', projectId: 'p1', fileId: 'b' });
+    const third = await addOutboxEntry({ type: 'update', projectId: 'p1', fileId: 'c', content: '3' });
+
+    await putOutboxEntry({ ...(await getOutboxEntries())[0], content: '1 edited' });
+    await removeOutboxEntry(second);
+
+    const entries = await getOutboxEntries();
+    expect(entries.map(entry => entry.id)).toEqual([first, third]);
+    expect(entries[0]).toMatchObject({ content: '1 edited', queuedAt: expect.any(String) });
+
+    await removeOutboxEntry(first);
+    await removeOutboxEntry(third);
+    expect(await getOutboxEntries()).toEqual([]);
+  });
+
+  it('looks up history by file', async () => {
+    const ids = [
+      await addHistoryEntry({ projectId: 'p1', fileId: 'a', content: 'one' }),
+      await addHistoryEntry({ projectId: 'p1', fileId: 'b', content: 'other' }),
+      await addHistoryEntry({ projectId: 'p1', fileId: 'a', content: 'two' })
+    ];
+
+    expect((await getHistoryEntries('a')).map(entry => entry.content)).toEqual(['one', 'two']);
+
+    await removeHistoryEntries([ids[0]]);
+    expect((await getHistoryEntries('a')).map(entry => entry.content)).toEqual(['two']);
+  });
+
+  it('stores the git repository of a project', async () => {
+    const repository = { projectId: 'p1', remote: 'https://example.com/repo.git', branch: 'main' };
+
+    await putGitRepository(repository);
+    expect(await getGitRepository('p1')).toEqual(repository);
+
+    await removeGitRepository('p1');
+    expect(await getGitRepository('p1')).toBeUndefined();
+  });
+});
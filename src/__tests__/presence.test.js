@@ -0,0 +1,138 @@
+// client/src/__tests__/presence.test.js
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { io } from 'socket.io-client';
+import { startCollaborationServer } from '../__mocks__/collaborationServer';
+import { createDocumentSession, joinPresence } from '../services/collaborationService';
+import { applyOperation, operationFromChanges } from '../utils/textOperation';
+
+// A collaborator with a presence channel and, once opened, a file, wired up
+// the way useCollaboration and useRemoteCursors do it
+const createPeer = (url, username) => {
+  const socket = io(`${url}/collaboration`, { transports: ['websocket'], auth: { user: { username } } });
+  const peer = { socket, peers: [], content: null };
+
+  peer.channel = joinPresence(socket, 'project-1', (peers) => {
+    peer.peers = peers;
+  });
+
+  peer.open = (fileId) => new Promise((resolve) => {
+    peer.fileId = fileId;
+    peer.session = createDocumentSession(socket, {
+      projectId: 'project-1',
+      fileId,
+      onJoin: (content) => {
+        peer.content = content;
+        resolve();
+      },
+      onRemoteOperation: (operation) => {
+        peer.content = applyOperation(peer.content, operation);
+        peer.channel.transformSelections(fileId, operation);
+      }
+    });
+  });
+
+  peer.edit = (rangeOffset, rangeLength, text) => {
+    const operation = operationFromChanges(peer.content.length, [{ rangeOffset, rangeLength, text }]);
+    peer.content = applyOperation(peer.content, operation);
+    peer.session.submitOperation(operation);
+    peer.channel.transformSelections(peer.fileId, operation);
+  };
+
+  peer.find = (name) => peer.peers.find(p => p.user?.username === name);
+
+  return peer;
+};
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('presence', () => {
+  let server;
+  let peers;
+
+  beforeEach(async () => {
+    server = await startCollaborationServer({ 'file-1': 'const a = 1;\n' });
+    peers = [];
+  });
+
+  afterEach(async () => {
+    peers.forEach(peer => {
+      peer.session?.leave();
+      peer.socket.disconnect();
+    });
+    await server.close();
+  });
+
+  it('shares the open file and selections of each collaborator', async () => {
+    const alice = createPeer(server.url, 'alice');
+    peers.push(alice);
+    await waitFor(() => alice.socket.connected);
+    alice.channel.update({ fileId: 'file-1', selections: [{ anchor: 0, head: 5 }] });
+
+    // Joining later still sees alice
+    const bob = createPeer(server.url, 'bob');
+    peers.push(bob);
+    await waitFor(() => bob.find('alice')?.fileId === 'file-1');
+    expect(bob.find('alice').selections).toEqual([{ anchor: 0, head: 5 }]);
+
+    bob.channel.update({ fileId: 'file-2', selections: [{ anchor: 3, head: 3 }] });
+    await waitFor(() => alice.find('bob')?.fileId === 'file-2');
+    expect(alice.find('bob').selections).toEqual([{ anchor: 3, head: 3 }]);
+
+    bob.channel.leave();
+    await waitFor(() => alice.peers.length === 0);
+  });
+
+  it('forgets collaborators that disconnect', async () => {
+    const alice = createPeer(server.url, 'alice');
+    const bob = createPeer(server.url, 'bob');
+    peers.push(alice, bob);
+    await waitFor(() => alice.find('bob') && bob.find('alice'));
+
+    bob.socket.disconnect();
+
+    await waitFor(() => alice.peers.length === 0);
+    expect(bob.peers).toEqual([]);
+  });
+
+  it('moves remote selections with edits until they are published again', async () => {
+    const alice = createPeer(server.url, 'alice');
+    const bob = createPeer(server.url, 'bob');
+    const carol = createPeer(server.url, 'carol');
+    peers.push(alice, bob, carol);
+    await Promise.all([alice.open('file-1'), bob.open('file-1'), carol.open('file-1')]);
+
+    // Bob selects "a" in "const a = 1;"
+    bob.channel.update({ fileId: 'file-1', selections: [{ anchor: 6, head: 7 }] });
+    await waitFor(() => alice.find('bob')?.selections?.length && carol.find('bob')?.selections?.length);
+
+    // An edit of alice's own and one coming in from carol
+    alice.edit(0, 0, '// alice\n');
+    expect(alice.find('bob').selections).toEqual([{ anchor: 15, head: 16 }]);
+
+    carol.edit(0, 6, 'let ');
+    await waitFor(() =>
+      alice.content === server.docs['file-1'].content &&
+      carol.content === server.docs['file-1'].content &&
+      !alice.session.hasPendingOperations() &&
+      !carol.session.hasPendingOperations()
+    );
+
+    expect(alice.content).toBe('// alice\nlet a = 1;\n');
+    const [{ anchor, head }] = alice.find('bob').selections;
+    expect(alice.content.slice(anchor, head)).toBe('a');
+    expect(carol.find('bob').selections).toEqual(alice.find('bob').selections);
+
+    // Selections on other files stay where they are
+    alice.channel.transformSelections('file-2', operationFromChanges(alice.content.length, [
+      { rangeOffset: 0, rangeLength: 0, text: 'x' }
+    ]));
+    expect(alice.find('bob').selections).toEqual([{ anchor: 13, head: 14 }]);
+  });
+});
@@ -0,0 +1,109 @@
+// client/src/__tests__/projectArchive.test.js
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { createProjectZip, readZipEntries } from '../utils/projectArchive';
+import { createTreeFromPaths } from '../utils/filePaths';
+
+const project = [
+  { _id: 'p1', name: 'src', type: 'directory', parentId: null },
+  { _id: 'p2', name: 'index', extension: '.js', type: 'file', parentId: 'p1', content: 'console.log(1);' },
+  { _id: 'p3', name: 'assets', type: 'directory', parentId: null },
+  { _id: 'p4', name: '.gitignore', extension: '', type: 'file', parentId: null, content: 'node_modules' }
+];
+
+// A stand-in for createFile that hands out sequential IDs
+const recorder = () => {
+  const calls = [];
+  const createEntry = async (fileData) => {
+    const file = { _id: `n${calls.length + 1}`, ...fileData };
+    calls.push(file);
+    return file;
+  };
+  return { calls, createEntry };
+};
+
+describe('projectArchive', () => {
+  it('round-trips folders, empty folders and extensions through a ZIP', () => {
+    const { entries, skipped } = readZipEntries(createProjectZip(project, 'my-app'));
+
+    expect(skipped).toEqual([]);
+    expect(entries.map(entry => entry.path)).toEqual([
+      'my-app/.gitignore',
+      'my-app/assets',
+      'my-app/src',
+      'my-app/src/index.js'
+    ]);
+
+    const stripped = readZipEntries(createProjectZip(project, 'my-app'), { stripRoot: true }).entries;
+    expect(stripped).toEqual([
+      { path: '.gitignore', content: 'node_modules' },
+      { path: 'assets', type: 'directory' },
+      { path: 'src', type: 'directory' },
+      { path: 'src/index.js', content: 'console.log(1);' }
+    ]);
+  });
+
+  it('skips binary files and operating system clutter', () => {
+    const zip = zipSync({
+      'notes.txt': strToU8('hello'),
+      'image.png': new Uint8Array([0x89, 0x50, 0x00, 0x01]),
+      '__MACOSX/._notes.txt': strToU8('meta'),
+      'docs/.DS_Store': strToU8('meta')
+    });
+
+    expect(readZipEntries(zip)).toEqual({
+      entries: [{ path: 'notes.txt', content: 'hello' }],
+      skipped: ['image.png']
+    });
+  });
+
+  it('recreates the hierarchy, creating each folder once', async () => {
+    const { calls, createEntry } = recorder();
+    const { entries } = readZipEntries(createProjectZip(project, 'my-app'), { stripRoot: true });
+
+    const { created } = await createTreeFromPaths(entries, createEntry);
+
+    expect(created).toHaveLength(4);
+    const src = calls.find(call => call.name === 'src');
+    expect(calls.find(call => call.name === 'index')).toMatchObject({
+      extension: '.js',
+      type: 'file',
+      parentId: src._id,
+      content: 'console.log(1);'
+    });
+    expect(calls.find(call => call.name === '.gitignore')).toMatchObject({ extension: '', parentId: null });
+  });
+
+  it('merges into existing folders and skips files that already exist', async () => {
+    const { calls, createEntry } = recorder();
+    const entries = [
+      { path: 'src/index.js', content: 'new' },
+      { path: 'src/lib/util.js', content: 'util' }
+    ];
+
+    const { skipped } = await createTreeFromPaths(entries, createEntry, { existingFiles: project });
+
+    expect(skipped).toEqual(['src/index.js']);
+    expect(calls.map(call => [call.name, call.parentId])).toEqual([
+      ['lib', 'p1'],
+      ['util', 'n1']
+    ]);
+  });
+
+  it('imports relative to a target folder', async () => {
+    const { calls, createEntry } = recorder();
+
+    await createTreeFromPaths([{ path: 'index.js', content: 'x' }], createEntry, {
+      parentId: 'p1',
+      existingFiles: project
+    });
+    const { skipped } = await createTreeFromPaths([{ path: 'main.js', content: 'x' }], createEntry, {
+      parentId: 'p3',
+      existingFiles: project
+    });
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toMatchObject({ name: 'main', parentId: 'p3' });
+    expect(skipped).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+// client/src/__tests__/projectSearch.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  globToRegExp,
+  buildSearchRegExp,
+  findMatches,
+  searchFiles,
+  replaceMatches,
+  MAX_MATCHES_PER_FILE
+} from '../utils/projectSearch';
+
+const files = [
+  { _id: 'app', type: 'file', path: 'src/app.js', content: 'const total = 1;\nconsole.log(total, subtotal);' },
+  { _id: 'test', type: 'file', path: 'src/app.test.js', content: 'expect(total).toBe(1);' },
+  { _id: 'readme', type: 'file', path: 'README.md', content: '# Total' },
+  { _id: 'src', type: 'directory', path: 'src' }
+];
+
+const getPath = (file) => file.path;
+
+describe('projectSearch', () => {
+  it('matches paths against globs', () => {
+    expect(globToRegExp('*.js').test('src/app.js')).toBe(true);
+    expect(globToRegExp('src/**').test('src/lib/util.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/util.js')).toBe(false);
+    expect(globToRegExp('**/*.{js,jsx}').test('App.jsx')).toBe(true);
+    expect(globToRegExp('node_modules').test('lib/node_modules/react/index.js')).toBe(true);
+  });
+
+  it('finds matches with their line and column', () => {
+    const matches = findMatches(files[0].content, buildSearchRegExp('total'));
+
+    expect(matches.map(m => [m.lineNumber, m.column])).toEqual([[1, 7], [2, 13], [2, 23]]);
+    expect(matches[1].preview).toEqual({ before: 'console.log(', match: 'total', after: ', subtotal);' });
+  });
+
+  it('applies case, whole word and regex options', () => {
+    expect(findMatches(files[0].content, buildSearchRegExp('total', { wholeWord: true }))).toHaveLength(2);
+    expect(findMatches(files[2].content, buildSearchRegExp('total', { matchCase: true }))).toHaveLength(0);
+    expect(findMatches(files[0].content, buildSearchRegExp('sub\\w+', { isRegex: true }))[0].text).toBe('subtotal');
+    expect(() => buildSearchRegExp('(', { isRegex: true })).toThrow(SyntaxError);
+  });
+
+  it('searches files filtered by include and exclude globs', () => {
+    const paths = (options) => searchFiles(files, getPath, 'total', options).map(r => r.path);
+
+    expect(paths()).toEqual(['README.md', 'src/app.js', 'src/app.test.js']);
+    expect(paths({ include: 'src/' })).toEqual(['src/app.js', 'src/app.test.js']);
+    expect(paths({ include: '*.js', exclude: '*.test.js' })).toEqual(['src/app.js']);
+  });
+
+  it('replaces matches except the excluded ones', () => {
+    const regexp = buildSearchRegExp('(\\w+)total', { isRegex: true });
+    expect(replaceMatches('subtotal', regexp, '$1Sum', { isRegex: true })).toBe('subSum');
+
+    const content = files[0].content;
+    const plain = buildSearchRegExp('total', { wholeWord: true });
+    const [first] = findMatches(content, plain);
+    expect(replaceMatches(content, plain, 'sum', { excluded: new Set([first.index]) }))
+      .toBe('const total = 1;\nconsole.log(sum, subtotal);');
+    expect(replaceMatches('a total', plain, '$1')).toBe('a $1');
+  });
+
+  it('replaces no more matches than it finds', () => {
+    const content = 'x'.repeat(MAX_MATCHES_PER_FILE + 5);
+    const regexp = buildSearchRegExp('x');
+    
+    expect(findMatches(content, regexp)).toHaveLength(MAX_MATCHES_PER_FILE);
+    expect(replaceMatches(content, regexp, 'y'))
+      .toBe(`${'y'.repeat(MAX_MATCHES_PER_FILE)}xxxxx`);
+  });
+});
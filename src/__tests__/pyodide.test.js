@@ -0,0 +1,87 @@
+// client/src/__tests__/pyodide.test.js
+// @vitest-environment node
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+import { dirname } from 'path';
+import { loadPyodide } from 'pyodide';
+import { createPythonRuntime } from '../utils/pythonRuntime';
+
+// Passed explicitly like the worker does; Pyodide can't work it out from
+// the stack traces of code running under vitest
+const PYODIDE_DIR = dirname(createRequire(import.meta.url).resolve('pyodide'));
+
+// The runtime on the Pyodide build the app ships, loaded once: it takes
+// a few seconds
+describe('python runtime on Pyodide', () => {
+  let runtime;
+
+  beforeAll(async () => {
+    runtime = createPythonRuntime(await loadPyodide({ indexURL: PYODIDE_DIR }));
+  }, 60000);
+
+  it('runs a file that imports and reads other project files', async () => {
+    const result = await runtime.run({
+      code: [
+        'import json',
+        'from util import greet',
+        'print(greet(json.load(open("data/names.json"))[0]))',
+        'print(__name__)'
+      ].join('\n'),
+      filePath: 'app/main.py',
+      sources: {
+        'app/util.py': 'def greet(name):\n    return f"Hello, {name}!"',
+        'data/names.json': '["Ada"]'
+      }
+    });
+
+    expect(result).toMatchObject({ error: null, result: null });
+    expect(result.outputs).toEqual([
+      { stream: 'stdout', text: 'Hello, Ada!\n' },
+      { stream: 'stdout', text: '__main__\n' }
+    ]);
+
+    // Edited modules are imported again
+    const edited = await runtime.run({
+      code: 'from util import greet\nprint(greet("Grace"))',
+      filePath: 'app/main.py',
+      sources: { 'app/util.py': 'def greet(name):\n    return f"Hi, {name}."' }
+    });
+    expect(edited.outputs).toEqual([{ stream: 'stdout', text: 'Hi, Grace.\n' }]);
+  });
+
+  it('reports tracebacks of the project only', async () => {
+    const result = await runtime.run({
+      code: 'import sys\nfrom parser import parse\nprint("warning", file=sys.stderr)\nparse()',
+      sources: { 'parser.py': 'def parse():\n    return missing' }
+    });
+
+    expect(result.outputs).toEqual([{ stream: 'stderr', text: 'warning\n' }]);
+    expect(result).toMatchObject({ ename: 'NameError', evalue: "name 'missing' is not defined" });
+    expect(result.error).toMatch(/^Traceback \(most recent call last\):\n {2}File "main\.py", line 4, in <module>\n/);
+    expect(result.error).toContain('  File "parser.py", line 2, in parse');
+    expect(result.error).not.toContain('/lib/');
+
+    const syntax = await runtime.run({ code: 'x = (1,\n' });
+    expect(syntax.error).toMatch(/^Traceback \(most recent call last\):\n {2}File "main\.py", line 1\n/);
+    expect(syntax).toMatchObject({ ename: 'SyntaxError', evalue: "'(' was never closed" });
+  });
+
+  it('keeps the variables of a notebook between cells', async () => {
+    const notebook = { notebookId: 'nb-1', filePath: 'analysis.ipynb' };
+
+    expect(await runtime.run({ ...notebook, code: 'total = sum(range(5))\nprint(total)' })).toMatchObject({
+      outputs: [{ stream: 'stdout', text: '10\n' }],
+      result: null
+    });
+    expect((await runtime.run({ ...notebook, code: 'total * 2' })).result).toBe('20');
+    expect((await runtime.run({ ...notebook, code: '"text"' })).result).toBe("'text'");
+
+    const other = await runtime.run({ notebookId: 'nb-2', code: 'total' });
+    expect(other.ename).toBe('NameError');
+  });
+
+  it('gives input() the end of the input', async () => {
+    const result = await runtime.run({ code: 'try:\n    input()\nexcept EOFError:\n    print("no input")' });
+    expect(result.outputs).toEqual([{ stream: 'stdout', text: 'no input\n' }]);
+  });
+});
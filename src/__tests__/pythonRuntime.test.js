@@ -0,0 +1,304 @@
+// client/src/__tests__/pythonRuntime.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import { createPythonRuntime, formatPythonError, PROJECT_ROOT } from '../utils/pythonRuntime';
+import { toNotebookOutputs } from '../utils/notebookParser';
+import { executePythonCode, runProjectFile, runNotebookCell } from '../services/codeRunnerService';
+import api from '../services/api';
+
+vi.mock('../services/api', () => ({
+  default: { get: vi.fn(), post: vi.fn() }
+}));
+
+const unreachable = () => Object.assign(new Error('Network Error'), { isAxiosError: true, request: {} });
+
+const serverError = (status, message) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  request: {},
+  response: { status, data: { message } }
+});
+
+// Stands in for a loaded Pyodide instance; each test decides what running
+// code does through runPythonAsync
+const createFakePyodide = (runPythonAsync) => {
+  const files = new Map();
+  const dicts = [];
+  const pyodide = {
+    files,
+    dicts,
+    FS: {
+      mkdirTree: vi.fn(),
+      writeFile: vi.fn((path, content) => files.set(path, content)),
+      unlink: vi.fn(path => files.delete(path)),
+      chdir: vi.fn()
+    },
+    globals: {
+      get: (name) => {
+        if (name === 'repr') return (value) => `'${value}'`;
+        return () => {
+          const dict = { values: new Map(), destroyed: false };
+          dict.set = (key, value) => dict.values.set(key, value);
+          dict.destroy = () => { dict.destroyed = true; };
+          dicts.push(dict);
+          return dict;
+        };
+      }
+    },
+    runPython: vi.fn(),
+    loadPackagesFromImports: vi.fn(async () => {}),
+    setStdin: vi.fn(),
+    setStdout: vi.fn(({ batched }) => { pyodide.stdout = batched; }),
+    setStderr: vi.fn(({ batched }) => { pyodide.stderr = batched; }),
+    runPythonAsync: vi.fn((code, options) => runPythonAsync(pyodide, code, options))
+  };
+  return pyodide;
+};
+
+describe('python runtime', () => {
+  it('runs a file with the project in the virtual file system', async () => {
+    const pyodide = createFakePyodide(async () => undefined);
+    const runtime = createPythonRuntime(pyodide);
+
+    await runtime.run({
+      code: 'import util',
+      filePath: 'app/main.py',
+      sources: { 'app/util.py': 'X = 1', 'data.csv': 'a,b' }
+    });
+
+    expect([...pyodide.files.keys()]).toEqual([
+      `${PROJECT_ROOT}/app/util.py`,
+      `${PROJECT_ROOT}/data.csv`,
+      `${PROJECT_ROOT}/app/main.py`
+    ]);
+    expect(pyodide.FS.chdir).toHaveBeenCalledWith(PROJECT_ROOT);
+    expect(pyodide.runPython.mock.calls[0][0]).toContain(`sys.path.insert(0, "${PROJECT_ROOT}/app")`);
+
+    const [code, { globals, filename }] = pyodide.runPythonAsync.mock.calls[0];
+    expect(code).toBe('import util');
+    expect(filename).toBe(`${PROJECT_ROOT}/app/main.py`);
+    expect(globals.values.get('__name__')).toBe('__main__');
+    expect(globals.destroyed).toBe(true);
+
+    // Files deleted from the project are gone on the next run
+    await runtime.run({ code: 'pass', filePath: 'app/main.py', sources: { 'app/util.py': 'X = 2' } });
+    expect(pyodide.files.has(`${PROJECT_ROOT}/data.csv`)).toBe(false);
+    expect(pyodide.files.get(`${PROJECT_ROOT}/app/util.py`)).toBe('X = 2');
+  });
+
+  it('captures output and loads the packages the code imports', async () => {
+    const pyodide = createFakePyodide(async ({ stdout, stderr }) => {
+      stdout('hello');
+      stderr('warning');
+      stdout('world');
+    });
+    const runtime = createPythonRuntime(pyodide);
+
+    const result = await runtime.run({
+      code: 'import numpy',
+      sources: { 'helpers.py': 'import pandas', 'notes.txt': 'import scipy' }
+    });
+
+    expect(result).toMatchObject({
+      outputs: [
+        { stream: 'stdout', text: 'hello\n' },
+        { stream: 'stderr', text: 'warning\n' },
+        { stream: 'stdout', text: 'world\n' }
+      ],
+      result: null,
+      error: null
+    });
+    expect(pyodide.loadPackagesFromImports).toHaveBeenCalledWith('import numpy\nimport pandas');
+  });
+
+  it('caps the output', async () => {
+    const pyodide = createFakePyodide(async ({ stdout }) => {
+      for (let i = 0; i < 100; i++) stdout('0123456789');
+    });
+    const runtime = createPythonRuntime(pyodide);
+
+    const { outputs } = await runtime.run({ code: 'loop()', limits: { maxOutputLength: 25 } });
+    expect(outputs.map(({ text }) => text).join('')).toBe(
+      '0123456789\n0123456789\n012\n[Output truncated after 25 characters]\n'
+    );
+  });
+
+  it('reports errors without the frames of Pyodide itself', async () => {
+    const pyodide = createFakePyodide(async () => {
+      throw new Error([
+        'Traceback (most recent call last):',
+        '  File "/lib/python311.zip/_pyodide/_base.py", line 571, in eval_code_async',
+        '    await CodeRunner(',
+        '    ...<10 lines>...',
+        '    .run_async(globals, locals)',
+        `  File "${PROJECT_ROOT}/main.py", line 2, in <module>`,
+        `  File "${PROJECT_ROOT}/lib/parser.py", line 5, in parse`,
+        "NameError: name 'missing' is not defined",
+        ''
+      ].join('\n'));
+    });
+    const runtime = createPythonRuntime(pyodide);
+
+    expect(await runtime.run({ code: 'parse()' })).toMatchObject({
+      error: [
+        'Traceback (most recent call last):',
+        '  File "main.py", line 2, in <module>',
+        '  File "lib/parser.py", line 5, in parse',
+        "NameError: name 'missing' is not defined"
+      ].join('\n'),
+      ename: 'NameError',
+      evalue: "name 'missing' is not defined"
+    });
+  });
+
+  it('keeps variables between the cells of a notebook', async () => {
+    const pyodide = createFakePyodide(async (_, code) => (code === 'x' ? 42 : undefined));
+    const runtime = createPythonRuntime(pyodide);
+    const notebook = { notebookId: 'nb-1', filePath: 'analysis.ipynb', sources: { 'analysis.ipynb': '{}' } };
+
+    await runtime.run({ ...notebook, code: 'x = 42' });
+    const cell = await runtime.run({ ...notebook, code: 'x' });
+    await runtime.run({ ...notebook, notebookId: 'nb-2', code: 'x' });
+
+    const globalsOf = (call) => pyodide.runPythonAsync.mock.calls[call][1].globals;
+    expect(globalsOf(1)).toBe(globalsOf(0));
+    expect(globalsOf(2)).not.toBe(globalsOf(0));
+    expect(globalsOf(0).destroyed).toBe(false);
+    expect(pyodide.runPythonAsync.mock.calls[1][1].filename).toBe('<cell>');
+    expect(cell.result).toBe("'42'");
+
+    // Cells aren't written over the notebook
+    expect(pyodide.files.get(`${PROJECT_ROOT}/analysis.ipynb`)).toBe('{}');
+  });
+
+  it('leaves tracebacks it does not recognise alone', () => {
+    expect(formatPythonError('Could not load the Python runtime')).toBe('Could not load the Python runtime');
+  });
+});
+
+describe('executePythonCode', () => {
+  // The service keeps its worker between runs; tests change what Python does
+  let runPythonAsync;
+  const workers = [];
+
+  // Answers requests in-process, as the Python worker does once Pyodide is loaded
+  class LoopbackPythonWorker {
+    constructor() {
+      this.runtime = createPythonRuntime(createFakePyodide((...args) => runPythonAsync(...args)));
+      this.terminated = false;
+      workers.push(this);
+    }
+
+    async postMessage({ id, type, ...request }) {
+      const result = type === 'load' ? null : await this.runtime.run(request);
+      if (!this.terminated) this.onmessage({ data: { id, result } });
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  }
+
+  beforeAll(() => {
+    vi.stubGlobal('Worker', LoopbackPythonWorker);
+  });
+
+  afterAll(() => {
+    vi.unstubAllGlobals();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('runs Python in a worker and joins its output', async () => {
+    runPythonAsync = async ({ stdout, stderr }, code) => {
+      stdout('first');
+      stderr('second');
+      if (code.includes('raise')) throw new Error('Traceback (most recent call last):\nValueError: bad');
+    };
+
+    expect(await executePythonCode('print("first")', { filePath: 'main.py' })).toMatchObject({
+      success: true,
+      output: 'first\nsecond',
+      error: null
+    });
+    expect(await executePythonCode('raise ValueError("bad")')).toMatchObject({
+      success: false,
+      output: 'first\nsecond',
+      error: 'Traceback (most recent call last):\nValueError: bad'
+    });
+  });
+
+  it('runs files here only when the execution server is unreachable', async () => {
+    runPythonAsync = async ({ stdout }) => stdout('ran here');
+
+    api.post.mockRejectedValueOnce(unreachable());
+    expect(await runProjectFile('print(1)', 'python')).toMatchObject({ success: true, output: 'ran here' });
+
+    api.post.mockRejectedValueOnce(serverError(403, 'Not allowed to run code'));
+    await expect(runProjectFile('print(1)', 'python')).rejects.toThrow('Not allowed to run code');
+  });
+
+  it('reports notebook cell errors of the execution server', async () => {
+    runPythonAsync = async ({ stdout }) => stdout('ran here');
+    const cell = { cell_type: 'code', source: ['print(1)'] };
+
+    api.post.mockRejectedValueOnce(serverError(500, 'Kernel died'));
+    expect((await runNotebookCell(cell, { notebookId: 'nb-1', executionCount: 1 })).outputs)
+      .toEqual(toNotebookOutputs({ error: 'Kernel died', evalue: 'Kernel died' }, 1));
+
+    api.post.mockRejectedValueOnce(unreachable());
+    expect((await runNotebookCell(cell, { notebookId: 'nb-1', executionCount: 2 })).outputs)
+      .toEqual([{ output_type: 'stream', name: 'stdout', text: ['ran here\n'] }]);
+  });
+
+  it('stops the worker when the time runs out', async () => {
+    runPythonAsync = () => new Promise(() => {});
+    vi.useFakeTimers();
+
+    const result = executePythonCode('while True: pass', { limits: { timeout: 2000 } });
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(await result).toEqual({
+      success: false,
+      output: null,
+      error: 'Execution timed out after 2 seconds',
+      executionTime: 2000
+    });
+    expect(workers[workers.length - 1].terminated).toBe(true);
+  });
+});
+
+describe('toNotebookOutputs', () => {
+  it('converts a run to notebook cell outputs', () => {
+    expect(toNotebookOutputs({
+      outputs: [
+        { stream: 'stdout', text: 'a\n' },
+        { stream: 'stdout', text: 'b\n' },
+        { stream: 'stderr', text: 'careful\n' }
+      ],
+      result: "'value'",
+      error: null
+    }, 3)).toEqual([
+      { output_type: 'stream', name: 'stdout', text: ['a\n', 'b\n'] },
+      { output_type: 'stream', name: 'stderr', text: ['careful\n'] },
+      {
+        output_type: 'execute_result',
+        execution_count: 3,
+        data: { 'text/plain': ["'value'"] },
+        metadata: {}
+      }
+    ]);
+
+    expect(toNotebookOutputs({
+      outputs: [],
+      error: 'Traceback (most recent call last):\nZeroDivisionError: division by zero',
+      ename: 'ZeroDivisionError',
+      evalue: 'division by zero'
+    })).toEqual([{
+      output_type: 'error',
+      ename: 'ZeroDivisionError',
+      evalue: 'division by zero',
+      traceback: ['Traceback (most recent call last):\n', 'ZeroDivisionError: division by zero']
+    }]);
+  });
+});
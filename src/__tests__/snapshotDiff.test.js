@@ -0,0 +1,73 @@
+// client/src/__tests__/snapshotDiff.test.js
+import { describe, it, expect } from 'vitest';
+import { diffFileTrees, planRollback } from '../utils/snapshotDiff';
+import { buildFilePaths } from '../utils/filePaths';
+
+const snapshot = [
+  { _id: 's1', name: 'src', type: 'directory', parentId: null },
+  { _id: 's2', name: 'index', extension: '.js', type: 'file', parentId: 's1', content: 'v1' },
+  { _id: 's3', name: 'util', extension: '.js', type: 'file', parentId: 's1', content: 'util' },
+  { _id: 's4', name: 'README', extension: '.md', type: 'file', parentId: null, content: '# App' }
+];
+
+// The current tree: index.js edited, util.js and README.md deleted and
+// recreated with new IDs, a new lib folder added
+const current = [
+  { _id: 'c1', name: 'src', type: 'directory', parentId: null },
+  { _id: 'c2', name: 'index', extension: '.js', type: 'file', parentId: 'c1', content: 'v2' },
+  { _id: 'c3', name: 'README', extension: '.md', type: 'file', parentId: null, content: '# App' },
+  { _id: 'c4', name: 'lib', type: 'directory', parentId: null },
+  { _id: 'c5', name: 'helpers', extension: '.js', type: 'file', parentId: 'c4', content: '' }
+];
+
+describe('buildFilePaths', () => {
+  it('joins parent folders into project-relative paths', () => {
+    const paths = buildFilePaths(snapshot);
+
+    expect(paths.get('s1')).toBe('src');
+    expect(paths.get('s2')).toBe('src/index.js');
+    expect(paths.get('s4')).toBe('README.md');
+  });
+});
+
+describe('diffFileTrees', () => {
+  it('matches files by path rather than ID', () => {
+    const changes = diffFileTrees(snapshot, current);
+
+    expect(changes.map(change => [change.status, change.path])).toEqual([
+      ['added', 'lib'],
+      ['added', 'lib/helpers.js'],
+      ['modified', 'src/index.js'],
+      ['removed', 'src/util.js']
+    ]);
+  });
+
+  it('reports nothing for identical trees', () => {
+    expect(diffFileTrees(snapshot, snapshot)).toEqual([]);
+  });
+});
+
+describe('planRollback', () => {
+  it('deletes extra files deepest first and recreates missing ones', () => {
+    const plan = planRollback(current, snapshot);
+
+    expect(plan.deletes).toEqual([
+      { fileId: 'c5', path: 'lib/helpers.js' },
+      { fileId: 'c4', path: 'lib' }
+    ]);
+    expect(plan.creates.map(create => [create.path, create.parentPath])).toEqual([
+      ['src/util.js', 'src']
+    ]);
+    expect(plan.updates).toEqual([
+      { fileId: 'c2', path: 'src/index.js', content: 'v1' }
+    ]);
+  });
+
+  it('creates folders before the files inside them', () => {
+    const plan = planRollback([], snapshot);
+
+    expect(plan.creates[0].path).toBe('README.md');
+    expect(plan.creates.findIndex(create => create.path === 'src'))
+      .toBeLessThan(plan.creates.findIndex(create => create.path === 'src/index.js'));
+  });
+});
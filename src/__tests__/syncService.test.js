@@ -0,0 +1,176 @@
+// client/src/__tests__/syncService.test.js
+// @vitest-environment node
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  queueOperation,
+  replayOutbox,
+  hasPendingOperations,
+  createLocalId
+} from '../services/syncService';
+import {
+  cacheProjectFiles,
+  getCachedProjectFiles,
+  getOutboxEntries,
+  removeOutboxEntry
+} from '../services/offlineStore';
+import { createFile, updateFileContent, deleteFile } from '../services/projectService';
+
+vi.mock('../services/projectService', async (importOriginal) => ({
+  ...await importOriginal(),
+  createFile: vi.fn(),
+  updateFileContent: vi.fn(),
+  deleteFile: vi.fn()
+}));
+
+// The API answers with the file at a new revision
+const savedAt = (revision) => async (projectId, fileId, content) => ({
+  _id: fileId,
+  content,
+  updatedAt: revision
+});
+
+const networkError = () => Object.assign(new Error('Network Error'), { isAxiosError: true });
+
+const outboxSummary = async () => (await getOutboxEntries()).map(entry => (
+  entry.type === 'create'
+    ? [entry.type, entry.fileId, entry.file.content]
+    : [entry.type, entry.fileId, entry.content, entry.revision]
+));
+
+describe('syncService outbox', () => {
+  beforeEach(async () => {
+    const entries = await getOutboxEntries();
+    await Promise.all(entries.map(entry => removeOutboxEntry(entry.id)));
+    await cacheProjectFiles('p1', [{ _id: 'a', content: 'a0', updatedAt: 'r1' }]);
+    vi.clearAllMocks();
+  });
+
+  it('merges updates of a file and keeps the revision they started from', async () => {
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a1', revision: 'r1', base: 'a0' });
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a2', revision: 'r2', base: 'a1' });
+
+    expect(await outboxSummary()).toEqual([['update', 'a', 'a2', 'r1']]);
+    expect((await getOutboxEntries())[0].base).toBe('a0');
+    expect((await getCachedProjectFiles('p1'))[0].content).toBe('a2');
+    expect(await hasPendingOperations('p1', 'a')).toBe(true);
+    expect(await hasPendingOperations('p1', 'b')).toBe(false);
+  });
+
+  it('sends edits of a file created offline with its create', async () => {
+    const localId = createLocalId();
+    await queueOperation({ type: 'create', projectId: 'p1', fileId: localId, file: { _id: localId, name: 'b', content: '' } });
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: localId, content: 'b1' });
+
+    expect(await outboxSummary()).toEqual([['create', localId, 'b1']]);
+
+    // Deleting it before it reached the server leaves nothing to send
+    await queueOperation({ type: 'delete', projectId: 'p1', fileId: localId });
+    expect(await outboxSummary()).toEqual([]);
+  });
+
+  it('drops queued updates of a deleted file', async () => {
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a1', revision: 'r1' });
+    await queueOperation({ type: 'delete', projectId: 'p1', fileId: 'a' });
+
+    expect(await outboxSummary()).toEqual([['delete', 'a', undefined, undefined]]);
+    expect(await getCachedProjectFiles('p1')).toEqual([]);
+  });
+
+  it('replays operations in order and points them at created files', async () => {
+    const folderId = createLocalId();
+    const fileId = createLocalId();
+    createFile
+      .mockResolvedValueOnce({ _id: 'folder', name: 'src', type: 'folder' })
+      .mockResolvedValueOnce({ _id: 'b', name: 'b.js', content: 'b0', updatedAt: 'r1' });
+    updateFileContent.mockImplementation(savedAt('r2'));
+
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a1', revision: 'r1' });
+    await queueOperation({ type: 'create', projectId: 'p1', fileId: folderId, file: { _id: folderId, type: 'folder' } });
+    await queueOperation({ type: 'create', projectId: 'p1', fileId, file: { _id: fileId, parentId: folderId, content: 'b0' } });
+    await queueOperation({ type: 'delete', projectId: 'p1', fileId: 'c' });
+
+    const onFileCreated = vi.fn();
+    const onFileSaved = vi.fn();
+    expect(await replayOutbox({ onFileCreated, onFileSaved })).toEqual({ completed: true });
+
+    expect(updateFileContent).toHaveBeenCalledWith('p1', 'a', 'a1', 'r1');
+    expect(createFile.mock.calls[1][1]).toMatchObject({ parentId: 'folder', content: 'b0' });
+    expect(deleteFile).toHaveBeenCalledWith('p1', 'c');
+    expect(updateFileContent.mock.invocationCallOrder[0]).toBeLessThan(createFile.mock.invocationCallOrder[0]);
+    expect(createFile.mock.invocationCallOrder[1]).toBeLessThan(deleteFile.mock.invocationCallOrder[0]);
+
+    expect(onFileCreated.mock.calls.map(([localId, file]) => [localId, file._id])).toEqual([
+      [folderId, 'folder'],
+      [fileId, 'b']
+    ]);
+    expect(onFileSaved).toHaveBeenCalledWith(expect.objectContaining({ updatedAt: 'r2' }), 'a1', 'p1');
+    expect(await getOutboxEntries()).toEqual([]);
+    expect((await getCachedProjectFiles('p1')).map(file => file._id)).toEqual(['a', 'b', 'folder']);
+  });
+
+  it('stops at a network failure and keeps the remaining operations', async () => {
+    deleteFile.mockRejectedValueOnce(networkError());
+
+    await queueOperation({ type: 'delete', projectId: 'p1', fileId: 'c' });
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a1', revision: 'r1' });
+
+    expect(await replayOutbox()).toEqual({ completed: false });
+    expect(updateFileContent).not.toHaveBeenCalled();
+    expect(await outboxSummary()).toEqual([
+      ['delete', 'c', undefined, undefined],
+      ['update', 'a', 'a1', 'r1']
+    ]);
+  });
+
+  it('reports a conflict and drops the rejected update', async () => {
+    const theirs = { _id: 'a', content: 'theirs', updatedAt: 'r5' };
+    updateFileContent.mockRejectedValueOnce(
+      Object.assign(new Error('Precondition Failed'), { response: { status: 412, data: { file: theirs } } })
+    );
+
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'mine', revision: 'r1', base: 'a0' });
+
+    const onConflict = vi.fn();
+    const onFileSaved = vi.fn();
+    expect(await replayOutbox({ onConflict, onFileSaved })).toEqual({ completed: true });
+
+    expect(onConflict).toHaveBeenCalledWith(
+      expect.objectContaining({ fileId: 'a', content: 'mine', revision: 'r1', base: 'a0' }),
+      theirs
+    );
+    expect(onFileSaved).not.toHaveBeenCalled();
+    expect(await getOutboxEntries()).toEqual([]);
+  });
+
+  it('sends edits made while an update is being sent after it', async () => {
+    let finishSending;
+    updateFileContent
+      .mockImplementationOnce((projectId, fileId, content) => new Promise(resolve => {
+        finishSending = () => resolve({ _id: fileId, content, updatedAt: 'r2' });
+      }))
+      .mockImplementationOnce(savedAt('r3'));
+
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a1', revision: 'r1', base: 'a0' });
+    const replay = replayOutbox();
+    await vi.waitFor(() => expect(finishSending).toBeDefined());
+
+    // Not merged into the update on its way to the server
+    await queueOperation({ type: 'update', projectId: 'p1', fileId: 'a', content: 'a2', revision: 'r1', base: 'a0' });
+    expect(await outboxSummary()).toEqual([
+      ['update', 'a', 'a1', 'r1'],
+      ['update', 'a', 'a2', 'r1']
+    ]);
+
+    finishSending();
+    expect(await replay).toEqual({ completed: true });
+
+    // Saved on top of the revision the first update created
+    expect(updateFileContent.mock.calls.map(call => call.slice(2))).toEqual([
+      ['a1', 'r1'],
+      ['a2', 'r2']
+    ]);
+    expect(await getOutboxEntries()).toEqual([]);
+    expect((await getCachedProjectFiles('p1'))[0].content).toBe('a2');
+  });
+});
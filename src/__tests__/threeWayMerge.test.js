@@ -0,0 +1,49 @@
+// client/src/__tests__/threeWayMerge.test.js
+import { describe, it, expect } from 'vitest';
+import { threeWayMerge, hasConflictMarkers } from '../utils/threeWayMerge';
+
+const base = ['const a = 1;', 'const b = 2;', 'const c = 3;', ''].join('\n');
+
+describe('threeWayMerge', () => {
+  it('combines edits made to different regions', () => {
+    const mine = base.replace('const a = 1;', 'const a = 10;');
+    const theirs = base.replace('const c = 3;', 'const c = 30;\nconst d = 4;');
+
+    const result = threeWayMerge(base, mine, theirs);
+
+    expect(result.conflicts).toBe(0);
+    expect(result.content).toBe('const a = 10;\nconst b = 2;\nconst c = 30;\nconst d = 4;\n');
+  });
+
+  it('takes identical edits once', () => {
+    const edited = base.replace('const b = 2;', 'const b = 20;');
+
+    expect(threeWayMerge(base, edited, edited)).toEqual({ content: edited, conflicts: 0 });
+  });
+
+  it('marks regions edited differently on both sides', () => {
+    const mine = base.replace('const b = 2;', 'const b = "mine";');
+    const theirs = base.replace('const b = 2;', 'const b = "theirs";');
+
+    const result = threeWayMerge(base, mine, theirs);
+
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe([
+      'const a = 1;',
+      '<<<<<<< mine',
+      'const b = "mine";',
+      '=======',
+      'const b = "theirs";',
+      '>>>>>>> theirs',
+      'const c = 3;',
+      ''
+    ].join('\n'));
+    expect(hasConflictMarkers(result.content)).toBe(true);
+  });
+
+  it('keeps a deletion on one side when the other side is unchanged', () => {
+    const mine = base.replace('const b = 2;\n', '');
+
+    expect(threeWayMerge(base, mine, base).content).toBe(mine);
+  });
+});
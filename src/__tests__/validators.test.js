@@ -0,0 +1,46 @@
+// client/src/__tests__/validators.test.js
+import { describe, it, expect } from 'vitest';
+import { validateMove } from '../utils/validators';
+import { getDescendantIds } from '../utils/filePaths';
+
+const files = [
+  { _id: 'src', name: 'src', type: 'directory', parentId: null },
+  { _id: 'lib', name: 'lib', type: 'directory', parentId: 'src' },
+  { _id: 'deep', name: 'deep', type: 'directory', parentId: 'lib' },
+  { _id: 'index', name: 'index', extension: '.js', type: 'file', parentId: 'src' },
+  { _id: 'rootIndex', name: 'index', extension: '.js', type: 'file', parentId: null },
+  { _id: 'readme', name: 'README', extension: '.md', type: 'file', parentId: null }
+];
+
+describe('validateMove', () => {
+  it('collects descendants at any depth', () => {
+    expect([...getDescendantIds(files, 'src')].sort()).toEqual(['deep', 'index', 'lib']);
+    expect(getDescendantIds(files, 'deep').size).toBe(0);
+  });
+
+  it('allows moving files and folders into another folder', () => {
+    expect(validateMove(files, ['readme', 'lib'], null).isValid).toBe(true);
+    expect(validateMove(files, ['readme'], 'deep').isValid).toBe(true);
+  });
+
+  it('rejects moving a folder into itself or a descendant', () => {
+    expect(validateMove(files, ['src'], 'src').isValid).toBe(false);
+    expect(validateMove(files, ['src'], 'deep')).toEqual({
+      isValid: false,
+      message: 'Cannot move "src" into itself or one of its subfolders'
+    });
+  });
+
+  it('rejects moving into a file', () => {
+    expect(validateMove(files, ['readme'], 'index').isValid).toBe(false);
+  });
+
+  it('rejects name clashes in the destination', () => {
+    expect(validateMove(files, ['rootIndex'], 'src')).toEqual({
+      isValid: false,
+      message: '"index.js" already exists in "src"'
+    });
+    // Two items with the same name can't land in the same folder either
+    expect(validateMove(files, ['index', 'rootIndex'], 'lib').isValid).toBe(false);
+  });
+});
@@ -0,0 +1,45 @@
+// client/src/__tests__/workerClient.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { createWorkerClient } from '../utils/workerClient';
+
+// Replies to every message on the next tick, like a worker would
+const createFakeWorker = (reply) => {
+  const worker = {
+    postMessage: vi.fn(message => {
+      setTimeout(() => worker.onmessage({ data: { id: message.id, ...reply(message) } }));
+    }),
+    terminate: vi.fn()
+  };
+  return worker;
+};
+
+describe('createWorkerClient', () => {
+  it('resolves each request with its own reply', async () => {
+    const createWorker = vi.fn(() => createFakeWorker(({ value }) =>
+      value < 0 ? { error: 'negative' } : { result: value * 2 }
+    ));
+    const client = createWorkerClient(createWorker);
+
+    const results = await Promise.all([client.request({ value: 1 }), client.request({ value: 2 })]);
+    expect(results).toEqual([2, 4]);
+    await expect(client.request({ value: -1 })).rejects.toThrow('negative');
+    expect(createWorker).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts a new worker after a crash', async () => {
+    const workers = [];
+    const client = createWorkerClient(() => {
+      const worker = { postMessage: vi.fn(), terminate: vi.fn() };
+      workers.push(worker);
+      return worker;
+    });
+
+    const pending = client.request({});
+    workers[0].onerror({ message: 'Script error' });
+    await expect(pending).rejects.toThrow('Script error');
+
+    client.request({}).catch(() => {});
+    expect(workers).toHaveLength(2);
+    client.terminate();
+  });
+});
@@ -1,15 +1,21 @@
 // client/src/components/Dashboard/NewProjectModal.jsx
 import { useState } from 'react';
 import styled from 'styled-components';
-import { FaCode, FaGlobe, FaLock } from 'react-icons/fa';
+import { FaCode, FaGlobe, FaLock, FaCodeBranch, FaFileArchive } from 'react-icons/fa';
 import { validateProjectName } from '../../utils/validators';
+import { readUploadedFiles, readDroppedItems, isFileDrag } from '../../utils/projectArchive';
 
-const NewProjectModal = ({ isOpen, onClose, onCreate }) => {
+const NewProjectModal = ({ isOpen, onClose, onCreate, onImportGit, onImportFiles }) => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     isPublic: false
   });
+  const [source, setSource] = useState('empty'); // 'empty', 'git' or 'upload'
+  const [gitData, setGitData] = useState({ url: '', ref: '', bundle: null });
+  const [upload, setUpload] = useState(null); // { label, entries, skipped }
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [progress, setProgress] = useState('');
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -26,6 +32,108 @@ const NewProjectModal = ({ isOpen, onClose, onCreate }) => {
     if (error) setError('');
   };
 
+  const handleGitChange = (e) => {
+    const { name, value, files } = e.target;
+    const bundle = name === 'bundle' ? files[0] || null : gitData.bundle;
+    setGitData({
+      ...gitData,
+      [name]: name === 'bundle' ? bundle : value
+    });
+    
+    // Default the project name to the repository name
+    if (!formData.name) {
+      const repoName = name === 'url'
+        ? value.split('/').pop().replace(/\.git$/, '')
+        : bundle?.name.replace(/\.(bundle|pack)$/, '');
+      if (repoName) setFormData(prev => ({ ...prev, name: repoName }));
+    }
+    
+    if (error) setError('');
+  };
+
+  // Read a ZIP or folder as soon as it is chosen, so problems show up early
+  const readUpload = async (label, read) => {
+    setError('');
+    setProgress('Reading files...');
+    try {
+      const result = await read();
+      if (result.entries.length === 0) {
+        setUpload(null);
+        setError('No text files found to import');
+        return;
+      }
+      
+      setUpload({ label, ...result });
+      if (!formData.name) {
+        setFormData(prev => ({ ...prev, name: label.replace(/\.zip$/i, '') }));
+      }
+    } catch (err) {
+      console.error('Error reading upload:', err);
+      setUpload(null);
+      setError('Could not read the files. Is the archive a valid ZIP file?');
+    } finally {
+      setProgress('');
+    }
+  };
+
+  const handleUploadChange = (e) => {
+    const fileList = e.target.files;
+    if (!fileList || fileList.length === 0) return;
+    
+    // Folder inputs report paths like "my-folder/src/index.js"
+    const label = fileList[0].webkitRelativePath?.split('/')[0] || fileList[0].name;
+    readUpload(label, () => readUploadedFiles(fileList, { stripRoot: true }));
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDragOver(false);
+    
+    const label = e.dataTransfer.files[0]?.name || 'Imported project';
+    // readDroppedItems must start before the event handler returns
+    const reading = readDroppedItems(e.dataTransfer, { stripRoot: true });
+    readUpload(label, () => reading);
+  };
+
+  const resetForm = () => {
+    setFormData({ name: '', description: '', isPublic: false });
+    setGitData({ url: '', ref: '', bundle: null });
+    setUpload(null);
+    setSource('empty');
+  };
+
+  const handleImport = async () => {
+    if (source === 'git' && !gitData.url.trim() && !gitData.bundle) {
+      setError('Enter a repository URL or choose a bundle file');
+      return;
+    }
+    if (source === 'upload' && !upload) {
+      setError('Choose a ZIP file or a folder to import');
+      return;
+    }
+    
+    setIsSubmitting(true);
+    try {
+      if (source === 'git') {
+        await onImportGit(formData, {
+          url: gitData.url.trim(),
+          ref: gitData.ref.trim(),
+          bundle: gitData.bundle
+        }, setProgress);
+      } else {
+        await onImportFiles(formData, upload, setProgress);
+      }
+      
+      resetForm();
+    } catch (err) {
+      setError(err.message || 'Failed to import project. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+      setProgress('');
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
@@ -36,6 +144,11 @@ const NewProjectModal = ({ isOpen, onClose, onCreate }) => {
       return;
     }
     
+    if (source !== 'empty') {
+      handleImport();
+      return;
+    }
+    
     setIsSubmitting(true);
     
     // Create project
@@ -67,6 +180,112 @@ const NewProjectModal = ({ isOpen, onClose, onCreate }) => {
           {error && <ErrorMessage>{error}</ErrorMessage>}
           
           <Form onSubmit={handleSubmit}>
+            {(onImportGit || onImportFiles) && (
+              <SourceTabs>
+                <SourceTab
+                  type="button"
+                  $isSelected={source === 'empty'}
+                  onClick={() => setSource('empty')}
+                >
+                  <FaCode />
+                  Empty project
+                </SourceTab>
+                {onImportGit && (
+                  <SourceTab
+                    type="button"
+                    $isSelected={source === 'git'}
+                    onClick={() => setSource('git')}
+                  >
+                    <FaCodeBranch />
+                    Import from Git
+                  </SourceTab>
+                )}
+                {onImportFiles && (
+                  <SourceTab
+                    type="button"
+                    $isSelected={source === 'upload'}
+                    onClick={() => setSource('upload')}
+                  >
+                    <FaFileArchive />
+                    Upload ZIP or folder
+                  </SourceTab>
+                )}
+              </SourceTabs>
+            )}
+            
+            {source === 'git' && (
+              <>
+                <FormGroup>
+                  <Label htmlFor="url">Repository URL</Label>
+                  <Input
+                    type="url"
+                    id="url"
+                    name="url"
+                    value={gitData.url}
+                    onChange={handleGitChange}
+                    placeholder="https://github.com/user/repo.git"
+                    disabled={Boolean(gitData.bundle)}
+                  />
+                </FormGroup>
+                
+                <FormGroup>
+                  <Label htmlFor="ref">Branch (optional)</Label>
+                  <Input
+                    type="text"
+                    id="ref"
+                    name="ref"
+                    value={gitData.ref}
+                    onChange={handleGitChange}
+                    placeholder="Default branch"
+                    disabled={Boolean(gitData.bundle)}
+                  />
+                </FormGroup>
+                
+                <FormGroup>
+                  <Label htmlFor="bundle">Or upload a bundle (git bundle create repo.bundle --all)</Label>
+                  <Input
+                    type="file"
+                    id="bundle"
+                    name="bundle"
+                    accept=".bundle,.pack"
+                    onChange={handleGitChange}
+                  />
+                </FormGroup>
+              </>
+            )}
+            
+            {source === 'upload' && (
+              <DropZone
+                $isDragOver={isDragOver}
+                onDragOver={(e) => {
+                  if (!isFileDrag(e)) return;
+                  e.preventDefault();
+                  setIsDragOver(true);
+                }}
+                onDragLeave={() => setIsDragOver(false)}
+                onDrop={handleDrop}
+              >
+                {upload ? (
+                  <p>
+                    <strong>{upload.label}</strong>: {upload.entries.filter(entry => entry.type !== 'directory').length} files
+                    {upload.skipped.length > 0 && ` (${upload.skipped.length} binary files will be skipped)`}
+                  </p>
+                ) : (
+                  <p>Drop a ZIP file or a folder here, or choose one:</p>
+                )}
+                <UploadButtons>
+                  <UploadLabel>
+                    Choose ZIP
+                    <input type="file" accept=".zip,application/zip" onChange={handleUploadChange} />
+                  </UploadLabel>
+                  <UploadLabel>
+                    Choose folder
+                    <input type="file" webkitdirectory="" multiple onChange={handleUploadChange} />
+                  </UploadLabel>
+                </UploadButtons>
+              </DropZone>
+            )}
+            
             <FormGroup>
               <Label htmlFor="name">Project Name</Label>
               <Input
@@ -123,11 +342,14 @@ const NewProjectModal = ({ isOpen, onClose, onCreate }) => {
             </FormGroup>
             
             <ButtonGroup>
+              {progress && <ProgressText>{progress}</ProgressText>}
               <CancelButton type="button" onClick={onClose}>
                 Cancel
               </CancelButton>
               <CreateButton type="submit" disabled={isSubmitting}>
-                {isSubmitting ? 'Creating...' : 'Create Project'}
+                {isSubmitting 
+                  ? (source === 'empty' ? 'Creating...' : 'Importing...') 
+                  : (source === 'empty' ? 'Create Project' : 'Import Project')}
               </CreateButton>
             </ButtonGroup>
           </Form>
@@ -284,6 +506,78 @@ const OptionDescription = styled.p`
   color: #718096;
 `;
 
+const SourceTabs = styled.div`
+  display: flex;
+  gap: 8px;
+`;
+
+const SourceTab = styled.button`
+  flex: 1;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 8px;
+  padding: 10px 12px;
+  border: 1px solid ${props => props.$isSelected ? '#3182ce' : '#e2e8f0'};
+  border-radius: 6px;
+  background-color: ${props => props.$isSelected ? '#ebf8ff' : 'white'};
+  color: ${props => props.$isSelected ? '#3182ce' : '#4a5568'};
+  font-size: 14px;
+  cursor: pointer;
+
+  &:hover {
+    border-color: ${props => props.$isSelected ? '#3182ce' : '#cbd5e0'};
+  }
+`;
+
+const DropZone = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 12px;
+  padding: 20px;
+  border: 2px dashed ${props => props.$isDragOver ? '#3182ce' : '#cbd5e0'};
+  border-radius: 6px;
+  background-color: ${props => props.$isDragOver ? '#ebf8ff' : '#f7fafc'};
+  color: #4a5568;
+  font-size: 14px;
+  text-align: center;
+
+  p {
+    margin: 0;
+  }
+`;
+
+const UploadButtons = styled.div`
+  display: flex;
+  gap: 8px;
+`;
+
+const UploadLabel = styled.label`
+  padding: 6px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 4px;
+  background-color: white;
+  color: #3182ce;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover {
+    border-color: #3182ce;
+  }
+
+  input {
+    display: none;
+  }
+`;
+
+const ProgressText = styled.span`
+  flex: 1;
+  align-self: center;
+  font-size: 13px;
+  color: #718096;
+`;
+
 const ButtonGroup = styled.div`
   display: flex;
   justify-content: flex-end;
@@ -1,77 +1,161 @@
 // client/src/components/Editor/CodeEditor.jsx
 import { useRef, useEffect, useContext, useState } from 'react';
-import styled from 'styled-components';
-import Editor from '@monaco-editor/react';
+import styled, { createGlobalStyle } from 'styled-components';
+import Editor, { useMonaco } from '@monaco-editor/react';
 import { EditorContext } from '../../contexts/EditorContext';
+import { useRegisterCommands } from '../../contexts/CommandContext';
 import { useTheme } from '../../contexts/ThemeContext';
-import { SUPPORTED_LANGUAGES } from '../../config/constants';
-import { FaPlay, FaSpinner } from 'react-icons/fa';
-import { executeSandboxedCode, executeCode } from '../../services/codeRunnerService';
+import { useDiagnostics } from '../../contexts/DiagnosticsContext';
+import { COLLABORATOR_COLORS } from '../../utils/collaboratorColors';
+import { FaPlay, FaSpinner, FaHistory } from 'react-icons/fa';
+import { getFormatter } from '../../services/formatterService';
+import useCollaboration from '../../hooks/useCollaboration';
+import useRemoteCursors from '../../hooks/useRemoteCursors';
+import useEditorSettings from '../../hooks/useEditorSettings';
+import useEditorKeymap from '../../hooks/useEditorKeymap';
+import useExecution from '../../hooks/useExecution';
+import { getMonacoOptions, applyModelSettings } from '../../utils/editorOptions';
+import { getModelPath, getModelLanguage } from '../../utils/monacoModels';
+import { collectSources } from '../../utils/moduleBundler';
 import ExecutionResult from './ExecutionResult';
+import TimelinePanel from './TimelinePanel';
+import KeymapStatusLine from './KeymapStatusLine';
 
-const CodeEditor = ({ file }) => {
+// With split editors a file can be shown in several groups at once. The
+// editors share one Monaco model, so only the primary one reports changes
+// and joins the collaboration session for it.
+const CodeEditor = ({ file, isActive = true, isPrimary = true }) => {
   const editorRef = useRef(null);
-  const { handleFileChange } = useContext(EditorContext);
+  const [editorInstance, setEditorInstance] = useState(null);
+  const {
+    currentProject,
+    handleFileChange,
+    revealRequest,
+    clearRevealRequest,
+    rememberViewState,
+    consumeViewState,
+    registerBeforeSave,
+    files,
+    openFiles,
+    filePaths
+  } = useContext(EditorContext);
   const { isDarkMode } = useTheme();
-  const [isExecuting, setIsExecuting] = useState(false);
-  const [executionResult, setExecutionResult] = useState(null);
+  const monaco = useMonaco();
+  const { getProblems } = useDiagnostics();
+  const problems = getProblems(file?._id);
+  const editorSettings = useEditorSettings();
+  const {
+    result: executionResult,
+    isExecuting,
+    run: runExecution,
+    sendInput,
+    closeInput,
+    cancel: cancelExecution,
+    clear: closeExecutionResult
+  } = useExecution();
+  const [isTimelineOpen, setIsTimelineOpen] = useState(false);
+  const fileIdRef = useRef(file?._id);
+  fileIdRef.current = file?._id;
+  const modelPath = file ? getModelPath(filePaths.get(file._id) || file._id) : null;
+  const { isApplyingRemote, isLive } = useCollaboration(
+    currentProject?._id,
+    isPrimary ? file?._id : null,
+    editorInstance,
+    modelPath
+  );
+  useRemoteCursors(editorInstance, file?._id);
+  const keymapStatusRef = useEditorKeymap(editorInstance, editorSettings.keymap);
   
   useEffect(() => {
     // Focus editor when active file changes
-    if (editorRef.current) {
+    if (editorRef.current && isActive) {
       editorRef.current.focus();
     }
-  }, [file?._id]);
+  }, [file?._id, isActive]);
+
+  // Show lint problems in the file. Markers belong to the model, so editors
+  // showing the same file in other groups get them as well.
+  useEffect(() => {
+    const model = editorInstance?.getModel();
+    if (!monaco || !model) return;
+    
+    monaco.editor.setModelMarkers(model, 'eslint', problems.map(problem => ({
+      startLineNumber: problem.line,
+      startColumn: problem.column,
+      endLineNumber: problem.endLine,
+      endColumn: problem.endColumn,
+      severity: problem.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+      message: problem.message,
+      code: problem.ruleId || undefined,
+      source: 'eslint'
+    })));
+  }, [monaco, editorInstance, file?._id, problems]);
+
+  // Indentation is a model option, so apply it to each file as it is shown
+  useEffect(() => {
+    if (!editorInstance) return;
+    applyModelSettings(editorInstance.getModel(), editorSettings);
+  }, [editorInstance, file?._id, editorSettings]);
+
+  // Bring back the cursor and scroll position saved in the editor session
+  useEffect(() => {
+    if (!editorInstance || !file?._id) return;
+    
+    const viewState = consumeViewState(file._id);
+    if (viewState) editorInstance.restoreViewState(viewState);
+  }, [editorInstance, file?._id, consumeViewState]);
+
+  // Jump to a position requested elsewhere, e.g. a search result
+  useEffect(() => {
+    if (!editorInstance || !isActive || !revealRequest || revealRequest.fileId !== file?._id) return;
+    
+    // The editor has switched to this file's model by the time this runs
+    const model = editorInstance.getModel();
+    const { lineNumber, column, length } = revealRequest;
+    const position = model.getPositionAt(model.getOffsetAt({ lineNumber, column }) + length);
+    editorInstance.setSelection({
+      startLineNumber: lineNumber,
+      startColumn: column,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column
+    });
+    editorInstance.revealRangeInCenter(editorInstance.getSelection());
+    editorInstance.focus();
+    clearRevealRequest();
+  }, [editorInstance, isActive, revealRequest, file?._id, clearRevealRequest]);
 
   const handleEditorDidMount = (editor) => {
     editorRef.current = editor;
-    editor.focus();
+    setEditorInstance(editor);
+    if (isActive) editor.focus();
+    
+    const saveViewState = () => rememberViewState(fileIdRef.current, editor.saveViewState());
+    editor.onDidChangeCursorSelection(saveViewState);
+    editor.onDidScrollChange(saveViewState);
   };
 
   // Determine language from file extension
-  const getLanguage = () => {
-    if (!file || !file.extension) return 'plaintext';
-    
-    const extension = file.extension.toLowerCase();
-    const language = SUPPORTED_LANGUAGES.find(lang => 
-      lang.extensions.includes(extension)
-    );
+  const getLanguage = () => getModelLanguage(file);
+
+  // Format on save. Monaco's format action only changes the lines that
+  // need it, so the cursor stays where it is.
+  const isFormatOnSave = editorSettings.formatOnSave && isPrimary && Boolean(getFormatter(getLanguage()));
+  useEffect(() => {
+    if (!editorInstance || !file?._id || !isFormatOnSave) return;
     
-    return language ? language.id : 'plaintext';
-  };
+    return registerBeforeSave(file._id, async () => {
+      await editorInstance.getAction('editor.action.formatDocument')?.run();
+      return editorInstance.getValue();
+    });
+  }, [editorInstance, file?._id, isFormatOnSave, registerBeforeSave]);
 
-  const handleRunCode = async () => {
+  const handleRunCode = () => {
     if (!file || !editorRef.current || isExecuting) return;
     
-    setIsExecuting(true);
-    setExecutionResult(null);
-    
-    try {
-      const code = editorRef.current.getValue();
-      const language = getLanguage();
-      
-      let result;
-      
-      // Try server-side execution first
-      try {
-        result = await executeCode(code, language);
-      } catch (serverError) {
-        console.log('Server execution failed, falling back to sandbox:', serverError);
-        // Fall back to client-side execution for JavaScript
-        result = await executeSandboxedCode(code, language);
-      }
-      
-      setExecutionResult(result)
-    } catch (error) {
-      setExecutionResult({
-        success: false,
-        output: null,
-        error: error.message || 'Unknown error during code execution',
-        executionTime: 0
-      });
-    } finally {
-      setIsExecuting(false);
-    }
+    runExecution(editorRef.current.getValue(), getLanguage(), {
+      filePath: filePaths.get(file._id),
+      sources: collectSources(files, filePaths, openFiles)
+    });
   };
 
   const isExecutable = () => {
@@ -82,9 +166,46 @@ const CodeEditor = ({ file }) => {
     return true;
   };
 
-  const closeExecutionResult = () => {
-    setExecutionResult(null);
-  };
+  // Commands act on the focused group's editor
+  useRegisterCommands(!isActive ? [] : [
+    {
+      id: 'editor.run',
+      title: 'Run Code in Editor',
+      category: 'Run',
+      keybinding: 'mod+enter',
+      isEnabled: () => Boolean(file) && !isExecuting && isExecutable(),
+      run: handleRunCode
+    },
+    {
+      id: 'editor.closeResult',
+      title: 'Close Execution Result',
+      category: 'Run',
+      isEnabled: () => Boolean(executionResult),
+      run: closeExecutionResult
+    },
+    {
+      id: 'editor.stopRun',
+      title: 'Stop Running Code',
+      category: 'Run',
+      isEnabled: () => isExecuting,
+      run: cancelExecution
+    },
+    {
+      id: 'editor.formatDocument',
+      title: 'Format Document',
+      category: 'Editor',
+      keybinding: 'shift+alt+f',
+      isEnabled: () => Boolean(file) && Boolean(getFormatter(getLanguage())),
+      run: () => editorRef.current?.getAction('editor.action.formatDocument')?.run()
+    },
+    {
+      id: 'editor.toggleTimeline',
+      title: 'Toggle Local History Timeline',
+      category: 'File',
+      isEnabled: () => Boolean(file),
+      run: () => setIsTimelineOpen(prev => !prev)
+    }
+  ]);
 
   if (!file) {
     return (
@@ -96,12 +217,20 @@ const CodeEditor = ({ file }) => {
 
   return (
     <EditorContainer>
+      <RemoteCursorStyles />
       <EditorToolbar>
         <FileInfo>
           <FileName>{file.name}{file.extension}</FileName>
           <FileLanguage>{getLanguage()}</FileLanguage>
         </FileInfo>
         <ToolbarActions>
+          <TimelineButton 
+            onClick={() => setIsTimelineOpen(!isTimelineOpen)}
+            $isActive={isTimelineOpen}
+            title="Show local history of this file"
+          >
+            <FaHistory /> Timeline
+          </TimelineButton>
           <RunButton 
             onClick={handleRunCode} 
             disabled={isExecuting || !isExecutable()}
@@ -120,36 +249,49 @@ const CodeEditor = ({ file }) => {
         </ToolbarActions>
       </EditorToolbar>
       
-      <EditorWrapper>
-        <Editor
-          height="100%"
-          language={getLanguage()}
-          value={file.content}
-          theme={isDarkMode ? "vs-dark" : "light"}
-          onChange={value => handleFileChange(value)}
-          onMount={handleEditorDidMount}
-          options={{
-            minimap: { enabled: true },
-            wordWrap: 'on',
-            scrollBeyondLastLine: false,
-            fontSize: 14,
-            fontFamily: "'Fira Code', 'Droid Sans Mono', 'monospace'",
-            fontLigatures: true,
-            automaticLayout: true,
-            tabSize: 2,
-            lineNumbers: 'on',
-            scrollbar: {
-              vertical: 'auto',
-              horizontal: 'auto',
-            },
-          }}
-        />
-      </EditorWrapper>
+      <EditorBody>
+        <EditorWrapper>
+          <Editor
+            height="100%"
+            path={modelPath}
+            keepCurrentModel
+            language={getLanguage()}
+            value={file.content}
+            theme={isDarkMode ? "vs-dark" : "light"}
+            onChange={value => isPrimary && handleFileChange(value, {
+              remote: isApplyingRemote(),
+              live: isLive(),
+              fileId: file._id
+            })}
+            onMount={handleEditorDidMount}
+            options={{
+              ...getMonacoOptions(editorSettings),
+              scrollBeyondLastLine: false,
+              fontLigatures: true,
+              automaticLayout: true,
+              lineNumbers: 'on',
+              scrollbar: {
+                vertical: 'auto',
+                horizontal: 'auto',
+              },
+            }}
+          />
+        </EditorWrapper>
+        
+        {isTimelineOpen && (
+          <TimelinePanel file={file} onClose={() => setIsTimelineOpen(false)} />
+        )}
+      </EditorBody>
+      
+      <KeymapStatusLine keymap={editorSettings.keymap} statusRef={keymapStatusRef} />
       
       {executionResult && (
         <ExecutionResult 
           result={executionResult} 
           onClose={closeExecutionResult}
+          onCancel={cancelExecution}
+          onInput={sendInput}
+          onCloseInput={closeInput}
           language={getLanguage()}
         />
       )}
@@ -167,8 +309,15 @@ const EditorContainer = styled.div`
   background: var(--color-surface);
 `;
 
+const EditorBody = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+`;
+
 const EditorWrapper = styled.div`
   flex: 1;
+  min-width: 0;
   overflow: hidden;
 `;
 
@@ -213,6 +362,24 @@ const ToolbarActions = styled.div`
   gap: 8px;
 `;
 
+const TimelineButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 12px;
+  background-color: ${props => props.$isActive ? 'var(--color-background)' : 'transparent'};
+  color: var(--color-text-secondary);
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  cursor: pointer;
+  font-size: 12px;
+  font-weight: 500;
+  
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
 const RunButton = styled.button`
   display: flex;
   align-items: center;
@@ -241,6 +408,29 @@ const RunButton = styled.button`
   }
 `;
 
+// Monaco decorations are plain class names, so collaborator colours are global
+const RemoteCursorStyles = createGlobalStyle`
+  .remote-cursor {
+    position: relative;
+    border-left: 2px solid;
+    margin-left: -1px;
+  }
+  
+  .remote-selection {
+    opacity: 0.25;
+  }
+  
+${COLLABORATOR_COLORS.map((color, index) => `
+  .remote-cursor.remote-color-${index} {
+    border-color: ${color};
+  }
+  
+  .remote-selection.remote-color-${index} {
+    background-color: ${color};
+  }
+`).join('')}
+`;
+
 const EmptyState = styled.div`
   flex: 1;
   display: flex;
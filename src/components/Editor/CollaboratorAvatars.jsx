@@ -0,0 +1,82 @@
+// client/src/components/Editor/CollaboratorAvatars.jsx
+import styled from 'styled-components';
+import { usePresence } from '../../contexts/PresenceContext';
+import { getCollaboratorColor, getInitials } from '../../utils/collaboratorColors';
+
+const MAX_VISIBLE_AVATARS = 4;
+
+// Stack of avatars for the collaborators currently inside the project
+const CollaboratorAvatars = ({ files = [] }) => {
+  const { peers } = usePresence();
+
+  // A user may be connected from several tabs; show them once
+  const users = [];
+  peers.forEach(peer => {
+    const id = peer.user?._id || peer.clientId;
+    if (!users.some(user => user.id === id)) {
+      users.push({ id, name: peer.name, fileId: peer.fileId });
+    }
+  });
+
+  if (users.length === 0) return null;
+
+  const getFileLabel = (fileId) => {
+    const file = files.find(f => f._id === fileId);
+    return file ? `${file.name}${file.extension || ''}` : null;
+  };
+
+  const visibleUsers = users.slice(0, MAX_VISIBLE_AVATARS);
+  const hiddenCount = users.length - visibleUsers.length;
+
+  return (
+    <AvatarStack>
+      {visibleUsers.map(user => {
+        const fileLabel = getFileLabel(user.fileId);
+        return (
+          <Avatar
+            key={user.id}
+            $color={getCollaboratorColor(user.id)}
+            title={fileLabel ? `${user.name} — editing ${fileLabel}` : user.name}
+          >
+            {getInitials(user.name)}
+          </Avatar>
+        );
+      })}
+      {hiddenCount > 0 && (
+        <Avatar
+          $color="var(--color-text-tertiary)"
+          title={users.slice(MAX_VISIBLE_AVATARS).map(user => user.name).join(', ')}
+        >
+          +{hiddenCount}
+        </Avatar>
+      )}
+    </AvatarStack>
+  );
+};
+
+const AvatarStack = styled.div`
+  display: flex;
+  align-items: center;
+  margin-right: 8px;
+`;
+
+const Avatar = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 28px;
+  height: 28px;
+  border-radius: 50%;
+  background-color: ${props => props.$color};
+  border: 2px solid var(--color-surface);
+  color: white;
+  font-size: 11px;
+  font-weight: 600;
+  cursor: default;
+  
+  &:not(:first-child) {
+    margin-left: -8px;
+  }
+`;
+
+export default CollaboratorAvatars;
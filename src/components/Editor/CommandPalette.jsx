@@ -0,0 +1,220 @@
+// client/src/components/Editor/CommandPalette.jsx
+import { useState, useEffect, useMemo, useRef } from 'react';
+import styled from 'styled-components';
+import { useCommands } from '../../contexts/CommandContext';
+import { rankMatches } from '../../utils/fuzzyMatch';
+import { formatKeybinding } from '../../utils/keybindings';
+
+const getLabel = (command) => command.category ? `${command.category}: ${command.title}` : command.title;
+
+const CommandPalette = () => {
+  const {
+    commands,
+    keybindings,
+    executeCommand,
+    isCommandEnabled,
+    isPaletteOpen,
+    closePalette
+  } = useCommands();
+  const [query, setQuery] = useState('');
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  // Commands run from the palette, most recent first
+  const [recentIds, setRecentIds] = useState([]);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (isPaletteOpen) {
+      setQuery('');
+      setSelectedIndex(0);
+      inputRef.current?.focus();
+    }
+  }, [isPaletteOpen]);
+
+  const results = useMemo(() => {
+    if (!isPaletteOpen) return [];
+
+    return rankMatches(commands.filter(command => command.id !== 'workbench.showCommands'), query, {
+      getText: getLabel,
+      getId: command => command.id,
+      recentIds,
+      limit: 100
+    });
+  }, [isPaletteOpen, commands, query, recentIds]);
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [selectedIndex]);
+
+  if (!isPaletteOpen) return null;
+
+  const handleSelect = (command) => {
+    if (!isCommandEnabled(command)) return;
+
+    closePalette();
+    setRecentIds(prev => [command.id, ...prev.filter(id => id !== command.id)].slice(0, 20));
+    executeCommand(command.id);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setSelectedIndex(prev => Math.min(prev + 1, results.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setSelectedIndex(prev => Math.max(prev - 1, 0));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (results[selectedIndex]) handleSelect(results[selectedIndex].item);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        closePalette();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <Overlay onClick={closePalette}>
+      <Dialog onClick={e => e.stopPropagation()}>
+        <QueryInput
+          ref={inputRef}
+          type="text"
+          placeholder="Type a command"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+
+        <ResultList ref={listRef}>
+          {results.map(({ item }, index) => {
+            const isEnabled = isCommandEnabled(item);
+
+            return (
+              <ResultItem
+                key={item.id}
+                $isSelected={index === selectedIndex}
+                $isDisabled={!isEnabled}
+                onClick={() => handleSelect(item)}
+                onMouseMove={() => setSelectedIndex(index)}
+              >
+                <CommandTitle>
+                  {item.category && <Category>{item.category}: </Category>}
+                  {item.title}
+                </CommandTitle>
+                {recentIds.includes(item.id) && !query && <RecentLabel>recently used</RecentLabel>}
+                {keybindings.get(item.id) && (
+                  <Keybinding>{formatKeybinding(keybindings.get(item.id))}</Keybinding>
+                )}
+              </ResultItem>
+            );
+          })}
+          {results.length === 0 && <NoResults>No matching commands</NoResults>}
+        </ResultList>
+      </Dialog>
+    </Overlay>
+  );
+};
+
+const Overlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  display: flex;
+  justify-content: center;
+  align-items: flex-start;
+  padding-top: 12vh;
+  background-color: rgba(0, 0, 0, 0.3);
+  z-index: 1000;
+`;
+
+const Dialog = styled.div`
+  width: 100%;
+  max-width: 600px;
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-surface);
+  border: 1px solid var(--color-border);
+  border-radius: 8px;
+  box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+  overflow: hidden;
+`;
+
+const QueryInput = styled.input`
+  padding: 12px 16px;
+  font-size: 15px;
+  border: none;
+  border-bottom: 1px solid var(--color-border);
+  background-color: var(--color-surface);
+  color: var(--color-text-primary);
+
+  &:focus {
+    outline: none;
+  }
+`;
+
+const ResultList = styled.ul`
+  list-style-type: none;
+  margin: 0;
+  padding: 4px 0;
+  max-height: 400px;
+  overflow-y: auto;
+`;
+
+const ResultItem = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 6px 16px;
+  font-size: 13px;
+  cursor: ${props => props.$isDisabled ? 'default' : 'pointer'};
+  opacity: ${props => props.$isDisabled ? 0.5 : 1};
+  background-color: ${props => props.$isSelected ? 'var(--color-primary-light)' : 'transparent'};
+`;
+
+const CommandTitle = styled.span`
+  flex: 1;
+  min-width: 0;
+  color: var(--color-text-primary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const Category = styled.span`
+  color: var(--color-text-secondary);
+`;
+
+const RecentLabel = styled.span`
+  font-size: 11px;
+  color: var(--color-text-tertiary);
+`;
+
+const Keybinding = styled.kbd`
+  padding: 1px 6px;
+  font-family: inherit;
+  font-size: 11px;
+  color: var(--color-text-secondary);
+  background-color: var(--color-background);
+  border: 1px solid var(--color-border);
+  border-radius: 3px;
+`;
+
+const NoResults = styled.li`
+  padding: 12px 16px;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+export default CommandPalette;
@@ -0,0 +1,197 @@
+// src/components/Editor/ConfirmFilesModal.jsx
+import { useState, useEffect } from 'react';
+import styled from 'styled-components';
+
+// Paths shown before the list is cut short
+const MAX_LISTED_PATHS = 200;
+
+const ConfirmFilesModal = ({
+  isOpen,
+  title,
+  message,
+  paths = [],
+  confirmLabel = 'Confirm',
+  isDanger = false,
+  canConfirm = true,
+  onConfirm,
+  onClose,
+  children
+}) => {
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setIsWorking(false);
+      setError('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleConfirm = async () => {
+    setIsWorking(true);
+    setError('');
+    try {
+      await onConfirm();
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Something went wrong. Please try again.');
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <ModalOverlay onClick={isWorking ? undefined : onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>{title}</ModalHeader>
+
+        <ModalBody>
+          {message && <Message>{message}</Message>}
+
+          {children}
+
+          <PathList>
+            {paths.slice(0, MAX_LISTED_PATHS).map(path => (
+              <PathItem key={path}>{path}</PathItem>
+            ))}
+            {paths.length > MAX_LISTED_PATHS && (
+              <PathItem>…and {paths.length - MAX_LISTED_PATHS} more</PathItem>
+            )}
+          </PathList>
+
+          {error && <ErrorMessage>{error}</ErrorMessage>}
+
+          <ButtonGroup>
+            <CancelButton type="button" onClick={onClose} disabled={isWorking}>
+              Cancel
+            </CancelButton>
+            <ConfirmButton
+              type="button"
+              $isDanger={isDanger}
+              onClick={handleConfirm}
+              disabled={isWorking || !canConfirm}
+            >
+              {isWorking ? 'Working...' : confirmLabel}
+            </ConfirmButton>
+          </ButtonGroup>
+        </ModalBody>
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+const ModalOverlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  z-index: 1000;
+`;
+
+const ModalContent = styled.div`
+  background-color: white;
+  border-radius: 8px;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  width: 100%;
+  max-width: 480px;
+  max-height: 90vh;
+  display: flex;
+  flex-direction: column;
+`;
+
+const ModalHeader = styled.div`
+  padding: 15px 20px;
+  border-bottom: 1px solid #e2e8f0;
+  font-weight: 600;
+  font-size: 16px;
+  color: #2d3748;
+`;
+
+const ModalBody = styled.div`
+  padding: 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 15px;
+  min-height: 0;
+`;
+
+const Message = styled.p`
+  margin: 0;
+  font-size: 14px;
+  color: #4a5568;
+`;
+
+const PathList = styled.ul`
+  list-style-type: none;
+  margin: 0;
+  padding: 8px 12px;
+  max-height: 240px;
+  overflow-y: auto;
+  border: 1px solid #e2e8f0;
+  border-radius: 4px;
+  background-color: #f7fafc;
+`;
+
+const PathItem = styled.li`
+  font-family: monospace;
+  font-size: 13px;
+  color: #2d3748;
+  padding: 2px 0;
+  word-break: break-all;
+`;
+
+const ButtonGroup = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 10px;
+`;
+
+const Button = styled.button`
+  padding: 8px 16px;
+  border-radius: 4px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const CancelButton = styled(Button)`
+  background-color: white;
+  border: 1px solid #e2e8f0;
+  color: #4a5568;
+
+  &:hover:not(:disabled) {
+    background-color: #f7fafc;
+  }
+`;
+
+const ConfirmButton = styled(Button)`
+  background-color: ${props => props.$isDanger ? '#e53e3e' : '#3182ce'};
+  border: none;
+  color: white;
+
+  &:hover:not(:disabled) {
+    background-color: ${props => props.$isDanger ? '#c53030' : '#2c5282'};
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: #e53e3e;
+  font-size: 14px;
+  background-color: #FFF5F5;
+  padding: 8px 12px;
+  border-radius: 4px;
+  border-left: 3px solid #e53e3e;
+`;
+
+export default ConfirmFilesModal;
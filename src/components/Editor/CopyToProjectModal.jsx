@@ -0,0 +1,134 @@
+// src/components/Editor/CopyToProjectModal.jsx
+import { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { getProjects, getProjectFiles } from '../../services/projectService';
+import { buildFilePaths } from '../../utils/filePaths';
+import ConfirmFilesModal from './ConfirmFilesModal';
+
+const CopyToProjectModal = ({ isOpen, onClose, projectId, paths, onCopy }) => {
+  const [projects, setProjects] = useState([]);
+  const [targetProjectId, setTargetProjectId] = useState('');
+  const [targetFiles, setTargetFiles] = useState(null);
+  const [targetFolderId, setTargetFolderId] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setTargetProjectId('');
+    setTargetFiles(null);
+    setTargetFolderId('');
+    setError('');
+
+    getProjects()
+      .then(list => setProjects(list.filter(project => project._id !== projectId)))
+      .catch(err => {
+        console.error('Error fetching projects:', err);
+        setError('Failed to load projects');
+      });
+  }, [isOpen, projectId]);
+
+  // Folders of the destination are needed to pick one and avoid name clashes
+  useEffect(() => {
+    if (!targetProjectId) return;
+
+    let isCancelled = false;
+    setTargetFiles(null);
+    setTargetFolderId('');
+    getProjectFiles(targetProjectId)
+      .then(files => {
+        if (!isCancelled) setTargetFiles(files);
+      })
+      .catch(err => {
+        console.error('Error fetching project files:', err);
+        if (!isCancelled) setError('Failed to load the files of that project');
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [targetProjectId]);
+
+  const folderPaths = targetFiles ? buildFilePaths(targetFiles) : new Map();
+  const folders = (targetFiles || [])
+    .filter(file => file.type === 'directory')
+    .map(file => ({ id: file._id, path: folderPaths.get(file._id) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return (
+    <ConfirmFilesModal
+      isOpen={isOpen}
+      title="Copy to Another Project"
+      message={`These ${paths.length} items will be copied:`}
+      paths={paths}
+      confirmLabel="Copy"
+      canConfirm={Boolean(targetProjectId && targetFiles)}
+      onConfirm={() => onCopy(targetProjectId, targetFolderId || null, targetFiles)}
+      onClose={onClose}
+    >
+      <FormGroup>
+        <Label htmlFor="copy-target-project">Project</Label>
+        <Select
+          id="copy-target-project"
+          value={targetProjectId}
+          onChange={(e) => setTargetProjectId(e.target.value)}
+        >
+          <option value="">Select a project</option>
+          {projects.map(project => (
+            <option key={project._id} value={project._id}>{project.name}</option>
+          ))}
+        </Select>
+      </FormGroup>
+
+      <FormGroup>
+        <Label htmlFor="copy-target-folder">Folder</Label>
+        <Select
+          id="copy-target-folder"
+          value={targetFolderId}
+          onChange={(e) => setTargetFolderId(e.target.value)}
+          disabled={!targetFiles}
+        >
+          <option value="">/ (project root)</option>
+          {folders.map(folder => (
+            <option key={folder.id} value={folder.id}>/{folder.path}</option>
+          ))}
+        </Select>
+      </FormGroup>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+    </ConfirmFilesModal>
+  );
+};
+
+const FormGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const Label = styled.label`
+  font-size: 14px;
+  font-weight: 500;
+  color: #4a5568;
+`;
+
+const Select = styled.select`
+  padding: 8px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 4px;
+  font-size: 14px;
+  background-color: white;
+
+  &:focus {
+    outline: none;
+    border-color: #3182ce;
+    box-shadow: 0 0 0 3px rgba(49, 130, 206, 0.2);
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: #e53e3e;
+  font-size: 14px;
+`;
+
+export default CopyToProjectModal;
@@ -0,0 +1,184 @@
+// client/src/components/Editor/EditorGroups.jsx
+import { useContext, useState } from 'react';
+import styled from 'styled-components';
+import Split from 'react-split';
+import { useMonaco } from '@monaco-editor/react';
+import { EditorContext } from '../../contexts/EditorContext';
+import { TAB_DRAG_TYPE, getDraggedTab } from '../../utils/editorGroups';
+import useDocumentFormatting from '../../hooks/useDocumentFormatting';
+import useProjectModels from '../../hooks/useProjectModels';
+import useLanguageServers from '../../hooks/useLanguageServers';
+import EditorTabs from './EditorTabs';
+import CodeEditor from './CodeEditor';
+import NotebookEditor from '../Notebook/NotebookEditor';
+
+// Check if the file is a Jupyter notebook
+const isNotebookFile = (file) => {
+  return file && file.extension === '.ipynb';
+};
+
+const EditorGroup = ({ group, isActive, isPrimary, onFocus }) => {
+  const { openFiles, moveEditorTab } = useContext(EditorContext);
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const file = openFiles.find(f => f._id === group.activeFileId) || null;
+
+  // Tabs dropped on the editor go to the end of this group's strip
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setIsDropTarget(true);
+  };
+
+  const handleDrop = (e) => {
+    setIsDropTarget(false);
+    const dragged = getDraggedTab(e);
+    if (!dragged) return;
+
+    e.preventDefault();
+    moveEditorTab(dragged.fileId, dragged.groupId, group.id);
+  };
+
+  return (
+    <GroupContainer onMouseDownCapture={onFocus} onFocusCapture={onFocus}>
+      <EditorTabs groupId={group.id} />
+
+      <GroupBody
+        onDragOver={handleDragOver}
+        onDragLeave={e => !e.currentTarget.contains(e.relatedTarget) && setIsDropTarget(false)}
+        onDrop={handleDrop}
+      >
+        {file ? (
+          isNotebookFile(file) ? (
+            <NotebookEditor file={file} />
+          ) : (
+            <CodeEditor file={file} isActive={isActive} isPrimary={isPrimary} />
+          )
+        ) : (
+          <NoFileSelected>
+            <p>No file selected. Select a file from the explorer or create a new file.</p>
+          </NoFileSelected>
+        )}
+        {isDropTarget && <DropOverlay />}
+      </GroupBody>
+    </GroupContainer>
+  );
+};
+
+/**
+ * The editor area, split into groups side by side or stacked, each with
+ * its own tabs and active file
+ */
+const EditorGroups = () => {
+  const {
+    editorGroups,
+    activeGroupId,
+    focusEditorGroup,
+    layoutDirection,
+    layoutSizes,
+    setLayoutSizes
+  } = useContext(EditorContext);
+  const monaco = useMonaco();
+  // Code editors keep their models, which belong to the project rather than
+  // the tabs, so a file can be shown in several groups at once
+  useProjectModels(monaco);
+  useLanguageServers(monaco);
+  useDocumentFormatting(monaco);
+
+  const renderGroup = (group) => (
+    <EditorGroup
+      key={group.id}
+      group={group}
+      isActive={group.id === activeGroupId}
+      // The first group showing a file is the one its changes are reported from
+      isPrimary={editorGroups.find(g => g.activeFileId === group.activeFileId) === group}
+      onFocus={() => group.id !== activeGroupId && focusEditorGroup(group.id)}
+    />
+  );
+
+  if (editorGroups.length === 1) {
+    return <GroupsContainer>{renderGroup(editorGroups[0])}</GroupsContainer>;
+  }
+
+  const defaultSizes = editorGroups.map(() => 100 / editorGroups.length);
+
+  return (
+    <GroupsContainer $isVertical={layoutDirection === 'vertical'}>
+      {/* Split.js manages its gutters itself, so start over when groups come or go */}
+      <Split
+        key={`${layoutDirection}-${editorGroups.length}`}
+        sizes={layoutSizes?.length === editorGroups.length ? layoutSizes : defaultSizes}
+        minSize={150}
+        gutterSize={6}
+        direction={layoutDirection}
+        onDragEnd={setLayoutSizes}
+        className="editor-groups-split"
+      >
+        {editorGroups.map(renderGroup)}
+      </Split>
+    </GroupsContainer>
+  );
+};
+
+const GroupsContainer = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+
+  .editor-groups-split {
+    flex: 1;
+    display: flex;
+    flex-direction: ${props => props.$isVertical ? 'column' : 'row'};
+    min-width: 0;
+    min-height: 0;
+  }
+
+  .gutter.gutter-vertical {
+    cursor: row-resize;
+  }
+`;
+
+// Split.js sizes groups with width or height, which a flex basis would override
+const GroupContainer = styled.div`
+  flex: 1 1 auto;
+  display: flex;
+  flex-direction: column;
+  min-width: 0;
+  min-height: 0;
+  overflow: hidden;
+`;
+
+const GroupBody = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-height: 0;
+  position: relative;
+`;
+
+const DropOverlay = styled.div`
+  position: absolute;
+  inset: 0;
+  background-color: var(--color-primary-light);
+  opacity: 0.4;
+  pointer-events: none;
+`;
+
+const NoFileSelected = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  height: 100%;
+  background: var(--color-surface);
+  color: var(--color-text-secondary);
+  font-size: 16px;
+  text-align: center;
+
+  p {
+    margin: 0;
+    padding: 20px;
+  }
+`;
+
+export default EditorGroups;
@@ -1,21 +1,69 @@
 // client/src/components/Editor/EditorTabs.jsx
-import { useContext } from 'react';
+import { useContext, useState } from 'react';
 import styled from 'styled-components';
-import { FaJs, FaPython, FaCode, FaMarkdown, FaHtml5, FaCss3, FaFile, FaTimes } from 'react-icons/fa';
+import { FaJs, FaPython, FaCode, FaMarkdown, FaHtml5, FaCss3, FaFile, FaTimes, FaThumbtack } from 'react-icons/fa';
 import { EditorContext } from '../../contexts/EditorContext';
+import PresenceDots from './PresenceDots';
+import ProblemBadge from './ProblemBadge';
+import { TAB_DRAG_TYPE, getDraggedTab } from '../../utils/editorGroups';
 
-const EditorTabs = () => {
+const EditorTabs = ({ groupId }) => {
   const { 
     openFiles, 
-    activeFile, 
-    setActiveFile, 
+    editorGroups,
+    activeGroupId,
+    activateFile, 
     closeFile,
+    moveEditorTab,
+    pinEditorTab,
     unsavedChanges,
     saving
   } = useContext(EditorContext);
+  // Tab index a dragged tab would be dropped at
+  const [dropIndex, setDropIndex] = useState(null);
 
-  if (!openFiles || openFiles.length === 0) {
-    return <EmptyTabs>No files open</EmptyTabs>;
+  const group = editorGroups.find(g => g.id === groupId) || editorGroups[0];
+  const groupFiles = group.fileIds
+    .map(fileId => openFiles.find(f => f._id === fileId))
+    .filter(Boolean);
+
+  const isTabDrag = (e) => e.dataTransfer.types.includes(TAB_DRAG_TYPE);
+
+  const handleDragStart = (e, file) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(TAB_DRAG_TYPE, JSON.stringify({ fileId: file._id, groupId: group.id }));
+  };
+
+  const handleDragOver = (e, index) => {
+    if (!isTabDrag(e)) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    setDropIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    setDropIndex(null);
+    const dragged = getDraggedTab(e);
+    if (!dragged) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    moveEditorTab(dragged.fileId, dragged.groupId, group.id, index);
+  };
+
+  if (groupFiles.length === 0) {
+    return (
+      <EmptyTabs
+        $isDropTarget={dropIndex !== null}
+        onDragOver={e => handleDragOver(e, 0)}
+        onDragLeave={() => setDropIndex(null)}
+        onDrop={e => handleDrop(e, 0)}
+      >
+        No files open
+      </EmptyTabs>
+    );
   }
 
   const getFileIcon = (extension) => {
@@ -43,31 +91,61 @@ const EditorTabs = () => {
   };
 
   return (
-    <TabsContainer>
+    <TabsContainer
+      onDragOver={e => handleDragOver(e, groupFiles.length)}
+      onDragLeave={e => !e.currentTarget.contains(e.relatedTarget) && setDropIndex(null)}
+      onDrop={e => handleDrop(e, groupFiles.length)}
+    >
       <TabsList>
-        {openFiles.map(file => (
-          <Tab 
-            key={file._id}
-            isActive={activeFile && activeFile._id === file._id}
-            onClick={() => setActiveFile(file)}
-          >
-            <TabIcon>{getFileIcon(file.extension)}</TabIcon>
-            <TabName>{file.name}{file.extension}</TabName>
-            {unsavedChanges[file._id] && (
-              <UnsavedIndicator>●</UnsavedIndicator>
-            )}
-            <CloseButton 
-              onClick={(e) => {
-                e.stopPropagation();
-                closeFile(file._id);
-              }}
+        {groupFiles.map((file, index) => {
+          const isPinned = (group.pinnedIds || []).includes(file._id);
+          
+          return (
+            <Tab 
+              key={file._id}
+              isActive={group.activeFileId === file._id}
+              $isFocused={group.id === activeGroupId}
+              $isDropTarget={dropIndex === index}
+              draggable
+              onDragStart={e => handleDragStart(e, file)}
+              onDragEnd={() => setDropIndex(null)}
+              onDragOver={e => handleDragOver(e, index)}
+              onDrop={e => handleDrop(e, index)}
+              onClick={() => activateFile(file._id, group.id)}
             >
-              <FaTimes />
-            </CloseButton>
-          </Tab>
-        ))}
+              <TabIcon>{getFileIcon(file.extension)}</TabIcon>
+              <TabName>{file.name}{file.extension}</TabName>
+              <PresenceDots fileId={file._id} />
+              <ProblemBadge fileId={file._id} />
+              {unsavedChanges[file._id] && (
+                <UnsavedIndicator>●</UnsavedIndicator>
+              )}
+              <PinButton 
+                $isPinned={isPinned}
+                title={isPinned ? 'Unpin' : 'Pin'}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  pinEditorTab(file._id, group.id, !isPinned);
+                }}
+              >
+                <FaThumbtack />
+              </PinButton>
+              {!isPinned && (
+                <CloseButton 
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    closeFile(file._id, group.id);
+                  }}
+                >
+                  <FaTimes />
+                </CloseButton>
+              )}
+            </Tab>
+          );
+        })}
+        <TabDropZone $isDropTarget={dropIndex === groupFiles.length} />
       </TabsList>
-      {saving && <SavingIndicator>Saving...</SavingIndicator>}
+      {saving && group.id === activeGroupId && <SavingIndicator>Saving...</SavingIndicator>}
     </TabsContainer>
   );
 };
@@ -94,6 +172,30 @@ const TabsList = styled.div`
   height: 100%;
 `;
 
+// Pinned tabs always show the pin, others only on hover
+const PinButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background-color: transparent;
+  border: none;
+  border-radius: 50%;
+  color: ${props => props.$isPinned ? 'var(--color-text-secondary)' : 'var(--color-text-tertiary)'};
+  cursor: pointer;
+  padding: 2px;
+  opacity: ${props => props.$isPinned ? 1 : 0};
+
+  svg {
+    width: 10px;
+    height: 10px;
+  }
+
+  &:hover {
+    background-color: var(--color-border);
+    color: var(--color-text-secondary);
+  }
+`;
+
 const Tab = styled.div`
   display: flex;
   align-items: center;
@@ -109,10 +211,25 @@ const Tab = styled.div`
   user-select: none;
   position: relative;
   white-space: nowrap;
+  box-shadow: ${props => {
+    if (props.$isDropTarget) return 'inset 2px 0 0 var(--color-primary)';
+    return props.isActive && props.$isFocused ? 'inset 0 2px 0 var(--color-primary)' : 'none';
+  }};
   
   &:hover {
     background-color: ${props => props.isActive ? 'var(--color-background)' : 'var(--color-surface)'};
   }
+
+  &:hover ${PinButton} {
+    opacity: 1;
+  }
+`;
+
+// Marks the end of the strip while a tab is dragged past the last one
+const TabDropZone = styled.div`
+  width: 2px;
+  height: 100%;
+  background-color: ${props => props.$isDropTarget ? 'var(--color-primary)' : 'transparent'};
 `;
 
 const TabIcon = styled.span`
@@ -168,7 +285,7 @@ const EmptyTabs = styled.div`
   align-items: center;
   justify-content: center;
   height: 40px;
-  background-color: var(--color-surface-light);
+  background-color: ${props => props.$isDropTarget ? 'var(--color-primary-light)' : 'var(--color-surface-light)'};
   border-bottom: 1px solid var(--color-border);
   color: var(--color-text-tertiary);
   font-size: 13px;
@@ -1,17 +1,42 @@
 // client/src/components/Editor/ExecutionResult.jsx
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import styled from 'styled-components';
-import { FaTimes, FaExpandAlt, FaCompressAlt, FaDownload } from 'react-icons/fa';
+import { FaTimes, FaExpandAlt, FaCompressAlt, FaDownload, FaStop, FaSpinner } from 'react-icons/fa';
 
-const ExecutionResult = ({ result, onClose, language }) => {
+const ExecutionResult = ({ result, onClose, onCancel, onInput, onCloseInput, language }) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [inputValue, setInputValue] = useState('');
+  const contentRef = useRef(null);
+  const chunkCount = result?.chunks?.length || 0;
+
+  // Keep the latest output in view while the program runs
+  useEffect(() => {
+    const content = contentRef.current;
+    if (content) content.scrollTop = content.scrollHeight;
+  }, [chunkCount, result?.isRunning]);
 
   if (!result) return null;
 
-  const { success, output, error, executionTime } = result;
+  const { success, output, error, executionTime, chunks = [], isRunning, acceptsInput } = result;
+  const streamedText = chunks.map(chunk => chunk.data).join('');
+  const hasOutput = chunks.length > 0 || Boolean(output);
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onInput(`${inputValue}\n`);
+      setInputValue('');
+    } else if (e.key === 'd' && e.ctrlKey) {
+      // End of input, as in a terminal
+      e.preventDefault();
+      if (inputValue) onInput(inputValue);
+      setInputValue('');
+      onCloseInput?.();
+    }
+  };
 
   const handleDownload = () => {
-    const content = output || error || 'No output';
+    const content = streamedText || output || error || 'No output';
     const blob = new Blob([content], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -25,12 +50,23 @@ const ExecutionResult = ({ result, onClose, language }) => {
 
   return (
     <ResultContainer isExpanded={isExpanded}>
-      <ResultHeader success={success}>
+      <ResultHeader success={success} isRunning={isRunning}>
         <HeaderTitle>
-          {success ? 'Execution Successful' : 'Execution Failed'}
-          {executionTime && <ExecutionTime> ({executionTime}ms)</ExecutionTime>}
+          {isRunning ? (
+            <>
+              <FaSpinner className="spinner" /> Running...
+            </>
+          ) : (
+            success ? 'Execution Successful' : 'Execution Failed'
+          )}
+          {!isRunning && executionTime && <ExecutionTime> ({executionTime}ms)</ExecutionTime>}
         </HeaderTitle>
         <HeaderActions>
+          {isRunning && onCancel && (
+            <ActionButton onClick={onCancel} title="Stop execution">
+              <FaStop />
+            </ActionButton>
+          )}
           <ActionButton onClick={handleDownload} title="Download result">
             <FaDownload />
           </ActionButton>
@@ -45,20 +81,39 @@ const ExecutionResult = ({ result, onClose, language }) => {
           </ActionButton>
         </HeaderActions>
       </ResultHeader>
-      <ResultContent>
-        {output && (
+      <ResultContent ref={contentRef}>
+        {hasOutput && (
           <OutputSection>
             <OutputTitle>Output:</OutputTitle>
-            <OutputText language={language}>{output}</OutputText>
+            <OutputText language={language}>
+              {chunks.length > 0
+                ? chunks.map((chunk, index) => (
+                  <OutputChunk key={index} stream={chunk.stream}>{chunk.data}</OutputChunk>
+                ))
+                : output}
+            </OutputText>
           </OutputSection>
         )}
+        {isRunning && acceptsInput && onInput && (
+          <InputRow>
+            <InputPrompt>&gt;</InputPrompt>
+            <StdinInput
+              value={inputValue}
+              onChange={(e) => setInputValue(e.target.value)}
+              onKeyDown={handleInputKeyDown}
+              placeholder="Type input and press Enter (Ctrl+D to end input)"
+              aria-label="Program input"
+              autoFocus
+            />
+          </InputRow>
+        )}
         {error && (
           <ErrorSection>
             <ErrorTitle>Error:</ErrorTitle>
             <ErrorText>{error}</ErrorText>
           </ErrorSection>
         )}
-        {!output && !error && <NoOutputText>No output generated</NoOutputText>}
+        {!hasOutput && !error && !isRunning && <NoOutputText>No output generated</NoOutputText>}
       </ResultContent>
     </ResultContainer>
   );
@@ -86,9 +141,28 @@ const ResultHeader = styled.div`
   justify-content: space-between;
   align-items: center;
   padding: 10px 16px;
-  background-color: ${props => (props.success ? 'var(--color-success-light)' : 'var(--color-error-light)')};
-  color: ${props => (props.success ? 'var(--color-success-dark)' : 'var(--color-error-dark)')};
-  border-bottom: 1px solid ${props => (props.success ? 'var(--color-success)' : 'var(--color-error)')};
+  background-color: ${props => {
+    if (props.isRunning) return 'var(--color-background)';
+    return props.success ? 'var(--color-success-light)' : 'var(--color-error-light)';
+  }};
+  color: ${props => {
+    if (props.isRunning) return 'var(--color-text-primary)';
+    return props.success ? 'var(--color-success-dark)' : 'var(--color-error-dark)';
+  }};
+  border-bottom: 1px solid ${props => {
+    if (props.isRunning) return 'var(--color-border)';
+    return props.success ? 'var(--color-success)' : 'var(--color-error)';
+  }};
+
+  .spinner {
+    animation: spin 1s linear infinite;
+    margin-right: 6px;
+  }
+
+  @keyframes spin {
+    from { transform: rotate(0deg); }
+    to { transform: rotate(360deg); }
+  }
 `;
 
 const HeaderTitle = styled.div`
@@ -159,6 +233,41 @@ const OutputText = styled.pre`
   color: var(--color-text-primary);
 `;
 
+const OutputChunk = styled.span`
+  color: ${props => (props.stream === 'stderr' ? 'var(--color-error)' : 'inherit')};
+  opacity: ${props => (props.stream === 'stdin' ? 0.7 : 1)};
+  font-style: ${props => (props.stream === 'stdin' ? 'italic' : 'normal')};
+`;
+
+const InputRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 10px;
+`;
+
+const InputPrompt = styled.span`
+  font-family: 'Fira Code', monospace;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+const StdinInput = styled.input`
+  flex: 1;
+  padding: 6px 8px;
+  font-family: 'Fira Code', monospace;
+  font-size: 13px;
+  background-color: var(--color-background);
+  color: var(--color-text-primary);
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-primary);
+  }
+`;
+
 const ErrorSection = styled.div`
   margin-top: 10px;
 `;
@@ -4,36 +4,86 @@ import styled from 'styled-components';
 import { 
   FaFile, FaFolder, FaFolderOpen, FaPlus, FaEllipsisV, 
   FaCode, FaMarkdown, FaJs, FaPython, FaHtml5, FaCss3,
-  FaTrash, FaEdit, FaCopy
+  FaTrash, FaEdit, FaCopy, FaFileImport, FaCut, FaPaste,
+  FaClone, FaFileExport
 } from 'react-icons/fa';
-import { createFile, deleteFile, getProjectFiles, updateFile } from '../../services/projectService';
+import { updateFile } from '../../services/projectService';
+import { loadProjectFiles, isLocalId } from '../../services/syncService';
+import useFileSystem from '../../hooks/useFileSystem';
 import { EditorContext } from '../../contexts/EditorContext';
+import { useRegisterCommands } from '../../contexts/CommandContext';
+import { buildFilePaths, createTreeFromPaths, getDescendantIds } from '../../utils/filePaths';
+import { collectSubtree, getTopLevelIds } from '../../utils/fileCopy';
+import { readUploadedFiles, readDroppedItems, isFileDrag } from '../../utils/projectArchive';
+import { validateMove } from '../../utils/validators';
 import NewFileModal from './NewFileModal';
+import ConfirmFilesModal from './ConfirmFilesModal';
+import CopyToProjectModal from './CopyToProjectModal';
+import PresenceDots from './PresenceDots';
+import ProblemBadge from './ProblemBadge';
+
+// Drag data type for files dragged within the explorer
+const MOVE_DRAG_TYPE = 'application/x-codeconclave-files';
+
+// How long a dragged item hovers over a closed folder before it opens
+const DRAG_EXPAND_DELAY = 600;
+
+// Directories first, then alphabetically
+const sortFiles = (files) => {
+  return files.sort((a, b) => {
+    if (a.type === 'directory' && b.type !== 'directory') {
+      return -1;
+    }
+    if (a.type !== 'directory' && b.type === 'directory') {
+      return 1;
+    }
+    return a.name.localeCompare(b.name);
+  });
+};
 
 const FileExplorer = ({ projectId }) => {
-  const [expandedFolders, setExpandedFolders] = useState({});
   const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0, fileId: null });
   const [isNewFileModalOpen, setIsNewFileModalOpen] = useState(false);
   const [currentFolder, setCurrentFolder] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isRenaming, setIsRenaming] = useState(null);
   const [renameValue, setRenameValue] = useState('');
+  const [importTarget, setImportTarget] = useState(null);
+  const [dropTarget, setDropTarget] = useState(undefined); // folder ID, null for the root
+  const [isImporting, setIsImporting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [clipboard, setClipboard] = useState(null); // { mode: 'cut' | 'copy', fileIds }
+  const [pendingDelete, setPendingDelete] = useState(null); // { fileIds, paths }
+  const [pendingCopy, setPendingCopy] = useState(null); // { fileIds, paths } for another project
   const renameInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const draggedIdsRef = useRef(null);
+  const expandTimerRef = useRef({ folderId: null, timer: null });
   
   const { 
     files, 
     setFiles, 
     activeFile, 
-    openFile 
+    openFile,
+    closeFiles,
+    applyFileMetadata,
+    restoreEditorSession,
+    // Kept with the editor session, so they survive switching to search
+    expandedFolders,
+    setExpandedFolders
   } = useContext(EditorContext);
 
+  const { createFile, deleteFiles, copyFiles } = useFileSystem(projectId, files, setFiles);
+
   // Fetch project files when the component mounts
   useEffect(() => {
     const fetchFiles = async () => {
       setIsLoading(true);
       try {
-        const filesData = await getProjectFiles(projectId);
+        const filesData = await loadProjectFiles(projectId);
         setFiles(filesData);
+        restoreEditorSession(projectId, filesData);
       } catch (error) {
         console.error('Error fetching files:', error);
       } finally {
@@ -42,7 +92,7 @@ const FileExplorer = ({ projectId }) => {
     };
     
     fetchFiles();
-  }, [projectId, setFiles]);
+  }, [projectId, setFiles, restoreEditorSession]);
   
   // Focus rename input when it becomes visible
   useEffect(() => {
@@ -60,11 +110,45 @@ const FileExplorer = ({ projectId }) => {
     });
   };
 
+  // IDs of the rows currently shown, in display order
+  const getVisibleIds = () => {
+    const ids = [];
+    const visit = (parentId) => {
+      sortFiles(files.filter(f => (f.parentId || null) === parentId)).forEach(f => {
+        ids.push(f._id);
+        if (f.type === 'directory' && expandedFolders[f._id]) visit(f._id);
+      });
+    };
+    visit(null);
+    return ids;
+  };
+
   const handleFileClick = (file, e) => {
     if (e) e.stopPropagation();
     
     if (isRenaming) return;
     
+    // Shift selects a range, Ctrl/Cmd toggles single items
+    if (e?.shiftKey && selectionAnchor) {
+      const visibleIds = getVisibleIds();
+      const from = visibleIds.indexOf(selectionAnchor);
+      const to = visibleIds.indexOf(file._id);
+      if (from !== -1 && to !== -1) {
+        setSelectedIds(visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1));
+        return;
+      }
+    }
+    if (e?.ctrlKey || e?.metaKey) {
+      setSelectedIds(prev => prev.includes(file._id)
+        ? prev.filter(id => id !== file._id)
+        : [...prev, file._id]);
+      setSelectionAnchor(file._id);
+      return;
+    }
+    
+    setSelectedIds([file._id]);
+    setSelectionAnchor(file._id);
+    
     if (file.type === 'file') {
       openFile(file);
     } else {
@@ -76,11 +160,12 @@ const FileExplorer = ({ projectId }) => {
     e.preventDefault();
     e.stopPropagation();
     
+    // A null file is the empty space below the tree, i.e. the project root
     setContextMenu({
       visible: true,
       x: e.clientX,
       y: e.clientY,
-      fileId: file._id,
+      fileId: file ? file._id : null,
       file
     });
   };
@@ -91,12 +176,11 @@ const FileExplorer = ({ projectId }) => {
 
   const handleNewFile = async (fileData) => {
     try {
-      const newFile = await createFile(projectId, {
+      const newFile = await createFile({
         ...fileData,
         parentId: currentFolder ? currentFolder._id : null
       });
       
-      setFiles([...files, newFile]);
       setIsNewFileModalOpen(false);
       
       // If it's a new file, open it immediately
@@ -116,22 +200,250 @@ const FileExplorer = ({ projectId }) => {
     }
   };
 
-  const handleDeleteFile = async (fileId) => {
+  // Paths of the selected items and everything inside them, for confirmations
+  const describeSubtree = (fileIds) => {
+    const paths = buildFilePaths(files);
+    return collectSubtree(files, fileIds)
+      .map(f => `${paths.get(f._id)}${f.type === 'directory' ? '/' : ''}`)
+      .sort();
+  };
+
+  const handleDeleteFile = (fileId) => {
     const file = files.find(f => f._id === fileId);
     if (!file) return;
     
-    if (window.confirm(`Are you sure you want to delete ${file.name}${file.extension || ''}?`)) {
-      try {
-        await deleteFile(projectId, fileId);
-        
-        // Remove from files state
-        setFiles(files.filter(f => f._id !== fileId));
+    const fileIds = getTopLevelIds(files, getActionIds(file));
+    setPendingDelete({ fileIds, paths: describeSubtree(fileIds) });
+    closeContextMenu();
+  };
         
-        // Close the context menu
-        closeContextMenu();
-      } catch (error) {
-        console.error('Error deleting file:', error);
+  const confirmDelete = async () => {
+    const deletedIds = await deleteFiles(pendingDelete.fileIds);
+    const deleted = new Set(deletedIds);
+    
+    closeFiles(deletedIds);
+    setSelectedIds(prev => prev.filter(id => !deleted.has(id)));
+    setClipboard(prev => {
+      const fileIds = prev?.fileIds.filter(id => !deleted.has(id));
+      return fileIds?.length ? { ...prev, fileIds } : null;
+    });
+    setExpandedFolders(prev => Object.fromEntries(
+      Object.entries(prev).filter(([folderId]) => !deleted.has(folderId))
+    ));
+  };
+
+  // Copy next to the originals, or into a folder of this project
+  const duplicateFiles = async (fileIds, targetFolderId) => {
+    try {
+      await copyFiles(fileIds, { targetFolderId });
+      if (targetFolderId) {
+        setExpandedFolders(prev => ({ ...prev, [targetFolderId]: true }));
+      }
+    } catch (error) {
+      console.error('Error copying files:', error);
+      window.alert('Failed to copy some files. Please try again.');
+    }
+  };
+
+  const handleDuplicate = (file) => {
+    closeContextMenu();
+    duplicateFiles(getActionIds(file));
+  };
+
+  const handleCopyToProject = (file) => {
+    const fileIds = getTopLevelIds(files, getActionIds(file));
+    setPendingCopy({ fileIds, paths: describeSubtree(fileIds) });
+    closeContextMenu();
+  };
+
+  // Recreate uploaded files and folders inside a folder, or the project root
+  const importEntries = async (reading, parentId) => {
+    setIsImporting(true);
+    try {
+      const { entries, skipped } = await reading;
+      const result = await createTreeFromPaths(entries, createFile, {
+        parentId,
+        existingFiles: files
+      });
+      
+      if (parentId) {
+        setExpandedFolders(prev => ({ ...prev, [parentId]: true }));
+      }
+      
+      const notImported = [
+        ...skipped.map(path => `${path} (binary file)`),
+        ...result.skipped.map(path => `${path} (already exists)`)
+      ];
+      if (notImported.length > 0) {
+        window.alert(`Some files were not imported:\n\n${notImported.join('\n')}`);
+      }
+    } catch (error) {
+      console.error('Error importing files:', error);
+      window.alert('Failed to import files. Is the archive a valid ZIP file?');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const openImportDialog = (folder) => {
+    setImportTarget(folder);
+    closeContextMenu();
+    importInputRef.current?.click();
+  };
+
+  const handleImportChange = (e) => {
+    const fileList = e.target.files;
+    if (fileList && fileList.length > 0) {
+      importEntries(readUploadedFiles(fileList), importTarget ? importTarget._id : null);
+    }
+    // Allow choosing the same file again
+    e.target.value = '';
+  };
+
+  // Files dropped on a file go into that file's folder
+  const getDropFolderId = (file) => {
+    if (!file) return null;
+    return file.type === 'directory' ? file._id : file.parentId || null;
+  };
+
+  // Move files and folders into a folder, or the project root when null.
+  // Selected items inside a folder that is also moving go along with it.
+  const moveFiles = async (fileIds, targetFolderId) => {
+    const nested = new Set(fileIds.flatMap(id => [...getDescendantIds(files, id)]));
+    const toMove = files.filter(f =>
+      fileIds.includes(f._id) && !nested.has(f._id) && (f.parentId || null) !== targetFolderId
+    );
+    if (toMove.length === 0) return;
+    
+    const validationResult = validateMove(files, toMove.map(f => f._id), targetFolderId);
+    if (!validationResult.isValid) {
+      window.alert(validationResult.message);
+      return;
+    }
+    
+    if (isLocalId(targetFolderId) || toMove.some(f => isLocalId(f._id))) {
+      window.alert('Files created while offline can be moved once they have been synced.');
+      return;
+    }
+    
+    const moved = [];
+    try {
+      for (const file of toMove) {
+        moved.push(await updateFile(projectId, file._id, { parentId: targetFolderId }));
       }
+      
+      // Show the moved items in their new place
+      if (targetFolderId) {
+        setExpandedFolders(prev => ({ ...prev, [targetFolderId]: true }));
+      }
+    } catch (error) {
+      console.error('Error moving files:', error);
+      window.alert('Failed to move some files. Please try again.');
+    } finally {
+      if (moved.length > 0) applyFileMetadata(moved);
+    }
+  };
+
+  // Context menu actions apply to the whole selection when the item is part of it
+  const getActionIds = (file) => {
+    return selectedIds.includes(file._id) ? selectedIds : [file._id];
+  };
+
+  const handleCut = (file) => {
+    setClipboard({ mode: 'cut', fileIds: getActionIds(file) });
+    closeContextMenu();
+  };
+
+  const handleCopy = (file) => {
+    setClipboard({ mode: 'copy', fileIds: getActionIds(file) });
+    closeContextMenu();
+  };
+
+  const handlePaste = (file) => {
+    closeContextMenu();
+    if (!clipboard) return;
+    
+    if (clipboard.mode === 'copy') {
+      // Copies can be pasted more than once
+      duplicateFiles(clipboard.fileIds, getDropFolderId(file));
+    } else {
+      moveFiles(clipboard.fileIds, getDropFolderId(file));
+      setClipboard(null);
+    }
+  };
+
+  const cancelDragExpand = () => {
+    clearTimeout(expandTimerRef.current.timer);
+    expandTimerRef.current = { folderId: null, timer: null };
+  };
+
+  // Open a closed folder when a drag hovers over it for a moment
+  const scheduleDragExpand = (file) => {
+    const folderId = file?.type === 'directory' && !expandedFolders[file._id] ? file._id : null;
+    if (expandTimerRef.current.folderId === folderId) return;
+    
+    cancelDragExpand();
+    if (!folderId) return;
+    
+    expandTimerRef.current = {
+      folderId,
+      timer: setTimeout(() => {
+        setExpandedFolders(prev => ({ ...prev, [folderId]: true }));
+      }, DRAG_EXPAND_DELAY)
+    };
+  };
+
+  const handleDragStart = (e, file) => {
+    e.stopPropagation();
+    
+    const fileIds = getActionIds(file);
+    if (!selectedIds.includes(file._id)) setSelectedIds([file._id]);
+    
+    draggedIdsRef.current = fileIds;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(MOVE_DRAG_TYPE, JSON.stringify(fileIds));
+  };
+
+  const handleDragEnd = () => {
+    draggedIdsRef.current = null;
+    setDropTarget(undefined);
+    cancelDragExpand();
+  };
+
+  const handleDragOver = (e, file) => {
+    const draggedIds = draggedIdsRef.current;
+    const isImport = isFileDrag(e);
+    if (!isImport && !draggedIds) return;
+    
+    e.stopPropagation();
+    scheduleDragExpand(file);
+    
+    const targetId = getDropFolderId(file);
+    if (draggedIds && !validateMove(files, draggedIds, targetId).isValid) {
+      // Not calling preventDefault() shows the drop as not allowed
+      setDropTarget(undefined);
+      return;
+    }
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isImport ? 'copy' : 'move';
+    setDropTarget(targetId);
+  };
+
+  const handleDrop = (e, file) => {
+    const draggedIds = draggedIdsRef.current;
+    const isImport = isFileDrag(e);
+    if (!isImport && !draggedIds) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    handleDragEnd();
+    
+    if (isImport) {
+      // Dropped entries can only be read while the event is being handled
+      importEntries(readDroppedItems(e.dataTransfer), getDropFolderId(file));
+    } else {
+      moveFiles(draggedIds, getDropFolderId(file));
     }
   };
   
@@ -178,10 +490,8 @@ const FileExplorer = ({ projectId }) => {
       // Update files state
       setFiles(files.map(f => f._id === fileId ? updatedFile : f));
       
-      // Update active file if it was renamed
-      if (activeFile && activeFile._id === fileId) {
-        openFile(updatedFile);
-      }
+      // Update the tabs of the file if it is open
+      applyFileMetadata([updatedFile]);
     } catch (error) {
       console.error('Error renaming file:', error);
     } finally {
@@ -237,19 +547,6 @@ const FileExplorer = ({ projectId }) => {
       fileMap[file.parentId || 'root'].push(file);
     });
     
-    // Sort files: directories first, then alphabetically
-    const sortFiles = (files) => {
-      return files.sort((a, b) => {
-        if (a.type === 'directory' && b.type !== 'directory') {
-          return -1;
-        }
-        if (a.type !== 'directory' && b.type === 'directory') {
-          return 1;
-        }
-        return a.name.localeCompare(b.name);
-      });
-    };
-    
     // Recursively render file tree
     const renderFileTree = (parentId = 'root', level = 0) => {
       const children = fileMap[parentId] || [];
@@ -261,8 +558,16 @@ const FileExplorer = ({ projectId }) => {
             <FileItem 
               key={file._id}
               isActive={activeFile && activeFile._id === file._id}
+              $isSelected={selectedIds.includes(file._id)}
+              $isCut={clipboard?.mode === 'cut' && clipboard.fileIds.includes(file._id)}
+              $isDropTarget={file.type === 'directory' && dropTarget === file._id}
+              draggable={isRenaming !== file._id}
               onClick={(e) => handleFileClick(file, e)}
               onContextMenu={(e) => handleContextMenu(e, file)}
+              onDragStart={(e) => handleDragStart(e, file)}
+              onDragEnd={handleDragEnd}
+              onDragOver={(e) => handleDragOver(e, file)}
+              onDrop={(e) => handleDrop(e, file)}
             >
               {isRenaming === file._id ? (
                 <RenameInput
@@ -279,6 +584,8 @@ const FileExplorer = ({ projectId }) => {
                     {getFileIcon(file)}
                   </FileIconWrapper>
                   <FileName>{file.name}{file.type === 'file' ? file.extension : ''}</FileName>
+                  {file.type === 'file' && <PresenceDots fileId={file._id} />}
+                  {file.type === 'file' && <ProblemBadge fileId={file._id} />}
                 </>
               )}
               
@@ -294,6 +601,86 @@ const FileExplorer = ({ projectId }) => {
     return renderFileTree();
   };
 
+  // The most recently selected item stands for the selection in commands
+  const getSelectedFile = () => files.find(f => f._id === selectedIds[selectedIds.length - 1]) || null;
+  const hasSelection = () => Boolean(getSelectedFile());
+
+  useRegisterCommands([
+    {
+      id: 'explorer.newFile',
+      title: 'New File or Folder...',
+      category: 'File',
+      run: () => {
+        const selected = getSelectedFile();
+        const parentId = selected ? getDropFolderId(selected) : null;
+        setCurrentFolder(files.find(f => f._id === parentId) || null);
+        setIsNewFileModalOpen(true);
+      }
+    },
+    {
+      id: 'explorer.importFiles',
+      title: 'Import Files...',
+      category: 'File',
+      isEnabled: () => !isImporting,
+      run: () => openImportDialog(null)
+    },
+    {
+      id: 'explorer.cut',
+      title: 'Cut Selected Files',
+      category: 'Explorer',
+      isEnabled: hasSelection,
+      run: () => handleCut(getSelectedFile())
+    },
+    {
+      id: 'explorer.copy',
+      title: 'Copy Selected Files',
+      category: 'Explorer',
+      isEnabled: hasSelection,
+      run: () => handleCopy(getSelectedFile())
+    },
+    {
+      id: 'explorer.paste',
+      title: 'Paste Files',
+      category: 'Explorer',
+      isEnabled: () => Boolean(clipboard),
+      run: () => handlePaste(getSelectedFile())
+    },
+    {
+      id: 'explorer.duplicate',
+      title: 'Duplicate Selected Files',
+      category: 'Explorer',
+      isEnabled: hasSelection,
+      run: () => handleDuplicate(getSelectedFile())
+    },
+    {
+      id: 'explorer.copyToProject',
+      title: 'Copy Selected Files to Project...',
+      category: 'Explorer',
+      isEnabled: hasSelection,
+      run: () => handleCopyToProject(getSelectedFile())
+    },
+    {
+      id: 'explorer.rename',
+      title: 'Rename Selected File',
+      category: 'Explorer',
+      isEnabled: () => selectedIds.length === 1 && hasSelection(),
+      run: () => startRenaming(getSelectedFile())
+    },
+    {
+      id: 'explorer.delete',
+      title: 'Delete Selected Files',
+      category: 'Explorer',
+      isEnabled: hasSelection,
+      run: () => handleDeleteFile(getSelectedFile()._id)
+    },
+    {
+      id: 'explorer.collapseAll',
+      title: 'Collapse All Folders',
+      category: 'Explorer',
+      run: () => setExpandedFolders({})
+    }
+  ]);
+
   if (isLoading) {
     return <LoadingIndicator>Loading files...</LoadingIndicator>;
   }
@@ -302,19 +689,47 @@ const FileExplorer = ({ projectId }) => {
     <ExplorerContainer onClick={closeContextMenu}>
       <ExplorerHeader>
         <Title>Files</Title>
-        <AddButton 
-          onClick={(e) => {
-            e.stopPropagation();
-            setCurrentFolder(null);
-            setIsNewFileModalOpen(true);
-          }}
-          title="Add new file or folder"
-        >
-          <FaPlus />
-        </AddButton>
+        <HeaderActions>
+          <AddButton 
+            onClick={(e) => {
+              e.stopPropagation();
+              openImportDialog(null);
+            }}
+            disabled={isImporting}
+            title="Import a ZIP file or files"
+          >
+            <FaFileImport />
+          </AddButton>
+          <AddButton 
+            onClick={(e) => {
+              e.stopPropagation();
+              setCurrentFolder(null);
+              setIsNewFileModalOpen(true);
+            }}
+            title="Add new file or folder"
+          >
+            <FaPlus />
+          </AddButton>
+        </HeaderActions>
+        <HiddenInput
+          ref={importInputRef}
+          type="file"
+          multiple
+          onChange={handleImportChange}
+        />
       </ExplorerHeader>
       
-      <ExplorerContent>
+      {isImporting && <ImportStatus>Importing files...</ImportStatus>}
+      
+      <ExplorerContent
+        $isDropTarget={dropTarget === null}
+        onDragOver={(e) => handleDragOver(e, null)}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(undefined);
+        }}
+        onDrop={(e) => handleDrop(e, null)}
+        onContextMenu={(e) => handleContextMenu(e, null)}
+      >
         {files.length === 0 ? (
           <EmptyState>
             <p>No files yet</p>
@@ -330,7 +745,7 @@ const FileExplorer = ({ projectId }) => {
       {/* Context Menu */}
       {contextMenu.visible && (
         <ContextMenu style={{ top: contextMenu.y, left: contextMenu.x }}>
-          {contextMenu.file?.type === 'directory' && (
+          {(!contextMenu.file || contextMenu.file.type === 'directory') && (
             <ContextMenuItem 
               onClick={() => {
                 setCurrentFolder(contextMenu.file);
@@ -341,12 +756,46 @@ const FileExplorer = ({ projectId }) => {
               <FaPlus /> New File
             </ContextMenuItem>
           )}
-          <ContextMenuItem onClick={() => startRenaming(contextMenu.file)}>
-            <FaEdit /> Rename
-          </ContextMenuItem>
-          <ContextMenuItem onClick={() => handleDeleteFile(contextMenu.fileId)}>
-            <FaTrash /> Delete
-          </ContextMenuItem>
+          {(!contextMenu.file || contextMenu.file.type === 'directory') && (
+            <ContextMenuItem onClick={() => openImportDialog(contextMenu.file)}>
+              <FaFileImport /> Import Files
+            </ContextMenuItem>
+          )}
+          {contextMenu.file && (
+            <ContextMenuItem onClick={() => handleCut(contextMenu.file)}>
+              <FaCut /> Cut
+            </ContextMenuItem>
+          )}
+          {contextMenu.file && (
+            <ContextMenuItem onClick={() => handleCopy(contextMenu.file)}>
+              <FaCopy /> Copy
+            </ContextMenuItem>
+          )}
+          {clipboard && (
+            <ContextMenuItem onClick={() => handlePaste(contextMenu.file)}>
+              <FaPaste /> Paste
+            </ContextMenuItem>
+          )}
+          {contextMenu.file && (
+            <ContextMenuItem onClick={() => handleDuplicate(contextMenu.file)}>
+              <FaClone /> Duplicate
+            </ContextMenuItem>
+          )}
+          {contextMenu.file && (
+            <ContextMenuItem onClick={() => handleCopyToProject(contextMenu.file)}>
+              <FaFileExport /> Copy to Project...
+            </ContextMenuItem>
+          )}
+          {contextMenu.file && (
+            <ContextMenuItem onClick={() => startRenaming(contextMenu.file)}>
+              <FaEdit /> Rename
+            </ContextMenuItem>
+          )}
+          {contextMenu.file && (
+            <ContextMenuItem onClick={() => handleDeleteFile(contextMenu.fileId)}>
+              <FaTrash /> Delete
+            </ContextMenuItem>
+          )}
         </ContextMenu>
       )}
       
@@ -357,6 +806,31 @@ const FileExplorer = ({ projectId }) => {
         onCreate={handleNewFile}
         folder={currentFolder}
       />
+      
+      {/* Delete confirmation */}
+      <ConfirmFilesModal
+        isOpen={Boolean(pendingDelete)}
+        title="Delete Files"
+        message={`Delete these ${pendingDelete?.paths.length} items? This cannot be undone.`}
+        paths={pendingDelete?.paths}
+        confirmLabel="Delete"
+        isDanger
+        onConfirm={confirmDelete}
+        onClose={() => setPendingDelete(null)}
+      />
+      
+      {/* Copy to another project */}
+      <CopyToProjectModal
+        isOpen={Boolean(pendingCopy)}
+        onClose={() => setPendingCopy(null)}
+        projectId={projectId}
+        paths={pendingCopy?.paths || []}
+        onCopy={(targetProjectId, targetFolderId, targetFiles) => copyFiles(pendingCopy.fileIds, {
+          targetProjectId,
+          targetFolderId,
+          targetFiles
+        })}
+      />
     </ExplorerContainer>
   );
 };
@@ -386,6 +860,23 @@ const Title = styled.h3`
   color: var(--color-text-primary);
 `;
 
+const HeaderActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+`;
+
+const HiddenInput = styled.input`
+  display: none;
+`;
+
+const ImportStatus = styled.div`
+  padding: 6px 12px;
+  font-size: 12px;
+  color: var(--color-text-secondary);
+  border-bottom: 1px solid var(--color-border);
+`;
+
 const AddButton = styled.button`
   display: flex;
   align-items: center;
@@ -400,12 +891,19 @@ const AddButton = styled.button`
   &:hover {
     background-color: var(--color-background);
   }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
 `;
 
 const ExplorerContent = styled.div`
   flex: 1;
   overflow-y: auto;
   padding: 4px 0;
+  outline: ${props => props.$isDropTarget ? '2px dashed var(--color-primary)' : 'none'};
+  outline-offset: -2px;
 `;
 
 const FileList = styled.ul`
@@ -421,8 +919,11 @@ const FileItem = styled.li`
   padding: 6px 12px;
   cursor: pointer;
   position: relative;
-  background-color: ${props => props.isActive ? 'var(--color-surface-light)' : 'transparent'};
+  background-color: ${props => props.isActive || props.$isSelected ? 'var(--color-surface-light)' : 'transparent'};
   border-left: 3px solid ${props => props.isActive ? 'var(--color-primary)' : 'transparent'};
+  opacity: ${props => props.$isCut ? 0.5 : 1};
+  outline: ${props => props.$isDropTarget ? '1px dashed var(--color-primary)' : 'none'};
+  outline-offset: -1px;
   
   &:hover {
     background-color: ${props => props.isActive ? 'var(--color-surface-light)' : 'var(--color-background)'};
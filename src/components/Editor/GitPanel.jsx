@@ -0,0 +1,652 @@
+// client/src/components/Editor/GitPanel.jsx
+import { useState, useEffect, useContext, useMemo, useCallback } from 'react';
+import styled from 'styled-components';
+import { DiffEditor } from '@monaco-editor/react';
+import {
+  FaCodeBranch,
+  FaTimes,
+  FaDownload,
+  FaCloudUploadAlt,
+  FaUnlink,
+  FaSpinner
+} from 'react-icons/fa';
+import { EditorContext } from '../../contexts/EditorContext';
+import { AuthContext } from '../../contexts/AuthContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { SUPPORTED_LANGUAGES } from '../../config/constants';
+import {
+  cloneRepository,
+  loadBundle,
+  saveRepository,
+  openRepository,
+  unlinkRepository,
+  getStatus,
+  commitChanges,
+  getUnpushedCommits,
+  createWorkingPatch,
+  formatPatches,
+  createBundle,
+  pushChanges
+} from '../../services/gitService';
+import { splitFileName } from '../../utils/filePaths';
+import { downloadFile, toSafeFileName } from '../../utils/download';
+
+const STATUS_LABELS = {
+  added: 'A',
+  deleted: 'D',
+  modified: 'M'
+};
+
+const getLanguage = (path) => {
+  const { extension } = splitFileName(path.split('/').pop());
+  return SUPPORTED_LANGUAGES.find(lang =>
+    lang.extensions.includes(extension.toLowerCase())
+  )?.id || 'plaintext';
+};
+
+const GitPanel = ({ isOpen, onClose, projectId, projectName }) => {
+  const { files, openFiles } = useContext(EditorContext);
+  const { currentUser } = useContext(AuthContext);
+  const { isDarkMode } = useTheme();
+  const [repo, setRepo] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [unpushed, setUnpushed] = useState([]);
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [linkData, setLinkData] = useState({ url: '', ref: '', bundle: null });
+  const [message, setMessage] = useState('');
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [busyAction, setBusyAction] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Unsaved edits in open tabs are part of the working copy
+  const workingFiles = useMemo(() => files.map(file =>
+    openFiles.find(f => f._id === file._id) || file
+  ), [files, openFiles]);
+
+  const refresh = useCallback(async (currentRepo) => {
+    if (!currentRepo) {
+      setChanges([]);
+      setUnpushed([]);
+      return;
+    }
+    setChanges(await getStatus(currentRepo, workingFiles));
+    setUnpushed(await getUnpushedCommits(currentRepo));
+  }, [workingFiles]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let isCancelled = false;
+    setIsLoading(true);
+    openRepository(projectId)
+      .then(linked => {
+        if (!isCancelled) setRepo(linked);
+      })
+      .catch(err => {
+        console.error('Error opening repository:', err);
+        if (!isCancelled) setError('Failed to open the linked repository');
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [isOpen, projectId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    refresh(repo).catch(err => {
+      console.error('Error reading repository status:', err);
+      setError('Failed to read repository status');
+    });
+  }, [isOpen, repo, refresh]);
+
+  if (!isOpen) return null;
+
+  const selectedChange = changes.find(change => change.path === selectedPath) || null;
+
+  // Run one repository action at a time, surfacing its errors in the panel
+  const runAction = async (action, task) => {
+    setBusyAction(action);
+    setError('');
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Git ${action} failed:`, err);
+      setError(err.message || `Git ${action} failed`);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleLink = (e) => {
+    e.preventDefault();
+    if (!linkData.url.trim() && !linkData.bundle) return;
+
+    runAction('link', async () => {
+      const linked = linkData.bundle
+        ? await loadBundle(await linkData.bundle.arrayBuffer())
+        : await cloneRepository({ url: linkData.url.trim(), ref: linkData.ref.trim() });
+      await saveRepository(projectId, linked);
+      setLinkData({ url: '', ref: '', bundle: null });
+      setRepo(linked);
+    });
+  };
+
+  const handleCommit = (e) => {
+    e.preventDefault();
+    if (!message.trim() || changes.length === 0) return;
+
+    runAction('commit', async () => {
+      await commitChanges(repo, workingFiles, {
+        message: message.trim(),
+        author: {
+          name: currentUser?.username || 'CodeConclave User',
+          email: currentUser?.email || 'user@codeconclave.local'
+        }
+      });
+      await saveRepository(projectId, repo);
+      setMessage('');
+      setSelectedPath(null);
+      await refresh(repo);
+    });
+  };
+
+  const handleDownloadPatch = () => runAction('export', async () => {
+    // Committed work is exported with its messages; otherwise the plain diff
+    const patch = unpushed.length > 0 ? await formatPatches(repo) : createWorkingPatch(changes);
+    downloadFile(patch, `${toSafeFileName(projectName)}.patch`, 'text/x-diff');
+  });
+
+  const handleDownloadBundle = () => runAction('export', async () => {
+    const bundle = await createBundle(repo);
+    downloadFile(bundle, `${toSafeFileName(projectName)}.bundle`);
+  });
+
+  const handlePush = (e) => {
+    e.preventDefault();
+
+    runAction('push', async () => {
+      await pushChanges(repo, credentials);
+      await saveRepository(projectId, repo);
+      setCredentials(prev => ({ ...prev, password: '' }));
+      await refresh(repo);
+    });
+  };
+
+  const handleUnlink = () => {
+    const confirmed = window.confirm(
+      'Unlink this repository? Unpushed commits are lost, but project files are kept.'
+    );
+    if (!confirmed) return;
+
+    runAction('unlink', async () => {
+      await unlinkRepository(projectId);
+      setRepo(null);
+      setSelectedPath(null);
+    });
+  };
+
+  const renderLinkForm = () => (
+    <LinkForm onSubmit={handleLink}>
+      <p>
+        Link this project to a Git repository to see changes against its latest commit,
+        commit them and export patches or bundles.
+      </p>
+      <Input
+        type="url"
+        placeholder="https://github.com/user/repo.git"
+        value={linkData.url}
+        onChange={e => setLinkData({ ...linkData, url: e.target.value })}
+        disabled={Boolean(linkData.bundle)}
+      />
+      <Input
+        type="text"
+        placeholder="Branch (default branch if empty)"
+        value={linkData.ref}
+        onChange={e => setLinkData({ ...linkData, ref: e.target.value })}
+        disabled={Boolean(linkData.bundle)}
+      />
+      <FileLabel>
+        Or use a bundle file
+        <input
+          type="file"
+          accept=".bundle,.pack"
+          onChange={e => setLinkData({ ...linkData, bundle: e.target.files[0] || null })}
+        />
+      </FileLabel>
+      <PrimaryButton
+        type="submit"
+        disabled={busyAction !== null || (!linkData.url.trim() && !linkData.bundle)}
+      >
+        {busyAction === 'link' ? 'Linking...' : 'Link repository'}
+      </PrimaryButton>
+    </LinkForm>
+  );
+
+  const renderRepository = () => (
+    <ModalBody>
+      <Sidebar>
+        <RepoInfo>
+          <RepoBranch>
+            <FaCodeBranch />
+            {repo.branch}
+          </RepoBranch>
+          <RepoRemote title={repo.remote || ''}>{repo.remote || 'Imported from a bundle'}</RepoRemote>
+          {unpushed.length > 0 && (
+            <RepoRemote>{unpushed.length} commit{unpushed.length === 1 ? '' : 's'} not pushed</RepoRemote>
+          )}
+        </RepoInfo>
+
+        <CommitForm onSubmit={handleCommit}>
+          <MessageInput
+            placeholder="Commit message"
+            value={message}
+            onChange={e => setMessage(e.target.value)}
+            disabled={busyAction !== null}
+            rows={3}
+          />
+          <PrimaryButton
+            type="submit"
+            disabled={busyAction !== null || !message.trim() || changes.length === 0}
+          >
+            {busyAction === 'commit' ? 'Committing...' : `Commit ${changes.length} change${changes.length === 1 ? '' : 's'}`}
+          </PrimaryButton>
+        </CommitForm>
+
+        <ChangeList>
+          {changes.length === 0 && <EmptyMessage>No changes since the last commit.</EmptyMessage>}
+          {changes.map(change => (
+            <ChangeItem
+              key={change.path}
+              $isSelected={change.path === selectedPath}
+              onClick={() => setSelectedPath(change.path)}
+            >
+              <StatusBadge status={change.status}>{STATUS_LABELS[change.status]}</StatusBadge>
+              <ChangePath>{change.path}</ChangePath>
+            </ChangeItem>
+          ))}
+        </ChangeList>
+
+        <Actions>
+          <ActionButton
+            onClick={handleDownloadPatch}
+            disabled={busyAction !== null || (changes.length === 0 && unpushed.length === 0)}
+            title={unpushed.length > 0 ? 'Download unpushed commits for git am' : 'Download changes for git apply'}
+          >
+            <FaDownload />
+            Patch
+          </ActionButton>
+          <ActionButton
+            onClick={handleDownloadBundle}
+            disabled={busyAction !== null || unpushed.length === 0}
+            title="Download unpushed commits for git fetch"
+          >
+            <FaDownload />
+            Bundle
+          </ActionButton>
+          <ActionButton onClick={handleUnlink} disabled={busyAction !== null} title="Unlink repository">
+            <FaUnlink />
+          </ActionButton>
+        </Actions>
+
+        {repo.remote && (
+          <PushForm onSubmit={handlePush}>
+            <Input
+              type="text"
+              placeholder="Username"
+              value={credentials.username}
+              onChange={e => setCredentials({ ...credentials, username: e.target.value })}
+              autoComplete="username"
+            />
+            <Input
+              type="password"
+              placeholder="Password or access token"
+              value={credentials.password}
+              onChange={e => setCredentials({ ...credentials, password: e.target.value })}
+              autoComplete="current-password"
+            />
+            <PrimaryButton type="submit" disabled={busyAction !== null || unpushed.length === 0}>
+              {busyAction === 'push' ? <FaSpinner className="spinner" /> : <FaCloudUploadAlt />}
+              Push
+            </PrimaryButton>
+          </PushForm>
+        )}
+      </Sidebar>
+
+      <DiffWrapper>
+        {selectedChange ? (
+          <DiffEditor
+            height="100%"
+            language={getLanguage(selectedChange.path)}
+            original={selectedChange.before || ''}
+            modified={selectedChange.after || ''}
+            theme={isDarkMode ? 'vs-dark' : 'light'}
+            options={{
+              readOnly: true,
+              minimap: { enabled: false },
+              scrollBeyondLastLine: false,
+              fontSize: 13,
+              automaticLayout: true
+            }}
+          />
+        ) : (
+          <EmptyMessage>Select a changed file to see its diff.</EmptyMessage>
+        )}
+      </DiffWrapper>
+    </ModalBody>
+  );
+
+  return (
+    <ModalOverlay onClick={onClose}>
+      <ModalContent onClick={e => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>
+            <FaCodeBranch />
+            Git
+          </ModalTitle>
+          <CloseButton onClick={onClose}>
+            <FaTimes />
+          </CloseButton>
+        </ModalHeader>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        {isLoading && <EmptyMessage>Loading repository...</EmptyMessage>}
+        {!isLoading && (repo ? renderRepository() : renderLinkForm())}
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+const statusColors = {
+  added: 'var(--color-success)',
+  deleted: 'var(--color-error)',
+  modified: 'var(--color-warning)'
+};
+
+const ModalOverlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  z-index: 1000;
+`;
+
+const ModalContent = styled.div`
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-background);
+  border-radius: 8px;
+  box-shadow: var(--shadow-md);
+  width: 90vw;
+  height: 85vh;
+  border: 1px solid var(--color-border);
+  overflow: hidden;
+`;
+
+const ModalHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 15px 20px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const ModalTitle = styled.h3`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-weight: 600;
+  font-size: 18px;
+  color: var(--color-text-primary);
+  margin: 0;
+`;
+
+const CloseButton = styled.button`
+  background: none;
+  border: none;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+  font-size: 16px;
+  display: flex;
+
+  &:hover {
+    color: var(--color-text-primary);
+  }
+`;
+
+const ErrorMessage = styled.div`
+  background-color: var(--color-error-light);
+  color: var(--color-error);
+  padding: 10px 20px;
+  font-size: 14px;
+`;
+
+const LinkForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  width: 420px;
+  max-width: 100%;
+  margin: 40px auto;
+  color: var(--color-text-secondary);
+  font-size: 14px;
+
+  p {
+    margin: 0 0 6px;
+  }
+`;
+
+const Input = styled.input`
+  padding: 8px 10px;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-surface);
+  color: var(--color-text-primary);
+  font-size: 13px;
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-primary);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+  }
+`;
+
+const FileLabel = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  font-size: 13px;
+`;
+
+const ModalBody = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+`;
+
+const Sidebar = styled.div`
+  width: 320px;
+  display: flex;
+  flex-direction: column;
+  border-right: 1px solid var(--color-border);
+`;
+
+const RepoInfo = styled.div`
+  padding: 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const RepoBranch = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 14px;
+  font-weight: 600;
+  color: var(--color-text-primary);
+`;
+
+const RepoRemote = styled.div`
+  font-size: 12px;
+  color: var(--color-text-tertiary);
+  margin-top: 4px;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const CommitForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  padding: 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const MessageInput = styled.textarea`
+  padding: 8px 10px;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-surface);
+  color: var(--color-text-primary);
+  font-size: 13px;
+  font-family: inherit;
+  resize: vertical;
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-primary);
+  }
+`;
+
+const PrimaryButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 6px;
+  background-color: var(--color-primary);
+  color: white;
+  border: none;
+  border-radius: 4px;
+  padding: 8px 14px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--color-primary-dark);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+
+  .spinner {
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    100% {
+      transform: rotate(360deg);
+    }
+  }
+`;
+
+const ChangeList = styled.div`
+  flex: 1;
+  overflow-y: auto;
+`;
+
+const ChangeItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  background-color: ${props => props.$isSelected ? 'var(--color-surface-light)' : 'transparent'};
+
+  &:hover {
+    background-color: var(--color-surface-light);
+  }
+`;
+
+const StatusBadge = styled.span`
+  width: 16px;
+  font-weight: 600;
+  font-size: 12px;
+  color: ${props => statusColors[props.status]};
+`;
+
+const ChangePath = styled.span`
+  color: var(--color-text-primary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 8px;
+  padding: 12px;
+  border-top: 1px solid var(--color-border);
+`;
+
+const ActionButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  background: none;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  color: var(--color-text-secondary);
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    color: var(--color-primary);
+    border-color: var(--color-primary);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const PushForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  padding: 12px;
+  border-top: 1px solid var(--color-border);
+`;
+
+const DiffWrapper = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const EmptyMessage = styled.p`
+  margin: 0;
+  padding: 16px 12px;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+export default GitPanel;
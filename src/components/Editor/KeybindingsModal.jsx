@@ -0,0 +1,302 @@
+// client/src/components/Editor/KeybindingsModal.jsx
+import { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import { FaKeyboard, FaTimes, FaUndo, FaTrash } from 'react-icons/fa';
+import { useCommands } from '../../contexts/CommandContext';
+import {
+  eventToKeybinding,
+  findConflicts,
+  formatKeybinding,
+  normalizeKeybinding
+} from '../../utils/keybindings';
+
+const KeybindingsModal = ({ isOpen, onClose }) => {
+  const {
+    commands,
+    keybindings,
+    overrides,
+    setKeybinding,
+    resetKeybinding,
+    suspendKeybindings
+  } = useCommands();
+  const [filter, setFilter] = useState('');
+  const [recordingId, setRecordingId] = useState(null);
+
+  // Let the recorder see shortcuts that are already bound
+  useEffect(() => {
+    suspendKeybindings(Boolean(recordingId));
+    return () => suspendKeybindings(false);
+  }, [recordingId, suspendKeybindings]);
+
+  useEffect(() => {
+    if (!isOpen) setRecordingId(null);
+  }, [isOpen]);
+
+  const conflicts = useMemo(() => findConflicts(keybindings), [keybindings]);
+
+  const rows = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    return [...commands]
+      .sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.title.localeCompare(b.title))
+      .filter(command => !needle ||
+        `${command.category || ''} ${command.title} ${command.id}`.toLowerCase().includes(needle) ||
+        formatKeybinding(keybindings.get(command.id)).toLowerCase().includes(needle));
+  }, [commands, keybindings, filter]);
+
+  if (!isOpen) return null;
+
+  const handleRecordKeyDown = (e, commandId) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      setRecordingId(null);
+      return;
+    }
+
+    const keybinding = eventToKeybinding(e);
+    if (!keybinding) return;
+
+    setKeybinding(commandId, keybinding);
+    setRecordingId(null);
+  };
+
+  return (
+    <ModalOverlay onClick={onClose}>
+      <ModalContent onClick={e => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>
+            <FaKeyboard />
+            Keyboard Shortcuts
+          </ModalTitle>
+          <CloseButton onClick={onClose}>
+            <FaTimes />
+          </CloseButton>
+        </ModalHeader>
+
+        <FilterInput
+          type="text"
+          placeholder="Search commands or keybindings"
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+        />
+
+        <CommandTable>
+          <tbody>
+            {rows.map(command => {
+              const keybinding = keybindings.get(command.id);
+              const conflicting = (conflicts.get(keybinding) || []).filter(id => id !== command.id);
+              const isCustomized = command.id in overrides &&
+                normalizeKeybinding(overrides[command.id]) !== normalizeKeybinding(command.keybinding);
+
+              return (
+                <tr key={command.id}>
+                  <td>
+                    <CommandName>
+                      {command.category && <Category>{command.category}: </Category>}
+                      {command.title}
+                    </CommandName>
+                    {conflicting.length > 0 && (
+                      <ConflictNote>
+                        Also used by {conflicting.map(id => commands.find(c => c.id === id)?.title || id).join(', ')}
+                      </ConflictNote>
+                    )}
+                  </td>
+                  <td>
+                    {recordingId === command.id ? (
+                      <RecordInput
+                        autoFocus
+                        readOnly
+                        placeholder="Press keys, Esc to cancel"
+                        onKeyDown={e => handleRecordKeyDown(e, command.id)}
+                        onBlur={() => setRecordingId(null)}
+                      />
+                    ) : (
+                      <KeybindingButton
+                        onClick={() => setRecordingId(command.id)}
+                        title="Change keybinding"
+                        $isCustomized={isCustomized}
+                      >
+                        {keybinding ? formatKeybinding(keybinding) : '—'}
+                      </KeybindingButton>
+                    )}
+                  </td>
+                  <Actions>
+                    {keybinding && (
+                      <IconButton onClick={() => setKeybinding(command.id, '')} title="Remove keybinding">
+                        <FaTrash />
+                      </IconButton>
+                    )}
+                    {command.id in overrides && (
+                      <IconButton onClick={() => resetKeybinding(command.id)} title="Reset to default">
+                        <FaUndo />
+                      </IconButton>
+                    )}
+                  </Actions>
+                </tr>
+              );
+            })}
+          </tbody>
+        </CommandTable>
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+const ModalOverlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  z-index: 1000;
+`;
+
+const ModalContent = styled.div`
+  width: 90%;
+  max-width: 720px;
+  max-height: 80vh;
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-surface);
+  border: 1px solid var(--color-border);
+  border-radius: 8px;
+  box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+  overflow: hidden;
+`;
+
+const ModalHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 12px 16px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const ModalTitle = styled.h2`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin: 0;
+  font-size: 16px;
+  font-weight: 600;
+  color: var(--color-text-primary);
+`;
+
+const CloseButton = styled.button`
+  display: flex;
+  padding: 4px;
+  border: none;
+  border-radius: 4px;
+  background: none;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
+const FilterInput = styled.input`
+  margin: 12px 16px;
+  padding: 8px 10px;
+  font-size: 13px;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-background);
+  color: var(--color-text-primary);
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-primary);
+  }
+`;
+
+const CommandTable = styled.table`
+  display: block;
+  overflow-y: auto;
+  padding: 0 16px 12px;
+  border-collapse: collapse;
+
+  tbody {
+    display: table;
+    width: 100%;
+  }
+
+  td {
+    padding: 6px 4px;
+    font-size: 13px;
+    border-bottom: 1px solid var(--color-border);
+    vertical-align: middle;
+  }
+`;
+
+const CommandName = styled.div`
+  color: var(--color-text-primary);
+`;
+
+const Category = styled.span`
+  color: var(--color-text-secondary);
+`;
+
+const ConflictNote = styled.div`
+  margin-top: 2px;
+  font-size: 11px;
+  color: var(--color-warning);
+`;
+
+const KeybindingButton = styled.button`
+  min-width: 120px;
+  padding: 3px 8px;
+  font-size: 12px;
+  text-align: left;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-background);
+  color: ${props => props.$isCustomized ? 'var(--color-primary)' : 'var(--color-text-secondary)'};
+  cursor: pointer;
+
+  &:hover {
+    border-color: var(--color-primary);
+  }
+`;
+
+const RecordInput = styled.input`
+  min-width: 120px;
+  padding: 3px 8px;
+  font-size: 12px;
+  border: 1px solid var(--color-primary);
+  border-radius: 4px;
+  background-color: var(--color-background);
+  color: var(--color-text-primary);
+
+  &:focus {
+    outline: none;
+  }
+`;
+
+const Actions = styled.td`
+  width: 60px;
+  white-space: nowrap;
+  text-align: right;
+`;
+
+const IconButton = styled.button`
+  padding: 4px;
+  border: none;
+  border-radius: 4px;
+  background: none;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+
+  &:hover {
+    background-color: var(--color-background);
+    color: var(--color-text-primary);
+  }
+`;
+
+export default KeybindingsModal;
@@ -0,0 +1,57 @@
+// client/src/components/Editor/KeymapStatusLine.jsx
+import styled from 'styled-components';
+import { KEYMAPS } from '../../utils/editorKeymaps';
+
+/**
+ * Status line under an editor using the vim or emacs keymap. The keymap
+ * writes its mode and pending keys into the element behind statusRef.
+ */
+const KeymapStatusLine = ({ keymap, statusRef }) => {
+  if (keymap === 'default') return null;
+
+  const label = KEYMAPS.find(k => k.value === keymap)?.label || keymap;
+
+  return (
+    <StatusLine>
+      <KeymapName>{label}</KeymapName>
+      <StatusText ref={statusRef} />
+    </StatusLine>
+  );
+};
+
+const StatusLine = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  min-height: 24px;
+  padding: 2px 12px;
+  background-color: var(--color-surface);
+  border-top: 1px solid var(--color-border);
+  color: var(--color-text-secondary);
+  font-family: 'Fira Code', 'Droid Sans Mono', monospace;
+  font-size: 12px;
+`;
+
+const KeymapName = styled.span`
+  font-weight: 600;
+  color: var(--color-primary);
+  text-transform: uppercase;
+`;
+
+const StatusText = styled.div`
+  flex: 1;
+  display: flex;
+  gap: 8px;
+  white-space: pre;
+
+  input {
+    flex: 1;
+    border: none;
+    outline: none;
+    background: transparent;
+    color: var(--color-text-primary);
+    font: inherit;
+  }
+`;
+
+export default KeymapStatusLine;
@@ -0,0 +1,277 @@
+// client/src/components/Editor/MergeConflictModal.jsx
+import { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import Editor, { DiffEditor } from '@monaco-editor/react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { useTheme } from '../../contexts/ThemeContext';
+import { SUPPORTED_LANGUAGES } from '../../config/constants';
+import { threeWayMerge, hasConflictMarkers } from '../../utils/threeWayMerge';
+
+const readOnlyOptions = {
+  readOnly: true,
+  renderSideBySide: false,
+  minimap: { enabled: false },
+  scrollBeyondLastLine: false,
+  fontSize: 13,
+  automaticLayout: true
+};
+
+const MergeConflictModal = ({ conflict, onResolve }) => {
+  const { isDarkMode } = useTheme();
+  const [result, setResult] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const merge = useMemo(() => {
+    if (!conflict) return null;
+    return threeWayMerge(conflict.base, conflict.mine, conflict.theirs);
+  }, [conflict]);
+
+  // Start from the automatic merge; the user fixes any marked regions
+  useEffect(() => {
+    if (merge) setResult(merge.content);
+  }, [merge]);
+
+  if (!conflict) return null;
+
+  const language = SUPPORTED_LANGUAGES.find(lang =>
+    lang.extensions.includes(conflict.extension?.toLowerCase())
+  )?.id || 'plaintext';
+
+  const unresolved = hasConflictMarkers(result);
+
+  const handleResolve = async (content) => {
+    setIsSaving(true);
+    try {
+      await onResolve(content);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <ModalOverlay>
+      <ModalContent>
+        <ModalHeader>
+          <ModalTitle>
+            <FaExclamationTriangle />
+            Conflict in {conflict.fileName}
+          </ModalTitle>
+          <ConflictSummary>
+            {merge.conflicts === 0
+              ? 'Changes merged automatically. Review the result before saving.'
+              : `${merge.conflicts} conflicting ${merge.conflicts === 1 ? 'region' : 'regions'} to resolve`}
+          </ConflictSummary>
+        </ModalHeader>
+
+        <ModalBody>
+          <DiffRow>
+            <Pane>
+              <PaneTitle>Base → Mine</PaneTitle>
+              <DiffEditor
+                height="100%"
+                language={language}
+                original={conflict.base}
+                modified={conflict.mine}
+                theme={isDarkMode ? 'vs-dark' : 'light'}
+                options={readOnlyOptions}
+              />
+            </Pane>
+            <Pane>
+              <PaneTitle>Base → Theirs</PaneTitle>
+              <DiffEditor
+                height="100%"
+                language={language}
+                original={conflict.base}
+                modified={conflict.theirs}
+                theme={isDarkMode ? 'vs-dark' : 'light'}
+                options={readOnlyOptions}
+              />
+            </Pane>
+          </DiffRow>
+
+          <ResultPane>
+            <PaneTitle>Result</PaneTitle>
+            <Editor
+              height="100%"
+              language={language}
+              value={result}
+              theme={isDarkMode ? 'vs-dark' : 'light'}
+              onChange={value => setResult(value ?? '')}
+              options={{
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                fontSize: 13,
+                automaticLayout: true
+              }}
+            />
+          </ResultPane>
+        </ModalBody>
+
+        <ModalFooter>
+          <FooterHint>
+            {unresolved && 'Remove the <<<<<<< / ======= / >>>>>>> markers to save the merged result.'}
+          </FooterHint>
+          <ButtonGroup>
+            <SecondaryButton onClick={() => handleResolve(conflict.theirs)} disabled={isSaving}>
+              Take Theirs
+            </SecondaryButton>
+            <SecondaryButton onClick={() => handleResolve(conflict.mine)} disabled={isSaving}>
+              Keep Mine
+            </SecondaryButton>
+            <PrimaryButton onClick={() => handleResolve(result)} disabled={isSaving || unresolved}>
+              {isSaving ? 'Saving...' : 'Save Merged'}
+            </PrimaryButton>
+          </ButtonGroup>
+        </ModalFooter>
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+const ModalOverlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  z-index: 1000;
+`;
+
+const ModalContent = styled.div`
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-background);
+  border-radius: 8px;
+  box-shadow: var(--shadow-md);
+  width: 90vw;
+  height: 90vh;
+  border: 1px solid var(--color-border);
+  overflow: hidden;
+`;
+
+const ModalHeader = styled.div`
+  padding: 15px 20px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const ModalTitle = styled.h3`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-weight: 600;
+  font-size: 18px;
+  color: var(--color-text-primary);
+  margin: 0;
+
+  svg {
+    color: var(--color-warning);
+  }
+`;
+
+const ConflictSummary = styled.p`
+  margin: 4px 0 0;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+const ModalBody = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+  padding: 12px 20px;
+  min-height: 0;
+`;
+
+const DiffRow = styled.div`
+  flex: 1;
+  display: flex;
+  gap: 12px;
+  min-height: 0;
+`;
+
+const Pane = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-width: 0;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  overflow: hidden;
+`;
+
+const ResultPane = styled(Pane)`
+  flex: 1;
+`;
+
+const PaneTitle = styled.div`
+  padding: 6px 10px;
+  font-size: 12px;
+  font-weight: 600;
+  color: var(--color-text-secondary);
+  background-color: var(--color-surface-light);
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const ModalFooter = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 12px 20px;
+  border-top: 1px solid var(--color-border);
+`;
+
+const FooterHint = styled.span`
+  font-size: 13px;
+  color: var(--color-warning);
+`;
+
+const ButtonGroup = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const SecondaryButton = styled.button`
+  background-color: transparent;
+  color: var(--color-text-secondary);
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--color-surface);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const PrimaryButton = styled.button`
+  background-color: var(--color-primary);
+  color: white;
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--color-primary-dark);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+export default MergeConflictModal;
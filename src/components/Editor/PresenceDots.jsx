@@ -0,0 +1,39 @@
+// client/src/components/Editor/PresenceDots.jsx
+import styled from 'styled-components';
+import { usePresence } from '../../contexts/PresenceContext';
+import { getCollaboratorColor } from '../../utils/collaboratorColors';
+
+// Coloured dots for the collaborators who currently have a file open
+const PresenceDots = ({ fileId }) => {
+  const { getPeersInFile } = usePresence();
+  const peers = getPeersInFile(fileId);
+
+  if (peers.length === 0) return null;
+
+  return (
+    <DotsContainer title={peers.map(peer => peer.name).join(', ')}>
+      {peers.map(peer => (
+        <Dot
+          key={peer.clientId}
+          $color={getCollaboratorColor(peer.user?._id || peer.clientId)}
+        />
+      ))}
+    </DotsContainer>
+  );
+};
+
+const DotsContainer = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 2px;
+  margin: 0 6px;
+`;
+
+const Dot = styled.span`
+  width: 7px;
+  height: 7px;
+  border-radius: 50%;
+  background-color: ${props => props.$color};
+`;
+
+export default PresenceDots;
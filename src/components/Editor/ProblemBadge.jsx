@@ -0,0 +1,36 @@
+// client/src/components/Editor/ProblemBadge.jsx
+import styled from 'styled-components';
+import { useDiagnostics } from '../../contexts/DiagnosticsContext';
+
+// Number of lint errors, or else warnings, in a file
+const ProblemBadge = ({ fileId }) => {
+  const { getProblemCounts } = useDiagnostics();
+  const { errors, warnings } = getProblemCounts(fileId);
+
+  if (errors === 0 && warnings === 0) return null;
+
+  return (
+    <Badge
+      $severity={errors > 0 ? 'error' : 'warning'}
+      title={`${errors} errors, ${warnings} warnings`}
+    >
+      {errors > 0 ? errors : warnings}
+    </Badge>
+  );
+};
+
+const Badge = styled.span`
+  flex-shrink: 0;
+  min-width: 16px;
+  margin: 0 4px;
+  padding: 0 4px;
+  border-radius: 8px;
+  font-size: 10px;
+  font-weight: 600;
+  line-height: 16px;
+  text-align: center;
+  color: white;
+  background-color: ${props => props.$severity === 'error' ? 'var(--color-error)' : 'var(--color-warning)'};
+`;
+
+export default ProblemBadge;
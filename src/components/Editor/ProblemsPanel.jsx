@@ -0,0 +1,258 @@
+// client/src/components/Editor/ProblemsPanel.jsx
+import { useState, useContext, useMemo } from 'react';
+import styled from 'styled-components';
+import {
+  FaTimes, FaChevronRight, FaChevronDown,
+  FaTimesCircle, FaExclamationTriangle
+} from 'react-icons/fa';
+import { EditorContext } from '../../contexts/EditorContext';
+import { useDiagnostics } from '../../contexts/DiagnosticsContext';
+import { buildFilePaths, getFileName } from '../../utils/filePaths';
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+/**
+ * Lint problems across the project, grouped by file. Clicking a problem
+ * opens the file at its position.
+ */
+const ProblemsPanel = ({ onClose }) => {
+  const { files, openFileAt } = useContext(EditorContext);
+  const { diagnostics, totals } = useDiagnostics();
+  const [collapsed, setCollapsed] = useState({});
+
+  const results = useMemo(() => {
+    const paths = buildFilePaths(files);
+
+    return files
+      .filter(file => diagnostics[file._id]?.length > 0)
+      .map(file => ({
+        file,
+        path: paths.get(file._id),
+        // Errors first, then by position
+        problems: [...diagnostics[file._id]].sort((a, b) =>
+          SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+          a.line - b.line ||
+          a.column - b.column
+        )
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }, [files, diagnostics]);
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <Title>
+          Problems
+          <Count $severity="error"><FaTimesCircle /> {totals.errors}</Count>
+          <Count $severity="warning"><FaExclamationTriangle /> {totals.warnings}</Count>
+        </Title>
+        <IconButton onClick={onClose} title="Close problems">
+          <FaTimes />
+        </IconButton>
+      </PanelHeader>
+
+      {results.length === 0 ? (
+        <EmptyMessage>No problems have been detected in the project.</EmptyMessage>
+      ) : (
+        <ResultList>
+          {results.map(({ file, path, problems }) => {
+            const folder = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+
+            return (
+              <li key={file._id}>
+                <FileRow onClick={() => setCollapsed(prev => ({ ...prev, [file._id]: !prev[file._id] }))}>
+                  {collapsed[file._id] ? <FaChevronRight /> : <FaChevronDown />}
+                  <FileName>{getFileName(file)}</FileName>
+                  <FolderPath title={path}>{folder}</FolderPath>
+                  <ProblemCount>{problems.length}</ProblemCount>
+                </FileRow>
+
+                {!collapsed[file._id] && (
+                  <ProblemList>
+                    {problems.map((problem, index) => (
+                      <ProblemRow
+                        key={index}
+                        onClick={() => openFileAt(file, {
+                          lineNumber: problem.line,
+                          column: problem.column
+                        })}
+                        title={`Line ${problem.line}, column ${problem.column}`}
+                      >
+                        <SeverityIcon $severity={problem.severity}>
+                          {problem.severity === 'error' ? <FaTimesCircle /> : <FaExclamationTriangle />}
+                        </SeverityIcon>
+                        <Message>{problem.message}</Message>
+                        {problem.ruleId && <RuleId>{problem.ruleId}</RuleId>}
+                        <Position>[{problem.line}, {problem.column}]</Position>
+                      </ProblemRow>
+                    ))}
+                  </ProblemList>
+                )}
+              </li>
+            );
+          })}
+        </ResultList>
+      )}
+    </PanelContainer>
+  );
+};
+
+const severityColor = props => props.$severity === 'error' ? 'var(--color-error)' : 'var(--color-warning)';
+
+const PanelContainer = styled.div`
+  height: 100%;
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-surface);
+  border-top: 1px solid var(--color-border);
+  overflow: hidden;
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 12px;
+  border-bottom: 1px solid var(--color-border);
+  background-color: var(--color-surface-light);
+`;
+
+const Title = styled.h3`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  font-size: 13px;
+  font-weight: 600;
+  margin: 0;
+  color: var(--color-text-primary);
+`;
+
+const Count = styled.span`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  font-size: 12px;
+  font-weight: 400;
+  color: var(--color-text-secondary);
+
+  svg {
+    color: ${severityColor};
+  }
+`;
+
+const IconButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background-color: transparent;
+  border: none;
+  border-radius: 4px;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+  padding: 4px;
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
+const EmptyMessage = styled.div`
+  padding: 8px 12px;
+  font-size: 12px;
+  color: var(--color-text-secondary);
+`;
+
+const ResultList = styled.ul`
+  flex: 1;
+  overflow-y: auto;
+  list-style-type: none;
+  margin: 0;
+  padding: 0 0 8px;
+`;
+
+const FileRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 4px 12px;
+  font-size: 13px;
+  color: var(--color-text-primary);
+  cursor: pointer;
+
+  svg {
+    flex-shrink: 0;
+    font-size: 10px;
+    color: var(--color-text-secondary);
+  }
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
+const FileName = styled.span`
+  font-weight: 500;
+  white-space: nowrap;
+`;
+
+const FolderPath = styled.span`
+  min-width: 0;
+  font-size: 12px;
+  color: var(--color-text-secondary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const ProblemCount = styled.span`
+  padding: 0 6px;
+  font-size: 11px;
+  border-radius: 8px;
+  background-color: var(--color-background);
+  color: var(--color-text-secondary);
+`;
+
+const ProblemList = styled.ul`
+  list-style-type: none;
+  margin: 0;
+  padding: 0;
+`;
+
+const ProblemRow = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 2px 12px 2px 30px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
+const SeverityIcon = styled.span`
+  display: flex;
+  flex-shrink: 0;
+  color: ${severityColor};
+`;
+
+const Message = styled.span`
+  min-width: 0;
+  color: var(--color-text-primary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const RuleId = styled.span`
+  flex-shrink: 0;
+  color: var(--color-text-tertiary);
+`;
+
+const Position = styled.span`
+  flex-shrink: 0;
+  color: var(--color-text-tertiary);
+`;
+
+export default ProblemsPanel;
@@ -4,15 +4,99 @@ import { useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { 
   FaShareAlt, FaPlay, FaEllipsisV, FaDownload, 
-  FaHome, FaSpinner, FaTerminal
+  FaHome, FaSpinner, FaTerminal, FaCloud, FaCloudUploadAlt,
+  FaSync, FaPlug, FaCamera, FaCodeBranch, FaSearch,
+  FaExclamationTriangle
 } from 'react-icons/fa';
 import { EditorContext } from '../../contexts/EditorContext';
+import { useRegisterCommands } from '../../contexts/CommandContext';
+import { useDiagnostics } from '../../contexts/DiagnosticsContext';
+import CollaboratorAvatars from './CollaboratorAvatars';
+import { createProjectZip } from '../../utils/projectArchive';
+import { downloadFile, toSafeFileName } from '../../utils/download';
 
-const ProjectToolbar = ({ project, onShare, onRunCode, onToggleTerminal }) => {
+const ProjectToolbar = ({
+  project,
+  onShare,
+  onRunCode,
+  onToggleTerminal,
+  onShowSnapshots,
+  onShowGit,
+  onToggleSearch,
+  onToggleProblems
+}) => {
   const [showMenu, setShowMenu] = useState(false);
   const [isRunning, setIsRunning] = useState(false);
-  const { activeFile, unsavedChanges } = useContext(EditorContext);
+  const { 
+    activeFile, 
+    files, 
+    openFiles, 
+    unsavedChanges, 
+    syncStatus, 
+    pendingOperations, 
+    syncNow 
+  } = useContext(EditorContext);
+  const { totals } = useDiagnostics();
   const navigate = useNavigate();
+
+  // Handlers below are only reached once the project has loaded
+  const hasProject = () => Boolean(project);
+  useRegisterCommands([
+    {
+      id: 'project.run',
+      title: 'Run Current File',
+      category: 'Run',
+      isEnabled: () => hasProject() && !isRunning && canRunCode(),
+      run: () => handleRunCode()
+    },
+    {
+      id: 'project.toggleTerminal',
+      title: 'Toggle Terminal',
+      category: 'View',
+      keybinding: 'ctrl+`',
+      run: onToggleTerminal
+    },
+    {
+      id: 'project.share',
+      title: 'Share Project',
+      category: 'Project',
+      isEnabled: hasProject,
+      run: onShare
+    },
+    {
+      id: 'project.showSnapshots',
+      title: 'Show Snapshots',
+      category: 'Project',
+      run: onShowSnapshots
+    },
+    {
+      id: 'project.showGit',
+      title: 'Show Git Repository',
+      category: 'Project',
+      run: onShowGit
+    },
+    {
+      id: 'project.export',
+      title: 'Export Project as ZIP',
+      category: 'Project',
+      isEnabled: hasProject,
+      run: () => handleExport()
+    },
+    {
+      id: 'project.syncNow',
+      title: 'Sync Offline Changes Now',
+      category: 'Project',
+      isEnabled: () => pendingOperations > 0 && syncStatus !== 'syncing',
+      run: syncNow
+    },
+    {
+      id: 'workbench.goToDashboard',
+      title: 'Go to Dashboard',
+      category: 'View',
+      isEnabled: hasProject,
+      run: () => handleGoToDashboard()
+    }
+  ]);
   
   if (!project) return null;
   
@@ -21,8 +105,14 @@ const ProjectToolbar = ({ project, onShare, onRunCode, onToggleTerminal }) => {
   };
   
   const handleExport = () => {
-    // Implement export functionality
-    alert('Export functionality not implemented yet');
+    // Include unsaved edits from open tabs
+    const exportFiles = files.map(file =>
+      openFiles.find(f => f._id === file._id) || file
+    );
+    const rootName = toSafeFileName(project.name);
+    
+    downloadFile(createProjectZip(exportFiles, rootName), `${rootName}.zip`, 'application/zip');
+    setShowMenu(false);
   };
   
   const handleRunCode = () => {
@@ -49,6 +139,40 @@ const ProjectToolbar = ({ project, onShare, onRunCode, onToggleTerminal }) => {
     return Object.keys(unsavedChanges || {}).length > 0;
   };
   
+  const renderSyncStatus = () => {
+    const pendingLabel = `${pendingOperations} ${pendingOperations === 1 ? 'change' : 'changes'} pending`;
+    
+    switch (syncStatus) {
+      case 'offline':
+        return (
+          <SyncStatus status="offline" onClick={syncNow} title={`Offline. ${pendingLabel}. Click to retry.`}>
+            <FaPlug />
+            <span>Offline{pendingOperations > 0 ? ` · ${pendingOperations}` : ''}</span>
+          </SyncStatus>
+        );
+      case 'syncing':
+        return (
+          <SyncStatus status="syncing" disabled title="Syncing offline changes">
+            <FaSync className="spinner" />
+            <span>Syncing...</span>
+          </SyncStatus>
+        );
+      case 'pending':
+        return (
+          <SyncStatus status="pending" onClick={syncNow} title={`${pendingLabel}. Click to sync now.`}>
+            <FaCloudUploadAlt />
+            <span>{pendingOperations} pending</span>
+          </SyncStatus>
+        );
+      default:
+        return (
+          <SyncStatus status="synced" disabled title="All changes synced">
+            <FaCloud />
+          </SyncStatus>
+        );
+    }
+  };
+  
   return (
     <ToolbarContainer>
       <ToolbarLeft>
@@ -58,9 +182,12 @@ const ProjectToolbar = ({ project, onShare, onRunCode, onToggleTerminal }) => {
         </DashboardButton>
         <ProjectName>{project.name}</ProjectName>
         {hasUnsavedChanges() && <UnsavedIndicator>•</UnsavedIndicator>}
+        {renderSyncStatus()}
       </ToolbarLeft>
       
       <ToolbarRight>
+        <CollaboratorAvatars files={files} />
+        
         <ActionButton 
           onClick={handleRunCode}
           disabled={isRunning || !canRunCode()}
@@ -75,6 +202,31 @@ const ProjectToolbar = ({ project, onShare, onRunCode, onToggleTerminal }) => {
           <span>Terminal</span>
         </ActionButton>
         
+        <ActionButton onClick={onToggleSearch} title="Search in Project (Ctrl+Shift+F)">
+          <FaSearch />
+          <span>Search</span>
+        </ActionButton>
+        
+        <ActionButton onClick={onToggleProblems} title="Problems (Ctrl+Shift+M)">
+          <FaExclamationTriangle />
+          <span>Problems</span>
+          {totals.errors + totals.warnings > 0 && (
+            <ProblemTotal $hasErrors={totals.errors > 0}>
+              {totals.errors + totals.warnings}
+            </ProblemTotal>
+          )}
+        </ActionButton>
+        
+        <ActionButton onClick={onShowSnapshots} title="Project Snapshots">
+          <FaCamera />
+          <span>Snapshots</span>
+        </ActionButton>
+        
+        <ActionButton onClick={onShowGit} title="Git Repository">
+          <FaCodeBranch />
+          <span>Git</span>
+        </ActionButton>
+        
         <ActionButton onClick={onShare} title="Share Project">
           <FaShareAlt />
           <span>Share</span>
@@ -166,6 +318,51 @@ const UnsavedIndicator = styled.span`
   line-height: 0;
 `;
 
+const syncStatusColors = {
+  offline: 'var(--color-warning)',
+  syncing: 'var(--color-primary)',
+  pending: 'var(--color-primary)',
+  synced: 'var(--color-text-tertiary)'
+};
+
+const SyncStatus = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-left: 12px;
+  background-color: transparent;
+  border: none;
+  color: ${props => syncStatusColors[props.status]};
+  font-size: 12px;
+  padding: 4px 8px;
+  border-radius: 4px;
+  cursor: pointer;
+  
+  &:hover:not(:disabled) {
+    background-color: var(--color-background);
+  }
+  
+  &:disabled {
+    cursor: default;
+  }
+  
+  .spinner {
+    animation: spin 1s linear infinite;
+  }
+  
+  @keyframes spin {
+    100% {
+      transform: rotate(360deg);
+    }
+  }
+  
+  @media (max-width: 600px) {
+    span {
+      display: none;
+    }
+  }
+`;
+
 const ToolbarRight = styled.div`
   display: flex;
   align-items: center;
@@ -216,6 +413,18 @@ const ActionButton = styled.button`
   }
 `;
 
+const ProblemTotal = styled.span`
+  min-width: 18px;
+  padding: 0 5px;
+  border-radius: 9px;
+  font-size: 11px;
+  font-weight: 600;
+  line-height: 18px;
+  text-align: center;
+  color: white;
+  background-color: ${props => props.$hasErrors ? 'var(--color-error)' : 'var(--color-warning)'};
+`;
+
 const MenuButton = styled.button`
   display: flex;
   align-items: center;
@@ -0,0 +1,235 @@
+// client/src/components/Editor/QuickOpenModal.jsx
+import { useState, useEffect, useContext, useMemo, useRef } from 'react';
+import styled from 'styled-components';
+import { FaFile } from 'react-icons/fa';
+import { EditorContext } from '../../contexts/EditorContext';
+import useFileSystem from '../../hooks/useFileSystem';
+import { getFileName } from '../../utils/filePaths';
+import { rankMatches } from '../../utils/fuzzyMatch';
+
+// Split a path into runs of matched and unmatched characters for
+// highlighting, keeping the file name apart from its folder
+const highlightPositions = (text, positions) => {
+  const matched = new Set(positions);
+  const nameStart = text.lastIndexOf('/') + 1;
+  const parts = [];
+  for (let i = 0; i < text.length; i++) {
+    const isMatch = matched.has(i);
+    const isName = i >= nameStart;
+    const last = parts[parts.length - 1];
+    if (last && last.isMatch === isMatch && last.isName === isName) last.text += text[i];
+    else parts.push({ text: text[i], isMatch, isName });
+  }
+  return parts;
+};
+
+const QuickOpenModal = ({ isOpen, onClose, projectId }) => {
+  const {
+    files,
+    setFiles,
+    openFiles,
+    openFile,
+    recentFileIds
+  } = useContext(EditorContext);
+  const { getFilePath } = useFileSystem(projectId, files, setFiles);
+  const [query, setQuery] = useState('');
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setSelectedIndex(0);
+      inputRef.current?.focus();
+    }
+  }, [isOpen]);
+
+  const results = useMemo(() => {
+    if (!isOpen) return [];
+
+    return rankMatches(files.filter(file => file.type === 'file'), query, {
+      getText: file => getFilePath(file._id).map(getFileName).join('/'),
+      getId: file => file._id,
+      recentIds: recentFileIds
+    });
+  }, [isOpen, files, query, getFilePath, recentFileIds]);
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [query]);
+
+  // Keep the highlighted result in view while moving with the arrow keys
+  useEffect(() => {
+    listRef.current?.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [selectedIndex]);
+
+  if (!isOpen) return null;
+
+  const handleSelect = (file) => {
+    // An open tab may hold edits newer than the file list
+    openFile(openFiles.find(f => f._id === file._id) || file);
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setSelectedIndex(prev => Math.min(prev + 1, results.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setSelectedIndex(prev => Math.max(prev - 1, 0));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (results[selectedIndex]) handleSelect(results[selectedIndex].item);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        onClose();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <Overlay onClick={onClose}>
+      <Dialog onClick={e => e.stopPropagation()}>
+        <QueryInput
+          ref={inputRef}
+          type="text"
+          placeholder="Search files by name"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+
+        <ResultList ref={listRef}>
+          {results.map(({ item, text, positions }, index) => {
+            const parts = highlightPositions(text, positions);
+
+            return (
+              <ResultItem
+                key={item._id}
+                $isSelected={index === selectedIndex}
+                onClick={() => handleSelect(item)}
+                onMouseMove={() => setSelectedIndex(index)}
+              >
+                <FaFile />
+                <ResultPath>
+                  {parts.map((part, partIndex) => {
+                    const Part = part.isMatch ? MatchedText : 'span';
+                    return (
+                      <Part key={partIndex} className={part.isName ? 'name' : undefined}>
+                        {part.text}
+                      </Part>
+                    );
+                  })}
+                </ResultPath>
+                {recentFileIds.includes(item._id) && !query && <RecentLabel>recently opened</RecentLabel>}
+              </ResultItem>
+            );
+          })}
+          {results.length === 0 && <NoResults>No matching files</NoResults>}
+        </ResultList>
+      </Dialog>
+    </Overlay>
+  );
+};
+
+const Overlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  display: flex;
+  justify-content: center;
+  align-items: flex-start;
+  padding-top: 12vh;
+  background-color: rgba(0, 0, 0, 0.3);
+  z-index: 1000;
+`;
+
+const Dialog = styled.div`
+  width: 100%;
+  max-width: 600px;
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-surface);
+  border: 1px solid var(--color-border);
+  border-radius: 8px;
+  box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+  overflow: hidden;
+`;
+
+const QueryInput = styled.input`
+  padding: 12px 16px;
+  font-size: 15px;
+  border: none;
+  border-bottom: 1px solid var(--color-border);
+  background-color: var(--color-surface);
+  color: var(--color-text-primary);
+
+  &:focus {
+    outline: none;
+  }
+`;
+
+const ResultList = styled.ul`
+  list-style-type: none;
+  margin: 0;
+  padding: 4px 0;
+  max-height: 400px;
+  overflow-y: auto;
+`;
+
+const ResultItem = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 6px 16px;
+  font-size: 13px;
+  cursor: pointer;
+  background-color: ${props => props.$isSelected ? 'var(--color-primary-light)' : 'transparent'};
+
+  svg {
+    flex-shrink: 0;
+    color: var(--color-text-tertiary);
+  }
+`;
+
+const ResultPath = styled.span`
+  flex: 1;
+  min-width: 0;
+  color: var(--color-text-secondary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+
+  .name {
+    color: var(--color-text-primary);
+    font-weight: 500;
+  }
+`;
+
+const MatchedText = styled.span`
+  color: var(--color-primary);
+  font-weight: 600;
+`;
+
+const RecentLabel = styled.span`
+  font-size: 11px;
+  color: var(--color-text-tertiary);
+`;
+
+const NoResults = styled.li`
+  padding: 12px 16px;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+export default QuickOpenModal;
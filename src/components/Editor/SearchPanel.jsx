@@ -0,0 +1,614 @@
+// client/src/components/Editor/SearchPanel.jsx
+import { useState, useEffect, useContext, useMemo, useCallback, useRef } from 'react';
+import styled from 'styled-components';
+import {
+  FaTimes, FaSync, FaChevronRight, FaChevronDown,
+  FaExchangeAlt, FaFilter, FaSpinner
+} from 'react-icons/fa';
+import { EditorContext } from '../../contexts/EditorContext';
+import useFileSystem from '../../hooks/useFileSystem';
+import { getProjectFiles } from '../../services/projectService';
+import { getFileName } from '../../utils/filePaths';
+import {
+  buildSearchRegExp,
+  searchFiles,
+  expandReplacement,
+  replaceMatches,
+  MAX_MATCHES_PER_FILE
+} from '../../utils/projectSearch';
+
+const SearchPanel = ({ projectId, onClose }) => {
+  const {
+    files,
+    setFiles,
+    openFiles,
+    openFileAt,
+    replaceFileContents
+  } = useContext(EditorContext);
+  const { getFilePath } = useFileSystem(projectId, files, setFiles);
+  const [projectFiles, setProjectFiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [options, setOptions] = useState({ isRegex: false, matchCase: false, wholeWord: false });
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [showReplace, setShowReplace] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [collapsed, setCollapsed] = useState({});
+  const [excluded, setExcluded] = useState({}); // fileId -> Set of match indexes left alone
+  const [isReplacing, setIsReplacing] = useState(false);
+  const [error, setError] = useState('');
+  const queryInputRef = useRef(null);
+
+  // Search what is on the server, not only the files loaded in the editor
+  const loadFiles = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setProjectFiles(await getProjectFiles(projectId));
+      setError('');
+    } catch (err) {
+      console.error('Error loading files for search:', err);
+      setError(err.response?.data?.message || 'Failed to load project files');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    loadFiles();
+    queryInputRef.current?.focus();
+  }, [loadFiles]);
+
+  // Unsaved edits in open tabs are searched instead of the saved content
+  const searchableFiles = useMemo(() => projectFiles.map(file =>
+    openFiles.find(f => f._id === file._id) || file
+  ), [projectFiles, openFiles]);
+
+  const getPath = useCallback((file) => {
+    const path = getFilePath(file._id);
+    return path.length > 0 ? path.map(getFileName).join('/') : getFileName(file);
+  }, [getFilePath]);
+
+  const { results, regexp, queryError } = useMemo(() => {
+    try {
+      return {
+        results: searchFiles(searchableFiles, getPath, query, { ...options, include, exclude }),
+        regexp: query ? buildSearchRegExp(query, options) : null,
+        queryError: ''
+      };
+    } catch (err) {
+      return { results: [], regexp: null, queryError: err.message };
+    }
+  }, [searchableFiles, getPath, query, options, include, exclude]);
+
+  // Matches picked for a replace are reset whenever the results change
+  useEffect(() => {
+    setExcluded({});
+  }, [results]);
+
+  const matchCount = results.reduce((total, result) => total + result.matches.length, 0);
+  const truncatedCount = results.filter(result => result.matches.length >= MAX_MATCHES_PER_FILE).length;
+
+  const toggleOption = (name) => {
+    setOptions(prev => ({ ...prev, [name]: !prev[name] }));
+  };
+
+  const isMatchIncluded = (fileId, index) => !excluded[fileId]?.has(index);
+
+  const toggleMatch = (fileId, index) => {
+    setExcluded(prev => {
+      const indexes = new Set(prev[fileId]);
+      if (indexes.has(index)) indexes.delete(index);
+      else indexes.add(index);
+      return { ...prev, [fileId]: indexes };
+    });
+  };
+
+  const toggleFile = (result) => {
+    const isIncluded = result.matches.some(match => isMatchIncluded(result.file._id, match.index));
+    setExcluded(prev => ({
+      ...prev,
+      [result.file._id]: new Set(isIncluded ? result.matches.map(match => match.index) : [])
+    }));
+  };
+
+  const getReplacementText = (match) => {
+    return options.isRegex
+      ? expandReplacement(replacement, match.text, match.captures, match.groups)
+      : replacement;
+  };
+
+  const handleReplaceAll = async () => {
+    const edits = results
+      .filter(result => result.matches.some(match => isMatchIncluded(result.file._id, match.index)))
+      .map(result => ({
+        file: result.file,
+        content: replaceMatches(result.file.content || '', regexp, replacement, {
+          isRegex: options.isRegex,
+          excluded: excluded[result.file._id]
+        })
+      }))
+      .filter(edit => edit.content !== edit.file.content);
+    if (edits.length === 0) return;
+
+    setIsReplacing(true);
+    try {
+      const saved = await replaceFileContents(edits);
+      const failed = saved.filter(savedFile => !savedFile).length;
+      if (failed > 0) {
+        setError(`${failed} of ${edits.length} files could not be saved right away. Check the save status for details.`);
+      }
+      await loadFiles();
+    } catch (err) {
+      console.error('Error replacing in files:', err);
+      setError('Failed to replace in some files');
+    } finally {
+      setIsReplacing(false);
+    }
+  };
+
+  const includedCount = results.reduce((total, result) => total + result.matches
+    .filter(match => isMatchIncluded(result.file._id, match.index)).length, 0);
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <Title>Search</Title>
+        <HeaderActions>
+          <IconButton onClick={loadFiles} disabled={isLoading} title="Refresh files">
+            {isLoading ? <FaSpinner className="spinner" /> : <FaSync />}
+          </IconButton>
+          <IconButton onClick={onClose} title="Close search">
+            <FaTimes />
+          </IconButton>
+        </HeaderActions>
+      </PanelHeader>
+
+      <SearchForm onSubmit={e => e.preventDefault()}>
+        <InputRow>
+          <IconButton
+            type="button"
+            onClick={() => setShowReplace(!showReplace)}
+            title="Toggle replace"
+          >
+            {showReplace ? <FaChevronDown /> : <FaChevronRight />}
+          </IconButton>
+          <InputWrapper>
+            <SearchInput
+              ref={queryInputRef}
+              type="text"
+              placeholder="Search"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              onKeyDown={e => e.key === 'Escape' && onClose()}
+            />
+            <OptionToggle
+              type="button"
+              $isActive={options.matchCase}
+              onClick={() => toggleOption('matchCase')}
+              title="Match case"
+            >
+              Aa
+            </OptionToggle>
+            <OptionToggle
+              type="button"
+              $isActive={options.wholeWord}
+              onClick={() => toggleOption('wholeWord')}
+              title="Match whole word"
+            >
+              ab
+            </OptionToggle>
+            <OptionToggle
+              type="button"
+              $isActive={options.isRegex}
+              onClick={() => toggleOption('isRegex')}
+              title="Use regular expression"
+            >
+              .*
+            </OptionToggle>
+          </InputWrapper>
+        </InputRow>
+
+        {showReplace && (
+          <InputRow>
+            <Spacer />
+            <InputWrapper>
+              <SearchInput
+                type="text"
+                placeholder="Replace"
+                value={replacement}
+                onChange={e => setReplacement(e.target.value)}
+              />
+              <OptionToggle
+                type="button"
+                onClick={handleReplaceAll}
+                disabled={isReplacing || includedCount === 0}
+                title="Replace the selected matches"
+              >
+                {isReplacing ? <FaSpinner className="spinner" /> : <FaExchangeAlt />}
+              </OptionToggle>
+            </InputWrapper>
+          </InputRow>
+        )}
+
+        <FilterToggle type="button" onClick={() => setShowFilters(!showFilters)}>
+          <FaFilter /> Files to include and exclude
+        </FilterToggle>
+
+        {showFilters && (
+          <>
+            <SearchInput
+              type="text"
+              placeholder="Include, e.g. src/**, *.js"
+              value={include}
+              onChange={e => setInclude(e.target.value)}
+            />
+            <SearchInput
+              type="text"
+              placeholder="Exclude, e.g. *.test.js, dist/"
+              value={exclude}
+              onChange={e => setExclude(e.target.value)}
+            />
+          </>
+        )}
+      </SearchForm>
+
+      {(error || queryError) && <ErrorMessage>{queryError || error}</ErrorMessage>}
+
+      {query && !queryError && (
+        <Summary>
+          {matchCount === 0
+            ? 'No results'
+            : `${matchCount} results in ${results.length} files`}
+          {showReplace && matchCount > 0 && ` · ${includedCount} will be replaced`}
+        </Summary>
+      )}
+
+      {truncatedCount > 0 && (
+        <Summary>
+          {`Only the first ${MAX_MATCHES_PER_FILE} matches of ${truncatedCount === 1 ? 'a file are' : `${truncatedCount} files are`} shown`}
+          {showReplace && ', and only those are replaced'}
+        </Summary>
+      )}
+      
+      <ResultList>
+        {results.map(result => {
+          const fileId = result.file._id;
+          const folder = result.path.includes('/')
+            ? result.path.substring(0, result.path.lastIndexOf('/'))
+            : '';
+
+          return (
+            <li key={fileId}>
+              <FileRow onClick={() => setCollapsed(prev => ({ ...prev, [fileId]: !prev[fileId] }))}>
+                {collapsed[fileId] ? <FaChevronRight /> : <FaChevronDown />}
+                {showReplace && (
+                  <input
+                    type="checkbox"
+                    checked={result.matches.some(match => isMatchIncluded(fileId, match.index))}
+                    onChange={() => toggleFile(result)}
+                    onClick={e => e.stopPropagation()}
+                  />
+                )}
+                <FileName>{getFileName(result.file)}</FileName>
+                <FolderPath title={result.path}>{folder}</FolderPath>
+                <MatchCount>
+                  {result.matches.length}{result.matches.length >= MAX_MATCHES_PER_FILE && '+'}
+                </MatchCount>
+              </FileRow>
+
+              {!collapsed[fileId] && (
+                <MatchList>
+                  {result.matches.map(match => {
+                    const isIncluded = isMatchIncluded(fileId, match.index);
+
+                    return (
+                      <MatchRow
+                        key={match.index}
+                        onClick={() => openFileAt(result.file, {
+                          lineNumber: match.lineNumber,
+                          column: match.column,
+                          length: match.length
+                        })}
+                        title={`Line ${match.lineNumber}, column ${match.column}`}
+                      >
+                        {showReplace && (
+                          <input
+                            type="checkbox"
+                            checked={isIncluded}
+                            onChange={() => toggleMatch(fileId, match.index)}
+                            onClick={e => e.stopPropagation()}
+                          />
+                        )}
+                        <LineNumber>{match.lineNumber}</LineNumber>
+                        <Preview>
+                          {match.preview.before}
+                          {showReplace && isIncluded ? (
+                            <>
+                              <RemovedText>{match.preview.match}</RemovedText>
+                              <AddedText>{getReplacementText(match)}</AddedText>
+                            </>
+                          ) : (
+                            <Highlight>{match.preview.match}</Highlight>
+                          )}
+                          {match.preview.after}
+                        </Preview>
+                      </MatchRow>
+                    );
+                  })}
+                </MatchList>
+              )}
+            </li>
+          );
+        })}
+      </ResultList>
+    </PanelContainer>
+  );
+};
+
+const PanelContainer = styled.div`
+  height: 100%;
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-surface);
+  border-right: 1px solid var(--color-border);
+  overflow: hidden;
+
+  .spinner {
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    from { transform: rotate(0deg); }
+    to { transform: rotate(360deg); }
+  }
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 8px 12px;
+  border-bottom: 1px solid var(--color-border);
+  background-color: var(--color-surface-light);
+`;
+
+const Title = styled.h3`
+  font-size: 14px;
+  font-weight: 600;
+  margin: 0;
+  color: var(--color-text-primary);
+`;
+
+const HeaderActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+`;
+
+const IconButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background-color: transparent;
+  border: none;
+  border-radius: 4px;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+  padding: 4px;
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SearchForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  padding: 8px 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const InputRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+`;
+
+const Spacer = styled.div`
+  width: 20px;
+  flex-shrink: 0;
+`;
+
+const InputWrapper = styled.div`
+  flex: 1;
+  display: flex;
+  align-items: center;
+  gap: 2px;
+  min-width: 0;
+`;
+
+const SearchInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 5px 8px;
+  font-size: 13px;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-background);
+  color: var(--color-text-primary);
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-primary);
+  }
+`;
+
+const OptionToggle = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  min-width: 24px;
+  height: 24px;
+  padding: 0 4px;
+  font-size: 11px;
+  font-family: monospace;
+  border: 1px solid ${props => props.$isActive ? 'var(--color-primary)' : 'transparent'};
+  border-radius: 4px;
+  background-color: ${props => props.$isActive ? 'var(--color-primary-light)' : 'transparent'};
+  color: var(--color-text-secondary);
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--color-background);
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const FilterToggle = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  align-self: flex-start;
+  padding: 2px 0;
+  border: none;
+  background: none;
+  font-size: 12px;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+
+  &:hover {
+    color: var(--color-text-primary);
+  }
+`;
+
+const ErrorMessage = styled.div`
+  margin: 8px 12px 0;
+  padding: 6px 10px;
+  font-size: 12px;
+  color: var(--color-error);
+  background-color: var(--color-error-light);
+  border-radius: 4px;
+`;
+
+const Summary = styled.div`
+  padding: 6px 12px;
+  font-size: 12px;
+  color: var(--color-text-secondary);
+`;
+
+const ResultList = styled.ul`
+  flex: 1;
+  overflow-y: auto;
+  list-style-type: none;
+  margin: 0;
+  padding: 0 0 8px;
+`;
+
+const FileRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 4px 12px;
+  font-size: 13px;
+  color: var(--color-text-primary);
+  cursor: pointer;
+
+  svg {
+    flex-shrink: 0;
+    font-size: 10px;
+    color: var(--color-text-secondary);
+  }
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
+const FileName = styled.span`
+  font-weight: 500;
+  white-space: nowrap;
+`;
+
+const FolderPath = styled.span`
+  flex: 1;
+  min-width: 0;
+  font-size: 12px;
+  color: var(--color-text-secondary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const MatchCount = styled.span`
+  padding: 0 6px;
+  font-size: 11px;
+  border-radius: 8px;
+  background-color: var(--color-background);
+  color: var(--color-text-secondary);
+`;
+
+const MatchList = styled.ul`
+  list-style-type: none;
+  margin: 0;
+  padding: 0;
+`;
+
+const MatchRow = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 2px 12px 2px 30px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: var(--color-background);
+  }
+`;
+
+const LineNumber = styled.span`
+  min-width: 24px;
+  text-align: right;
+  color: var(--color-text-tertiary);
+`;
+
+const Preview = styled.span`
+  flex: 1;
+  min-width: 0;
+  font-family: 'Fira Code', monospace;
+  color: var(--color-text-secondary);
+  white-space: pre;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const Highlight = styled.mark`
+  background-color: rgba(234, 179, 8, 0.35);
+  color: var(--color-text-primary);
+  border-radius: 2px;
+`;
+
+const RemovedText = styled.del`
+  background-color: rgba(229, 62, 62, 0.2);
+  color: var(--color-text-primary);
+`;
+
+const AddedText = styled.ins`
+  background-color: rgba(56, 161, 105, 0.25);
+  color: var(--color-text-primary);
+  text-decoration: none;
+`;
+
+export default SearchPanel;
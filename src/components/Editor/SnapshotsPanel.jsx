@@ -0,0 +1,552 @@
+// client/src/components/Editor/SnapshotsPanel.jsx
+import { useState, useEffect, useContext, useMemo, useCallback } from 'react';
+import styled from 'styled-components';
+import { DiffEditor } from '@monaco-editor/react';
+import { FaCamera, FaTimes, FaUndo, FaSpinner } from 'react-icons/fa';
+import { EditorContext } from '../../contexts/EditorContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { SUPPORTED_LANGUAGES } from '../../config/constants';
+import {
+  createSnapshot,
+  getSnapshots,
+  getSnapshot,
+  restoreSnapshot
+} from '../../services/projectService';
+import { diffFileTrees, planRollback } from '../../utils/snapshotDiff';
+import { splitFileName } from '../../utils/filePaths';
+import { formatDate, formatRelativeTime } from '../../utils/formatters';
+
+const WORKING_COPY = 'working';
+
+const STATUS_LABELS = {
+  added: 'A',
+  removed: 'D',
+  modified: 'M'
+};
+
+const getAuthorName = (snapshot) => {
+  const author = snapshot.author;
+  if (!author) return 'Unknown';
+  return typeof author === 'string' ? author : author.username || author.name || author.email || 'Unknown';
+};
+
+const getLanguage = (path) => {
+  const { extension } = splitFileName(path.split('/').pop());
+  return SUPPORTED_LANGUAGES.find(lang =>
+    lang.extensions.includes(extension.toLowerCase())
+  )?.id || 'plaintext';
+};
+
+const SnapshotsPanel = ({ isOpen, onClose, projectId }) => {
+  const { files, openFiles, replaceProjectFiles } = useContext(EditorContext);
+  const { isDarkMode } = useTheme();
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotFiles, setSnapshotFiles] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(WORKING_COPY);
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [error, setError] = useState('');
+
+  // Unsaved edits in open tabs are part of the working copy
+  const workingFiles = useMemo(() => files.map(file =>
+    openFiles.find(f => f._id === file._id) || file
+  ), [files, openFiles]);
+
+  const loadSnapshots = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const list = await getSnapshots(projectId);
+      setSnapshots(list);
+      setFromId(prev => prev || list[0]?._id || null);
+      setError('');
+    } catch (err) {
+      console.error('Error loading snapshots:', err);
+      setError(err.response?.data?.message || 'Failed to load snapshots');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isOpen) loadSnapshots();
+  }, [isOpen, loadSnapshots]);
+
+  // Fetch the files of a snapshot the first time it is compared
+  const loadSnapshotFiles = useCallback(async (snapshotId) => {
+    if (snapshotFiles[snapshotId]) return snapshotFiles[snapshotId];
+
+    const snapshot = await getSnapshot(projectId, snapshotId);
+    setSnapshotFiles(prev => ({ ...prev, [snapshotId]: snapshot.files }));
+    return snapshot.files;
+  }, [projectId, snapshotFiles]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    [fromId, toId]
+      .filter(id => id && id !== WORKING_COPY && !snapshotFiles[id])
+      .forEach(id => loadSnapshotFiles(id).catch(err => {
+        console.error('Error loading snapshot:', err);
+        setError('Failed to load snapshot');
+      }));
+  }, [isOpen, fromId, toId, snapshotFiles, loadSnapshotFiles]);
+
+  const resolveFiles = (id) => {
+    if (id === WORKING_COPY) return workingFiles;
+    return snapshotFiles[id] || null;
+  };
+
+  const fromFiles = fromId ? resolveFiles(fromId) : null;
+  const toFiles = toId ? resolveFiles(toId) : null;
+
+  const changes = useMemo(() => {
+    if (!fromFiles || !toFiles) return null;
+    return diffFileTrees(fromFiles, toFiles);
+  }, [fromFiles, toFiles]);
+
+  const selectedChange = changes?.find(change =>
+    change.path === selectedPath && change.type === 'file'
+  ) || null;
+
+  if (!isOpen) return null;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+
+    setIsCreating(true);
+    try {
+      await createSnapshot(projectId, message.trim());
+      setMessage('');
+      await loadSnapshots();
+    } catch (err) {
+      console.error('Error creating snapshot:', err);
+      setError(err.response?.data?.message || 'Failed to create snapshot');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRollback = async (snapshot) => {
+    setRestoringId(snapshot._id);
+    try {
+      const targetFiles = await loadSnapshotFiles(snapshot._id);
+      const { deletes, creates, updates } = planRollback(workingFiles, targetFiles);
+
+      if (deletes.length + creates.length + updates.length === 0) {
+        window.alert('The project already matches this snapshot.');
+        return;
+      }
+
+      const confirmed = window.confirm(
+        `Roll back to "${snapshot.message}"?\n\n` +
+        `${updates.length} modified, ${creates.length} recreated, ${deletes.length} deleted.\n` +
+        'A snapshot of the current state is taken first.'
+      );
+      if (!confirmed) return;
+
+      await createSnapshot(projectId, `Before rollback to "${snapshot.message}"`);
+      const restoredFiles = await restoreSnapshot(projectId, snapshot._id);
+      replaceProjectFiles(restoredFiles);
+      setToId(WORKING_COPY);
+      await loadSnapshots();
+    } catch (err) {
+      console.error('Error rolling back snapshot:', err);
+      setError(err.response?.data?.message || 'Failed to roll back. Some files may have changed.');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const renderSelectOptions = () => (
+    <>
+      <option value={WORKING_COPY}>Working copy</option>
+      {snapshots.map(snapshot => (
+        <option key={snapshot._id} value={snapshot._id}>
+          {snapshot.message} ({formatDate(snapshot.createdAt, 'MMM dd HH:mm')})
+        </option>
+      ))}
+    </>
+  );
+
+  return (
+    <ModalOverlay onClick={onClose}>
+      <ModalContent onClick={e => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>
+            <FaCamera />
+            Snapshots
+          </ModalTitle>
+          <CloseButton onClick={onClose}>
+            <FaTimes />
+          </CloseButton>
+        </ModalHeader>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        <ModalBody>
+          <Sidebar>
+            <CreateForm onSubmit={handleCreate}>
+              <MessageInput
+                type="text"
+                placeholder="Describe this snapshot"
+                value={message}
+                onChange={e => setMessage(e.target.value)}
+                disabled={isCreating}
+              />
+              <PrimaryButton type="submit" disabled={isCreating || !message.trim()}>
+                {isCreating ? 'Saving...' : 'Create'}
+              </PrimaryButton>
+            </CreateForm>
+
+            <SnapshotList>
+              {isLoading && snapshots.length === 0 && <EmptyMessage>Loading snapshots...</EmptyMessage>}
+              {!isLoading && snapshots.length === 0 && (
+                <EmptyMessage>No snapshots yet. Create one to checkpoint every file in the project.</EmptyMessage>
+              )}
+              {snapshots.map(snapshot => (
+                <SnapshotItem key={snapshot._id}>
+                  <SnapshotInfo>
+                    <SnapshotMessage>{snapshot.message}</SnapshotMessage>
+                    <SnapshotMeta title={formatDate(snapshot.createdAt, 'MMM dd, yyyy HH:mm:ss')}>
+                      {getAuthorName(snapshot)} · {formatRelativeTime(snapshot.createdAt)}
+                    </SnapshotMeta>
+                  </SnapshotInfo>
+                  <RollbackButton
+                    onClick={() => handleRollback(snapshot)}
+                    disabled={restoringId !== null}
+                    title="Roll the project back to this snapshot"
+                  >
+                    {restoringId === snapshot._id ? <FaSpinner className="spinner" /> : <FaUndo />}
+                  </RollbackButton>
+                </SnapshotItem>
+              ))}
+            </SnapshotList>
+          </Sidebar>
+
+          <ComparePane>
+            <CompareHeader>
+              <CompareSelect value={fromId || ''} onChange={e => setFromId(e.target.value)}>
+                {!fromId && <option value="">Select a snapshot</option>}
+                {renderSelectOptions()}
+              </CompareSelect>
+              <span>→</span>
+              <CompareSelect value={toId || ''} onChange={e => setToId(e.target.value)}>
+                {renderSelectOptions()}
+              </CompareSelect>
+            </CompareHeader>
+
+            <CompareBody>
+              <ChangeList>
+                {!changes && <EmptyMessage>Select two versions to compare.</EmptyMessage>}
+                {changes && changes.length === 0 && <EmptyMessage>No differences.</EmptyMessage>}
+                {changes && changes.map(change => (
+                  <ChangeItem
+                    key={`${change.status}:${change.path}`}
+                    $isSelected={change.path === selectedPath}
+                    onClick={() => setSelectedPath(change.path)}
+                  >
+                    <StatusBadge status={change.status}>{STATUS_LABELS[change.status]}</StatusBadge>
+                    <ChangePath>{change.path}{change.type === 'directory' ? '/' : ''}</ChangePath>
+                  </ChangeItem>
+                ))}
+              </ChangeList>
+
+              <DiffWrapper>
+                {selectedChange ? (
+                  <DiffEditor
+                    height="100%"
+                    language={getLanguage(selectedChange.path)}
+                    original={selectedChange.before?.content || ''}
+                    modified={selectedChange.after?.content || ''}
+                    theme={isDarkMode ? 'vs-dark' : 'light'}
+                    options={{
+                      readOnly: true,
+                      minimap: { enabled: false },
+                      scrollBeyondLastLine: false,
+                      fontSize: 13,
+                      automaticLayout: true
+                    }}
+                  />
+                ) : (
+                  <EmptyMessage>Select a changed file to see its diff.</EmptyMessage>
+                )}
+              </DiffWrapper>
+            </CompareBody>
+          </ComparePane>
+        </ModalBody>
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+const statusColors = {
+  added: 'var(--color-success)',
+  removed: 'var(--color-error)',
+  modified: 'var(--color-warning)'
+};
+
+const ModalOverlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  z-index: 1000;
+`;
+
+const ModalContent = styled.div`
+  display: flex;
+  flex-direction: column;
+  background-color: var(--color-background);
+  border-radius: 8px;
+  box-shadow: var(--shadow-md);
+  width: 90vw;
+  height: 85vh;
+  border: 1px solid var(--color-border);
+  overflow: hidden;
+`;
+
+const ModalHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 15px 20px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const ModalTitle = styled.h3`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-weight: 600;
+  font-size: 18px;
+  color: var(--color-text-primary);
+  margin: 0;
+`;
+
+const CloseButton = styled.button`
+  background: none;
+  border: none;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+  font-size: 16px;
+  display: flex;
+
+  &:hover {
+    color: var(--color-text-primary);
+  }
+`;
+
+const ErrorMessage = styled.div`
+  background-color: var(--color-error-light);
+  color: var(--color-error);
+  padding: 10px 20px;
+  font-size: 14px;
+`;
+
+const ModalBody = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+`;
+
+const Sidebar = styled.div`
+  width: 300px;
+  display: flex;
+  flex-direction: column;
+  border-right: 1px solid var(--color-border);
+`;
+
+const CreateForm = styled.form`
+  display: flex;
+  gap: 8px;
+  padding: 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const MessageInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 8px 10px;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-surface);
+  color: var(--color-text-primary);
+  font-size: 13px;
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-primary);
+  }
+`;
+
+const PrimaryButton = styled.button`
+  background-color: var(--color-primary);
+  color: white;
+  border: none;
+  border-radius: 4px;
+  padding: 8px 14px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--color-primary-dark);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const SnapshotList = styled.div`
+  flex: 1;
+  overflow-y: auto;
+`;
+
+const SnapshotItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 10px 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const SnapshotInfo = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const SnapshotMessage = styled.div`
+  font-size: 14px;
+  color: var(--color-text-primary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const SnapshotMeta = styled.div`
+  font-size: 12px;
+  color: var(--color-text-tertiary);
+  margin-top: 2px;
+`;
+
+const RollbackButton = styled.button`
+  background: none;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  color: var(--color-text-secondary);
+  padding: 6px;
+  display: flex;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    color: var(--color-primary);
+    border-color: var(--color-primary);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+
+  .spinner {
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    100% {
+      transform: rotate(360deg);
+    }
+  }
+`;
+
+const ComparePane = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-width: 0;
+`;
+
+const CompareHeader = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 12px;
+  border-bottom: 1px solid var(--color-border);
+  color: var(--color-text-secondary);
+`;
+
+const CompareSelect = styled.select`
+  flex: 1;
+  padding: 6px 8px;
+  border: 1px solid var(--color-border);
+  border-radius: 4px;
+  background-color: var(--color-surface);
+  color: var(--color-text-primary);
+  font-size: 13px;
+`;
+
+const CompareBody = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+`;
+
+const ChangeList = styled.div`
+  width: 260px;
+  overflow-y: auto;
+  border-right: 1px solid var(--color-border);
+`;
+
+const ChangeItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  background-color: ${props => props.$isSelected ? 'var(--color-surface-light)' : 'transparent'};
+
+  &:hover {
+    background-color: var(--color-surface-light);
+  }
+`;
+
+const StatusBadge = styled.span`
+  width: 16px;
+  font-weight: 600;
+  font-size: 12px;
+  color: ${props => statusColors[props.status]};
+`;
+
+const ChangePath = styled.span`
+  color: var(--color-text-primary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const DiffWrapper = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const EmptyMessage = styled.p`
+  margin: 0;
+  padding: 16px 12px;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+export default SnapshotsPanel;
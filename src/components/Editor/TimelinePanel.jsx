@@ -0,0 +1,260 @@
+// client/src/components/Editor/TimelinePanel.jsx
+import { useState, useEffect, useContext } from 'react';
+import styled from 'styled-components';
+import { DiffEditor } from '@monaco-editor/react';
+import { FaHistory, FaTimes, FaUndo } from 'react-icons/fa';
+import { EditorContext } from '../../contexts/EditorContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { SUPPORTED_LANGUAGES } from '../../config/constants';
+import { getFileTimeline, subscribeToTimeline } from '../../services/localHistory';
+import { formatDate, formatRelativeTime } from '../../utils/formatters';
+
+const SOURCE_LABELS = {
+  save: 'Saved',
+  sync: 'Synced',
+  restore: 'Restored',
+  replace: 'Replaced'
+};
+
+const TimelinePanel = ({ file, onClose }) => {
+  const { restoreFileVersion } = useContext(EditorContext);
+  const { isDarkMode } = useTheme();
+  const [entries, setEntries] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const fileId = file?._id;
+
+  // Load the timeline of the file and refresh it when a new snapshot lands
+  useEffect(() => {
+    if (!fileId) return;
+
+    let cancelled = false;
+    const loadTimeline = async () => {
+      const timeline = await getFileTimeline(fileId);
+      if (!cancelled) setEntries(timeline);
+    };
+
+    setSelectedId(null);
+    loadTimeline();
+
+    const unsubscribe = subscribeToTimeline(updatedFileId => {
+      if (updatedFileId === fileId) loadTimeline();
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [fileId]);
+
+  if (!file) return null;
+
+  const selected = entries.find(entry => entry.id === selectedId) || null;
+
+  const language = SUPPORTED_LANGUAGES.find(lang =>
+    lang.extensions.includes(file.extension?.toLowerCase())
+  )?.id || 'plaintext';
+
+  const handleRestore = async () => {
+    if (!selected) return;
+
+    setIsRestoring(true);
+    try {
+      await restoreFileVersion(file._id, selected.content);
+      setSelectedId(null);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <PanelTitle>
+          <FaHistory />
+          <span>Timeline</span>
+        </PanelTitle>
+        <CloseButton onClick={onClose} title="Close timeline">
+          <FaTimes />
+        </CloseButton>
+      </PanelHeader>
+
+      <EntryList>
+        {entries.length === 0 ? (
+          <EmptyMessage>No local history yet. A snapshot is kept every time this file is saved.</EmptyMessage>
+        ) : (
+          entries.map((entry, index) => (
+            <EntryItem
+              key={entry.id}
+              $isSelected={entry.id === selectedId}
+              onClick={() => setSelectedId(entry.id === selectedId ? null : entry.id)}
+              title={formatDate(entry.savedAt, 'MMM dd, yyyy HH:mm:ss')}
+            >
+              <EntrySource>{SOURCE_LABELS[entry.source] || 'Saved'}</EntrySource>
+              <EntryTime>
+                {index === 0 ? 'Latest · ' : ''}{formatRelativeTime(entry.savedAt)}
+              </EntryTime>
+            </EntryItem>
+          ))
+        )}
+      </EntryList>
+
+      {selected && (
+        <DiffSection>
+          <DiffHeader>
+            <DiffLabel>{formatDate(selected.savedAt, 'HH:mm:ss')} ↔ Current</DiffLabel>
+            <RestoreButton
+              onClick={handleRestore}
+              disabled={isRestoring || selected.content === file.content}
+            >
+              <FaUndo />
+              <span>{isRestoring ? 'Restoring...' : 'Restore'}</span>
+            </RestoreButton>
+          </DiffHeader>
+          <DiffWrapper>
+            <DiffEditor
+              height="100%"
+              language={language}
+              original={selected.content}
+              modified={file.content || ''}
+              theme={isDarkMode ? 'vs-dark' : 'light'}
+              options={{
+                readOnly: true,
+                renderSideBySide: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                fontSize: 12,
+                automaticLayout: true
+              }}
+            />
+          </DiffWrapper>
+        </DiffSection>
+      )}
+    </PanelContainer>
+  );
+};
+
+const PanelContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: 45%;
+  min-width: 280px;
+  border-left: 1px solid var(--color-border);
+  background: var(--color-surface);
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 8px 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const PanelTitle = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  font-weight: 500;
+  color: var(--color-text-primary);
+`;
+
+const CloseButton = styled.button`
+  background: none;
+  border: none;
+  color: var(--color-text-secondary);
+  cursor: pointer;
+  padding: 4px;
+  display: flex;
+
+  &:hover {
+    color: var(--color-text-primary);
+  }
+`;
+
+const EntryList = styled.div`
+  max-height: 35%;
+  overflow-y: auto;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const EmptyMessage = styled.p`
+  margin: 0;
+  padding: 16px 12px;
+  font-size: 13px;
+  color: var(--color-text-secondary);
+`;
+
+const EntryItem = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  background-color: ${props => props.$isSelected ? 'var(--color-surface-light)' : 'transparent'};
+  border-left: 3px solid ${props => props.$isSelected ? 'var(--color-primary)' : 'transparent'};
+
+  &:hover {
+    background-color: ${props => props.$isSelected ? 'var(--color-surface-light)' : 'var(--color-background)'};
+  }
+`;
+
+const EntrySource = styled.span`
+  color: var(--color-text-primary);
+`;
+
+const EntryTime = styled.span`
+  color: var(--color-text-tertiary);
+  font-size: 12px;
+`;
+
+const DiffSection = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-height: 0;
+`;
+
+const DiffHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 12px;
+  border-bottom: 1px solid var(--color-border);
+`;
+
+const DiffLabel = styled.span`
+  font-size: 12px;
+  color: var(--color-text-secondary);
+`;
+
+const RestoreButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 4px 10px;
+  background-color: var(--color-primary);
+  color: white;
+  border: none;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--color-primary-dark);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const DiffWrapper = styled.div`
+  flex: 1;
+  min-height: 0;
+`;
+
+export default TimelinePanel;
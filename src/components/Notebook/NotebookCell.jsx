@@ -1,9 +1,13 @@
 // client/src/components/Notebook/NotebookCell.jsx
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import Editor from '@monaco-editor/react';
-import { FaTrash, FaPlay, FaPlus, FaCode, FaMarkdown } from 'react-icons/fa';
+import { FaTrash, FaPlay, FaPlus, FaCode, FaMarkdown, FaSpinner } from 'react-icons/fa';
 import CellOutput from './CellOutput';
+import useEditorSettings from '../../hooks/useEditorSettings';
+import useEditorKeymap from '../../hooks/useEditorKeymap';
+import KeymapStatusLine from '../Editor/KeymapStatusLine';
+import { applyModelSettings } from '../../utils/editorOptions';
 
 const NotebookCell = ({ 
   cell, 
@@ -11,10 +15,20 @@ const NotebookCell = ({
   onChange, 
   onDelete, 
   onAddBelow,
-  onTypeChange 
+  onTypeChange,
+  onRun,
+  isRunning
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [showOutput, setShowOutput] = useState(true);
+  const [editorInstance, setEditorInstance] = useState(null);
+  const editorSettings = useEditorSettings();
+  const keymapStatusRef = useEditorKeymap(editorInstance, editorSettings.keymap);
+
+  useEffect(() => {
+    if (!editorInstance) return;
+    applyModelSettings(editorInstance.getModel(), editorSettings);
+  }, [editorInstance, editorSettings]);
   
   const handleEditorChange = (value) => {
     onChange(value);
@@ -59,10 +73,11 @@ const NotebookCell = ({
           
           {getCellType() === 'code' && (
             <CellButton 
-              title="Run cell"
-              onClick={() => console.log('Run cell not implemented yet')}
+              title={isRunning ? 'Running...' : 'Run cell'}
+              onClick={onRun}
+              disabled={isRunning}
             >
-              <FaPlay />
+              {isRunning ? <FaSpinner className="spinner" /> : <FaPlay />}
             </CellButton>
           )}
           
@@ -96,18 +111,21 @@ const NotebookCell = ({
             onChange={handleEditorChange}
             onFocus={() => setIsEditing(true)}
             onBlur={() => setIsEditing(false)}
+            onMount={setEditorInstance}
             options={{
               minimap: { enabled: false },
               scrollBeyondLastLine: false,
-              fontSize: 14,
+              fontSize: Number(editorSettings.fontSize),
+              fontFamily: editorSettings.fontFamily,
               lineNumbers: 'off',
               folding: false,
               glyphMargin: false,
               lineDecorationsWidth: 0,
               lineNumbersMinChars: 0,
-              wordWrap: 'on',
+              wordWrap: editorSettings.wordWrap,
               automaticLayout: true,
-              tabSize: 2,
+              tabSize: Number(editorSettings.tabSize),
+              detectIndentation: false,
               contextmenu: false,
               scrollbar: {
                 vertical: 'auto',
@@ -116,6 +134,7 @@ const NotebookCell = ({
             }}
           />
         </EditorContainer>
+        <KeymapStatusLine keymap={editorSettings.keymap} statusRef={keymapStatusRef} />
         
         {getCellType() === 'code' && cell.outputs && cell.outputs.length > 0 && (
           <OutputContainer show={showOutput}>
@@ -186,6 +205,19 @@ const CellButton = styled.button`
     width: 12px;
     height: 12px;
   }
+
+  &:disabled {
+    cursor: default;
+  }
+
+  .spinner {
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    from { transform: rotate(0deg); }
+    to { transform: rotate(360deg); }
+  }
 `;
 
 const CellContent = styled.div`
@@ -1,15 +1,31 @@
 // client/src/components/Notebook/NotebookEditor.jsx
-import { useState, useEffect, useContext } from 'react';
+import { useState, useEffect, useContext, useRef } from 'react';
 import styled from 'styled-components';
 import { EditorContext } from '../../contexts/EditorContext';
 import NotebookCell from './NotebookCell';
-import { parseNotebook, updateNotebookCell, addNotebookCell, deleteNotebookCell } from '../../utils/notebookParser';
+import {
+  parseNotebook,
+  updateNotebookCell,
+  addNotebookCell,
+  deleteNotebookCell,
+  setNotebookCellOutputs
+} from '../../utils/notebookParser';
+import { runNotebookCell } from '../../services/codeRunnerService';
+import { collectSources } from '../../utils/moduleBundler';
 import { FaPlus } from 'react-icons/fa';
 
 const NotebookEditor = ({ file }) => {
   const [cells, setCells] = useState([]);
   const [notebook, setNotebook] = useState(null);
-  const { handleFileChange } = useContext(EditorContext);
+  const [runningCells, setRunningCells] = useState([]);
+  const { handleFileChange, files, filePaths, openFiles } = useContext(EditorContext);
+  const notebookRef = useRef(null);
+  const executionCountRef = useRef(0);
+
+  // Cells finish after other edits; their outputs go into the latest notebook
+  useEffect(() => {
+    notebookRef.current = notebook;
+  }, [notebook]);
 
   useEffect(() => {
     if (file && file.content) {
@@ -48,7 +64,7 @@ const NotebookEditor = ({ file }) => {
       setNotebook(updatedNotebook);
       
       // Update file content
-      handleFileChange(JSON.stringify(updatedNotebook, null, 2));
+      handleFileChange(JSON.stringify(updatedNotebook, null, 2), { fileId: file._id });
     }
   };
 
@@ -73,7 +89,7 @@ const NotebookEditor = ({ file }) => {
       setNotebook(updatedNotebook);
       
       // Update file content
-      handleFileChange(JSON.stringify(updatedNotebook, null, 2));
+      handleFileChange(JSON.stringify(updatedNotebook, null, 2), { fileId: file._id });
     }
   };
 
@@ -92,7 +108,40 @@ const NotebookEditor = ({ file }) => {
       setNotebook(updatedNotebook);
       
       // Update file content
-      handleFileChange(JSON.stringify(updatedNotebook, null, 2));
+      handleFileChange(JSON.stringify(updatedNotebook, null, 2), { fileId: file._id });
+    }
+  };
+
+  const runCell = async (cellIndex) => {
+    const cell = cells[cellIndex];
+    if (!cell || runningCells.includes(cellIndex)) return;
+    
+    setRunningCells(prev => [...prev, cellIndex]);
+    const executionCount = ++executionCountRef.current;
+    
+    try {
+      const { outputs = [] } = await runNotebookCell(cell, {
+        notebookId: file._id,
+        filePath: filePaths.get(file._id),
+        sources: collectSources(files, filePaths, openFiles),
+        executionCount
+      });
+      
+      setCells(prev => prev.map((c, index) => (
+        index === cellIndex ? { ...c, outputs, execution_count: executionCount } : c
+      )));
+      
+      if (notebookRef.current) {
+        const updatedNotebook = setNotebookCellOutputs(notebookRef.current, cellIndex, outputs, executionCount);
+        setNotebook(updatedNotebook);
+        
+        // Update file content
+        handleFileChange(JSON.stringify(updatedNotebook, null, 2), { fileId: file._id });
+      }
+    } catch (error) {
+      console.error('Error running cell:', error);
+    } finally {
+      setRunningCells(prev => prev.filter(index => index !== cellIndex));
     }
   };
 
@@ -115,6 +164,8 @@ const NotebookEditor = ({ file }) => {
           onDelete={() => deleteCell(index)}
           onAddBelow={() => addCell(cell.cell_type, index)}
           onTypeChange={(type) => handleCellChange(index, cell.source.join(''), type)}
+          onRun={() => runCell(index)}
+          isRunning={runningCells.includes(index)}
         />
       ))}
       
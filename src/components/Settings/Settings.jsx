@@ -3,6 +3,9 @@ import { AuthContext } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { changePassword } from '../../services/authService';
 import { validatePassword } from '../../utils/validators';
+import { saveEditorSettings, flushEditorSettings } from '../../services/editorSettings';
+import useEditorSettings from '../../hooks/useEditorSettings';
+import { KEYMAPS } from '../../utils/editorKeymaps';
 import styled from 'styled-components';
 import { 
   FaUser, 
@@ -15,9 +18,29 @@ import {
   FaEdit
 } from 'react-icons/fa';
 
+const FONT_FAMILIES = [
+  { value: "'Fira Code', 'Droid Sans Mono', 'monospace'", label: 'Fira Code' },
+  { value: "'JetBrains Mono', 'Droid Sans Mono', 'monospace'", label: 'JetBrains Mono' },
+  { value: "'Source Code Pro', 'Droid Sans Mono', 'monospace'", label: 'Source Code Pro' },
+  { value: "Menlo, Monaco, 'Courier New', monospace", label: 'Menlo' }
+];
+
+// The editor settings shown in the form, as the strings form controls use
+const pickEditorFields = (settings) => ({
+  defaultLanguage: settings.defaultLanguage,
+  fontSize: String(settings.fontSize),
+  fontFamily: settings.fontFamily,
+  tabSize: String(settings.tabSize),
+  wordWrap: settings.wordWrap,
+  minimap: settings.minimap,
+  keymap: settings.keymap,
+  formatOnSave: settings.formatOnSave
+});
+
 const Settings = () => {
   const { currentUser } = useContext(AuthContext);
   const { currentTheme, setTheme } = useTheme();
+  const editorSettings = useEditorSettings();
   const [activeSection, setActiveSection] = useState('profile');
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
@@ -25,8 +48,7 @@ const Settings = () => {
     email: currentUser?.email || '',
     bio: '',
     theme: currentTheme,
-    language: 'javascript',
-    fontSize: '14',
+    editor: pickEditorFields(editorSettings),
     notifications: {
       email: true,
       push: false,
@@ -43,6 +65,9 @@ const Settings = () => {
   const [passwordError, setPasswordError] = useState('');
   const [passwordSuccess, setPasswordSuccess] = useState('');
   const [isUpdatingPassword, setIsUpdatingPassword] = useState(false);
+  const [saveSuccess, setSaveSuccess] = useState('');
+  const [saveError, setSaveError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
 
   // Sync form data with current theme when theme changes
   React.useEffect(() => {
@@ -52,6 +77,14 @@ const Settings = () => {
     }));
   }, [currentTheme]);
 
+  // Preferences can arrive from the account after the page has opened
+  useEffect(() => {
+    setFormData(prev => ({
+      ...prev,
+      editor: pickEditorFields(editorSettings)
+    }));
+  }, [editorSettings]);
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -60,6 +93,9 @@ const Settings = () => {
       setTheme(value);
     }
     
+    if (saveSuccess) setSaveSuccess('');
+    if (saveError) setSaveError('');
+    
     if (name.includes('.')) {
       const [parent, child] = name.split('.');
       setFormData(prev => ({
@@ -140,10 +176,32 @@ const Settings = () => {
     }
   };
 
-  const handleSave = () => {
-    // TODO: Implement save functionality
-    console.log('Saving settings:', formData);
+  const handleSave = async () => {
+    // TODO: Save profile changes once the API has an endpoint for them
+    const { fontSize, tabSize, ...editor } = formData.editor;
+    saveEditorSettings({
+      ...editor,
+      fontSize: Number(fontSize),
+      tabSize: Number(tabSize)
+    });
+    
+    setSaveSuccess('');
+    setSaveError('');
+    setIsSaving(true);
     setIsEditing(false);
+    
+    try {
+      const isSynced = await flushEditorSettings();
+      setSaveSuccess(isSynced
+        ? 'Settings saved to your account'
+        : 'Settings saved in this browser');
+    } catch (error) {
+      setSaveError(
+        `Settings were saved in this browser but not to your account: ${error.response?.data?.message || error.message}`
+      );
+    } finally {
+      setIsSaving(false);
+    }
   };
 
   const settingSections = [
@@ -357,11 +415,14 @@ const Settings = () => {
     <SectionContent>
       <SectionTitle>Editor Preferences</SectionTitle>
       
+      {saveSuccess && <SuccessAlert>{saveSuccess}</SuccessAlert>}
+      {saveError && <ErrorAlert>{saveError}</ErrorAlert>}
+      
       <FormGroup>
         <Label>Default Language</Label>
         <Select
-          name="language"
-          value={formData.language}
+          name="editor.defaultLanguage"
+          value={formData.editor.defaultLanguage}
           onChange={handleInputChange}
         >
           <option value="javascript">JavaScript</option>
@@ -375,8 +436,8 @@ const Settings = () => {
       <FormGroup>
         <Label>Font Size</Label>
         <Select
-          name="fontSize"
-          value={formData.fontSize}
+          name="editor.fontSize"
+          value={formData.editor.fontSize}
           onChange={handleInputChange}
         >
           <option value="12">12px</option>
@@ -386,6 +447,93 @@ const Settings = () => {
           <option value="20">20px</option>
         </Select>
       </FormGroup>
+      
+      <FormGroup>
+        <Label>Font Family</Label>
+        <Select
+          name="editor.fontFamily"
+          value={formData.editor.fontFamily}
+          onChange={handleInputChange}
+        >
+          {FONT_FAMILIES.map(font => (
+            <option key={font.value} value={font.value}>{font.label}</option>
+          ))}
+        </Select>
+      </FormGroup>
+      
+      <FormGroup>
+        <Label>Tab Size</Label>
+        <Select
+          name="editor.tabSize"
+          value={formData.editor.tabSize}
+          onChange={handleInputChange}
+        >
+          <option value="2">2 spaces</option>
+          <option value="4">4 spaces</option>
+          <option value="8">8 spaces</option>
+        </Select>
+      </FormGroup>
+      
+      <FormGroup>
+        <Label>Word Wrap</Label>
+        <Select
+          name="editor.wordWrap"
+          value={formData.editor.wordWrap}
+          onChange={handleInputChange}
+        >
+          <option value="on">On</option>
+          <option value="off">Off</option>
+          <option value="bounded">At the ruler</option>
+        </Select>
+      </FormGroup>
+      
+      <FormGroup>
+        <Label>Keymap</Label>
+        <Select
+          name="editor.keymap"
+          value={formData.editor.keymap}
+          onChange={handleInputChange}
+        >
+          {KEYMAPS.map(keymap => (
+            <option key={keymap.value} value={keymap.value}>{keymap.label}</option>
+          ))}
+        </Select>
+      </FormGroup>
+      
+      <FormGroup>
+        <CheckboxGroup>
+          <Checkbox>
+            <input
+              type="checkbox"
+              name="editor.minimap"
+              checked={formData.editor.minimap}
+              onChange={handleInputChange}
+            />
+            <CheckboxLabel>Minimap</CheckboxLabel>
+          </Checkbox>
+          <CheckboxDescription>Show an overview of the file next to the scrollbar</CheckboxDescription>
+        </CheckboxGroup>
+      </FormGroup>
+      
+      <FormGroup>
+        <CheckboxGroup>
+          <Checkbox>
+            <input
+              type="checkbox"
+              name="editor.formatOnSave"
+              checked={formData.editor.formatOnSave}
+              onChange={handleInputChange}
+            />
+            <CheckboxLabel>Format on save</CheckboxLabel>
+          </Checkbox>
+          <CheckboxDescription>Format files with Prettier before they are saved, using the project&apos;s .prettierrc if it has one</CheckboxDescription>
+        </CheckboxGroup>
+      </FormGroup>
+      
+      <SaveButton onClick={handleSave} disabled={isSaving}>
+        <FaSave />
+        {isSaving ? 'Saving...' : 'Save Changes'}
+      </SaveButton>
     </SectionContent>
   );
 
@@ -3,6 +3,32 @@ export const API_URL = process.env.NODE_ENV === 'production'
   ? 'https://codeconclaveserver.onrender.com/api' 
   : 'https://codeconclaveserver.onrender.com/api';
 
+// Socket.io server root (API_URL without the /api suffix)
+export const SOCKET_URL = API_URL.includes('/api')
+  ? API_URL.substring(0, API_URL.indexOf('/api'))
+  : window.location.origin;
+
+// Proxy that adds CORS headers for git servers (most don't send them). Off
+// unless VITE_GIT_CORS_PROXY is set: clone and push traffic, credentials
+// included, goes through it, so it should be one you host
+export const GIT_CORS_PROXY = import.meta.env.VITE_GIT_CORS_PROXY || '';
+
+// Pyodide runtime for running Python when the execution server can't be
+// reached. The build copies the pyodide package to /pyodide/ (see
+// vite.config.js); VITE_PYODIDE_URL points elsewhere
+export const PYODIDE_INDEX_URL = import.meta.env.VITE_PYODIDE_URL ?? '/pyodide/';
+
+// The pyodide package has the runtime but none of Pyodide's packages (e.g.
+// numpy), so with the copy served by the app they come from Pyodide's CDN
+export const PYODIDE_CDN_PACKAGES = !import.meta.env.VITE_PYODIDE_URL;
+
+// Pyodide packages loaded with the runtime, comma-separated; packages the
+// code imports are loaded on demand
+export const PYODIDE_PACKAGES = (import.meta.env.VITE_PYODIDE_PACKAGES ?? '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
 export const SUPPORTED_LANGUAGES = [
   { id: 'javascript', name: 'JavaScript', extensions: ['.js', '.jsx'] },
   { id: 'typescript', name: 'TypeScript', extensions: ['.ts', '.tsx'] },
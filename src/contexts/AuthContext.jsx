@@ -3,6 +3,7 @@ import { createContext, useState, useEffect } from 'react';
 import axios from 'axios';
 import jwtDecode from 'jwt-decode';
 import { API_URL } from '../config/constants';
+import { fetchEditorSettings } from '../services/editorSettings';
 
 export const AuthContext = createContext();
 
@@ -49,6 +50,13 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, [token]);
 
+  // Bring in the editor preferences saved to the account
+  useEffect(() => {
+    if (currentUser?._id) {
+      fetchEditorSettings();
+    }
+  }, [currentUser?._id]);
+
   // Register user
   const register = async (userData) => {
     setError(null);
@@ -0,0 +1,188 @@
+// client/src/contexts/CommandContext.jsx
+import { createContext, useState, useEffect, useContext, useRef, useMemo, useCallback } from 'react';
+import { omit } from 'lodash';
+import {
+  eventToKeybinding,
+  resolveKeybindings,
+  worksInTextFields
+} from '../utils/keybindings';
+import {
+  loadEditorSettings,
+  saveEditorSettings,
+  subscribeToEditorSettings
+} from '../services/editorSettings';
+
+const CommandContext = createContext();
+
+const isTextField = (target) => {
+  if (!target) return false;
+  const tagName = target.tagName;
+  return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || target.isContentEditable;
+};
+
+/**
+ * Central registry of commands that toolbars, editors and menus register
+ * into. Commands are { id, title, category, keybinding, isEnabled, run };
+ * the palette lists them and their keybindings are handled here, with user
+ * overrides kept in the editor settings.
+ */
+export const CommandProvider = ({ children }) => {
+  // Command ID to the registrations for it; the most recent one wins
+  const registryRef = useRef(new Map());
+  // Set while a keybinding is being recorded, so the keys reach the recorder
+  const isSuspendedRef = useRef(false);
+  const [commands, setCommands] = useState([]);
+  const [overrides, setOverrides] = useState(() => loadEditorSettings().keybindings || {});
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+
+  useEffect(() => subscribeToEditorSettings(settings => {
+    setOverrides(settings.keybindings || {});
+  }), []);
+
+  const refreshCommands = () => {
+    setCommands([...registryRef.current.values()].map(entries => entries[entries.length - 1]));
+  };
+
+  const registerCommands = useCallback((newCommands) => {
+    const registry = registryRef.current;
+    newCommands.forEach(command => {
+      registry.set(command.id, [...(registry.get(command.id) || []), command]);
+    });
+    refreshCommands();
+
+    return () => {
+      newCommands.forEach(command => {
+        const remaining = (registry.get(command.id) || []).filter(entry => entry !== command);
+        if (remaining.length > 0) registry.set(command.id, remaining);
+        else registry.delete(command.id);
+      });
+      refreshCommands();
+    };
+  }, []);
+
+  const keybindings = useMemo(() => resolveKeybindings(commands, overrides), [commands, overrides]);
+
+  const isCommandEnabled = useCallback((command) => {
+    try {
+      return command.isEnabled ? Boolean(command.isEnabled()) : true;
+    } catch {
+      return false;
+    }
+  }, []);
+
+  const executeCommand = useCallback((id, ...args) => {
+    const entries = registryRef.current.get(id);
+    const command = entries?.[entries.length - 1];
+    if (!command || !isCommandEnabled(command)) return false;
+
+    Promise.resolve(command.run(...args)).catch(error => {
+      console.error(`Error running command ${id}:`, error);
+    });
+    return true;
+  }, [isCommandEnabled]);
+
+  // Capture phase, so shortcuts work while Monaco has focus
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isSuspendedRef.current) return;
+
+      const keybinding = eventToKeybinding(e);
+      if (!keybinding) return;
+      if (isTextField(e.target) && !worksInTextFields(keybinding)) return;
+
+      const command = commands.find(c => keybindings.get(c.id) === keybinding && isCommandEnabled(c));
+      if (!command) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      executeCommand(command.id);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [commands, keybindings, isCommandEnabled, executeCommand]);
+
+  const setKeybinding = useCallback((id, keybinding) => {
+    saveEditorSettings({ keybindings: { ...loadEditorSettings().keybindings, [id]: keybinding } });
+  }, []);
+
+  const resetKeybinding = useCallback((id) => {
+    saveEditorSettings({ keybindings: omit(loadEditorSettings().keybindings, id) });
+  }, []);
+
+  const value = {
+    commands,
+    keybindings,
+    overrides,
+    registerCommands,
+    executeCommand,
+    isCommandEnabled,
+    setKeybinding,
+    resetKeybinding,
+    suspendKeybindings: (isSuspended) => {
+      isSuspendedRef.current = isSuspended;
+    },
+    isPaletteOpen,
+    openPalette: () => setIsPaletteOpen(true),
+    closePalette: () => setIsPaletteOpen(false)
+  };
+
+  return (
+    <CommandContext.Provider value={value}>
+      {children}
+    </CommandContext.Provider>
+  );
+};
+
+const noCommands = {
+  commands: [],
+  keybindings: new Map(),
+  overrides: {},
+  registerCommands: () => () => {},
+  executeCommand: () => false,
+  isCommandEnabled: () => false,
+  setKeybinding: () => {},
+  resetKeybinding: () => {},
+  suspendKeybindings: () => {},
+  isPaletteOpen: false,
+  openPalette: () => {},
+  closePalette: () => {}
+};
+
+// Components can render outside the provider (e.g. tests), so fall back to no commands
+export const useCommands = () => {
+  return useContext(CommandContext) || noCommands;
+};
+
+/**
+ * Register commands for as long as the calling component is mounted. The
+ * latest run and isEnabled functions are always used, so they can close
+ * over component state without re-registering on every render.
+ * @param {Array} commands - [{ id, title, category, keybinding, isEnabled, run }]
+ */
+export const useRegisterCommands = (commands) => {
+  const { registerCommands } = useCommands();
+  const commandsRef = useRef(commands);
+  commandsRef.current = commands;
+
+  // Re-register only when the set of commands or their labels change
+  const signature = commands.map(c => `${c.id}\u0000${c.title}\u0000${c.keybinding || ''}`).join('\u0001');
+
+  useEffect(() => {
+    const latest = (id) => commandsRef.current.find(c => c.id === id);
+
+    return registerCommands(commandsRef.current.map(command => ({
+      id: command.id,
+      title: command.title,
+      category: command.category,
+      keybinding: command.keybinding,
+      isEnabled: () => {
+        const current = latest(command.id);
+        return current ? !current.isEnabled || current.isEnabled() : false;
+      },
+      run: (...args) => latest(command.id)?.run(...args)
+    })));
+  }, [signature, registerCommands]);
+};
+
+export default CommandContext;
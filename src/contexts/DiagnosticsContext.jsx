@@ -0,0 +1,104 @@
+// client/src/contexts/DiagnosticsContext.jsx
+import { createContext, useState, useEffect, useContext, useRef, useMemo } from 'react';
+import { pickBy } from 'lodash';
+import { EditorContext } from './EditorContext';
+import { buildFilePaths, getFileName } from '../utils/filePaths';
+import {
+  ESLINT_CONFIG_FILES,
+  getLintLanguage,
+  lintCode,
+  countProblems
+} from '../services/diagnosticsService';
+
+const DiagnosticsContext = createContext();
+
+// Wait for a pause in typing before linting again
+const LINT_DELAY = 500;
+
+const noProblems = [];
+
+/**
+ * Lints the JavaScript and TypeScript files of the project in the
+ * background and keeps their problems by file ID. Open files are linted
+ * with their unsaved edits. A file is linted again when its content, its
+ * path or the ESLint config changes.
+ */
+export const DiagnosticsProvider = ({ children }) => {
+  const { files, openFiles } = useContext(EditorContext);
+  const [diagnostics, setDiagnostics] = useState({});
+  // What each file was last linted as, so unchanged files are skipped
+  const lintedRef = useRef({});
+  const runRef = useRef(0);
+
+  useEffect(() => {
+    const run = ++runRef.current;
+
+    const timer = setTimeout(async () => {
+      const paths = buildFilePaths(files);
+      const getContent = (file) => (openFiles.find(f => f._id === file._id) || file).content || '';
+      const configFiles = files
+        .filter(f => ESLINT_CONFIG_FILES.includes(getFileName(f)))
+        .map(f => ({ path: paths.get(f._id), content: getContent(f) }));
+      const configKey = JSON.stringify(configFiles);
+
+      const lintable = files.filter(f => f.type !== 'directory' && getLintLanguage(f));
+      const lintableIds = new Set(lintable.map(f => f._id));
+      lintedRef.current = pickBy(lintedRef.current, (key, fileId) => lintableIds.has(fileId));
+      setDiagnostics(prev => pickBy(prev, (problems, fileId) => lintableIds.has(fileId)));
+
+      for (const file of lintable) {
+        const filePath = paths.get(file._id);
+        const content = getContent(file);
+        const key = `${filePath}\n${configKey}\n${content}`;
+        if (lintedRef.current[file._id] === key) continue;
+
+        let problems;
+        try {
+          problems = await lintCode(content, {
+            language: getLintLanguage(file),
+            filePath,
+            configFiles
+          });
+        } catch (error) {
+          console.error(`Error linting ${filePath}:`, error);
+          problems = noProblems;
+        }
+
+        // Files changed while this one was linted, a newer run takes over
+        if (run !== runRef.current) return;
+
+        lintedRef.current[file._id] = key;
+        setDiagnostics(prev => ({ ...prev, [file._id]: problems }));
+      }
+    }, LINT_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [files, openFiles]);
+
+  const value = useMemo(() => ({
+    diagnostics,
+    getProblems: (fileId) => diagnostics[fileId] || noProblems,
+    getProblemCounts: (fileId) => countProblems(diagnostics[fileId]),
+    totals: countProblems(Object.values(diagnostics).flat())
+  }), [diagnostics]);
+
+  return (
+    <DiagnosticsContext.Provider value={value}>
+      {children}
+    </DiagnosticsContext.Provider>
+  );
+};
+
+const noDiagnostics = {
+  diagnostics: {},
+  getProblems: () => noProblems,
+  getProblemCounts: () => ({ errors: 0, warnings: 0 }),
+  totals: { errors: 0, warnings: 0 }
+};
+
+// Components can render outside a project (e.g. tests), so fall back to no problems
+export const useDiagnostics = () => {
+  return useContext(DiagnosticsContext) || noDiagnostics;
+};
+
+export default DiagnosticsContext;
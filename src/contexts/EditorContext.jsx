@@ -1,119 +1,685 @@
 // client/src/contexts/EditorContext.jsx
-import { createContext, useState, useCallback } from 'react';
-import { updateFileContent } from '../services/projectService';
-import { debounce } from 'lodash';
+import { createContext, useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import {
+  updateFileContent,
+  getFileContent,
+  getFileRevision,
+  isConflictError
+} from '../services/projectService';
+import {
+  isNetworkError,
+  isLocalId,
+  hasPendingOperations,
+  queueOperation,
+  replayOutbox,
+  subscribeToOutbox,
+  getPendingOperationCount
+} from '../services/syncService';
+import { recordSnapshot } from '../services/localHistory';
+import { saveEditorSession, fetchEditorSession } from '../services/editorSession';
+import {
+  createEditorGroup,
+  openInGroup,
+  closeInGroup,
+  closeInAllGroups,
+  moveFileToGroup,
+  pinInGroup,
+  splitGroup,
+  closeGroup,
+  removeEmptyGroups,
+  replaceFileId,
+  getOpenFileIds,
+  serializeLayout,
+  deserializeLayout
+} from '../utils/editorGroups';
+import { buildFilePaths } from '../utils/filePaths';
+import { debounce, pick } from 'lodash';
 
 export const EditorContext = createContext();
 
+// Files remembered for quick open, most recent first
+const MAX_RECENT_FILES = 50;
+
 export const EditorProvider = ({ children }) => {
   const [currentProject, setCurrentProject] = useState(null);
   const [files, setFiles] = useState([]);
-  const [activeFile, setActiveFile] = useState(null);
   const [openFiles, setOpenFiles] = useState([]);
+  // Panes of the split editor, each with its own tabs and active file
+  const [editorGroups, setEditorGroups] = useState(() => [createEditorGroup()]);
+  const [activeGroupId, setActiveGroupId] = useState(null);
+  const [layoutDirection, setLayoutDirection] = useState('horizontal');
+  const [layoutSizes, setLayoutSizes] = useState(null);
+  // Folders expanded in the file explorer, keyed by folder ID
+  const [expandedFolders, setExpandedFolders] = useState({});
+  // Project the session was restored for, saved back while it is shown
+  const [sessionProjectId, setSessionProjectId] = useState(null);
   const [unsavedChanges, setUnsavedChanges] = useState({});
   const [saving, setSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(null);
   const [saveError, setSaveError] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [pendingOperations, setPendingOperations] = useState(0);
+  // Position the code editor should scroll to once the file is shown
+  const [revealRequest, setRevealRequest] = useState(null);
+  const [recentFileIds, setRecentFileIds] = useState([]);
 
-  // Debounced save function to prevent too many API calls
-  const debouncedSave = useCallback(
-    debounce(async (projectId, fileId, content) => {
-      try {
-        setSaving(true);
-        setSaveError(null);
-        await updateFileContent(projectId, fileId, content);
+  // Revision and content each open file's edits are based on, keyed by file ID
+  const revisionsRef = useRef({});
+  const conflictRef = useRef(null);
+  const sessionProjectIdRef = useRef(null);
+  // Monaco view states (cursor, selections, scroll) keyed by file ID, and the
+  // restored ones that haven't been applied to an editor yet
+  const viewStatesRef = useRef({});
+  const pendingViewStatesRef = useRef(new Set());
+  // Callbacks run before a file is saved, e.g. format on save, keyed by file ID
+  const beforeSaveRef = useRef({});
         
-        // Update unsavedChanges state
-        setUnsavedChanges(prev => {
-          const updated = { ...prev };
-          delete updated[fileId];
-          return updated;
-        });
+  // Project-relative path of every file, keyed by file ID
+  const filePaths = useMemo(() => buildFilePaths(files), [files]);
         
-        setSaveSuccess('File saved successfully');
-        // Clear success message after 3 seconds
-        setTimeout(() => setSaveSuccess(null), 3000);
-      } catch (error) {
+  // The focused group and the file it shows
+  const activeGroup = editorGroups.find(group => group.id === activeGroupId) || editorGroups[0];
+  const activeFile = openFiles.find(f => f._id === activeGroup.activeFileId) || null;
+
+  const trackRevision = (file, content = file.content) => {
+    revisionsRef.current[file._id] = {
+      revision: getFileRevision(file),
+      base: content || ''
+    };
+  };
+
+  const openConflict = (value) => {
+    conflictRef.current = value;
+    setConflict(value);
+  };
+
+  const clearUnsaved = (fileId) => {
+    setUnsavedChanges(prev => {
+      const updated = { ...prev };
+      delete updated[fileId];
+      return updated;
+    });
+  };
+
+  // Keep the edit in the offline outbox until the API is reachable again
+  const queueSave = async (projectId, file, content, tracked, message = 'Saved offline. Changes will sync when you reconnect.') => {
+    try {
+      await queueOperation({
+        type: 'update',
+        projectId,
+        fileId: file._id,
+        content,
+        revision: tracked.revision,
+        base: tracked.base
+      });
+      clearUnsaved(file._id);
+      setSaveSuccess(message);
+      setTimeout(() => setSaveSuccess(null), 3000);
+    } catch (error) {
+      console.error('Error queueing offline save:', error);
+      setSaveError('Failed to save file');
+    }
+  };
+
+  // Save content, only overwriting the server copy if it is still at the
+  // revision we loaded. On a conflict, open the merge view instead.
+  const saveFile = async (projectId, file, content, { precondition = true, source = 'save' } = {}) => {
+    const tracked = revisionsRef.current[file._id] || {};
+
+    // Created offline and not on the server yet
+    if (isLocalId(file._id)) {
+      await queueSave(projectId, file, content, tracked);
+      return null;
+    }
+
+    // Earlier edits of the file are still queued. Saving straight away would
+    // be overwritten when they are replayed, so queue behind them.
+    if (await hasPendingOperations(projectId, file._id)) {
+      await queueSave(projectId, file, content, tracked, 'Saved. Syncing with your earlier changes.');
+      if (navigator.onLine) syncNow();
+      return null;
+    }
+
+    try {
+      setSaving(true);
+      setSaveError(null);
+      const savedFile = await updateFileContent(
+        projectId,
+        file._id,
+        content,
+        precondition ? tracked.revision : null
+      );
+
+      trackRevision(savedFile, content);
+      setFiles(prev => prev.map(f =>
+        f._id === file._id ? { ...f, content, updatedAt: savedFile.updatedAt } : f
+      ));
+      clearUnsaved(file._id);
+      recordSnapshot(projectId, file._id, content, source);
+
+      setSaveSuccess('File saved successfully');
+      // Clear success message after 3 seconds
+      setTimeout(() => setSaveSuccess(null), 3000);
+      setIsOffline(false);
+      return savedFile;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setIsOffline(true);
+        await queueSave(projectId, file, content, tracked);
+        return null;
+      }
+
+      if (!isConflictError(error)) {
         console.error('Error saving file:', error);
         setSaveError('Failed to save file');
-      } finally {
-        setSaving(false);
+        return null;
       }
-    }, 1000),
-    []
-  );
 
-  // Handle file content change
-  const handleFileChange = (content) => {
-    if (!activeFile || !currentProject) return;
-    
-    // Update file in state
-    const updatedFile = { ...activeFile, content };
-    
+      const theirs = error.response.data?.file || await getFileContent(projectId, file._id);
+      openConflict({
+        fileId: file._id,
+        fileName: `${file.name}${file.extension || ''}`,
+        extension: file.extension,
+        base: tracked.base ?? '',
+        mine: content,
+        theirs: theirs.content || '',
+        revision: getFileRevision(theirs)
+      });
+      setSaveError('This file was changed by someone else. Resolve the conflict to save.');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Debounced saves, one per file so that editing another file doesn't
+  // cancel a save that is still pending
+  const pendingSavesRef = useRef(new Map());
+
+  const debouncedSave = (projectId, file, content, options) => {
+    let save = pendingSavesRef.current.get(file._id);
+    if (!save) {
+      save = debounce(async (projectId, file, content, options) => {
+        pendingSavesRef.current.delete(file._id);
+
+        // Hold saves for a file until its conflict has been resolved
+        if (conflictRef.current?.fileId === file._id) return;
+
+        // Edits made before saving come back through handleFileChange, which
+        // schedules another save with them
+        const beforeSave = beforeSaveRef.current[file._id];
+        if (beforeSave && await beforeSave(content) !== content) return;
+
+        saveFile(projectId, file, content, options);
+      }, 1000);
+      pendingSavesRef.current.set(file._id, save);
+    }
+    save(projectId, file, content, options);
+  };
+
+  const cancelPendingSaves = () => {
+    pendingSavesRef.current.forEach(save => save.cancel());
+    pendingSavesRef.current.clear();
+  };
+
+  // Handle file content change. Changes merged in from collaborators are
+  // persisted by their author, so they only update local state. While a
+  // live collaboration session is joined the room is the source of truth,
+  // so saves are plain snapshots without a revision precondition. Editors
+  // in other groups than the focused one pass the file they show.
+  const handleFileChange = (content, { remote = false, live = false, fileId = activeFile?._id } = {}) => {
+    const file = openFiles.find(f => f._id === fileId);
+    if (!file || !currentProject) return;
+
     // Update in openFiles array
-    setOpenFiles(openFiles.map(f => 
-      f._id === activeFile._id ? updatedFile : f
+    setOpenFiles(prev => prev.map(f => 
+      f._id === fileId ? { ...f, content } : f
     ));
-    
-    // Update active file
-    setActiveFile(updatedFile);
-    
+
+    if (remote) return;
+
     // Mark file as having unsaved changes
     setUnsavedChanges(prev => ({
       ...prev,
-      [activeFile._id]: true
+      [fileId]: true
     }));
-    
+
     // Save file content
-    debouncedSave(currentProject._id, activeFile._id, content);
+    debouncedSave(currentProject._id, file, content, { precondition: !live });
   };
 
-  // Open a file
-  const openFile = (file) => {
-    // Check if the file is already open
-    if (!openFiles.some(f => f._id === file._id)) {
-      setOpenFiles([...openFiles, file]);
+  // Save the user's resolution of a conflict on top of the other revision
+  const resolveConflict = async (content) => {
+    const current = conflictRef.current;
+    if (!current || !currentProject) return;
+
+    revisionsRef.current[current.fileId] = {
+      revision: current.revision,
+      base: current.theirs
+    };
+    conflictRef.current = null;
+    setConflict(null);
+
+    const file = openFiles.find(f => f._id === current.fileId) ||
+      files.find(f => f._id === current.fileId);
+    if (!file) return;
+
+    const resolvedFile = { ...file, content };
+    setOpenFiles(prev => prev.map(f => f._id === file._id ? resolvedFile : f));
+
+    await saveFile(currentProject._id, file, content);
+  };
+
+  // Restore a snapshot from the local history of a file and save it
+  const restoreFileVersion = async (fileId, content) => {
+    if (!currentProject) return null;
+
+    const file = openFiles.find(f => f._id === fileId) ||
+      files.find(f => f._id === fileId);
+    if (!file) return null;
+
+    const restoredFile = { ...file, content };
+    setOpenFiles(prev => prev.map(f => f._id === fileId ? restoredFile : f));
+
+    return saveFile(currentProject._id, file, content, { source: 'restore' });
+  };
+
+  // Save new content for several files, e.g. after a project-wide replace.
+  // Files that aren't open are saved against the revision they were read at.
+  const replaceFileContents = async (edits) => {
+    if (!currentProject) return [];
+
+    const saved = [];
+    for (const { file, content } of edits) {
+      const openFile = openFiles.find(f => f._id === file._id);
+      if (!revisionsRef.current[file._id]) trackRevision(file);
+
+      if (openFile) {
+        const updatedFile = { ...openFile, content };
+        setOpenFiles(prev => prev.map(f => f._id === file._id ? updatedFile : f));
+      }
+
+      saved.push(await saveFile(currentProject._id, openFile || file, content, { source: 'replace' }));
     }
-    setActiveFile(file);
-  };
-
-  // Close a file
-  const closeFile = (fileId) => {
-    const newOpenFiles = openFiles.filter(f => f._id !== fileId);
-    setOpenFiles(newOpenFiles);
-    
-    // If we closed the active file, activate another one if available
-    if (activeFile && activeFile._id === fileId && newOpenFiles.length > 0) {
-      setActiveFile(newOpenFiles[newOpenFiles.length - 1]);
-    } else if (newOpenFiles.length === 0) {
-      setActiveFile(null);
+    return saved;
+  };
+
+  // Replace the whole file list after a bulk change such as a rollback.
+  // Open files are refreshed from the new list and closed if they are gone.
+  const replaceProjectFiles = (newFiles) => {
+    const byId = new Map(newFiles.map(f => [f._id, f]));
+
+    // Pending edits were made against the old files
+    cancelPendingSaves();
+    setFiles(newFiles);
+    setOpenFiles(prev => prev.filter(f => byId.has(f._id)).map(f => byId.get(f._id)));
+    setEditorGroups(prev => removeEmptyGroups(
+      closeInAllGroups(prev, [...getOpenFileIds(prev)].filter(id => !byId.has(id)))
+    ));
+    setUnsavedChanges({});
+
+    revisionsRef.current = {};
+    newFiles.forEach(f => {
+      if (f.type === 'file') trackRevision(f);
+    });
+  };
+
+  // Swap the temporary ID of a file created offline for its server ID
+  const replaceLocalFile = (localId, createdFile) => {
+    const remap = (f) => {
+      if (f._id === localId) {
+        return { ...f, _id: createdFile._id, updatedAt: createdFile.updatedAt };
+      }
+      return f.parentId === localId ? { ...f, parentId: createdFile._id } : f;
+    };
+
+    setFiles(prev => prev.map(remap));
+    setOpenFiles(prev => prev.map(remap));
+    setEditorGroups(prev => replaceFileId(prev, localId, createdFile._id));
+
+    if (revisionsRef.current[localId]) {
+      revisionsRef.current[createdFile._id] = {
+        ...revisionsRef.current[localId],
+        revision: getFileRevision(createdFile)
+      };
+      delete revisionsRef.current[localId];
     }
-    
-    // Remove from unsaved changes
-    setUnsavedChanges(prev => {
-      const updated = { ...prev };
-      delete updated[fileId];
-      return updated;
+  };
+
+  // Apply server-side metadata changes such as a move. Content is left alone,
+  // and edits are rebased on the new revision so they don't look like conflicts.
+  const applyFileMetadata = (updatedFiles) => {
+    const byId = new Map(updatedFiles.map(f => [f._id, f]));
+    const merge = (f) => {
+      if (!byId.has(f._id)) return f;
+      const metadata = { ...byId.get(f._id) };
+      delete metadata.content;
+      return { ...f, ...metadata };
+    };
+
+    setFiles(prev => prev.map(merge));
+    setOpenFiles(prev => prev.map(merge));
+
+    updatedFiles.forEach(f => {
+      if (revisionsRef.current[f._id]) {
+        revisionsRef.current[f._id].revision = getFileRevision(f);
+      }
+    });
+  };
+
+  // Replay the offline outbox against the API
+  const syncNow = useCallback(async () => {
+    setIsSyncing(true);
+    try {
+      const { completed } = await replayOutbox({
+        onFileCreated: replaceLocalFile,
+        onFileSaved: (savedFile, content, projectId) => {
+          trackRevision(savedFile, content);
+          recordSnapshot(projectId, savedFile._id, content, 'sync');
+          setFiles(prev => prev.map(f =>
+            f._id === savedFile._id ? { ...f, updatedAt: savedFile.updatedAt } : f
+          ));
+        },
+        onConflict: async (entry, theirs) => {
+          const current = theirs || await getFileContent(entry.projectId, entry.fileId);
+          openConflict({
+            fileId: entry.fileId,
+            fileName: `${current.name}${current.extension || ''}`,
+            extension: current.extension,
+            base: entry.base ?? '',
+            mine: entry.content,
+            theirs: current.content || '',
+            revision: getFileRevision(current)
+          });
+        }
+      });
+      setIsOffline(!completed);
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, []);
+
+  // Track queued operations and replay them when connectivity returns
+  useEffect(() => {
+    const unsubscribe = subscribeToOutbox(setPendingOperations);
+    const handleOnline = () => syncNow();
+    const handleOffline = () => setIsOffline(true);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    getPendingOperationCount().then(count => {
+      setPendingOperations(count);
+      if (count > 0 && navigator.onLine) syncNow();
+    });
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  // The API host may be asleep rather than us being offline, so keep retrying
+  useEffect(() => {
+    if (pendingOperations === 0) return;
+
+    const interval = setInterval(() => {
+      if (navigator.onLine) syncNow();
+    }, 30000);
+
+    return () => clearInterval(interval);
+  }, [pendingOperations, syncNow]);
+
+  let syncStatus = 'synced';
+  if (isSyncing) {
+    syncStatus = 'syncing';
+  } else if (isOffline) {
+    syncStatus = 'offline';
+  } else if (pendingOperations > 0) {
+    syncStatus = 'pending';
+  }
+
+  // Remember the order files were last shown in, however they were activated
+  const activeFileId = activeFile?._id;
+  useEffect(() => {
+    if (!activeFileId) return;
+    setRecentFileIds(prev => [activeFileId, ...prev.filter(id => id !== activeFileId)].slice(0, MAX_RECENT_FILES));
+  }, [activeFileId]);
+
+  // Open a file in the focused editor group, or the given one
+  const openFile = (file, groupId = activeGroup.id) => {
+    if (!revisionsRef.current[file._id]) {
+      trackRevision(file);
+    }
+
+    // Check if the file is already open
+    setOpenFiles(prev => prev.some(f => f._id === file._id) ? prev : [...prev, file]);
+    setEditorGroups(prev => openInGroup(prev, groupId, file._id));
+    setActiveGroupId(groupId);
+  };
+
+  // Open a file and move the cursor to a position, selecting the given length
+  const openFileAt = (file, { lineNumber, column = 1, length = 0 }) => {
+    openFile(openFiles.find(f => f._id === file._id) || file);
+    setRevealRequest({ fileId: file._id, lineNumber, column, length, requestedAt: Date.now() });
+  };
+
+  // Update the editor groups, forgetting files that no group shows any more
+  const updateEditorGroups = (newGroups) => {
+    const stillOpen = getOpenFileIds(newGroups);
+    const closed = [...getOpenFileIds(editorGroups)].filter(fileId => !stillOpen.has(fileId));
+
+    setEditorGroups(newGroups);
+    setOpenFiles(prev => prev.filter(f => stillOpen.has(f._id)));
+    if (newGroups.length !== editorGroups.length) setLayoutSizes(null);
+
+    closed.forEach(fileId => {
+      clearUnsaved(fileId);
+      delete revisionsRef.current[fileId];
+    });
+  };
+
+  // Show a file that is open in a group and focus that group
+  const activateFile = (fileId, groupId = activeGroup.id) => {
+    setEditorGroups(prev => openInGroup(prev, groupId, fileId));
+    setActiveGroupId(groupId);
+  };
+
+  // Close a file's tab in the focused group, or the given one. The file
+  // stays open while another group shows it.
+  const closeFile = (fileId, groupId = activeGroup.id) => {
+    updateEditorGroups(removeEmptyGroups(closeInGroup(editorGroups, groupId, fileId), groupId));
+  };
+
+  // Close several files at once, e.g. after they were deleted
+  const closeFiles = (fileIds) => {
+    updateEditorGroups(removeEmptyGroups(closeInAllGroups(editorGroups, fileIds)));
+
+    fileIds.forEach(fileId => {
+      clearUnsaved(fileId);
+      delete revisionsRef.current[fileId];
     });
   };
 
+  // Open the focused group's file in a new group beside or below it. All
+  // groups are laid out in one direction, so splitting the other way turns
+  // the existing groups too.
+  const splitEditor = (direction = layoutDirection) => {
+    const { groups, groupId } = splitGroup(editorGroups, activeGroup.id);
+    updateEditorGroups(groups);
+    setActiveGroupId(groupId);
+    setLayoutDirection(direction);
+  };
+
+  const closeEditorGroup = (groupId = activeGroup.id) => {
+    updateEditorGroups(closeGroup(editorGroups, groupId));
+  };
+
+  // Drag a tab to another position or group
+  const moveEditorTab = (fileId, fromGroupId, toGroupId, index) => {
+    updateEditorGroups(moveFileToGroup(editorGroups, fileId, fromGroupId, toGroupId, index));
+    setActiveGroupId(toGroupId);
+  };
+
+  // Pin a tab so it stays at the start of its group's strip
+  const pinEditorTab = (fileId, groupId = activeGroup.id, isPinned = true) => {
+    setEditorGroups(prev => pinInGroup(prev, groupId, fileId, isPinned));
+  };
+
+  // Latest session state, for saves that run after a delay
+  const sessionRef = useRef(null);
+  sessionRef.current = {
+    projectId: sessionProjectId,
+    layout: {
+      groups: editorGroups,
+      activeGroupId: activeGroup.id,
+      direction: layoutDirection,
+      sizes: layoutSizes
+    },
+    expandedFolders
+  };
+
+  const persistSession = useMemo(() => debounce(() => {
+    const { projectId, layout, expandedFolders: expanded } = sessionRef.current;
+    if (!projectId) return;
+
+    saveEditorSession(projectId, {
+      layout: serializeLayout(layout),
+      // Only the view states of open files are worth coming back to
+      viewStates: pick(viewStatesRef.current, [...getOpenFileIds(layout.groups)]),
+      expandedFolders: Object.keys(expanded).filter(folderId => expanded[folderId])
+    });
+  }, 500), []);
+
+  useEffect(() => {
+    if (sessionProjectId) persistSession();
+  }, [sessionProjectId, editorGroups, activeGroup.id, layoutDirection, layoutSizes, expandedFolders, persistSession]);
+
+  useEffect(() => {
+    window.addEventListener('pagehide', persistSession.flush);
+    return () => window.removeEventListener('pagehide', persistSession.flush);
+  }, [persistSession]);
+
+  // Remember where an editor was scrolled to and its cursor
+  const rememberViewState = useCallback((fileId, viewState) => {
+    // Don't overwrite a restored view state before it has been applied
+    if (!fileId || !viewState || pendingViewStatesRef.current.has(fileId)) return;
+    viewStatesRef.current[fileId] = viewState;
+    persistSession();
+  }, [persistSession]);
+
+  // The restored view state of a file, the first time it is shown. After
+  // that the editor keeps track of it itself.
+  const consumeViewState = useCallback((fileId) => {
+    if (!pendingViewStatesRef.current.delete(fileId)) return null;
+    return viewStatesRef.current[fileId] || null;
+  }, []);
+
+  // Run a callback with a file's content before it is saved. It returns the
+  // content to save; returning something else means the file was edited
+  // and a new save is on its way.
+  const registerBeforeSave = useCallback((fileId, callback) => {
+    beforeSaveRef.current[fileId] = callback;
+    return () => {
+      if (beforeSaveRef.current[fileId] === callback) {
+        delete beforeSaveRef.current[fileId];
+      }
+    };
+  }, []);
+
+  // Bring back the editor session of a project once its files are loaded:
+  // the editor groups and their tabs, view states and expanded folders,
+  // leaving out files that are gone. Without a saved session the project
+  // starts with one empty group.
+  const restoreEditorSession = useCallback(async (projectId, projectFiles) => {
+    if (sessionProjectIdRef.current === projectId) return;
+
+    // Pending changes still belong to the previous project
+    persistSession.flush();
+    sessionProjectIdRef.current = projectId;
+    setSessionProjectId(null);
+
+    const session = await fetchEditorSession(projectId);
+    if (sessionProjectIdRef.current !== projectId) return;
+
+    const byId = new Map(projectFiles.map(f => [f._id, f]));
+    const fileIds = new Set(projectFiles.filter(f => f.type === 'file').map(f => f._id));
+    const layout = deserializeLayout(session?.layout, fileIds);
+    const restoredFiles = [...getOpenFileIds(layout.groups)].map(fileId => byId.get(fileId));
+
+    restoredFiles.forEach(f => {
+      revisionsRef.current[f._id] = { revision: getFileRevision(f), base: f.content || '' };
+    });
+    viewStatesRef.current = pick(session?.viewStates || {}, restoredFiles.map(f => f._id));
+    pendingViewStatesRef.current = new Set(Object.keys(viewStatesRef.current));
+
+    setOpenFiles(restoredFiles);
+    setEditorGroups(layout.groups);
+    setActiveGroupId(layout.activeGroupId);
+    setLayoutDirection(layout.direction);
+    setLayoutSizes(layout.sizes);
+    setExpandedFolders(Object.fromEntries(
+      (session?.expandedFolders || [])
+        .filter(folderId => byId.get(folderId)?.type === 'directory')
+        .map(folderId => [folderId, true])
+    ));
+    setSessionProjectId(projectId);
+  }, [persistSession]);
+
   return (
     <EditorContext.Provider value={{
       currentProject,
       setCurrentProject,
       files,
       setFiles,
+      filePaths,
       activeFile,
-      setActiveFile,
       openFiles,
       setOpenFiles,
       handleFileChange,
       openFile,
+      activateFile,
+      editorGroups,
+      activeGroupId: activeGroup.id,
+      focusEditorGroup: setActiveGroupId,
+      splitEditor,
+      closeEditorGroup,
+      moveEditorTab,
+      layoutDirection,
+      setLayoutDirection,
+      layoutSizes,
+      setLayoutSizes,
+      pinEditorTab,
+      expandedFolders,
+      setExpandedFolders,
+      rememberViewState,
+      consumeViewState,
+      registerBeforeSave,
+      restoreEditorSession,
+      openFileAt,
+      recentFileIds,
+      revealRequest,
+      clearRevealRequest: () => setRevealRequest(null),
       closeFile,
+      closeFiles,
       unsavedChanges,
       saving,
       saveSuccess,
-      saveError
+      saveError,
+      conflict,
+      resolveConflict,
+      restoreFileVersion,
+      replaceFileContents,
+      replaceProjectFiles,
+      applyFileMetadata,
+      syncStatus,
+      pendingOperations,
+      syncNow
     }}>
       {children}
     </EditorContext.Provider>
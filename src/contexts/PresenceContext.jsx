@@ -0,0 +1,96 @@
+// client/src/contexts/PresenceContext.jsx
+import { createContext, useState, useEffect, useContext, useRef, useMemo, useCallback } from 'react';
+import { throttle } from 'lodash';
+import { connectCollaboration, joinPresence } from '../services/collaborationService';
+
+const PresenceContext = createContext();
+
+/**
+ * Resolve a display name for a peer from the project's owner and collaborators
+ * @param {Object} project - Project data
+ * @param {Object} peer - Presence peer
+ * @returns {string} Display name
+ */
+const resolvePeerName = (project, peer) => {
+  const userId = peer.user?._id;
+  const members = [
+    project?.owner,
+    ...(project?.collaborators || []).map(collaborator => collaborator.user)
+  ].filter(Boolean);
+
+  const member = members.find(m => m._id === userId);
+  return member?.username || member?.email || peer.user?.username || 'Anonymous';
+};
+
+export const PresenceProvider = ({ project, children }) => {
+  const [peers, setPeers] = useState([]);
+  const channelRef = useRef(null);
+  const projectId = project?._id;
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    const socket = connectCollaboration();
+    const channel = joinPresence(socket, projectId, setPeers);
+    channelRef.current = channel;
+
+    return () => {
+      channel.leave();
+      channelRef.current = null;
+      setPeers([]);
+    };
+  }, [projectId]);
+
+  // Cursor moves are frequent; publish at most a few times per second
+  const publish = useMemo(
+    () => throttle(state => channelRef.current?.update(state), 100),
+    []
+  );
+
+  useEffect(() => () => publish.cancel(), [publish]);
+
+  const updateLocalPresence = useCallback((fileId, selections = []) => {
+    publish({ fileId, selections });
+  }, [publish]);
+
+  const namedPeers = useMemo(() => peers.map(peer => ({
+    ...peer,
+    name: resolvePeerName(project, peer)
+  })), [peers, project]);
+
+  const getPeersInFile = useCallback((fileId) => {
+    return namedPeers.filter(peer => peer.fileId === fileId);
+  }, [namedPeers]);
+
+  // Called with every operation applied to a file, local or remote
+  const transformPeerSelections = useCallback((fileId, operation) => {
+    channelRef.current?.transformSelections(fileId, operation);
+  }, []);
+
+  const value = {
+    peers: namedPeers,
+    getPeersInFile,
+    updateLocalPresence,
+    transformPeerSelections
+  };
+
+  return (
+    <PresenceContext.Provider value={value}>
+      {children}
+    </PresenceContext.Provider>
+  );
+};
+
+const noPresence = {
+  peers: [],
+  getPeersInFile: () => [],
+  updateLocalPresence: () => {},
+  transformPeerSelections: () => {}
+};
+
+// Components can render outside a project (e.g. tests), so fall back to no peers
+export const usePresence = () => {
+  return useContext(PresenceContext) || noPresence;
+};
+
+export default PresenceContext;
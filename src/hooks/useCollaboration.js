@@ -0,0 +1,131 @@
+// client/src/hooks/useCollaboration.js
+import { useEffect, useRef, useState, useCallback } from 'react';
+import {
+  connectCollaboration,
+  createDocumentSession
+} from '../services/collaborationService';
+import { usePresence } from '../contexts/PresenceContext';
+import {
+  operationFromChanges,
+  editsFromOperation
+} from '../utils/textOperation';
+
+/**
+ * Convert offset-based edits into Monaco edit operations
+ * @param {Object} model - Monaco text model
+ * @param {Array} edits - Edits with {offset, length, text}
+ * @returns {Array} Monaco identified edit operations
+ */
+const toMonacoEdits = (model, edits) => edits.map(edit => {
+  const start = model.getPositionAt(edit.offset);
+  const end = model.getPositionAt(edit.offset + edit.length);
+
+  return {
+    range: {
+      startLineNumber: start.lineNumber,
+      startColumn: start.column,
+      endLineNumber: end.lineNumber,
+      endColumn: end.column
+    },
+    text: edit.text,
+    forceMoveMarkers: true
+  };
+});
+
+/**
+ * Custom hook binding a Monaco editor to the collaborative document room
+ * of a file, so concurrent edits from collaborators are merged live
+ * @param {string} projectId - Project ID
+ * @param {string} fileId - File ID
+ * @param {Object} editor - Mounted Monaco editor instance
+ * @param {string} modelPath - Path of the model the editor shows; renaming
+ * or moving the file switches the editor to a new model at the new path
+ * @returns {Object} Collaboration state and helpers
+ */
+const useCollaboration = (projectId, fileId, editor, modelPath) => {
+  const { transformPeerSelections } = usePresence();
+  const [isConnected, setIsConnected] = useState(false);
+  const applyingRemoteRef = useRef(false);
+  const sessionRef = useRef(null);
+
+  useEffect(() => {
+    if (!projectId || !fileId || !editor) return;
+
+    // The editor has switched to the model at modelPath by the time this runs
+    const model = editor.getModel();
+    if (!model) return;
+
+    const socket = connectCollaboration();
+
+    const applyRemoteEdits = (edits) => {
+      applyingRemoteRef.current = true;
+      try {
+        model.applyEdits(toMonacoEdits(model, edits));
+      } finally {
+        applyingRemoteRef.current = false;
+      }
+    };
+
+    const session = createDocumentSession(socket, {
+      projectId,
+      fileId,
+      content: model.getValue(),
+      onJoin: (content) => {
+        // The room holds the latest merged content, which may be ahead of
+        // the last saved snapshot we loaded
+        if (content !== model.getValue()) {
+          applyRemoteEdits([{ offset: 0, length: model.getValueLength(), text: content }]);
+        }
+      },
+      onRemoteOperation: (operation) => {
+        applyRemoteEdits(editsFromOperation(operation));
+        transformPeerSelections(fileId, operation);
+      }
+    });
+    sessionRef.current = session;
+
+    // Monaco reports change offsets against the model before the edit, so
+    // track the previous length to build the operation
+    let previousLength = model.getValueLength();
+
+    const changeListener = model.onDidChangeContent(event => {
+      const lengthBefore = previousLength;
+      previousLength = model.getValueLength();
+
+      if (applyingRemoteRef.current || event.isFlush) return;
+
+      const operation = operationFromChanges(lengthBefore, event.changes);
+      session.submitOperation(operation);
+      transformPeerSelections(fileId, operation);
+    });
+
+    const handleConnect = () => setIsConnected(true);
+    const handleDisconnect = () => setIsConnected(false);
+
+    setIsConnected(socket.connected);
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+
+    return () => {
+      changeListener.dispose();
+      session.leave();
+      sessionRef.current = null;
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, [projectId, fileId, editor, modelPath, transformPeerSelections]);
+
+  // Whether the change currently being reported came from a collaborator
+  const isApplyingRemote = useCallback(() => applyingRemoteRef.current, []);
+
+  // Whether edits are currently being merged live through the document room
+  const isLive = useCallback(() => Boolean(sessionRef.current?.isJoined()), []);
+
+  return {
+    isConnected,
+    isApplyingRemote,
+    isLive
+  };
+};
+
+export default useCollaboration;
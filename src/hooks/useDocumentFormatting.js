@@ -0,0 +1,66 @@
+// client/src/hooks/useDocumentFormatting.js
+import { useContext, useEffect, useRef } from 'react';
+import { EditorContext } from '../contexts/EditorContext';
+import { getFileName } from '../utils/filePaths';
+import { getPathFromModelUri } from '../utils/monacoModels';
+import {
+  PRETTIER_CONFIG_FILES,
+  formatCode,
+  getFormatter,
+  getFormattableLanguages
+} from '../services/formatterService';
+import useEditorSettings from './useEditorSettings';
+
+/**
+ * Custom hook that registers the formatters as Monaco document formatting
+ * providers, so "Format Document" and format on save use them
+ * @param {Object} monaco - Monaco namespace, from useMonaco
+ */
+const useDocumentFormatting = (monaco) => {
+  const { files, openFiles, filePaths } = useContext(EditorContext);
+  const editorSettings = useEditorSettings();
+  // Providers are registered once and read the current project from here
+  const stateRef = useRef(null);
+  stateRef.current = { files, openFiles, filePaths, editorSettings };
+
+  useEffect(() => {
+    if (!monaco) return;
+
+    const provideDocumentFormattingEdits = async (model) => {
+      const { files, openFiles, filePaths, editorSettings } = stateRef.current;
+      const filePath = getPathFromModelUri(model.uri.toString());
+
+      // Unsaved edits to a config file apply right away
+      const configFiles = files
+        .filter(f => PRETTIER_CONFIG_FILES.includes(getFileName(f)))
+        .map(f => ({
+          path: filePaths.get(f._id),
+          content: (openFiles.find(open => open._id === f._id) || f).content
+        }));
+
+      try {
+        const formatted = await formatCode(model.getValue(), {
+          language: model.getLanguageId(),
+          filePath: filePath || '',
+          configFiles,
+          tabSize: Number(editorSettings.tabSize)
+        });
+        return [{ range: model.getFullModelRange(), text: formatted }];
+      } catch (error) {
+        console.error('Error formatting document:', error);
+        return [];
+      }
+    };
+
+    const providers = getFormattableLanguages().map(language =>
+      monaco.languages.registerDocumentFormattingEditProvider(language, {
+        displayName: getFormatter(language).name,
+        provideDocumentFormattingEdits
+      })
+    );
+
+    return () => providers.forEach(provider => provider.dispose());
+  }, [monaco]);
+};
+
+export default useDocumentFormatting;
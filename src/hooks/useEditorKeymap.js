@@ -0,0 +1,39 @@
+// client/src/hooks/useEditorKeymap.js
+import { useEffect, useRef } from 'react';
+import { attachKeymap } from '../utils/editorKeymaps';
+
+/**
+ * Custom hook that applies the vim or emacs keymap to a Monaco editor
+ * @param {Object} editor - Mounted Monaco editor instance
+ * @param {string} keymap - 'vim', 'emacs' or 'default'
+ * @returns {Object} Ref for the element the keymap's status is shown in
+ */
+const useEditorKeymap = (editor, keymap) => {
+  const statusRef = useRef(null);
+
+  useEffect(() => {
+    if (!editor || keymap === 'default' || !statusRef.current) return;
+
+    let detach = null;
+    let isCancelled = false;
+
+    attachKeymap(editor, keymap, statusRef.current)
+      .then(dispose => {
+        // The keymap was changed again while it was loading
+        if (isCancelled) dispose();
+        else detach = dispose;
+      })
+      .catch(error => {
+        console.error(`Error loading ${keymap} keymap:`, error);
+      });
+
+    return () => {
+      isCancelled = true;
+      detach?.();
+    };
+  }, [editor, keymap]);
+
+  return statusRef;
+};
+
+export default useEditorKeymap;
@@ -0,0 +1,18 @@
+// client/src/hooks/useEditorSettings.js
+import { useState, useEffect } from 'react';
+import { loadEditorSettings, subscribeToEditorSettings } from '../services/editorSettings';
+
+/**
+ * Custom hook for the user's editor settings, updated as soon as they are
+ * changed anywhere, e.g. in Settings or from the user's account
+ * @returns {Object} Current editor settings
+ */
+const useEditorSettings = () => {
+  const [settings, setSettings] = useState(loadEditorSettings);
+
+  useEffect(() => subscribeToEditorSettings(setSettings), []);
+
+  return settings;
+};
+
+export default useEditorSettings;
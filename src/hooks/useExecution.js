@@ -0,0 +1,91 @@
+// client/src/hooks/useExecution.js
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { startProjectExecution } from '../services/executionStreamService';
+
+/**
+ * Custom hook that runs code with its output streamed into a result as it is
+ * written, and lets the user type input to the program or cancel it
+ * @returns {Object} result (the execution result with its output chunks),
+ *   isExecuting, run, sendInput, closeInput, cancel and clear
+ */
+const useExecution = () => {
+  const [result, setResult] = useState(null);
+  const executionRef = useRef(null);
+
+  const appendChunk = useCallback((chunk) => {
+    setResult(prev => prev && { ...prev, chunks: [...prev.chunks, chunk] });
+  }, []);
+
+  const run = useCallback(async (code, language, options = {}) => {
+    if (executionRef.current) return;
+
+    setResult({ chunks: [], isRunning: true, acceptsInput: false });
+
+    let execution;
+    try {
+      execution = startProjectExecution(code, language, options, appendChunk);
+      executionRef.current = execution;
+      execution.started.then(acceptsInput => {
+        if (executionRef.current === execution) {
+          setResult(prev => prev && { ...prev, acceptsInput });
+        }
+      });
+
+      const outcome = await execution.done;
+      if (executionRef.current !== execution) return;
+      setResult(prev => ({ ...outcome, chunks: prev?.chunks || [], isRunning: false, acceptsInput: false }));
+    } catch (error) {
+      if (execution && executionRef.current !== execution) return;
+      setResult(prev => ({
+        success: false,
+        output: null,
+        error: error.message || 'Unknown error during code execution',
+        executionTime: 0,
+        chunks: prev?.chunks || [],
+        isRunning: false,
+        acceptsInput: false
+      }));
+    } finally {
+      if (!execution || executionRef.current === execution) executionRef.current = null;
+    }
+  }, [appendChunk]);
+
+  // Input is echoed into the output, as a terminal would
+  const sendInput = useCallback((text) => {
+    if (!executionRef.current) return;
+    appendChunk({ stream: 'stdin', data: text });
+    executionRef.current.writeStdin(text);
+  }, [appendChunk]);
+
+  const closeInput = useCallback(() => {
+    executionRef.current?.closeStdin();
+    setResult(prev => prev && { ...prev, acceptsInput: false });
+  }, []);
+
+  const cancel = useCallback(() => {
+    executionRef.current?.cancel();
+  }, []);
+
+  const clear = useCallback(() => {
+    if (executionRef.current) {
+      executionRef.current.cancel();
+      executionRef.current = null;
+    }
+    setResult(null);
+  }, []);
+
+  // Don't leave programs running on the server
+  useEffect(() => () => executionRef.current?.cancel(), []);
+
+  return {
+    result,
+    isExecuting: Boolean(result?.isRunning),
+    run,
+    sendInput,
+    closeInput,
+    cancel,
+    clear
+  };
+};
+
+export default useExecution;
@@ -2,10 +2,40 @@
 import { useCallback } from 'react';
 import { 
   createFile, 
+  createFiles, 
   updateFileContent, 
-  deleteFile, 
-  getFileContent 
+  deleteFiles, 
+  getFileContent,
+  getFileRevision
 } from '../services/projectService';
+import {
+  isNetworkError,
+  isLocalId,
+  createLocalId,
+  queueOperation
+} from '../services/syncService';
+import { collectSubtree, planCopy } from '../utils/fileCopy';
+
+/**
+ * Queue the creation of a file while the API is unreachable
+ * @param {string} projectId - Project ID
+ * @param {Object} fileData - File data
+ * @returns {Promise<Object>} File with a temporary ID
+ */
+const queueCreate = async (projectId, fileData) => {
+  const now = new Date().toISOString();
+  const file = {
+    content: '',
+    parentId: null,
+    ...fileData,
+    _id: createLocalId(),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await queueOperation({ type: 'create', projectId, fileId: file._id, file });
+  return file;
+};
 
 /**
  * Custom hook for file system operations
@@ -16,25 +46,64 @@ import {
  */
 const useFileSystem = (projectId, files, setFiles) => {
   
-  // Create a new file or directory
+  // Create a new file or directory. If the API is unreachable the file gets
+  // a temporary ID and is created when the outbox is replayed.
   const createNewFile = useCallback(async (fileData) => {
     try {
-      const newFile = await createFile(projectId, fileData);
+      let newFile;
+      
+      if (isLocalId(fileData.parentId)) {
+        // The parent folder was created offline too
+        newFile = await queueCreate(projectId, fileData);
+      } else {
+        try {
+          newFile = await createFile(projectId, fileData);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          newFile = await queueCreate(projectId, fileData);
+        }
+      }
       
       // Add the new file to the files array
-      setFiles([...files, newFile]);
+      setFiles(prev => [...prev, newFile]);
       
       return newFile;
     } catch (error) {
       console.error('Error creating file:', error);
       throw error;
     }
-  }, [projectId, files, setFiles]);
+  }, [projectId, setFiles]);
   
-  // Update file content
+  // Update file content, failing with a 409/412 if someone else saved it first.
+  // Queued for later if the API is unreachable.
   const updateFile = useCallback(async (fileId, content) => {
     try {
-      const updatedFile = await updateFileContent(projectId, fileId, content);
+      const file = files.find(f => f._id === fileId);
+      const revision = getFileRevision(file);
+      const queueUpdate = async () => {
+        await queueOperation({
+          type: 'update',
+          projectId,
+          fileId,
+          content,
+          revision,
+          base: file?.content || ''
+        });
+        return { ...file, content };
+      };
+      
+      let updatedFile;
+      
+      if (isLocalId(fileId)) {
+        updatedFile = await queueUpdate();
+      } else {
+        try {
+          updatedFile = await updateFileContent(projectId, fileId, content, revision);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          updatedFile = await queueUpdate();
+        }
+      }
       
       // Update the file in the files array
       setFiles(files.map(file => 
@@ -48,17 +117,86 @@ const useFileSystem = (projectId, files, setFiles) => {
     }
   }, [projectId, files, setFiles]);
   
-  // Delete a file or directory
+  // Delete files and folders including everything inside the folders,
+  // queueing the deletes if the API is unreachable. Returns the deleted IDs.
+  const removeFiles = useCallback(async (fileIds) => {
+    try {
+      // Deepest first, so no folder is deleted before its contents
+      const subtree = collectSubtree(files, fileIds).reverse();
+      const localIds = subtree.filter(file => isLocalId(file._id)).map(file => file._id);
+      const serverIds = subtree.filter(file => !isLocalId(file._id)).map(file => file._id);
+      
+      const queueDeletes = async (ids) => {
+        for (const fileId of ids) {
+          await queueOperation({ type: 'delete', projectId, fileId });
+        }
+      };
+      
+      await queueDeletes(localIds);
+      if (serverIds.length > 0) {
+        try {
+          await deleteFiles(projectId, serverIds);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          await queueDeletes(serverIds);
+        }
+      }
+      
+      // Remove the files from the files array
+      const deletedIds = new Set(subtree.map(file => file._id));
+      setFiles(prev => prev.filter(file => !deletedIds.has(file._id)));
+      
+      return [...deletedIds];
+    } catch (error) {
+      console.error('Error deleting files:', error);
+      throw error;
+    }
+  }, [projectId, files, setFiles]);
+
+  // Delete a file or directory and its contents
   const removeFile = useCallback(async (fileId) => {
+    await removeFiles([fileId]);
+    return true;
+  }, [removeFiles]);
+
+  // Copy files and folders with their contents into a folder (null for the
+  // root), possibly of another project. Without a target folder each item
+  // is duplicated next to its original.
+  const copyFiles = useCallback(async (fileIds, {
+    targetFolderId,
+    targetProjectId = projectId,
+    targetFiles = files
+  } = {}) => {
     try {
-      await deleteFile(projectId, fileId);
+      const entries = planCopy(files, fileIds, { targetFolderId, targetFiles });
+      if (entries.length === 0) return [];
       
-      // Remove the file from the files array
-      setFiles(files.filter(file => file._id !== fileId));
+      let created;
+      try {
+        created = await createFiles(targetProjectId, entries);
+      } catch (error) {
+        if (!isNetworkError(error) || targetProjectId !== projectId) throw error;
+        
+        // Offline copies within the project are created on the next sync
+        const ids = new Map();
+        created = [];
+        for (const { tempId, ...fileData } of entries) {
+          const file = await queueCreate(projectId, {
+            ...fileData,
+            parentId: ids.get(fileData.parentId) || fileData.parentId
+          });
+          ids.set(tempId, file._id);
+          created.push(file);
+        }
+      }
+      
+      if (targetProjectId === projectId) {
+        setFiles(prev => [...prev, ...created]);
+      }
       
-      return true;
+      return created;
     } catch (error) {
-      console.error('Error deleting file:', error);
+      console.error('Error copying files:', error);
       throw error;
     }
   }, [projectId, files, setFiles]);
@@ -122,6 +260,8 @@ const useFileSystem = (projectId, files, setFiles) => {
     createFile: createNewFile,
     updateFile,
     deleteFile: removeFile,
+    deleteFiles: removeFiles,
+    copyFiles,
     getFileContent: fetchFileContent,
     buildFileTree,
     findFileById,
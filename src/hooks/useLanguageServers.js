@@ -0,0 +1,140 @@
+// client/src/hooks/useLanguageServers.js
+import { useContext, useEffect } from 'react';
+import { EditorContext } from '../contexts/EditorContext';
+import {
+  SERVER_LANGUAGES,
+  connectLanguageServers,
+  createLanguageClient
+} from '../services/languageServerService';
+import {
+  toLspPosition,
+  toMonacoMarker,
+  toMonacoCompletion,
+  toMonacoHover,
+  toMonacoLocations
+} from '../utils/lspProtocol';
+
+const MARKER_OWNER = 'lsp';
+
+// Project files have models at their real path; notebook cells and other
+// in-memory models aren't part of the workspace
+const isServedModel = (model) => {
+  return model.uri.scheme === 'file' && SERVER_LANGUAGES.includes(model.getLanguageId());
+};
+
+/**
+ * Custom hook that connects the project's Python, Go and other models to
+ * the language servers hosted next to the API, for completion, hover,
+ * diagnostics and go to definition. A server is started for a language once
+ * the project has a file in it.
+ * @param {Object} monaco - Monaco namespace, from useMonaco
+ */
+const useLanguageServers = (monaco) => {
+  const { currentProject } = useContext(EditorContext);
+  const projectId = currentProject?._id;
+
+  useEffect(() => {
+    if (!monaco || !projectId) return;
+
+    const socket = connectLanguageServers();
+    const clients = new Map();
+    const disposables = [];
+
+    const setMarkers = (uri, diagnostics) => {
+      const model = monaco.editor.getModel(monaco.Uri.parse(uri));
+      if (!model) return;
+      monaco.editor.setModelMarkers(model, MARKER_OWNER, diagnostics.map(d => toMonacoMarker(d, monaco)));
+    };
+
+    // Providers follow what the server said it can do
+    const registerProviders = (language, client, capabilities) => {
+      const request = async (method, model, position, token) => {
+        const uri = model.uri.toString();
+        if (!client.hasDocument(uri)) return null;
+
+        try {
+          return await client.request(method, { textDocument: { uri }, position: toLspPosition(position) }, token);
+        } catch {
+          // Cancelled, timed out or reconnecting; there is nothing to show
+          return null;
+        }
+      };
+
+      if (capabilities.completionProvider) {
+        disposables.push(monaco.languages.registerCompletionItemProvider(language, {
+          triggerCharacters: capabilities.completionProvider.triggerCharacters,
+          provideCompletionItems: async (model, position, context, token) => {
+            const word = model.getWordUntilPosition(position);
+            const range = {
+              startLineNumber: position.lineNumber,
+              startColumn: word.startColumn,
+              endLineNumber: position.lineNumber,
+              endColumn: word.endColumn
+            };
+
+            const result = await request('textDocument/completion', model, position, token);
+            const items = Array.isArray(result) ? result : result?.items || [];
+            return {
+              suggestions: items.map(item => toMonacoCompletion(item, range, monaco)),
+              incomplete: Boolean(result?.isIncomplete)
+            };
+          }
+        }));
+      }
+
+      if (capabilities.hoverProvider) {
+        disposables.push(monaco.languages.registerHoverProvider(language, {
+          provideHover: async (model, position, token) => {
+            return toMonacoHover(await request('textDocument/hover', model, position, token));
+          }
+        }));
+      }
+
+      if (capabilities.definitionProvider) {
+        disposables.push(monaco.languages.registerDefinitionProvider(language, {
+          provideDefinition: async (model, position, token) => {
+            return toMonacoLocations(await request('textDocument/definition', model, position, token), monaco);
+          }
+        }));
+      }
+    };
+
+    const getClient = (language) => {
+      if (!clients.has(language)) {
+        const client = createLanguageClient(socket, { projectId, language, onDiagnostics: setMarkers });
+        clients.set(language, client);
+
+        client.whenReady().then(
+          capabilities => clients.get(language) === client && registerProviders(language, client, capabilities),
+          error => console.error(`Error starting the ${language} language server:`, error)
+        );
+      }
+      return clients.get(language);
+    };
+
+    const track = (model) => {
+      if (!isServedModel(model)) return;
+
+      const client = getClient(model.getLanguageId());
+      const uri = model.uri.toString();
+      client.openDocument(uri, model.getLanguageId(), model.getValue());
+
+      disposables.push(
+        model.onDidChangeContent(() => client.changeDocument(uri, model.getValue())),
+        model.onWillDispose(() => client.closeDocument(uri))
+      );
+    };
+
+    monaco.editor.getModels().forEach(track);
+    disposables.push(monaco.editor.onDidCreateModel(track));
+
+    return () => {
+      disposables.forEach(disposable => disposable.dispose());
+      clients.forEach(client => client.stop());
+      clients.clear();
+      monaco.editor.getModels().forEach(model => monaco.editor.setModelMarkers(model, MARKER_OWNER, []));
+    };
+  }, [monaco, projectId]);
+};
+
+export default useLanguageServers;
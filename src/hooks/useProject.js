@@ -2,12 +2,11 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
-  getProject, 
-  getProjectFiles, 
   updateProject, 
   deleteProject,
   shareProject
 } from '../services/projectService';
+import { loadProject, loadProjectFiles } from '../services/syncService';
 
 /**
  * Custom hook for project operations
@@ -27,7 +26,7 @@ const useProject = (projectId) => {
     
     setIsLoading(true);
     try {
-      const projectData = await getProject(projectId);
+      const projectData = await loadProject(projectId);
       setProject(projectData);
       setError(null);
     } catch (err) {
@@ -48,7 +47,7 @@ const useProject = (projectId) => {
     if (!projectId) return;
     
     try {
-      const filesData = await getProjectFiles(projectId);
+      const filesData = await loadProjectFiles(projectId);
       setFiles(filesData);
     } catch (err) {
       console.error('Error fetching files:', err);
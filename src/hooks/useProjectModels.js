@@ -0,0 +1,145 @@
+// client/src/hooks/useProjectModels.js
+import { useContext, useEffect, useRef } from 'react';
+import { EditorContext } from '../contexts/EditorContext';
+import {
+  getModelPath,
+  getPathFromModelUri,
+  getModelLanguage,
+  configureTypeScript
+} from '../utils/monacoModels';
+
+// Edits the TypeScript service makes to files that aren't shown in an
+// editor, e.g. by rename symbol, are saved together after this delay
+const SAVE_DELAY = 300;
+
+const isNotebook = (file) => file.extension === '.ipynb';
+
+const isShownInEditor = (monaco, model) => {
+  return monaco.editor.getEditors().some(editor => editor.getModel() === model);
+};
+
+/**
+ * Custom hook that keeps a Monaco model for every file of the project at
+ * its real path, so IntelliSense, go to definition, find references and
+ * rename symbol work across files. Editors own the models they show; the
+ * others follow the saved content, or the unsaved edits of open tabs.
+ * @param {Object} monaco - Monaco namespace, from useMonaco
+ */
+const useProjectModels = (monaco) => {
+  const { files, openFiles, filePaths, openFileAt, replaceFileContents } = useContext(EditorContext);
+  // Model URI to the file it belongs to and the content it was synced with
+  const modelsRef = useRef(new Map());
+  const stateRef = useRef(null);
+  stateRef.current = { files, filePaths, openFileAt, replaceFileContents };
+
+  useEffect(() => {
+    if (!monaco) return;
+
+    configureTypeScript(monaco);
+    const models = modelsRef.current;
+    const pendingEdits = new Map();
+    let saveTimer = null;
+
+    const saveEdits = () => {
+      const edits = [...pendingEdits]
+        .map(([fileId, content]) => ({ file: stateRef.current.files.find(f => f._id === fileId), content }))
+        .filter(edit => edit.file);
+      pendingEdits.clear();
+
+      stateRef.current.replaceFileContents(edits).catch(error => {
+        console.error('Error saving edited files:', error);
+      });
+    };
+
+    // Models no editor shows are only changed by the TypeScript service
+    const listenForEdits = (model) => model.onDidChangeContent(() => {
+      const entry = models.get(model.uri.toString());
+      if (!entry || isShownInEditor(monaco, model)) return;
+
+      const content = model.getValue();
+      if (content === entry.content) return;
+
+      entry.content = content;
+      pendingEdits.set(entry.fileId, content);
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(saveEdits, SAVE_DELAY);
+    });
+
+    const listeners = monaco.editor.getModels().map(listenForEdits);
+    listeners.push(monaco.editor.onDidCreateModel(model => listeners.push(listenForEdits(model))));
+
+    // Go to definition in another file opens that file
+    const opener = monaco.editor.registerEditorOpener({
+      openCodeEditor: (source, resource, selectionOrPosition) => {
+        const { files, filePaths, openFileAt } = stateRef.current;
+        const path = getPathFromModelUri(resource.toString());
+        const file = files.find(f => filePaths.get(f._id) === path);
+        if (!file) return false;
+
+        const position = selectionOrPosition || {};
+        openFileAt(file, {
+          lineNumber: position.startLineNumber || position.lineNumber || 1,
+          column: position.startColumn || position.column || 1
+        });
+        return true;
+      }
+    });
+
+    return () => {
+      clearTimeout(saveTimer);
+      if (pendingEdits.size > 0) saveEdits();
+      listeners.forEach(listener => listener.dispose());
+      opener.dispose();
+      models.forEach((entry, uri) => monaco.editor.getModel(monaco.Uri.parse(uri))?.dispose());
+      models.clear();
+    };
+  }, [monaco]);
+
+  useEffect(() => {
+    if (!monaco) return;
+
+    const models = modelsRef.current;
+    const wanted = new Set();
+
+    files
+      .filter(file => file.type === 'file' && !isNotebook(file))
+      .forEach(file => {
+        const uri = monaco.Uri.parse(getModelPath(filePaths.get(file._id) || file._id));
+        const key = uri.toString();
+        const content = (openFiles.find(f => f._id === file._id) || file).content || '';
+        const entry = models.get(key);
+        wanted.add(key);
+
+        const model = monaco.editor.getModel(uri);
+        if (!model) {
+          models.set(key, { fileId: file._id, content });
+          monaco.editor.createModel(content, getModelLanguage(file), uri);
+          return;
+        }
+
+        // Created by an editor that showed the file first
+        if (!entry) {
+          models.set(key, { fileId: file._id, content: model.getValue() });
+          return;
+        }
+
+        entry.fileId = file._id;
+        if (entry.content !== content && !isShownInEditor(monaco, model)) {
+          entry.content = content;
+          if (model.getValue() !== content) model.setValue(content);
+        }
+      });
+
+    // Deleted and renamed files
+    models.forEach((entry, key) => {
+      if (wanted.has(key)) return;
+
+      const model = monaco.editor.getModel(monaco.Uri.parse(key));
+      if (model && isShownInEditor(monaco, model)) return;
+      model?.dispose();
+      models.delete(key);
+    });
+  }, [monaco, files, openFiles, filePaths]);
+};
+
+export default useProjectModels;
@@ -0,0 +1,103 @@
+// client/src/hooks/useRemoteCursors.js
+import { useEffect, useRef, useMemo } from 'react';
+import { usePresence } from '../contexts/PresenceContext';
+import { getCollaboratorColorIndex } from '../utils/collaboratorColors';
+
+/**
+ * Custom hook that publishes the local cursor of a Monaco editor to the
+ * presence channel and renders collaborators' cursors and selections in it
+ * @param {Object} editor - Mounted Monaco editor instance
+ * @param {string} fileId - ID of the file shown in the editor
+ */
+const useRemoteCursors = (editor, fileId) => {
+  const { getPeersInFile, updateLocalPresence } = usePresence();
+  const decorationsRef = useRef([]);
+
+  // Publish local cursor and selections
+  useEffect(() => {
+    if (!editor || !fileId) return;
+
+    const model = editor.getModel();
+    if (!model) return;
+
+    const publishSelections = () => {
+      const selections = (editor.getSelections() || []).map(selection => ({
+        anchor: model.getOffsetAt(selection.getSelectionStart()),
+        head: model.getOffsetAt(selection.getPosition())
+      }));
+      updateLocalPresence(fileId, selections);
+    };
+
+    publishSelections();
+    const listener = editor.onDidChangeCursorSelection(publishSelections);
+
+    return () => {
+      listener.dispose();
+      updateLocalPresence(null, []);
+    };
+  }, [editor, fileId, updateLocalPresence]);
+
+  // Render collaborators' cursors and selections as decorations
+  const peers = useMemo(() => getPeersInFile(fileId), [getPeersInFile, fileId]);
+
+  useEffect(() => {
+    if (!editor) return;
+
+    const model = editor.getModel();
+    if (!model) return;
+
+    const decorations = [];
+    peers.forEach(peer => {
+      const colorIndex = getCollaboratorColorIndex(peer.user?._id || peer.clientId);
+
+      (peer.selections || []).forEach(({ anchor, head }) => {
+        const start = model.getPositionAt(Math.min(anchor, head));
+        const end = model.getPositionAt(Math.max(anchor, head));
+        const cursor = model.getPositionAt(head);
+
+        if (anchor !== head) {
+          decorations.push({
+            range: {
+              startLineNumber: start.lineNumber,
+              startColumn: start.column,
+              endLineNumber: end.lineNumber,
+              endColumn: end.column
+            },
+            options: {
+              className: `remote-selection remote-color-${colorIndex}`,
+              hoverMessage: { value: peer.name }
+            }
+          });
+        }
+
+        decorations.push({
+          range: {
+            startLineNumber: cursor.lineNumber,
+            startColumn: cursor.column,
+            endLineNumber: cursor.lineNumber,
+            endColumn: cursor.column
+          },
+          options: {
+            beforeContentClassName: `remote-cursor remote-color-${colorIndex}`,
+            hoverMessage: { value: peer.name },
+            stickiness: 1 // NeverGrowsWhenTypingAtEdges
+          }
+        });
+      });
+    });
+
+    decorationsRef.current = editor.deltaDecorations(decorationsRef.current, decorations);
+  }, [editor, peers]);
+
+  // Clear decorations when the editor or file goes away
+  useEffect(() => {
+    return () => {
+      if (editor && editor.getModel()) {
+        editor.deltaDecorations(decorationsRef.current, []);
+      }
+      decorationsRef.current = [];
+    };
+  }, [editor, fileId]);
+};
+
+export default useRemoteCursors;
@@ -5,6 +5,7 @@ import { BrowserRouter } from 'react-router-dom';
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
 import { EditorProvider } from './contexts/EditorContext';
+import { CommandProvider } from './contexts/CommandContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import './styles/global.css';
 import './index.css';
@@ -15,7 +16,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       <AuthProvider>
         <ThemeProvider>
           <EditorProvider>
-            <App />
+            <CommandProvider>
+              <App />
+            </CommandProvider>
           </EditorProvider>
         </ThemeProvider>
       </AuthProvider>
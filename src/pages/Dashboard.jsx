@@ -1,7 +1,8 @@
 // src/pages/Dashboard.jsx
 import { useState, useEffect, useContext } from 'react';
 import styled from 'styled-components';
-import { getProjects, createProject, deleteProject, updateProject } from '../services/projectService';
+import { getProjects, createProject, deleteProject, updateProject, createFilesFromPaths } from '../services/projectService';
+import { cloneRepository, loadBundle, importRepository } from '../services/gitService';
 import ProjectCard from '../components/Shared/ProjectCard';
 import NewProjectModal from '../components/Dashboard/NewProjectModal';
 import ShareModal from '../components/Editor/ShareModal';
@@ -48,6 +49,49 @@ const Dashboard = () => {
     }
   };
 
+  const handleImportGit = async (projectData, { url, ref, bundle }, onProgress) => {
+    // Errors propagate to the modal, which shows them next to the form
+    onProgress(bundle ? 'Reading bundle...' : 'Cloning repository...');
+    const repo = bundle
+      ? await loadBundle(await bundle.arrayBuffer())
+      : await cloneRepository({
+          url,
+          ref,
+          onProgress: ({ phase, loaded, total }) => {
+            onProgress(total ? `${phase} (${loaded}/${total})` : phase);
+          }
+        });
+    
+    const { project, skipped } = await importRepository(repo, projectData, (done, total) => {
+      onProgress(`Importing files (${done}/${total})`);
+    });
+    
+    setProjects(prev => [...prev, project]);
+    setIsNewProjectModalOpen(false);
+    
+    if (skipped.length > 0) {
+      window.alert(
+        `Imported "${project.name}". These binary files, symlinks or submodules were not imported:\n\n${skipped.join('\n')}`
+      );
+    }
+  };
+
+  const handleImportFiles = async (projectData, { entries, skipped }, onProgress) => {
+    const project = await createProject(projectData);
+    await createFilesFromPaths(project._id, entries, (done, total) => {
+      onProgress(`Importing files (${done}/${total})`);
+    });
+    
+    setProjects(prev => [...prev, project]);
+    setIsNewProjectModalOpen(false);
+    
+    if (skipped.length > 0) {
+      window.alert(
+        `Imported "${project.name}". These binary files were not imported:\n\n${skipped.join('\n')}`
+      );
+    }
+  };
+
   const handleDeleteProject = async (projectId) => {
     try {
       await deleteProject(projectId);
@@ -183,6 +227,8 @@ const Dashboard = () => {
         isOpen={isNewProjectModalOpen}
         onClose={() => setIsNewProjectModalOpen(false)}
         onCreate={handleCreateProject}
+        onImportGit={handleImportGit}
+        onImportFiles={handleImportFiles}
       />
       
       {isShareModalOpen && activeProject && (
@@ -4,16 +4,26 @@ import { useParams, useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import Split from 'react-split';
 import { EditorContext } from '../contexts/EditorContext';
+import { PresenceProvider } from '../contexts/PresenceContext';
+import { DiagnosticsProvider } from '../contexts/DiagnosticsContext';
+import { useCommands, useRegisterCommands } from '../contexts/CommandContext';
 import useProject from '../hooks/useProject';
 import useFileSystem from '../hooks/useFileSystem';
 import FileExplorer from '../components/Editor/FileExplorer';
-import EditorTabs from '../components/Editor/EditorTabs';
-import CodeEditor from '../components/Editor/CodeEditor';
-import NotebookEditor from '../components/Notebook/NotebookEditor';
+import EditorGroups from '../components/Editor/EditorGroups';
 import ProjectToolbar from '../components/Editor/ProjectToolbar';
 import ShareModal from '../components/Editor/ShareModal';
+import MergeConflictModal from '../components/Editor/MergeConflictModal';
+import SnapshotsPanel from '../components/Editor/SnapshotsPanel';
+import GitPanel from '../components/Editor/GitPanel';
+import SearchPanel from '../components/Editor/SearchPanel';
+import ProblemsPanel from '../components/Editor/ProblemsPanel';
+import QuickOpenModal from '../components/Editor/QuickOpenModal';
+import CommandPalette from '../components/Editor/CommandPalette';
+import KeybindingsModal from '../components/Editor/KeybindingsModal';
 import XTerminal from '../components/Editor/XTerminal';
-import { executeCode, executeSandboxedCode } from '../services/codeRunnerService';
+import { runProjectFile } from '../services/codeRunnerService';
+import { collectSources } from '../utils/moduleBundler';
 
 const ProjectEditor = () => {
   const { projectId } = useParams();
@@ -22,7 +32,19 @@ const ProjectEditor = () => {
   const { 
     setCurrentProject, 
     activeFile, 
-    setActiveFile 
+    conflict,
+    resolveConflict,
+    editorGroups,
+    activeGroupId,
+    focusEditorGroup,
+    splitEditor,
+    closeEditorGroup,
+    layoutDirection,
+    setLayoutDirection,
+    pinEditorTab,
+    openFiles,
+    files: editorFiles,
+    filePaths
   } = useContext(EditorContext);
   
   const { 
@@ -37,6 +59,13 @@ const ProjectEditor = () => {
   
   const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [isTerminalOpen, setIsTerminalOpen] = useState(false);
+  const [isSnapshotsOpen, setIsSnapshotsOpen] = useState(false);
+  const [isGitOpen, setIsGitOpen] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isProblemsOpen, setIsProblemsOpen] = useState(false);
+  const [isQuickOpenOpen, setIsQuickOpenOpen] = useState(false);
+  const [isKeybindingsOpen, setIsKeybindingsOpen] = useState(false);
+  const { openPalette } = useCommands();
   
   const fileSystem = useFileSystem(projectId, files, setFiles);
   
@@ -46,11 +75,107 @@ const ProjectEditor = () => {
       setCurrentProject(project);
     }
   }, [project, setCurrentProject]);
-  
-  // Check if the file is a Jupyter notebook
-  const isNotebookFile = (file) => {
-    return file && file.extension === '.ipynb';
+
+  const isActiveFilePinned = () => {
+    const group = editorGroups.find(g => g.id === activeGroupId);
+    return Boolean(activeFile && group?.pinnedIds?.includes(activeFile._id));
   };
+
+  useRegisterCommands([
+    {
+      id: 'workbench.showCommands',
+      title: 'Show All Commands',
+      category: 'View',
+      keybinding: 'mod+shift+p',
+      run: openPalette
+    },
+    {
+      id: 'workbench.quickOpen',
+      title: 'Go to File...',
+      category: 'File',
+      keybinding: 'mod+p',
+      run: () => setIsQuickOpenOpen(true)
+    },
+    {
+      // Search takes the place of the file explorer
+      id: 'workbench.findInFiles',
+      title: 'Search in Project',
+      category: 'Search',
+      keybinding: 'mod+shift+f',
+      run: () => setIsSearchOpen(true)
+    },
+    {
+      id: 'workbench.showExplorer',
+      title: 'Show Explorer',
+      category: 'View',
+      keybinding: 'mod+shift+e',
+      run: () => setIsSearchOpen(false)
+    },
+    {
+      id: 'workbench.toggleProblems',
+      title: 'Toggle Problems',
+      category: 'View',
+      keybinding: 'mod+shift+m',
+      run: () => setIsProblemsOpen(prev => !prev)
+    },
+    {
+      id: 'preferences.keybindings',
+      title: 'Open Keyboard Shortcuts',
+      category: 'Preferences',
+      run: () => setIsKeybindingsOpen(true)
+    },
+    {
+      id: 'view.splitEditorRight',
+      title: 'Split Editor Right',
+      category: 'View',
+      keybinding: 'mod+\\',
+      run: () => splitEditor('horizontal')
+    },
+    {
+      id: 'view.splitEditorDown',
+      title: 'Split Editor Down',
+      category: 'View',
+      run: () => splitEditor('vertical')
+    },
+    {
+      id: 'view.closeEditorGroup',
+      title: 'Close Editor Group',
+      category: 'View',
+      isEnabled: () => editorGroups.length > 1,
+      run: () => closeEditorGroup()
+    },
+    {
+      id: 'view.focusNextEditorGroup',
+      title: 'Focus Next Editor Group',
+      category: 'View',
+      isEnabled: () => editorGroups.length > 1,
+      run: () => {
+        const index = editorGroups.findIndex(group => group.id === activeGroupId);
+        focusEditorGroup(editorGroups[(index + 1) % editorGroups.length].id);
+      }
+    },
+    {
+      id: 'view.toggleEditorLayout',
+      title: 'Toggle Vertical/Horizontal Editor Layout',
+      category: 'View',
+      isEnabled: () => editorGroups.length > 1,
+      run: () => setLayoutDirection(layoutDirection === 'vertical' ? 'horizontal' : 'vertical')
+    },
+    {
+      id: 'view.pinEditor',
+      title: 'Pin Editor',
+      category: 'View',
+      isEnabled: () => Boolean(activeFile) && !isActiveFilePinned(),
+      run: () => pinEditorTab(activeFile._id, activeGroupId, true)
+    },
+    {
+      id: 'view.unpinEditor',
+      title: 'Unpin Editor',
+      category: 'View',
+      isEnabled: () => Boolean(activeFile) && isActiveFilePinned(),
+      run: () => pinEditorTab(activeFile._id, activeGroupId, false)
+    }
+  ]);
   
   // Handle the run code button click on the toolbar
   const handleRunCode = async (file) => {
@@ -74,14 +199,12 @@ const ProjectEditor = () => {
         language = extension;
     }
     
-    try {
-      // Try server-side execution first
-      return await executeCode(file.content, language);
-    } catch (error) {
-      console.log('Server execution failed, falling back to sandbox:', error);
-      // Fall back to client-side execution
-      return await executeSandboxedCode(file.content, language);
-    }
+    return runProjectFile(file.content, language, {
+      filePath: filePaths.get(file._id),
+      // The explorer creates, moves and deletes files in EditorContext, the
+      // same list filePaths is built from
+      sources: collectSources(editorFiles, filePaths, openFiles)
+    });
   };
   
   // Toggle terminal visibility
@@ -112,60 +235,103 @@ const ProjectEditor = () => {
   }
   
   return (
-    <EditorContainer>
-      <ProjectToolbar 
-        project={project} 
-        onShare={() => setIsShareModalOpen(true)}
-        onRunCode={() => handleRunCode(activeFile)}
-        onToggleTerminal={toggleTerminal}
-      />
+    <PresenceProvider project={project}>
+      <DiagnosticsProvider>
+        <EditorContainer>
+          <ProjectToolbar 
+            project={project} 
+            onShare={() => setIsShareModalOpen(true)}
+            onRunCode={() => handleRunCode(activeFile)}
+            onToggleTerminal={toggleTerminal}
+            onShowSnapshots={() => setIsSnapshotsOpen(true)}
+            onShowGit={() => setIsGitOpen(true)}
+            onToggleSearch={() => setIsSearchOpen(!isSearchOpen)}
+            onToggleProblems={() => setIsProblemsOpen(!isProblemsOpen)}
+          />
       
-      <EditorLayout>
-        <Split 
-          sizes={[20, 80]}
-          minSize={150}
-          expandToMin={false}
-          gutterSize={10}
-          gutterAlign="center"
-          direction="horizontal"
-          className="split-container"
-        >
-          <FileExplorerContainer>
-            <FileExplorer projectId={projectId} />
-          </FileExplorerContainer>
+          <EditorLayout>
+            <Split 
+              sizes={[20, 80]}
+              minSize={150}
+              expandToMin={false}
+              gutterSize={10}
+              gutterAlign="center"
+              direction="horizontal"
+              className="split-container"
+            >
+              <FileExplorerContainer>
+                {isSearchOpen ? (
+                  <SearchPanel 
+                    projectId={projectId}
+                    onClose={() => setIsSearchOpen(false)}
+                  />
+                ) : (
+                  <FileExplorer projectId={projectId} />
+                )}
+              </FileExplorerContainer>
           
-          <EditorSection>
-            <EditorTabs />
-            
-            {activeFile ? (
-              isNotebookFile(activeFile) ? (
-                <NotebookEditor file={activeFile} />
-              ) : (
-                <CodeEditor file={activeFile} />
-              )
-            ) : (
-              <NoFileSelected>
-                <p>No file selected. Select a file from the explorer or create a new file.</p>
-              </NoFileSelected>
-            )}
-          </EditorSection>
-        </Split>
-      </EditorLayout>
+              <EditorSection>
+                <EditorGroups />
+                {isProblemsOpen && (
+                  <ProblemsContainer>
+                    <ProblemsPanel onClose={() => setIsProblemsOpen(false)} />
+                  </ProblemsContainer>
+                )}
+              </EditorSection>
+            </Split>
+          </EditorLayout>
       
-      {/* Terminal */}
-      <XTerminal 
-        isOpen={isTerminalOpen}
-        onClose={() => setIsTerminalOpen(false)}
-      />
+          {/* Terminal */}
+          <XTerminal 
+            isOpen={isTerminalOpen}
+            onClose={() => setIsTerminalOpen(false)}
+          />
       
-      {/* Share Modal */}
-      <ShareModal 
-        isOpen={isShareModalOpen}
-        onClose={() => setIsShareModalOpen(false)}
-        project={project}
-        projectId={projectId}
-      />
-    </EditorContainer>
+          {/* Share Modal */}
+          <ShareModal 
+            isOpen={isShareModalOpen}
+            onClose={() => setIsShareModalOpen(false)}
+            project={project}
+            projectId={projectId}
+          />
+        
+          {/* Project snapshots */}
+          <SnapshotsPanel 
+            isOpen={isSnapshotsOpen}
+            onClose={() => setIsSnapshotsOpen(false)}
+            projectId={projectId}
+          />
+        
+          {/* Linked Git repository */}
+          <GitPanel 
+            isOpen={isGitOpen}
+            onClose={() => setIsGitOpen(false)}
+            projectId={projectId}
+            projectName={project?.name}
+          />
+        
+          {/* Command palette and keybindings */}
+          <CommandPalette />
+          <KeybindingsModal 
+            isOpen={isKeybindingsOpen}
+            onClose={() => setIsKeybindingsOpen(false)}
+          />
+        
+          {/* Quick open */}
+          <QuickOpenModal 
+            isOpen={isQuickOpenOpen}
+            onClose={() => setIsQuickOpenOpen(false)}
+            projectId={projectId}
+          />
+        
+          {/* Save conflict resolution */}
+          <MergeConflictModal 
+            conflict={conflict}
+            onResolve={resolveConflict}
+          />
+        </EditorContainer>
+      </DiagnosticsProvider>
+    </PresenceProvider>
   );
 };
 
@@ -210,22 +376,12 @@ const EditorSection = styled.div`
   background: var(--color-background);
 `;
 
-const NoFileSelected = styled.div`
-  display: flex;
-  align-items: center;
-  justify-content: center;
-  height: 100%;
-  background: var(--color-surface);
-  color: var(--color-text-secondary);
-  font-size: 16px;
-  text-align: center;
-  
-  p {
-    margin: 0;
-    padding: 20px;
-  }
+const ProblemsContainer = styled.div`
+  flex-shrink: 0;
+  height: 200px;
 `;
 
+
 const LoadingContainer = styled.div`
   display: flex;
   flex-direction: column;
@@ -139,4 +139,28 @@ export const changePassword = async (currentPassword, newPassword) => {
     newPassword 
   });
   return response.data;
+};
+
+/**
+ * Get the preferences saved to the current user's account
+ * @returns {Promise<Object|null>} Preferences, or null if none were saved
+ */
+export const getPreferences = async () => {
+  try {
+    const response = await api.get('/auth/me/preferences');
+    return response.data?.preferences || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Save preferences to the current user's account
+ * @param {Object} preferences - Editor preferences
+ * @returns {Promise<Object>} Saved preferences
+ */
+export const updatePreferences = async (preferences) => {
+  const response = await api.put('/auth/me/preferences', { preferences });
+  return response.data?.preferences;
 };
\ No newline at end of file
@@ -1,5 +1,10 @@
 // client/src/services/codeRunnerService.js
 import api from './api';
+import { isNetworkError } from './syncService';
+import { hasRelativeImports } from '../utils/moduleBundler';
+import { createWorkerClient } from '../utils/workerClient';
+import { toNotebookOutputs } from '../utils/notebookParser';
+import { PYODIDE_INDEX_URL, PYODIDE_PACKAGES, PYODIDE_CDN_PACKAGES } from '../config/constants';
 
 /**
  * Execute code and get the result
@@ -19,13 +24,13 @@ export const executeCode = async (code, language, options = {}) => {
   } catch (error) {
     if (error.response) {
       // The request was made and the server responded with an error status
-      throw new Error(error.response.data.message || 'Execution failed');
+      throw new Error(error.response.data.message || 'Execution failed', { cause: error });
     } else if (error.request) {
       // The request was made but no response was received
-      throw new Error('No response from execution server');
+      throw new Error('No response from execution server', { cause: error });
     } else {
       // Something happened in setting up the request
-      throw new Error('Error preparing code execution');
+      throw new Error('Error preparing code execution', { cause: error });
     }
   }
 };
@@ -59,97 +64,277 @@ export const executeNotebookCell = async (cell, kernelId = null) => {
     return response.data;
   } catch (error) {
     if (error.response) {
-      throw new Error(error.response.data.message || 'Cell execution failed');
+      throw new Error(error.response.data.message || 'Cell execution failed', { cause: error });
     } else if (error.request) {
-      throw new Error('No response from execution server');
+      throw new Error('No response from execution server', { cause: error });
     } else {
-      throw new Error('Error preparing cell execution');
+      throw new Error('Error preparing cell execution', { cause: error });
     }
   }
 };
 
-// For local/sandboxed execution without a backend
-export const executeSandboxedCode = async (code, language) => {
+// Languages the sandbox runs, by name or file extension
+const SANDBOX_LANGUAGES = ['javascript', 'js', 'jsx', 'mjs', 'cjs', 'typescript', 'ts', 'tsx'];
+
+// Limits of a sandboxed run. Browsers can't cap a worker's memory; a worker
+// that runs out of it crashes and is reported as such.
+export const SANDBOX_LIMITS = {
+  // Wall-clock time before the worker is terminated, in ms
+  timeout: 10000,
+  maxOutputLength: 100000,
+  maxTimerDelay: 5000
+};
+
+const normalizeLanguage = (language) => (language || '').toLowerCase().replace('.', '');
+
+/**
+ * Check whether the sandbox can run a language
+ * @param {string} language - The programming language or file extension
+ * @returns {boolean} True for JavaScript and TypeScript
+ */
+export const isSandboxLanguage = (language) => SANDBOX_LANGUAGES.includes(normalizeLanguage(language));
+
+const createSandboxWorker = () => new Worker(
+  new URL('../workers/sandbox.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+/**
+ * Execute JavaScript or TypeScript in the browser, without a backend. The
+ * code runs in a worker of its own with only the language's built-ins, so
+ * an endless loop can be stopped without freezing the editor. It runs as
+ * the project file it came from and can import the other files of the
+ * project with ES modules or require.
+ * @param {string} code - The code to execute
+ * @param {string} language - The programming language or file extension
+ * @param {Object} options - Project context
+ * @param {string} options.filePath - Project-relative path of the code's file
+ * @param {Object} options.sources - Content of the project's files, keyed by path
+ * @param {Object} options.limits - Overrides of SANDBOX_LIMITS
+ * @returns {Promise<Object>} Execution results; errors name the file and line they came from
+ */
+export const executeSandboxedCode = async (code, language, { filePath, sources = {}, limits } = {}) => {
+  const normalizedLanguage = normalizeLanguage(language);
+
+  // Only JavaScript and TypeScript are supported in the sandbox/browser
+  if (!SANDBOX_LANGUAGES.includes(normalizedLanguage)) {
+    return {
+      success: false,
+      output: 'Sandbox execution only supports JavaScript and TypeScript',
+      error: 'Language not supported in client-side execution',
+      executionTime: 0
+    };
+  }
+
+  const runLimits = { ...SANDBOX_LIMITS, ...limits };
+  const entryPath = filePath || (normalizedLanguage.startsWith('t') ? 'main.ts' : 'main.js');
+
   return new Promise((resolve) => {
-    // Get language from file extension if necessary
-    const normalizedLanguage = language.toLowerCase().replace('.', '');
-    
-    // Only JavaScript is supported in the sandbox/browser
-    if (!['javascript', 'js', 'jsx'].includes(normalizedLanguage)) {
-      resolve({
-        success: false,
-        output: 'Sandbox execution only supports JavaScript',
-        error: 'Language not supported in client-side execution',
-        executionTime: 0
-      });
-      return;
-    }
+    const worker = createSandboxWorker();
+    const output = [];
+    let finished = false;
 
-    try {
-      const startTime = performance.now();
-      const sandboxOutput = [];
-      
-      // Create a safe-ish sandbox
-      const sandbox = {
-        console: {
-          log: (...args) => {
-            sandboxOutput.push(args.map(arg => {
-              if (typeof arg === 'object') {
-                try {
-                  return JSON.stringify(arg, null, 2);
-                } catch {
-                  return String(arg);
-                }
-              }
-              return String(arg);
-            }).join(' '));
-          },
-          error: (...args) => {
-            sandboxOutput.push('ERROR: ' + args.map(String).join(' '));
-          },
-          warn: (...args) => {
-            sandboxOutput.push('WARNING: ' + args.map(String).join(' '));
-          }
-        },
-        setTimeout: (fn, delay) => setTimeout(fn, Math.min(delay, 5000)),
-        clearTimeout,
-        Math,
-        Date,
-        Object,
-        Array,
-        String,
-        Number,
-        RegExp,
-        Map,
-        Set,
-        JSON,
-        Promise,
-        Error,
-        undefined,
-        NaN,
-        Infinity
-      };
-
-      // Execute the code with the sandboxed console
-      const executeCode = new Function(...Object.keys(sandbox), code);
-      executeCode(...Object.values(sandbox));
-      
-      const endTime = performance.now();
-      const executionTime = Math.round(endTime - startTime);
+    const finish = ({ error, executionTime }) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      worker.terminate();
 
       resolve({
-        success: true,
-        output: sandboxOutput.join('\n'),
-        error: null,
+        success: !error,
+        // What was logged before an error helps to find it
+        output: error && output.length === 0 ? null : output.join('\n'),
+        error: error || null,
         executionTime
       });
-    } catch (error) {
-      resolve({
-        success: false,
-        output: null,
-        error: error.toString(),
+    };
+
+    const timer = setTimeout(() => finish({
+      error: `Execution timed out after ${runLimits.timeout / 1000} seconds`,
+      executionTime: runLimits.timeout
+    }), runLimits.timeout);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'output') {
+        output.push(data.text);
+      } else if (data.type === 'done') {
+        finish(data);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish({
+        error: event.message || 'The sandbox stopped unexpectedly; it may have run out of memory',
         executionTime: 0
       });
-    }
+    };
+
+    worker.postMessage({ sources: { ...sources, [entryPath]: code }, entryPath, limits: runLimits });
+  });
+};
+
+// Languages Pyodide runs, by name or file extension
+const PYTHON_LANGUAGES = ['python', 'py'];
+
+// Limits of a run with Pyodide. Loading Pyodide isn't counted.
+export const PYTHON_LIMITS = {
+  timeout: 30000,
+  maxOutputLength: 100000
+};
+
+/**
+ * Check whether a language runs with Pyodide in the browser
+ * @param {string} language - The programming language or file extension
+ * @returns {boolean} True for Python
+ */
+export const isPythonLanguage = (language) => PYTHON_LANGUAGES.includes(normalizeLanguage(language));
+
+// Kept between runs: loading Pyodide takes seconds and notebooks keep their
+// variables in it
+const pythonWorker = createWorkerClient(() => new Worker(
+  new URL('../workers/python.worker.js', import.meta.url),
+  { type: 'module' }
+));
+
+/**
+ * Load Pyodide and the configured packages in the Python worker, so the
+ * first run doesn't wait for them
+ * @returns {Promise} Resolves once the runtime is ready
+ */
+export const preloadPythonRuntime = () => pythonWorker.request({
+  type: 'load',
+  indexURL: new URL(PYODIDE_INDEX_URL, window.location.href).href,
+  packages: PYODIDE_PACKAGES,
+  cdnPackages: PYODIDE_CDN_PACKAGES
+});
+
+const runPython = async (request, limits) => {
+  const runLimits = { ...PYTHON_LIMITS, ...limits };
+  await preloadPythonRuntime();
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      const error = `Execution timed out after ${runLimits.timeout / 1000} seconds`;
+      resolve({
+        outputs: [],
+        result: null,
+        error,
+        ename: 'TimeoutError',
+        evalue: error,
+        executionTime: runLimits.timeout
+      });
+      // Stopping the worker is the only way to stop Python; its state is lost
+      pythonWorker.terminate();
+    }, runLimits.timeout);
   });
+
+  try {
+    return await Promise.race([
+      pythonWorker.request({ type: 'run', ...request, limits: runLimits }),
+      timeout
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Execute Python in the browser with Pyodide, without a backend. The
+ * project's files are in the working directory, so the code can import
+ * and open them. input() sees the end of its input.
+ * @param {string} code - The code to execute
+ * @param {Object} options - Project context
+ * @param {string} options.filePath - Project-relative path of the code's file
+ * @param {Object} options.sources - Content of the project's files, keyed by path
+ * @param {Object} options.limits - Overrides of PYTHON_LIMITS
+ * @returns {Promise<Object>} Execution results
+ */
+export const executePythonCode = async (code, { filePath, sources = {}, limits } = {}) => {
+  try {
+    const { outputs, error, executionTime } = await runPython({ code, filePath, sources }, limits);
+    const output = outputs.map(({ text }) => text).join('').replace(/\n$/, '');
+    
+    return {
+      success: !error,
+      output: error && !output ? null : output,
+      error,
+      executionTime
+    };
+  } catch (error) {
+    return { success: false, output: null, error: error.message, executionTime: 0 };
+  }
+};
+
+/**
+ * Run a notebook cell on the execution server, or with Pyodide when the
+ * server can't be reached. With Pyodide, the cells of a notebook share
+ * their variables as with a kernel.
+ * @param {Object} cell - The notebook cell to execute
+ * @param {Object} options - Notebook context
+ * @param {string} options.notebookId - ID of the notebook file
+ * @param {string} options.filePath - Project-relative path of the notebook
+ * @param {Object} options.sources - Content of the project's files, keyed by path
+ * @param {string} options.kernelId - Server kernel ID, if any
+ * @param {number} options.executionCount - Execution counter of the run
+ * @returns {Promise<Object>} { outputs } in the notebook format
+ */
+export const runNotebookCell = async (cell, {
+  notebookId,
+  filePath,
+  sources = {},
+  kernelId = null,
+  executionCount = null
+} = {}) => {
+  try {
+    return await executeNotebookCell(cell, kernelId);
+  } catch (error) {
+    // A server that answered may have run the cell already
+    if (!isNetworkError(error.cause)) {
+      return { outputs: toNotebookOutputs({ error: error.message, evalue: error.message }, executionCount) };
+    }
+    console.warn('Execution server unreachable, running with Pyodide:', error);
+  }
+
+  const code = Array.isArray(cell.source) ? cell.source.join('') : cell.source || '';
+  try {
+    const run = await runPython({ code, filePath, sources, notebookId });
+    return { outputs: toNotebookOutputs(run, executionCount) };
+  } catch (error) {
+    return { outputs: toNotebookOutputs({ error: error.message, evalue: error.message }, executionCount) };
+  }
+};
+
+/**
+ * Run a file of a project on the execution server, or in the browser when
+ * the server can't be reached: JavaScript and TypeScript in the sandbox,
+ * Python with Pyodide. The server only gets the one file, so JavaScript and
+ * TypeScript importing other project files runs in the sandbox straight
+ * away.
+ * @param {string} code - The code to execute
+ * @param {string} language - The programming language
+ * @param {Object} options - Project context, as for executeSandboxedCode
+ * @returns {Promise<Object>} Execution results
+ */
+export const runProjectFile = async (code, language, options = {}) => {
+  if (isSandboxLanguage(language) && hasRelativeImports(code)) {
+    return executeSandboxedCode(code, language, options);
+  }
+
+  try {
+    return await executeCode(code, language);
+  } catch (error) {
+    // Errors the server answered with, e.g. for a bad request or a run that
+    // timed out there, are the result; running the code again here would
+    // hide them
+    if (!isNetworkError(error.cause)) throw error;
+
+    if (isPythonLanguage(language)) {
+      console.warn('Execution server unreachable, falling back to Pyodide:', error);
+      return executePythonCode(code, options);
+    }
+    console.warn('Execution server unreachable, falling back to sandbox:', error);
+    return executeSandboxedCode(code, language, options);
+  }
 };
\ No newline at end of file
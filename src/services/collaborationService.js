@@ -0,0 +1,328 @@
+// client/src/services/collaborationService.js
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from '../config/constants';
+import {
+  applyOperation,
+  composeOperations,
+  transformOperations,
+  operationFromContents,
+  transformOffset,
+  isNoop
+} from '../utils/textOperation';
+
+let collaborationSocket = null;
+
+/**
+ * Get the shared socket for the collaboration namespace, connecting on first use
+ * @returns {Object} socket.io client socket
+ */
+export const connectCollaboration = () => {
+  if (!collaborationSocket) {
+    collaborationSocket = io(`${SOCKET_URL}/collaboration`, {
+      path: '/socket.io',
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+  }
+  return collaborationSocket;
+};
+
+/**
+ * Close the shared collaboration socket
+ */
+export const disconnectCollaboration = () => {
+  if (collaborationSocket) {
+    collaborationSocket.disconnect();
+    collaborationSocket = null;
+  }
+};
+
+/**
+ * Emit an event and handle the server acknowledgement. Acks are handled
+ * synchronously (not through a promise) so they are processed before any
+ * room broadcast delivered right after them.
+ * @param {Object} socket - socket.io client socket
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Function} onResponse - Called with a successful acknowledgement
+ */
+const emitWithAck = (socket, event, payload, onResponse) => {
+  socket.emit(event, payload, (response) => {
+    if (response?.error) {
+      console.error(`Error handling ${event}:`, response.error);
+    } else {
+      onResponse(response);
+    }
+  });
+};
+
+/**
+ * Join the document room of a file and keep it in sync using operational
+ * transformation. Local operations are sent one at a time; operations made
+ * while waiting for an acknowledgement, or before the room has been joined,
+ * are buffered and composed.
+ *
+ * @param {Object} socket - socket.io client socket
+ * @param {Object} options - Session options
+ * @param {string} options.projectId - Project ID
+ * @param {string} options.fileId - File ID
+ * @param {string} options.content - Content of the local document when the
+ *   session starts; edits made before joining are rebased from it
+ * @param {Function} options.onJoin - Called once joined with the content the
+ *   local document should have: the server content with unsent local edits
+ * @param {Function} options.onRemoteOperation - Called with remote operations,
+ *   already transformed against pending local operations
+ * @returns {Object} Session with submitOperation, hasPendingOperations and leave
+ */
+export const createDocumentSession = (socket, { projectId, fileId, content = null, onJoin, onRemoteOperation }) => {
+  const sessionId = Math.random().toString(36).slice(2);
+  let operationCount = 0;
+  let revision = 0;
+  // Content of the document at revision, which pending operations apply to
+  let serverContent = content;
+  let joined = false;
+  // Whether revision and serverContent come from the room yet
+  let hasJoined = false;
+  let outstanding = null;
+  let outstandingId = null;
+  let sentOperationId = null;
+  let buffer = null;
+
+  const sendOutstanding = () => {
+    // Held until reconnect; the server drops duplicates by operationId
+    if (!socket.connected) return;
+
+    const operationId = outstandingId;
+    sentOperationId = operationId;
+    const payload = { projectId, fileId, revision, operationId, operation: outstanding };
+
+    emitWithAck(socket, 'doc:operation', payload, (response) => {
+      if (operationId === outstandingId) handleAck(response);
+    });
+  };
+
+  const setOutstanding = (operation) => {
+    outstanding = operation;
+    outstandingId = operation ? `${sessionId}-${++operationCount}` : null;
+  };
+
+  const handleAck = (response, { resend = true } = {}) => {
+    revision = response.revision;
+    serverContent = applyOperation(serverContent, outstanding);
+    setOutstanding(buffer);
+    buffer = null;
+    if (outstanding && resend) sendOutstanding();
+  };
+
+  const handleRemoteOperation = (message) => {
+    if (message.fileId !== fileId || !joined) return;
+
+    let operation = message.operation;
+    serverContent = applyOperation(serverContent, operation);
+
+    // Rebase the remote operation over everything we have not had
+    // acknowledged. The server ordered it first, so it wins insert ties.
+    if (outstanding) {
+      [operation, outstanding] = transformOperations(operation, outstanding);
+    }
+    if (buffer) {
+      [operation, buffer] = transformOperations(operation, buffer);
+    }
+
+    revision = message.revision;
+    onRemoteOperation(operation);
+  };
+
+  // Take the content of the room, rebasing local edits that haven't been
+  // sent onto it. The room wins where both changed the same spot.
+  const resetTo = (response) => {
+    let base = serverContent;
+    let pending = buffer;
+    if (outstanding && outstandingId === sentOperationId) {
+      // It may have been applied before the connection dropped; the room
+      // content has it if so
+      base = applyOperation(base, outstanding);
+    } else if (outstanding) {
+      pending = buffer ? composeOperations(outstanding, buffer) : outstanding;
+    }
+    if (pending && base !== null) {
+      [, pending] = transformOperations(operationFromContents(base, response.content), pending);
+    }
+    
+    setOutstanding(pending && !isNoop(pending) ? pending : null);
+    buffer = null;
+    revision = response.revision;
+    serverContent = response.content;
+    joined = true;
+    hasJoined = true;
+    onJoin(outstanding ? applyOperation(response.content, outstanding) : response.content);
+    if (outstanding) sendOutstanding();
+  };
+
+  const join = () => {
+    emitWithAck(socket, 'doc:join', { projectId, fileId }, resetTo);
+  };
+
+  // After a reconnect, ask for the operations we missed instead of the full
+  // content so pending local edits can be rebased rather than thrown away
+  const rejoin = () => {
+    const sinceRevision = revision;
+    const payload = { projectId, fileId, revision: sinceRevision };
+
+    emitWithAck(socket, 'doc:join', payload, (response) => {
+      if (!Array.isArray(response.operations)) {
+        resetTo(response);
+        return;
+      }
+      
+      joined = true;
+
+      response.operations.forEach((entry, index) => {
+        const entryRevision = sinceRevision + index + 1;
+        if (outstanding && entry.operationId === outstandingId) {
+          // Applied before the connection dropped; only the ack was lost
+          handleAck({ revision: entryRevision }, { resend: false });
+        } else {
+          handleRemoteOperation({ fileId, operation: entry.operation, revision: entryRevision });
+        }
+      });
+
+      if (outstanding) sendOutstanding();
+    });
+  };
+
+  // Join on every connection until the session is left, so a join whose
+  // answer was lost with the connection is asked for again
+  const handleConnect = () => {
+    joined = false;
+    if (hasJoined) {
+      rejoin();
+    } else {
+      join();
+    }
+  };
+
+  socket.on('doc:operation', handleRemoteOperation);
+  socket.on('connect', handleConnect);
+
+  if (socket.connected) handleConnect();
+
+  // Until the room has been joined, operations are held and sent once they
+  // have been rebased onto its content
+  const submitOperation = (operation) => {
+    if (isNoop(operation)) return;
+
+    if (buffer) {
+      buffer = composeOperations(buffer, operation);
+    } else if (outstanding) {
+      buffer = operation;
+    } else {
+      setOutstanding(operation);
+      if (joined) sendOutstanding();
+    }
+  };
+
+  const leave = () => {
+    socket.off('doc:operation', handleRemoteOperation);
+    socket.off('connect', handleConnect);
+    if (joined) {
+      socket.emit('doc:leave', { projectId, fileId });
+    }
+    joined = false;
+  };
+
+  return {
+    submitOperation,
+    hasPendingOperations: () => Boolean(outstanding || buffer),
+    isJoined: () => joined,
+    leave
+  };
+};
+
+/**
+ * Join the presence channel of a project. Every client in the project
+ * publishes which file it has open and its cursor/selection offsets.
+ *
+ * @param {Object} socket - socket.io client socket
+ * @param {string} projectId - Project ID
+ * @param {Function} onPeersChange - Called with the full list of remote peers
+ * @returns {Object} Channel with update, transformSelections and leave
+ */
+export const joinPresence = (socket, projectId, onPeersChange) => {
+  let peers = {};
+  let localState = { fileId: null, selections: [] };
+
+  const notify = () => onPeersChange(Object.values(peers));
+
+  const join = () => {
+    emitWithAck(socket, 'presence:join', { projectId, ...localState }, (response) => {
+      peers = {};
+      (response.peers || []).forEach(peer => {
+        peers[peer.clientId] = peer;
+      });
+      notify();
+    });
+  };
+
+  const handleUpdate = (peer) => {
+    if (peer.projectId !== projectId) return;
+    peers = { ...peers, [peer.clientId]: peer };
+    notify();
+  };
+
+  const handleLeave = ({ projectId: peerProjectId, clientId }) => {
+    if (peerProjectId !== projectId || !peers[clientId]) return;
+    peers = { ...peers };
+    delete peers[clientId];
+    notify();
+  };
+
+  const handleDisconnect = () => {
+    peers = {};
+    notify();
+  };
+
+  socket.on('presence:update', handleUpdate);
+  socket.on('presence:leave', handleLeave);
+  socket.on('disconnect', handleDisconnect);
+  socket.on('connect', join);
+
+  if (socket.connected) join();
+
+  const update = (state) => {
+    localState = { ...localState, ...state };
+    if (socket.connected) {
+      socket.emit('presence:update', { projectId, ...localState });
+    }
+  };
+
+  // Move the selections peers have in a file through an edit of it, so they
+  // stay on the same text until the peers publish them again
+  const transformSelections = (fileId, operation) => {
+    const affected = Object.values(peers).filter(peer =>
+      peer.fileId === fileId && peer.selections?.length
+    );
+    if (affected.length === 0) return;
+    
+    peers = { ...peers };
+    affected.forEach(peer => {
+      peers[peer.clientId] = {
+        ...peer,
+        selections: peer.selections.map(({ anchor, head }) => ({
+          anchor: transformOffset(anchor, operation),
+          head: transformOffset(head, operation)
+        }))
+      };
+    });
+    notify();
+  };
+
+  const leave = () => {
+    socket.off('presence:update', handleUpdate);
+    socket.off('presence:leave', handleLeave);
+    socket.off('disconnect', handleDisconnect);
+    socket.off('connect', join);
+    socket.emit('presence:leave', { projectId });
+  };
+
+  return { update, transformSelections, leave };
+};
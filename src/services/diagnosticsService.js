@@ -0,0 +1,122 @@
+// client/src/services/diagnosticsService.js
+import { SUPPORTED_LANGUAGES } from '../config/constants';
+import { createWorkerClient } from '../utils/workerClient';
+import { getParentPath } from '../utils/filePaths';
+
+export const LINTABLE_LANGUAGES = ['javascript', 'typescript'];
+
+// Configs cascade like ESLint's: from the file's folder up to the project
+// root, or to the first config marked root: true
+export const ESLINT_CONFIG_FILES = ['.eslintrc', '.eslintrc.json'];
+
+// Used when the project has no ESLint config
+export const DEFAULT_ESLINT_CONFIG = {
+  extends: ['eslint:recommended'],
+  env: { browser: true, node: true, es2022: true }
+};
+
+const eslintWorker = createWorkerClient(() => new Worker(
+  new URL('../workers/eslint.worker.js', import.meta.url),
+  { type: 'module' }
+));
+
+/**
+ * Get the language a file is linted as
+ * @param {Object} file - File data
+ * @returns {string|null} 'javascript' or 'typescript', or null if the file isn't linted
+ */
+export const getLintLanguage = (file) => {
+  const extension = (file?.extension || '').toLowerCase();
+  const language = SUPPORTED_LANGUAGES.find(lang => lang.extensions.includes(extension));
+  return language && LINTABLE_LANGUAGES.includes(language.id) ? language.id : null;
+};
+
+/**
+ * Parse an ESLint config file. Comments are allowed, as ESLint allows them.
+ * @param {string} content - Content of the config file
+ * @returns {Object} ESLint config
+ */
+export const parseEslintConfig = (content) => {
+  const json = (content || '').replace(
+    /("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, string) => string || ''
+  ).trim();
+  return json ? JSON.parse(json) : {};
+};
+
+const mergeConfigs = (base, config) => ({
+  ...base,
+  ...config,
+  extends: [...[].concat(base.extends || []), ...[].concat(config.extends || [])],
+  env: { ...base.env, ...config.env },
+  globals: { ...base.globals, ...config.globals },
+  parserOptions: { ...base.parserOptions, ...config.parserOptions },
+  rules: { ...base.rules, ...config.rules }
+});
+
+/**
+ * Find the ESLint config that applies to a file, merging the configs of its
+ * folder and the folders above it
+ * @param {Array} configFiles - Config files in the project as [{ path, content }]
+ * @param {string} filePath - Project-relative path of the linted file
+ * @returns {Object} ESLint config, the default one if the project has none
+ */
+export const findEslintConfig = (configFiles, filePath) => {
+  const configs = [];
+  let folder = getParentPath(filePath);
+
+  for (;;) {
+    const configFile = ESLINT_CONFIG_FILES
+      .map(name => configFiles.find(f => f.path === (folder ? `${folder}/${name}` : name)))
+      .find(Boolean);
+
+    if (configFile) {
+      const config = parseEslintConfig(configFile.content);
+      configs.unshift(config);
+      if (config.root) break;
+    }
+    if (!folder) break;
+    folder = getParentPath(folder);
+  }
+
+  if (configs.length === 0) return DEFAULT_ESLINT_CONFIG;
+  return configs.reduce(mergeConfigs, {});
+};
+
+/**
+ * Lint a JavaScript or TypeScript file with ESLint in a web worker
+ * @param {string} content - File content
+ * @param {Object} options - Options
+ * @param {string} options.language - 'javascript' or 'typescript'
+ * @param {string} options.filePath - Project-relative path of the file
+ * @param {Array} options.configFiles - ESLint config files in the project as [{ path, content }]
+ * @returns {Promise<Array>} Problems as [{ line, column, endLine, endColumn, severity, message, ruleId }]
+ */
+export const lintCode = async (content, { language, filePath = '', configFiles = [] }) => {
+  let config;
+  try {
+    config = findEslintConfig(configFiles, filePath);
+  } catch (error) {
+    return [{
+      line: 1,
+      column: 1,
+      endLine: 1,
+      endColumn: 1,
+      severity: 'error',
+      message: `Invalid ESLint config: ${error.message}`,
+      ruleId: null
+    }];
+  }
+
+  return eslintWorker.request({ source: content, language, filePath, config });
+};
+
+/**
+ * Count the errors and warnings in a list of problems
+ * @param {Array} problems - Problems from lintCode
+ * @returns {Object} { errors, warnings }
+ */
+export const countProblems = (problems = []) => ({
+  errors: problems.filter(problem => problem.severity === 'error').length,
+  warnings: problems.filter(problem => problem.severity === 'warning').length
+});
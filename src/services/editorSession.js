@@ -0,0 +1,83 @@
+// client/src/services/editorSession.js
+import { getEditorSession, updateEditorSession } from './projectService';
+
+const STORAGE_PREFIX = 'editorSession:';
+
+// Sessions change with every cursor move, so they reach the server in batches
+const SYNC_DELAY = 3000;
+
+const pendingSyncs = new Map();
+
+/**
+ * Read the editor session saved for a project in this browser
+ * @param {string} projectId - Project ID
+ * @returns {Object|null} Session, or null if none is saved
+ */
+export const loadEditorSession = (projectId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${projectId}`));
+  } catch {
+    return null;
+  }
+};
+
+const storeLocally = (projectId, session) => {
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${projectId}`, JSON.stringify(session));
+  } catch (error) {
+    console.error('Error saving editor session:', error);
+  }
+};
+
+const syncToAccount = (projectId, session) => {
+  clearTimeout(pendingSyncs.get(projectId));
+  pendingSyncs.set(projectId, setTimeout(() => {
+    pendingSyncs.delete(projectId);
+    // The local copy is pushed again when the project is next opened
+    updateEditorSession(projectId, session).catch(error => {
+      console.error('Error syncing editor session:', error);
+    });
+  }, SYNC_DELAY));
+};
+
+/**
+ * Save the editor session of a project in this browser and, shortly after,
+ * to the user's account
+ * @param {string} projectId - Project ID
+ * @param {Object} session - { layout, viewStates, expandedFolders }
+ * @returns {Object} The saved session, stamped with updatedAt
+ */
+export const saveEditorSession = (projectId, session) => {
+  const stamped = { ...session, updatedAt: new Date().toISOString() };
+  storeLocally(projectId, stamped);
+  syncToAccount(projectId, stamped);
+  return stamped;
+};
+
+/**
+ * Get the most recent editor session of a project, from this browser or the
+ * user's account. Sessions saved here while offline are pushed to the account.
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} Session, or null if none was saved anywhere
+ */
+export const fetchEditorSession = async (projectId) => {
+  const local = loadEditorSession(projectId);
+
+  let remote;
+  try {
+    remote = await getEditorSession(projectId);
+  } catch (error) {
+    console.error('Error loading editor session:', error);
+    return local;
+  }
+
+  if (remote && (!local || new Date(remote.updatedAt) > new Date(local.updatedAt))) {
+    storeLocally(projectId, remote);
+    return remote;
+  }
+
+  if (local && (!remote || new Date(local.updatedAt) > new Date(remote.updatedAt))) {
+    syncToAccount(projectId, local);
+  }
+  return local;
+};
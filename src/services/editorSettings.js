@@ -0,0 +1,140 @@
+// client/src/services/editorSettings.js
+import { getPreferences, updatePreferences, isAuthenticated } from './authService';
+
+const STORAGE_KEY = 'editorSettings';
+
+// Changes made in a row, such as recording keybindings, reach the account together
+const SYNC_DELAY = 1000;
+
+export const DEFAULT_EDITOR_SETTINGS = {
+  fontSize: 14,
+  fontFamily: "'Fira Code', 'Droid Sans Mono', 'monospace'",
+  tabSize: 2,
+  wordWrap: 'on',
+  minimap: true,
+  keymap: 'default',
+  formatOnSave: false,
+  defaultLanguage: 'javascript',
+  keybindings: {}
+};
+
+const settingsListeners = new Set();
+
+// Changes waiting for SYNC_DELAY: { settings, timer, promise, resolve, reject }
+let pendingSync = null;
+
+const readLocalSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const storeLocally = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  const merged = { ...DEFAULT_EDITOR_SETTINGS, ...settings };
+  settingsListeners.forEach(listener => listener(merged));
+};
+
+// Settings without a timestamp count as older than any with one
+const getUpdatedTime = (settings) => Date.parse(settings?.updatedAt) || 0;
+
+const sendPendingSync = () => {
+  const sync = pendingSync;
+  pendingSync = null;
+  clearTimeout(sync.timer);
+
+  updatePreferences(sync.settings).then(() => sync.resolve(true), (error) => {
+    console.error('Error saving preferences:', error);
+    sync.reject(error);
+  });
+  return sync.promise;
+};
+
+// Resolves with true once saved to the account, or false when signed out
+const syncToAccount = (settings) => {
+  if (!isAuthenticated()) return Promise.resolve(false);
+
+  if (!pendingSync) {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // Most changes don't wait for the result; failures are logged
+    promise.catch(() => {});
+    pendingSync = { promise, resolve, reject };
+  }
+
+  clearTimeout(pendingSync.timer);
+  pendingSync.settings = settings;
+  pendingSync.timer = setTimeout(sendPendingSync, SYNC_DELAY);
+  return pendingSync.promise;
+};
+
+/**
+ * Read the editor settings saved in this browser, with defaults for the
+ * ones that were never changed
+ * @returns {Object} Settings, e.g. { fontSize: 14, keybindings: { [commandId]: 'ctrl+k' } }
+ */
+export const loadEditorSettings = () => {
+  return { ...DEFAULT_EDITOR_SETTINGS, ...readLocalSettings() };
+};
+
+/**
+ * Merge changes into the saved editor settings and save them to the
+ * user's account
+ * @param {Object} changes - Settings to update
+ * @returns {Object} The updated settings
+ */
+export const saveEditorSettings = (changes) => {
+  const settings = { ...readLocalSettings(), ...changes, updatedAt: new Date().toISOString() };
+  storeLocally(settings);
+  syncToAccount(settings);
+  return { ...DEFAULT_EDITOR_SETTINGS, ...settings };
+};
+
+/**
+ * Save changes waiting to reach the user's account now
+ * @returns {Promise<boolean>} True once saved to the account, false when
+ *   signed out; rejects if the account couldn't be updated
+ */
+export const flushEditorSettings = () => {
+  if (pendingSync) return sendPendingSync();
+  return Promise.resolve(isAuthenticated());
+};
+
+/**
+ * Bring in the settings saved to the user's account if they are newer than
+ * the ones in this browser. Settings changed here while offline are pushed
+ * to the account instead.
+ * @returns {Promise<Object>} The current settings
+ */
+export const fetchEditorSettings = async () => {
+  const local = readLocalSettings();
+
+  try {
+    const remote = await getPreferences();
+    if (remote && (!local.updatedAt || getUpdatedTime(remote) > getUpdatedTime(local))) {
+      storeLocally(remote);
+    } else if (local.updatedAt && getUpdatedTime(local) > getUpdatedTime(remote)) {
+      syncToAccount(local);
+    }
+  } catch (error) {
+    console.error('Error loading preferences:', error);
+  }
+
+  return loadEditorSettings();
+};
+
+/**
+ * Subscribe to changes of the editor settings
+ * @param {Function} listener - Called with the updated settings
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToEditorSettings = (listener) => {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+};
@@ -0,0 +1,201 @@
+// client/src/services/executionStreamService.js
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from '../config/constants';
+import { hasRelativeImports } from '../utils/moduleBundler';
+import { executeSandboxedCode, runProjectFile, isSandboxLanguage } from './codeRunnerService';
+
+// How long the execution server has to accept a program before we fall back
+// to a single request
+const START_TIMEOUT = 5000;
+
+// Output kept per run; programs printing in a loop would fill the page otherwise
+export const MAX_STREAMED_OUTPUT = 200000;
+
+let executionSocket = null;
+
+/**
+ * Get the shared socket for the execution namespace, connecting on first use
+ * @returns {Object} socket.io client socket
+ */
+export const connectExecution = () => {
+  if (!executionSocket) {
+    executionSocket = io(`${SOCKET_URL}/execution`, {
+      path: '/socket.io',
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+  }
+  return executionSocket;
+};
+
+/**
+ * Close the shared execution socket
+ */
+export const disconnectExecution = () => {
+  if (executionSocket) {
+    executionSocket.disconnect();
+    executionSocket = null;
+  }
+};
+
+/**
+ * Run a program on the execution server and stream its output as it is
+ * written. The program reads what is sent with writeStdin from its standard
+ * input.
+ *
+ * @param {Object} socket - socket.io client socket
+ * @param {Object} options - Execution options
+ * @param {string} options.code - The code to execute
+ * @param {string} options.language - The programming language
+ * @param {Function} options.onOutput - Called with { stream: 'stdout'|'stderr', data } chunks
+ * @returns {Object} Execution with started (rejects if the server didn't take
+ *   the program), done (resolves with the execution result), writeStdin,
+ *   closeStdin and cancel
+ */
+export const createExecutionStream = (socket, { code, language, onOutput = () => {} }) => {
+  let executionId = null;
+  let finished = false;
+  let stdout = '';
+  let outputLength = 0;
+  let resolveDone;
+  const done = new Promise(resolve => { resolveDone = resolve; });
+
+  const handleOutput = ({ executionId: id, stream, data }) => {
+    if (id !== executionId || finished || outputLength >= MAX_STREAMED_OUTPUT) return;
+
+    let text = data;
+    if (outputLength + text.length > MAX_STREAMED_OUTPUT) {
+      text = `${text.substring(0, MAX_STREAMED_OUTPUT - outputLength)}\n[Output truncated after ${MAX_STREAMED_OUTPUT} characters]\n`;
+    }
+    outputLength += data.length;
+    if (stream === 'stdout') stdout += text;
+    onOutput({ stream, data: text });
+  };
+
+  // Standard error is part of the streamed output; the error only says why it ended
+  const handleExit = ({ executionId: id, exitCode, error, executionTime }) => {
+    if (id !== executionId) return;
+
+    finish({
+      success: exitCode === 0 && !error,
+      error: error || (exitCode === 0 ? null : `Process exited with code ${exitCode}`),
+      executionTime
+    });
+  };
+
+  const handleDisconnect = () => {
+    finish({ success: false, error: 'Connection to the execution server was lost' });
+  };
+
+  const stopListening = () => {
+    socket.off('exec:output', handleOutput);
+    socket.off('exec:exit', handleExit);
+    socket.off('disconnect', handleDisconnect);
+  };
+
+  const finish = ({ success, error, executionTime = null }) => {
+    if (finished) return;
+    finished = true;
+    stopListening();
+    resolveDone({ success, output: stdout, error, executionTime });
+  };
+
+  socket.on('exec:output', handleOutput);
+  socket.on('exec:exit', handleExit);
+  socket.on('disconnect', handleDisconnect);
+
+  const started = new Promise((resolve, reject) => {
+    socket.timeout(START_TIMEOUT).emit('exec:start', { code, language }, (timeoutError, response) => {
+      if (timeoutError || response?.error) {
+        const error = response?.error || 'The execution server did not respond';
+        finish({ success: false, error });
+        reject(new Error(error));
+        return;
+      }
+      executionId = response.executionId;
+      // Cancelled before the server took it
+      if (finished) socket.emit('exec:cancel', { executionId });
+      resolve();
+    });
+  });
+
+  const emitIfRunning = (event, payload = {}) => {
+    if (executionId && !finished) socket.emit(event, { executionId, ...payload });
+  };
+
+  return {
+    started,
+    done,
+    writeStdin: (data) => emitIfRunning('exec:stdin', { data }),
+    // The program sees the end of its input, e.g. after Ctrl+D
+    closeStdin: () => emitIfRunning('exec:eof'),
+    cancel: () => {
+      emitIfRunning('exec:cancel');
+      finish({ success: false, error: 'Execution cancelled' });
+    }
+  };
+};
+
+const noInput = () => {};
+
+const cancelledResult = () => ({
+  success: false,
+  output: null,
+  error: 'Execution cancelled',
+  executionTime: null
+});
+
+/**
+ * Run a file of a project, streaming its output from the execution server.
+ * When the server can't stream it, it runs as with runProjectFile and the
+ * output comes all at once.
+ * @param {string} code - The code to execute
+ * @param {string} language - The programming language
+ * @param {Object} options - Project context, as for executeSandboxedCode
+ * @param {Function} onOutput - Called with streamed { stream, data } chunks
+ * @returns {Object} Execution with started (resolves with whether the
+ *   program takes input), done, writeStdin, closeStdin and cancel
+ */
+export const startProjectExecution = (code, language, options = {}, onOutput = () => {}) => {
+  // Runs that can't be stopped remotely are abandoned; the sandbox and the
+  // server still end them at their time limit
+  let isCancelled = false;
+  let cancelRun;
+  const cancelled = new Promise(resolve => {
+    cancelRun = () => {
+      isCancelled = true;
+      resolve(cancelledResult());
+    };
+  });
+
+  // The execution server only sees one file
+  if (isSandboxLanguage(language) && hasRelativeImports(code)) {
+    return {
+      started: Promise.resolve(false),
+      done: Promise.race([executeSandboxedCode(code, language, options), cancelled]),
+      writeStdin: noInput,
+      closeStdin: noInput,
+      cancel: cancelRun
+    };
+  }
+
+  const execution = createExecutionStream(connectExecution(), { code, language, onOutput });
+  const started = execution.started.then(() => true, (error) => {
+    console.warn('Streaming execution failed, running without streaming:', error);
+    return false;
+  });
+
+  return {
+    ...execution,
+    started,
+    done: Promise.race([
+      started.then(isStreaming => (
+        isStreaming || isCancelled ? execution.done : runProjectFile(code, language, options)
+      )),
+      cancelled
+    ]),
+    cancel: () => {
+      execution.cancel();
+      cancelRun();
+    }
+  };
+};
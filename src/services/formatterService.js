@@ -0,0 +1,137 @@
+// client/src/services/formatterService.js
+import { SUPPORTED_LANGUAGES } from '../config/constants';
+import { createWorkerClient } from '../utils/workerClient';
+import { getParentPath } from '../utils/filePaths';
+
+// Prettier parser for each language it formats
+const PRETTIER_PARSERS = {
+  javascript: 'babel',
+  typescript: 'typescript',
+  css: 'css',
+  html: 'html',
+  markdown: 'markdown',
+  json: 'json',
+  yaml: 'yaml'
+};
+
+// Looked up in the file's folder first, then in each folder above it
+export const PRETTIER_CONFIG_FILES = ['.prettierrc', '.prettierrc.json'];
+
+const prettierWorker = createWorkerClient(() => new Worker(
+  new URL('../workers/prettier.worker.js', import.meta.url),
+  { type: 'module' }
+));
+
+/**
+ * Built-in formatter running Prettier in a web worker
+ */
+export const prettierFormatter = {
+  id: 'prettier',
+  name: 'Prettier',
+  languages: SUPPORTED_LANGUAGES
+    .map(language => language.id)
+    .filter(id => PRETTIER_PARSERS[id]),
+  format: (content, { language, filePath, config }) => prettierWorker.request({
+    source: content,
+    options: { ...config, parser: PRETTIER_PARSERS[language], filepath: filePath }
+  })
+};
+
+const formatters = [prettierFormatter];
+
+/**
+ * Add a formatter. Formatters registered later take precedence for the
+ * languages they support.
+ * @param {Object} formatter - { id, name, languages, format(content, { language, filePath, config }) => Promise<string> }
+ * @returns {Function} Function that removes the formatter again
+ */
+export const registerFormatter = (formatter) => {
+  formatters.push(formatter);
+  return () => {
+    const index = formatters.indexOf(formatter);
+    if (index !== -1) formatters.splice(index, 1);
+  };
+};
+
+/**
+ * Get the formatter used for a language
+ * @param {string} language - Monaco language ID
+ * @returns {Object|null} Formatter, or null if the language can't be formatted
+ */
+export const getFormatter = (language) => {
+  for (let i = formatters.length - 1; i >= 0; i--) {
+    if (formatters[i].languages.includes(language)) return formatters[i];
+  }
+  return null;
+};
+
+/**
+ * Get every language some formatter supports
+ * @returns {Array<string>} Monaco language IDs
+ */
+export const getFormattableLanguages = () => {
+  return [...new Set(formatters.flatMap(formatter => formatter.languages))];
+};
+
+const parseValue = (value) => {
+  if (/^(true|false)$/.test(value)) return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value.replace(/^(['"])(.*)\1$/, '$2');
+};
+
+/**
+ * Parse a Prettier config file, written as JSON or as flat YAML
+ * @param {string} content - Content of the config file
+ * @returns {Object} Prettier options
+ */
+export const parsePrettierConfig = (content) => {
+  const trimmed = (content || '').trim();
+  if (!trimmed) return {};
+  if (trimmed.startsWith('{')) return JSON.parse(trimmed);
+
+  return trimmed.split('\n').reduce((config, line) => {
+    const match = line.replace(/\s+#.*$/, '').match(/^([\w-]+)\s*:\s*(.+?)\s*$/);
+    if (match) config[match[1]] = parseValue(match[2]);
+    return config;
+  }, {});
+};
+
+/**
+ * Find the Prettier config that applies to a file
+ * @param {Array} configFiles - Config files in the project as [{ path, content }]
+ * @param {string} filePath - Project-relative path of the formatted file
+ * @returns {Object} Prettier options, empty if the project has no config
+ */
+export const findPrettierConfig = (configFiles, filePath) => {
+  let folder = getParentPath(filePath);
+
+  for (;;) {
+    for (const name of PRETTIER_CONFIG_FILES) {
+      const path = folder ? `${folder}/${name}` : name;
+      const configFile = configFiles.find(f => f.path === path);
+      if (configFile) return parsePrettierConfig(configFile.content);
+    }
+    if (!folder) return {};
+    folder = getParentPath(folder);
+  }
+};
+
+/**
+ * Format code with the formatter for its language
+ * @param {string} content - Code to format
+ * @param {Object} options - Options
+ * @param {string} options.language - Monaco language ID
+ * @param {string} options.filePath - Project-relative path of the file
+ * @param {Array} options.configFiles - Prettier config files in the project as [{ path, content }]
+ * @param {number} options.tabSize - Indentation used when the project has no config
+ * @returns {Promise<string>} Formatted code
+ */
+export const formatCode = async (content, { language, filePath = '', configFiles = [], tabSize = 2 }) => {
+  const formatter = getFormatter(language);
+  if (!formatter) {
+    throw new Error(`No formatter for ${language}`);
+  }
+
+  const config = { tabWidth: tabSize, ...findPrettierConfig(configFiles, filePath) };
+  return formatter.format(content, { language, filePath, config });
+};
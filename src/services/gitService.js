@@ -0,0 +1,532 @@
+// client/src/services/gitService.js
+import git from 'isomorphic-git';
+import http from 'isomorphic-git/http/web';
+import { Buffer } from 'buffer';
+import { GIT_CORS_PROXY } from '../config/constants';
+import { createMemoryFs } from '../utils/memoryFs';
+import { createFileDiff } from '../utils/unifiedDiff';
+import { buildFilePaths } from '../utils/filePaths';
+import { decodeText } from '../utils/textContent';
+import { createProject, createFilesFromPaths } from './projectService';
+import { putGitRepository, getGitRepository, removeGitRepository } from './offlineStore';
+
+// isomorphic-git expects Node's Buffer to exist
+if (typeof globalThis.Buffer === 'undefined') {
+  globalThis.Buffer = Buffer;
+}
+
+/*
+ * Repositories live in an in-memory file system with no working tree: file
+ * contents come from the project, and commits are built directly from blob
+ * and tree objects. The .git directory of a linked repository is kept in
+ * IndexedDB, so the link is per browser.
+ */
+
+const REPO_DIR = '/repo';
+const GIT_DIR = `${REPO_DIR}/.git`;
+const BUNDLE_SIGNATURES = ['# v2 git bundle', '# v3 git bundle'];
+const textEncoder = new TextEncoder();
+
+// Browsers report requests blocked by CORS as failed fetches
+const explainNetworkError = (error, url) => {
+  if (error instanceof TypeError && !GIT_CORS_PROXY) {
+    return new Error(
+      `Could not reach ${url}. Most git servers don't accept requests from browsers; ` +
+      'set VITE_GIT_CORS_PROXY to a CORS proxy you host'
+    );
+  }
+  return error;
+};
+
+const createRepo = (entries = [], meta = {}) => ({
+  fs: createMemoryFs(entries),
+  dir: REPO_DIR,
+  remote: null,
+  branch: 'main',
+  upstreamOid: null,
+  ...meta
+});
+
+/**
+ * Clone a repository over HTTP into memory. Only the tip of one branch is
+ * fetched to keep the download small.
+ * @param {Object} options - Clone options
+ * @param {string} options.url - Repository URL
+ * @param {string} options.ref - Branch to clone; defaults to the remote HEAD
+ * @param {Function} options.onProgress - Optional ({phase, loaded, total}) callback
+ * @param {Function} options.onAuth - Optional isomorphic-git auth callback
+ * @returns {Promise<Object>} Repository
+ */
+export const cloneRepository = async ({ url, ref, onProgress, onAuth }) => {
+  const repo = createRepo([], { remote: url });
+
+  try {
+    await git.clone({
+      fs: repo.fs,
+      http,
+      dir: repo.dir,
+      url,
+      ref: ref || undefined,
+      corsProxy: GIT_CORS_PROXY || undefined,
+      singleBranch: true,
+      depth: 1,
+      noCheckout: true,
+      onProgress,
+      onAuth
+    });
+  } catch (error) {
+    throw explainNetworkError(error, url);
+  }
+
+  repo.branch = await git.currentBranch({ fs: repo.fs, dir: repo.dir }) || ref || 'main';
+  repo.upstreamOid = await git.resolveRef({ fs: repo.fs, dir: repo.dir, ref: 'HEAD' });
+  return repo;
+};
+
+/**
+ * Parse the header of a git bundle
+ * @param {Uint8Array} bytes - Bundle file content
+ * @returns {Object} { refs, prerequisites, packStart }
+ */
+export const parseBundleHeader = (bytes) => {
+  const refs = [];
+  const prerequisites = [];
+  let offset = 0;
+  let lineNumber = 0;
+
+  while (offset < bytes.length) {
+    const end = bytes.indexOf(0x0a, offset);
+    if (end === -1) break;
+
+    const line = new TextDecoder().decode(bytes.subarray(offset, end));
+    offset = end + 1;
+
+    if (lineNumber++ === 0) {
+      if (!BUNDLE_SIGNATURES.includes(line)) throw new Error('Not a git bundle');
+      continue;
+    }
+    if (line === '') {
+      return { refs, prerequisites, packStart: offset };
+    }
+    if (line.startsWith('@')) continue; // v3 capabilities
+    if (line.startsWith('-')) {
+      prerequisites.push(line.substring(1, 41));
+    } else {
+      const [oid, name] = line.split(' ');
+      refs.push({ oid, name });
+    }
+  }
+
+  throw new Error('Not a git bundle');
+};
+
+/**
+ * Load a git bundle (as made by `git bundle create`) into memory
+ * @param {ArrayBuffer|Uint8Array} data - Bundle file content
+ * @returns {Promise<Object>} Repository
+ */
+export const loadBundle = async (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const { refs, prerequisites, packStart } = parseBundleHeader(bytes);
+
+  if (prerequisites.length > 0) {
+    throw new Error('This bundle only contains changes on top of another repository. Create it with --all or a full branch.');
+  }
+
+  const headRef = refs.find(ref => ref.name === 'HEAD');
+  const branches = refs.filter(ref => ref.name.startsWith('refs/heads/'));
+  // Prefer the branch HEAD points at, then main or master, then any branch
+  const branchRef = branches.find(ref => ref.oid === headRef?.oid) ||
+    branches.find(ref => ['refs/heads/main', 'refs/heads/master'].includes(ref.name)) ||
+    branches[0];
+  const headOid = headRef?.oid || branchRef?.oid;
+  if (!headOid) throw new Error('The bundle does not contain any branches');
+
+  const branch = branchRef ? branchRef.name.substring('refs/heads/'.length) : 'main';
+  const repo = createRepo([], { branch });
+  const { fs, dir } = repo;
+
+  await git.init({ fs, dir, defaultBranch: branch });
+  await fs.promises.writeFile(`${GIT_DIR}/objects/pack/pack-bundle.pack`, bytes.subarray(packStart));
+  await git.indexPack({ fs, dir, filepath: '.git/objects/pack/pack-bundle.pack' });
+
+  for (const ref of refs) {
+    if (ref.name.startsWith('refs/heads/') || ref.name.startsWith('refs/tags/')) {
+      await git.writeRef({ fs, dir, ref: ref.name, value: ref.oid, force: true });
+    }
+  }
+  await git.writeRef({ fs, dir, ref: `refs/heads/${branch}`, value: headOid, force: true });
+
+  repo.upstreamOid = headOid;
+  return repo;
+};
+
+/**
+ * List the entries of a commit's tree
+ * @param {Object} repo - Repository
+ * @param {string} ref - Commit oid or ref
+ * @returns {Promise<Array>} [{ path, mode, oid, type, content }] where content
+ *   is null for entries a project cannot hold (binary files, symlinks, submodules)
+ */
+export const readTreeEntries = async (repo, ref = 'HEAD') => {
+  const entries = await git.walk({
+    fs: repo.fs,
+    dir: repo.dir,
+    trees: [git.TREE({ ref })],
+    map: async (path, [entry]) => {
+      if (path === '.') return undefined;
+
+      const type = await entry.type();
+      if (type === 'tree') return undefined;
+
+      const mode = await entry.mode();
+      const oid = await entry.oid();
+      const isRegularFile = type === 'blob' && mode !== 0o120000;
+      const content = isRegularFile ? decodeText(await entry.content()) : null;
+
+      return { path, mode, oid, type, content };
+    }
+  });
+
+  return entries.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * Import the HEAD of a repository into a new project
+ * @param {Object} repo - Repository from cloneRepository or loadBundle
+ * @param {Object} projectData - Data for createProject (name, description, isPublic)
+ * @param {Function} onProgress - Optional (done, total) callback
+ * @returns {Promise<Object>} { project, skipped } where skipped lists paths
+ *   that could not be imported (binary files, symlinks, submodules)
+ */
+export const importRepository = async (repo, projectData, onProgress) => {
+  const entries = await readTreeEntries(repo);
+  const textEntries = entries.filter(entry => entry.content !== null);
+
+  const project = await createProject(projectData);
+  await createFilesFromPaths(
+    project._id,
+    textEntries.map(({ path, content }) => ({ path, content })),
+    onProgress
+  );
+  await saveRepository(project._id, repo);
+
+  return {
+    project,
+    skipped: entries.filter(entry => entry.content === null).map(entry => entry.path)
+  };
+};
+
+/**
+ * Persist a repository's .git directory as the one linked to a project
+ * @param {string} projectId - Project ID
+ * @param {Object} repo - Repository
+ */
+export const saveRepository = async (projectId, repo) => {
+  await putGitRepository({
+    projectId,
+    remote: repo.remote,
+    branch: repo.branch,
+    upstreamOid: repo.upstreamOid,
+    entries: repo.fs.exportEntries(GIT_DIR)
+  });
+};
+
+/**
+ * Load the repository linked to a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} Repository, or null if none is linked
+ */
+export const openRepository = async (projectId) => {
+  const saved = await getGitRepository(projectId);
+  if (!saved) return null;
+
+  const { entries, ...meta } = saved;
+  return createRepo(entries, meta);
+};
+
+/**
+ * Unlink the repository of a project
+ * @param {string} projectId - Project ID
+ */
+export const unlinkRepository = (projectId) => removeGitRepository(projectId);
+
+// Map paths to contents for the entries a project can hold
+const textContents = (entries) => new Map(
+  entries.filter(entry => entry.content !== null).map(entry => [entry.path, entry.content])
+);
+
+/**
+ * Compare project files with the HEAD commit
+ * @param {Object} repo - Repository
+ * @param {Array} files - Project files
+ * @returns {Promise<Array>} [{ path, status, before, after }] sorted by path,
+ *   status is 'added', 'modified' or 'deleted'
+ */
+export const getStatus = async (repo, files) => {
+  const head = textContents(await readTreeEntries(repo));
+  const paths = buildFilePaths(files);
+  const working = new Map(
+    files
+      .filter(file => file.type === 'file')
+      .map(file => [paths.get(file._id), file.content || ''])
+  );
+  const changes = [];
+
+  working.forEach((content, path) => {
+    if (!head.has(path)) {
+      changes.push({ path, status: 'added', before: null, after: content });
+    } else if (head.get(path) !== content) {
+      changes.push({ path, status: 'modified', before: head.get(path), after: content });
+    }
+  });
+  head.forEach((content, path) => {
+    if (!working.has(path)) {
+      changes.push({ path, status: 'deleted', before: content, after: null });
+    }
+  });
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * Write a tree object for a flat list of entries, creating subtrees as needed
+ * @returns {Promise<string>} Tree oid
+ */
+const writeNestedTree = async (repo, entries) => {
+  const files = [];
+  const folders = new Map();
+
+  entries.forEach(entry => {
+    const [first, ...rest] = entry.path.split('/');
+    if (rest.length === 0) {
+      files.push({ ...entry, path: first });
+    } else {
+      if (!folders.has(first)) folders.set(first, []);
+      folders.get(first).push({ ...entry, path: rest.join('/') });
+    }
+  });
+
+  const tree = files.map(({ path, mode, oid, type }) => ({
+    path,
+    mode: mode.toString(8).padStart(6, '0'),
+    oid,
+    type
+  }));
+  for (const [path, children] of folders) {
+    tree.push({ path, mode: '040000', oid: await writeNestedTree(repo, children), type: 'tree' });
+  }
+
+  return git.writeTree({ fs: repo.fs, dir: repo.dir, tree });
+};
+
+/**
+ * Commit the current project files on top of HEAD
+ * @param {Object} repo - Repository
+ * @param {Array} files - Project files
+ * @param {Object} options - Commit options
+ * @param {string} options.message - Commit message
+ * @param {Object} options.author - { name, email }
+ * @returns {Promise<string>} New commit oid
+ */
+export const commitChanges = async (repo, files, { message, author }) => {
+  const changes = await getStatus(repo, files);
+  if (changes.length === 0) throw new Error('There are no changes to commit');
+
+  const entries = new Map(
+    (await readTreeEntries(repo)).map(entry => [entry.path, entry])
+  );
+
+  for (const change of changes) {
+    if (change.status === 'deleted') {
+      entries.delete(change.path);
+    } else {
+      const oid = await git.writeBlob({
+        fs: repo.fs,
+        dir: repo.dir,
+        blob: textEncoder.encode(change.after)
+      });
+      const mode = entries.get(change.path)?.mode || 0o100644;
+      entries.set(change.path, { path: change.path, mode, oid, type: 'blob' });
+    }
+  }
+
+  const tree = await writeNestedTree(repo, [...entries.values()]);
+  const parent = await git.resolveRef({ fs: repo.fs, dir: repo.dir, ref: 'HEAD' });
+
+  return git.commit({
+    fs: repo.fs,
+    dir: repo.dir,
+    message,
+    author,
+    tree,
+    parent: [parent]
+  });
+};
+
+/**
+ * List commits made since the repository was imported or last pushed
+ * @param {Object} repo - Repository
+ * @returns {Promise<Array>} Commits, newest first, as returned by git.log
+ */
+export const getUnpushedCommits = async (repo) => {
+  const head = await git.resolveRef({ fs: repo.fs, dir: repo.dir, ref: 'HEAD' });
+  const commits = [];
+  let oid = head;
+
+  while (oid && oid !== repo.upstreamOid) {
+    const commit = await git.readCommit({ fs: repo.fs, dir: repo.dir, oid });
+    commits.push(commit);
+    oid = commit.commit.parent[0];
+  }
+
+  return commits;
+};
+
+/**
+ * Build a diff of uncommitted project changes that `git apply` accepts
+ * @param {Array} changes - Changes returned by getStatus
+ * @returns {string} Patch text
+ */
+export const createWorkingPatch = (changes) => {
+  return changes.map(change => createFileDiff(change.path, change.before, change.after)).join('');
+};
+
+const formatPatchDate = ({ timestamp, timezoneOffset }) => {
+  // isomorphic-git stores the offset like Date#getTimezoneOffset (minutes behind UTC)
+  const offset = -timezoneOffset;
+  const local = new Date((timestamp + offset * 60) * 1000);
+  const sign = offset >= 0 ? '+' : '-';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const time = local.toISOString().substring(11, 19);
+
+  return `${days[local.getUTCDay()]}, ${local.getUTCDate()} ${months[local.getUTCMonth()]} ${local.getUTCFullYear()} ${time} ${sign}${hours}${minutes}`;
+};
+
+/**
+ * Format unpushed commits as a mailbox of patches that `git am` accepts
+ * @param {Object} repo - Repository
+ * @returns {Promise<string>} Patch text
+ */
+export const formatPatches = async (repo) => {
+  const commits = (await getUnpushedCommits(repo)).reverse();
+  const patches = [];
+
+  for (const [index, { oid, commit }] of commits.entries()) {
+    const before = textContents(commit.parent[0] ? await readTreeEntries(repo, commit.parent[0]) : []);
+    const after = textContents(await readTreeEntries(repo, oid));
+    const paths = [...new Set([...before.keys(), ...after.keys()])].sort();
+    const diff = paths
+      .map(path => createFileDiff(path, before.get(path) ?? null, after.get(path) ?? null))
+      .join('');
+
+    const [subject, ...body] = commit.message.trim().split('\n');
+    const prefix = commits.length > 1 ? `[PATCH ${index + 1}/${commits.length}]` : '[PATCH]';
+
+    patches.push([
+      `From ${oid} Mon Sep 17 00:00:00 2001`,
+      `From: ${commit.author.name} <${commit.author.email}>`,
+      `Date: ${formatPatchDate(commit.author)}`,
+      `Subject: ${prefix} ${subject}`,
+      '',
+      ...(body.join('\n').trim() ? [body.join('\n').trim(), ''] : []),
+      '---',
+      diff,
+      '-- ',
+      'CodeConclave',
+      ''
+    ].join('\n'));
+  }
+
+  return patches.join('\n');
+};
+
+/**
+ * Collect the oids of a commit and every tree and blob it references
+ */
+const collectCommitObjects = async (repo, oid, oids) => {
+  oids.add(oid);
+  const { commit } = await git.readCommit({ fs: repo.fs, dir: repo.dir, oid });
+
+  const collectTree = async (treeOid) => {
+    oids.add(treeOid);
+    const { tree } = await git.readTree({ fs: repo.fs, dir: repo.dir, oid: treeOid });
+    for (const entry of tree) {
+      if (entry.type === 'tree') await collectTree(entry.oid);
+      else if (entry.type === 'blob') oids.add(entry.oid);
+    }
+  };
+
+  await collectTree(commit.tree);
+};
+
+/**
+ * Create a git bundle of the unpushed commits that can be fetched with
+ * `git fetch <file> <branch>` in a clone of the original repository
+ * @param {Object} repo - Repository
+ * @returns {Promise<Uint8Array>} Bundle file content
+ */
+export const createBundle = async (repo) => {
+  const commits = await getUnpushedCommits(repo);
+  if (commits.length === 0) throw new Error('There are no new commits to bundle');
+
+  const oids = new Set();
+  for (const { oid } of commits) {
+    await collectCommitObjects(repo, oid, oids);
+  }
+
+  const { packfile } = await git.packObjects({
+    fs: repo.fs,
+    dir: repo.dir,
+    oids: [...oids]
+  });
+
+  const header = [
+    '# v2 git bundle',
+    ...(repo.upstreamOid ? [`-${repo.upstreamOid}`] : []),
+    `${commits[0].oid} refs/heads/${repo.branch}`,
+    '',
+    ''
+  ].join('\n');
+
+  const headerBytes = textEncoder.encode(header);
+  const bundle = new Uint8Array(headerBytes.length + packfile.length);
+  bundle.set(headerBytes);
+  bundle.set(packfile, headerBytes.length);
+  return bundle;
+};
+
+/**
+ * Push unpushed commits to the repository's remote
+ * @param {Object} repo - Repository cloned from a URL
+ * @param {Object} credentials - { username, password }; for GitHub use a token as the password
+ * @returns {Promise<Object>} isomorphic-git push result
+ */
+export const pushChanges = async (repo, { username, password }) => {
+  if (!repo.remote) throw new Error('This repository has no remote to push to');
+
+  let result;
+  try {
+    result = await git.push({
+      fs: repo.fs,
+      http,
+      dir: repo.dir,
+      remote: 'origin',
+      ref: repo.branch,
+      corsProxy: GIT_CORS_PROXY || undefined,
+      onAuth: () => ({ username, password })
+    });
+  } catch (error) {
+    throw explainNetworkError(error, repo.remote);
+  }
+
+  if (!result.ok) {
+    throw new Error(result.error || 'Push was rejected');
+  }
+
+  repo.upstreamOid = await git.resolveRef({ fs: repo.fs, dir: repo.dir, ref: 'HEAD' });
+  return result;
+};
@@ -0,0 +1,262 @@
+// client/src/services/languageServerService.js
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from '../config/constants';
+
+// Languages the API hosts a language server for, e.g. pyright for Python.
+// JavaScript and TypeScript are served by Monaco itself.
+export const SERVER_LANGUAGES = ['python', 'go', 'rust', 'java', 'cpp', 'csharp', 'ruby', 'php'];
+
+// Project files are opened at their real path under this root
+export const WORKSPACE_ROOT_URI = 'file:///';
+
+// Requests the server hasn't answered by then fail, so a busy server doesn't
+// leave completions hanging
+const REQUEST_TIMEOUT = 10000;
+
+const CLIENT_CAPABILITIES = {
+  textDocument: {
+    synchronization: { didSave: false, dynamicRegistration: false },
+    completion: {
+      completionItem: {
+        snippetSupport: true,
+        documentationFormat: ['markdown', 'plaintext']
+      }
+    },
+    hover: { contentFormat: ['markdown', 'plaintext'] },
+    definition: { linkSupport: true },
+    publishDiagnostics: { relatedInformation: false }
+  },
+  workspace: { configuration: true }
+};
+
+let languageServerSocket = null;
+
+/**
+ * Get the shared socket for the language server namespace, connecting on first use
+ * @returns {Object} socket.io client socket
+ */
+export const connectLanguageServers = () => {
+  if (!languageServerSocket) {
+    languageServerSocket = io(`${SOCKET_URL}/lsp`, {
+      path: '/socket.io',
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+  }
+  return languageServerSocket;
+};
+
+/**
+ * Close the shared language server socket
+ */
+export const disconnectLanguageServers = () => {
+  if (languageServerSocket) {
+    languageServerSocket.disconnect();
+    languageServerSocket = null;
+  }
+};
+
+// Answers to the requests language servers send to the client
+const handleServerRequest = (method, params) => {
+  switch (method) {
+    // No settings, so every server uses its defaults
+    case 'workspace/configuration':
+      return (params?.items || []).map(() => null);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Start a language server session for a project and talk Language Server
+ * Protocol with it. JSON-RPC messages travel as lsp:message events; the API
+ * pipes them to the server process. Documents are opened again and the
+ * session restarted after a reconnect.
+ *
+ * @param {Object} socket - socket.io client socket
+ * @param {Object} options - Client options
+ * @param {string} options.projectId - Project ID
+ * @param {string} options.language - Monaco language ID, one of SERVER_LANGUAGES
+ * @param {Function} options.onDiagnostics - Called with (uri, diagnostics) when
+ *   the server publishes them
+ * @returns {Object} Client with whenReady, request, openDocument, changeDocument,
+ *   closeDocument, hasDocument and stop
+ */
+export const createLanguageClient = (socket, { projectId, language, onDiagnostics = () => {} }) => {
+  const documents = new Map();
+  const pending = new Map();
+  let sessionId = null;
+  let nextId = 0;
+  let stopped = false;
+  let initialized = false;
+  let ready = null;
+  let handleConnect = null;
+
+  const send = (message) => {
+    socket.emit('lsp:message', { sessionId, message: { jsonrpc: '2.0', ...message } });
+  };
+
+  const rejectPending = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  const sendRequest = (method, params, token) => new Promise((resolve, reject) => {
+    const id = ++nextId;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`${method} timed out`));
+    }, REQUEST_TIMEOUT);
+
+    pending.set(id, {
+      resolve: (result) => { clearTimeout(timer); resolve(result); },
+      reject: (error) => { clearTimeout(timer); reject(error); }
+    });
+    send({ id, method, params });
+
+    token?.onCancellationRequested?.(() => {
+      if (!pending.has(id)) return;
+      send({ method: '$/cancelRequest', params: { id } });
+      pending.get(id).reject(new Error(`${method} was cancelled`));
+      pending.delete(id);
+    });
+  });
+
+  const handleMessage = ({ sessionId: messageSessionId, message }) => {
+    if (messageSessionId !== sessionId || !message) return;
+
+    // Request from the server
+    if (message.method && message.id !== undefined) {
+      send({ id: message.id, result: handleServerRequest(message.method, message.params) });
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined) {
+      const request = pending.get(message.id);
+      if (!request) return;
+
+      pending.delete(message.id);
+      if (message.error) {
+        request.reject(new Error(message.error.message));
+      } else {
+        request.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.method === 'textDocument/publishDiagnostics') {
+      onDiagnostics(message.params.uri, message.params.diagnostics || []);
+    }
+  };
+
+  const sendDidOpen = (uri, document) => {
+    send({
+      method: 'textDocument/didOpen',
+      params: { textDocument: { uri, languageId: document.languageId, version: document.version, text: document.text } }
+    });
+  };
+
+  const start = () => new Promise((resolve, reject) => {
+    socket.emit('lsp:start', { projectId, language }, (response) => {
+      if (response?.error) {
+        reject(new Error(response.error));
+        return;
+      }
+      // Stopped while the server was starting
+      if (stopped) {
+        socket.emit('lsp:stop', { sessionId: response.sessionId });
+        reject(new Error('Language server session stopped'));
+        return;
+      }
+      sessionId = response.sessionId;
+      resolve();
+    });
+  }).then(async () => {
+    const { capabilities } = await sendRequest('initialize', {
+      processId: null,
+      rootUri: WORKSPACE_ROOT_URI,
+      capabilities: CLIENT_CAPABILITIES,
+      workspaceFolders: [{ uri: WORKSPACE_ROOT_URI, name: projectId }]
+    });
+    send({ method: 'initialized', params: {} });
+    // Documents opened or changed in the meantime go with their latest content
+    documents.forEach((document, uri) => sendDidOpen(uri, document));
+    initialized = true;
+    return capabilities || {};
+  });
+
+  const restart = () => {
+    if (stopped) return;
+    sessionId = null;
+    initialized = false;
+    rejectPending(new Error('Connection to the language server was lost'));
+    ready = start();
+    ready.catch(error => console.error(`Error restarting the ${language} language server:`, error));
+  };
+
+  socket.on('lsp:message', handleMessage);
+  socket.io.on('reconnect', restart);
+
+  if (socket.connected) {
+    ready = start();
+  } else {
+    ready = new Promise(resolve => {
+      handleConnect = resolve;
+      socket.once('connect', handleConnect);
+    }).then(start);
+  }
+  // Callers that care wait on whenReady; unsupported languages just stay quiet
+  ready.catch(() => {});
+
+  const openDocument = (uri, languageId, text) => {
+    if (documents.has(uri)) return;
+
+    const document = { languageId, version: 1, text };
+    documents.set(uri, document);
+    if (initialized) sendDidOpen(uri, document);
+  };
+
+  const changeDocument = (uri, text) => {
+    const document = documents.get(uri);
+    if (!document || document.text === text) return;
+
+    document.version += 1;
+    document.text = text;
+    if (!initialized) return;
+
+    // Full content changes, which every server accepts
+    send({
+      method: 'textDocument/didChange',
+      params: { textDocument: { uri, version: document.version }, contentChanges: [{ text }] }
+    });
+  };
+
+  const closeDocument = (uri) => {
+    if (!documents.delete(uri) || !initialized) return;
+    send({ method: 'textDocument/didClose', params: { textDocument: { uri } } });
+  };
+
+  const stop = () => {
+    stopped = true;
+    socket.off('lsp:message', handleMessage);
+    if (handleConnect) socket.off('connect', handleConnect);
+    socket.io.off('reconnect', restart);
+    initialized = false;
+    rejectPending(new Error('Language server session stopped'));
+    if (sessionId) socket.emit('lsp:stop', { sessionId });
+    documents.clear();
+  };
+
+  return {
+    whenReady: () => ready,
+    request: async (method, params, token) => {
+      await ready;
+      return sendRequest(method, params, token);
+    },
+    openDocument,
+    changeDocument,
+    closeDocument,
+    hasDocument: (uri) => documents.has(uri),
+    stop
+  };
+};
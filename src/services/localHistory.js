@@ -0,0 +1,70 @@
+// client/src/services/localHistory.js
+import {
+  addHistoryEntry,
+  getHistoryEntries,
+  removeHistoryEntries
+} from './offlineStore';
+
+// Snapshots kept per file; older ones are dropped as new ones are recorded
+export const MAX_TIMELINE_ENTRIES = 50;
+
+const timelineListeners = new Set();
+
+/**
+ * Subscribe to new snapshots
+ * @param {Function} listener - Called with the file ID that got a snapshot
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTimeline = (listener) => {
+  timelineListeners.add(listener);
+  return () => timelineListeners.delete(listener);
+};
+
+/**
+ * Record the content of a file after it was saved. Consecutive identical
+ * snapshots are skipped, and only the newest MAX_TIMELINE_ENTRIES are kept.
+ * @param {string} projectId - Project ID
+ * @param {string} fileId - File ID
+ * @param {string} content - Saved content
+ * @param {string} source - What produced the snapshot ('save', 'sync', 'restore' or 'replace')
+ */
+export const recordSnapshot = async (projectId, fileId, content, source = 'save') => {
+  try {
+    const entries = await getHistoryEntries(fileId);
+    const latest = entries[entries.length - 1];
+    if (latest && latest.content === content) return;
+
+    await addHistoryEntry({
+      projectId,
+      fileId,
+      content,
+      source,
+      savedAt: new Date().toISOString()
+    });
+
+    const excess = entries.length + 1 - MAX_TIMELINE_ENTRIES;
+    if (excess > 0) {
+      await removeHistoryEntries(entries.slice(0, excess).map(entry => entry.id));
+    }
+
+    timelineListeners.forEach(listener => listener(fileId));
+  } catch (error) {
+    // History is best effort; never let it break saving
+    console.error('Error recording file history:', error);
+  }
+};
+
+/**
+ * Get the saved snapshots of a file, newest first
+ * @param {string} fileId - File ID
+ * @returns {Promise<Array>} Snapshots with {id, content, source, savedAt}
+ */
+export const getFileTimeline = async (fileId) => {
+  try {
+    const entries = await getHistoryEntries(fileId);
+    return entries.reverse();
+  } catch (error) {
+    console.error('Error loading file history:', error);
+    return [];
+  }
+};
@@ -0,0 +1,258 @@
+// client/src/services/offlineStore.js
+
+/*
+ * IndexedDB persistence for offline editing: a cache of projects and their
+ * files, an outbox of file operations waiting to be sent to the API, the
+ * local history of saved file contents, and the git repositories linked to
+ * projects.
+ */
+
+const DB_NAME = 'codeconclave';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the offline database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          db.createObjectStore('projects', { keyPath: '_id' });
+
+          const files = db.createObjectStore('files', { keyPath: ['projectId', '_id'] });
+          files.createIndex('projectId', 'projectId');
+
+          db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+        }
+
+        if (event.oldVersion < 2) {
+          const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+          history.createIndex('fileId', 'fileId');
+        }
+
+        if (event.oldVersion < 3) {
+          db.createObjectStore('gitRepos', { keyPath: 'projectId' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a function inside a transaction and resolve when it completes
+ * @param {Array<string>} storeNames - Object stores used
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the stores by name; may return a request
+ * @returns {Promise<*>} Result of the returned request, if any
+ */
+const withStores = async (storeNames, mode, fn) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach(name => {
+      stores[name] = transaction.objectStore(name);
+    });
+
+    const request = fn(stores);
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Cache project metadata
+ * @param {Object} project - Project data
+ */
+export const cacheProject = async (project) => {
+  await withStores(['projects'], 'readwrite', ({ projects }) => {
+    projects.put(project);
+  });
+};
+
+/**
+ * Get cached project metadata
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|undefined>} Cached project
+ */
+export const getCachedProject = (projectId) => {
+  return withStores(['projects'], 'readonly', ({ projects }) => projects.get(projectId));
+};
+
+/**
+ * Replace the cached files of a project
+ * @param {string} projectId - Project ID
+ * @param {Array} files - Files returned by the API
+ */
+export const cacheProjectFiles = async (projectId, files) => {
+  await withStores(['files'], 'readwrite', ({ files: store }) => {
+    store.index('projectId').openKeyCursor(IDBKeyRange.only(projectId)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      } else {
+        files.forEach(file => store.put({ ...file, projectId }));
+      }
+    };
+  });
+};
+
+/**
+ * Get the cached files of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Cached files
+ */
+export const getCachedProjectFiles = async (projectId) => {
+  const files = await withStores(['files'], 'readonly', ({ files: store }) =>
+    store.index('projectId').getAll(IDBKeyRange.only(projectId))
+  );
+  return files || [];
+};
+
+/**
+ * Insert or update a single cached file
+ * @param {string} projectId - Project ID
+ * @param {Object} file - File data
+ */
+export const cacheFile = async (projectId, file) => {
+  await withStores(['files'], 'readwrite', ({ files }) => {
+    files.put({ ...file, projectId });
+  });
+};
+
+/**
+ * Remove a single cached file
+ * @param {string} projectId - Project ID
+ * @param {string} fileId - File ID
+ */
+export const removeCachedFile = async (projectId, fileId) => {
+  await withStores(['files'], 'readwrite', ({ files }) => {
+    files.delete([projectId, fileId]);
+  });
+};
+
+/**
+ * Append an operation to the outbox
+ * @param {Object} operation - {type, projectId, fileId, ...}
+ * @returns {Promise<number>} Outbox entry ID
+ */
+export const addOutboxEntry = (operation) => {
+  return withStores(['outbox'], 'readwrite', ({ outbox }) =>
+    outbox.add({ ...operation, queuedAt: new Date().toISOString() })
+  );
+};
+
+/**
+ * Get all outbox entries in the order they were queued
+ * @returns {Promise<Array>} Outbox entries
+ */
+export const getOutboxEntries = async () => {
+  const entries = await withStores(['outbox'], 'readonly', ({ outbox }) => outbox.getAll());
+  return entries || [];
+};
+
+/**
+ * Replace an outbox entry
+ * @param {Object} entry - Entry including its id
+ */
+export const putOutboxEntry = async (entry) => {
+  await withStores(['outbox'], 'readwrite', ({ outbox }) => {
+    outbox.put(entry);
+  });
+};
+
+/**
+ * Remove an outbox entry once it has been sent
+ * @param {number} id - Outbox entry ID
+ */
+export const removeOutboxEntry = async (id) => {
+  await withStores(['outbox'], 'readwrite', ({ outbox }) => {
+    outbox.delete(id);
+  });
+};
+
+/**
+ * Append a snapshot to the local history
+ * @param {Object} entry - {projectId, fileId, content, source, savedAt}
+ * @returns {Promise<number>} History entry ID
+ */
+export const addHistoryEntry = (entry) => {
+  return withStores(['history'], 'readwrite', ({ history }) => history.add(entry));
+};
+
+/**
+ * Get the history snapshots of a file, oldest first
+ * @param {string} fileId - File ID
+ * @returns {Promise<Array>} History entries
+ */
+export const getHistoryEntries = async (fileId) => {
+  const entries = await withStores(['history'], 'readonly', ({ history }) =>
+    history.index('fileId').getAll(IDBKeyRange.only(fileId))
+  );
+  return entries || [];
+};
+
+/**
+ * Remove history snapshots
+ * @param {Array<number>} ids - History entry IDs
+ */
+export const removeHistoryEntries = async (ids) => {
+  await withStores(['history'], 'readwrite', ({ history }) => {
+    ids.forEach(id => history.delete(id));
+  });
+};
+
+/**
+ * Save the git repository linked to a project
+ * @param {Object} repository - {projectId, remote, branch, baseOid, entries}
+ */
+export const putGitRepository = async (repository) => {
+  await withStores(['gitRepos'], 'readwrite', ({ gitRepos }) => {
+    gitRepos.put(repository);
+  });
+};
+
+/**
+ * Get the git repository linked to a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|undefined>} Saved repository
+ */
+export const getGitRepository = (projectId) => {
+  return withStores(['gitRepos'], 'readonly', ({ gitRepos }) => gitRepos.get(projectId));
+};
+
+/**
+ * Unlink the git repository of a project
+ * @param {string} projectId - Project ID
+ */
+export const removeGitRepository = async (projectId) => {
+  await withStores(['gitRepos'], 'readwrite', ({ gitRepos }) => {
+    gitRepos.delete(projectId);
+  });
+};
@@ -1,5 +1,7 @@
 // src/services/projectService.js
 import api from './api';
+import { planRollback } from '../utils/snapshotDiff';
+import { buildFilePaths, createTreeFromPaths } from '../utils/filePaths';
 
 export const getProjects = async () => {
   const response = await api.get('/projects');
@@ -51,8 +53,48 @@ export const getFileContent = async (projectId, fileId) => {
   return response.data;
 };
 
-export const updateFileContent = async (projectId, fileId, content) => {
-  const response = await api.put(`/projects/${projectId}/files/${fileId}`, { content });
+/**
+ * Get the revision of a file used as a save precondition
+ * @param {Object} file - File data
+ * @returns {string|null} Revision (the file's updatedAt timestamp)
+ */
+export const getFileRevision = (file) => {
+  return file?.updatedAt || null;
+};
+
+/**
+ * Build request config that only applies a write if the file is still at
+ * the given revision. The server answers 412 (or 409) otherwise.
+ * @param {string|null} revision - Expected file revision
+ * @returns {Object} Axios request config
+ */
+const revisionPrecondition = (revision) => {
+  return revision ? { headers: { 'If-Match': `"${revision}"` } } : {};
+};
+
+/**
+ * Check whether an error is a failed save precondition (someone else saved first)
+ * @param {Error} error - Error thrown by a file update
+ * @returns {boolean} True for 409/412 responses
+ */
+export const isConflictError = (error) => {
+  return [409, 412].includes(error?.response?.status);
+};
+
+/**
+ * Update file content
+ * @param {string} projectId - Project ID
+ * @param {string} fileId - File ID
+ * @param {string} content - New file content
+ * @param {string|null} revision - Revision the content is based on; omit to overwrite
+ * @returns {Promise<Object>} Updated file
+ */
+export const updateFileContent = async (projectId, fileId, content, revision = null) => {
+  const response = await api.put(
+    `/projects/${projectId}/files/${fileId}`,
+    { content },
+    revisionPrecondition(revision)
+  );
   return response.data;
 };
 
@@ -61,19 +103,216 @@ export const updateFileContent = async (projectId, fileId, content) => {
  * @param {string} projectId - Project ID
  * @param {string} fileId - File ID
  * @param {Object} fileData - Updated file data
+ * @param {string|null} revision - Revision the update is based on; omit to overwrite
  * @returns {Promise<Object>} Updated file
  */
-export const updateFile = async (projectId, fileId, fileData) => {
-  const response = await api.put(`/projects/${projectId}/files/${fileId}`, fileData);
+export const updateFile = async (projectId, fileId, fileData, revision = null) => {
+  const response = await api.put(
+    `/projects/${projectId}/files/${fileId}`,
+    fileData,
+    revisionPrecondition(revision)
+  );
   return response.data;
 };
 
+/**
+ * Create files and folders from project-relative paths, e.g. when importing
+ * a repository or an archive. Parent folders are created as needed.
+ * @param {string} projectId - Project ID
+ * @param {Array} entries - [{ path, content }] for files, [{ path, type: 'directory' }] for folders
+ * @param {Function} onProgress - Optional (done, total) callback
+ * @returns {Promise<Array>} Created files and folders
+ */
+export const createFilesFromPaths = async (projectId, entries, onProgress) => {
+  const { created } = await createTreeFromPaths(
+    entries,
+    fileData => createFile(projectId, fileData),
+    { onProgress }
+  );
+  return created;
+};
+
 export const deleteFile = async (projectId, fileId) => {
   const response = await api.delete(`/projects/${projectId}/files/${fileId}`);
   return response.data;
 };
 
+// Servers without the batch endpoints answer 404/405; fall back to one call per file
+const isBatchUnsupported = (error) => [404, 405, 501].includes(error.response?.status);
+
+/**
+ * Delete several files and folders in one request
+ * @param {string} projectId - Project ID
+ * @param {Array<string>} fileIds - IDs of every file to delete, including
+ *   the contents of deleted folders, ordered deepest first
+ * @returns {Promise<Array<string>>} IDs of the deleted files
+ */
+export const deleteFiles = async (projectId, fileIds) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/files/batch-delete`, { fileIds });
+    return response.data.deleted || fileIds;
+  } catch (error) {
+    if (!isBatchUnsupported(error)) throw error;
+  }
+
+  for (const fileId of fileIds) {
+    try {
+      await deleteFile(projectId, fileId);
+    } catch (error) {
+      // Already removed along with its parent folder
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+  return fileIds;
+};
+
+/**
+ * Create several files and folders in one request. Entries may use the
+ * tempId of an earlier entry as their parentId.
+ * @param {string} projectId - Project ID
+ * @param {Array} entries - [{ tempId, name, type, extension, content, parentId }], parents first
+ * @returns {Promise<Array>} Created files, in the same order as the entries
+ */
+export const createFiles = async (projectId, entries) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/files/batch`, { files: entries });
+    return response.data.files;
+  } catch (error) {
+    if (!isBatchUnsupported(error)) throw error;
+  }
+
+  const ids = new Map();
+  const created = [];
+  for (const { tempId, ...fileData } of entries) {
+    const file = await createFile(projectId, {
+      ...fileData,
+      parentId: ids.get(fileData.parentId) || fileData.parentId || null
+    });
+    ids.set(tempId, file._id);
+    created.push(file);
+  }
+  return created;
+};
+
 export const shareProject = async (projectId, shareData) => {
   const response = await api.post(`/projects/${projectId}/share`, shareData);
   return response.data;
+};
+
+// Fields of a file kept in a snapshot
+const toSnapshotFile = ({ _id, name, extension, type, parentId, content }) => ({
+  _id,
+  name,
+  extension,
+  type,
+  parentId: parentId || null,
+  content: type === 'file' ? content || '' : undefined
+});
+
+/**
+ * Create a named snapshot of every file currently in a project
+ * @param {string} projectId - Project ID
+ * @param {string} message - Description of the snapshot
+ * @returns {Promise<Object>} Created snapshot
+ */
+export const createSnapshot = async (projectId, message) => {
+  const files = await getProjectFiles(projectId);
+  const response = await api.post(`/projects/${projectId}/snapshots`, {
+    message,
+    files: files.map(toSnapshotFile)
+  });
+  return response.data;
+};
+
+/**
+ * List the snapshots of a project, newest first
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Snapshots with {_id, message, author, createdAt}
+ */
+export const getSnapshots = async (projectId) => {
+  const response = await api.get(`/projects/${projectId}/snapshots`);
+  return response.data;
+};
+
+/**
+ * Get a snapshot including its files
+ * @param {string} projectId - Project ID
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Snapshot with files
+ */
+export const getSnapshot = async (projectId, snapshotId) => {
+  const response = await api.get(`/projects/${projectId}/snapshots/${snapshotId}`);
+  return response.data;
+};
+
+/**
+ * Roll a project back to a snapshot: files that are not in the snapshot are
+ * deleted, missing ones are recreated and changed contents are overwritten.
+ * Files are matched by path, so restored files get new IDs.
+ * @param {string} projectId - Project ID
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Array>} Project files after the rollback
+ */
+export const restoreSnapshot = async (projectId, snapshotId) => {
+  const [snapshot, currentFiles] = await Promise.all([
+    getSnapshot(projectId, snapshotId),
+    getProjectFiles(projectId)
+  ]);
+  const { deletes, creates, updates } = planRollback(currentFiles, snapshot.files);
+
+  for (const { fileId } of deletes) {
+    try {
+      await deleteFile(projectId, fileId);
+    } catch (error) {
+      // Already removed along with its parent folder
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+
+  // Folders are created before their contents, so parents can be looked up by path
+  const idsByPath = new Map();
+  buildFilePaths(currentFiles).forEach((path, fileId) => idsByPath.set(path, fileId));
+
+  for (const { path, parentPath, file } of creates) {
+    const created = await createFile(projectId, {
+      name: file.name,
+      extension: file.extension,
+      type: file.type,
+      content: file.type === 'file' ? file.content || '' : undefined,
+      parentId: parentPath ? idsByPath.get(parentPath) || null : null
+    });
+    idsByPath.set(path, created._id);
+  }
+
+  for (const { fileId, content } of updates) {
+    await updateFileContent(projectId, fileId, content);
+  }
+
+  return getProjectFiles(projectId);
+};
+
+/**
+ * Get the editor session the current user saved for a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} Session, or null if none was saved
+ */
+export const getEditorSession = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/session`);
+    return response.data?.session || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Save the current user's editor session for a project
+ * @param {string} projectId - Project ID
+ * @param {Object} session - Open tabs, view states and expanded folders
+ * @returns {Promise<Object>} Saved session
+ */
+export const updateEditorSession = async (projectId, session) => {
+  const response = await api.put(`/projects/${projectId}/session`, { session });
+  return response.data?.session;
 };
\ No newline at end of file
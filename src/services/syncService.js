@@ -0,0 +1,327 @@
+// client/src/services/syncService.js
+import {
+  getProject,
+  getProjectFiles,
+  createFile,
+  updateFileContent,
+  deleteFile,
+  getFileRevision,
+  isConflictError
+} from './projectService';
+import {
+  cacheProject,
+  getCachedProject,
+  cacheProjectFiles,
+  getCachedProjectFiles,
+  cacheFile,
+  removeCachedFile,
+  addOutboxEntry,
+  getOutboxEntries,
+  putOutboxEntry,
+  removeOutboxEntry
+} from './offlineStore';
+
+const LOCAL_ID_PREFIX = 'local-';
+const outboxListeners = new Set();
+let replayPromise = null;
+// The outbox entry being sent; it is removed once the API has answered, so
+// it must not be changed in the meantime
+let sendingEntryId = null;
+let outboxLock = Promise.resolve();
+
+// Run outbox changes one at a time, so an entry isn't picked for sending
+// while an operation is being merged into it
+const withOutboxLock = (fn) => {
+  const result = outboxLock.then(fn);
+  outboxLock = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Check whether a request failed because the API could not be reached
+ * (offline, DNS failure, or the server is asleep) rather than rejecting it
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} True for network failures
+ */
+export const isNetworkError = (error) => {
+  return Boolean(error?.isAxiosError && !error.response);
+};
+
+/**
+ * Generate an ID for a file created while offline
+ * @returns {string} Temporary file ID
+ */
+export const createLocalId = () => {
+  return `${LOCAL_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Check whether a file ID was generated locally and not yet created on the server
+ * @param {string} fileId - File ID
+ * @returns {boolean} True for temporary IDs
+ */
+export const isLocalId = (fileId) => {
+  return typeof fileId === 'string' && fileId.startsWith(LOCAL_ID_PREFIX);
+};
+
+/**
+ * Subscribe to changes in the number of pending operations
+ * @param {Function} listener - Called with the pending operation count
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOutbox = (listener) => {
+  outboxListeners.add(listener);
+  return () => outboxListeners.delete(listener);
+};
+
+const notifyOutboxListeners = async () => {
+  const entries = await getOutboxEntries();
+  outboxListeners.forEach(listener => listener(entries.length));
+};
+
+/**
+ * Count operations waiting to be sent
+ * @returns {Promise<number>} Pending operation count
+ */
+export const getPendingOperationCount = async () => {
+  try {
+    const entries = await getOutboxEntries();
+    return entries.length;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Check whether operations are waiting to be sent for a project or one of
+ * its files. Saves of such a file have to queue behind them, or the queued
+ * content would overwrite them when it is replayed.
+ * @param {string} projectId - Project ID
+ * @param {string} fileId - File ID; any file of the project if omitted
+ * @returns {Promise<boolean>} True if operations are pending
+ */
+export const hasPendingOperations = async (projectId, fileId) => {
+  try {
+    const entries = await getOutboxEntries();
+    return entries.some(entry =>
+      entry.projectId === projectId && (!fileId || entry.fileId === fileId)
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Queue a file operation to be replayed when the API is reachable again,
+ * and apply it to the offline cache straight away
+ * @param {Object} operation - One of:
+ *   {type: 'create', projectId, fileId, file}
+ *   {type: 'update', projectId, fileId, content, revision, base}
+ *   {type: 'delete', projectId, fileId}
+ */
+export const queueOperation = async (operation) => {
+  await withOutboxLock(() => addOperation(operation));
+  await notifyOutboxListeners();
+};
+
+const addOperation = async (operation) => {
+  const { type, projectId, fileId } = operation;
+  const entries = await getOutboxEntries();
+  const fileEntries = entries.filter(entry =>
+    entry.projectId === projectId && entry.fileId === fileId
+  );
+  // Entries that haven't been picked for sending yet can still be changed
+  const waitingEntries = fileEntries.filter(entry => entry.id !== sendingEntryId);
+  const lastEntry = fileEntries[fileEntries.length - 1];
+  const mergeEntry = lastEntry?.id === sendingEntryId ? null : lastEntry;
+
+  if (type === 'update') {
+    const cachedFiles = await getCachedProjectFiles(projectId);
+    const cached = cachedFiles.find(file => file._id === fileId);
+    if (cached) await cacheFile(projectId, { ...cached, content: operation.content });
+
+    if (mergeEntry?.type === 'create') {
+      // Not on the server yet; send the latest content with the create
+      await putOutboxEntry({
+        ...mergeEntry,
+        file: { ...mergeEntry.file, content: operation.content }
+      });
+    } else if (mergeEntry?.type === 'update') {
+      // Keep the original revision and base so a conflict is still detected
+      await putOutboxEntry({ ...mergeEntry, content: operation.content });
+    } else {
+      await addOutboxEntry(operation);
+    }
+  } else if (type === 'delete') {
+    await removeCachedFile(projectId, fileId);
+
+    if (isLocalId(fileId) && waitingEntries.length === fileEntries.length) {
+      // Never reached the server; just forget about it
+      await Promise.all(fileEntries.map(entry => removeOutboxEntry(entry.id)));
+    } else {
+      // A create being sent reaches the server, so the file has to be
+      // deleted after it
+      await Promise.all(
+        waitingEntries
+          .filter(entry => entry.type === 'update')
+          .map(entry => removeOutboxEntry(entry.id))
+      );
+      await addOutboxEntry(operation);
+    }
+  } else {
+    await cacheFile(projectId, operation.file);
+    await addOutboxEntry(operation);
+  }
+};
+
+/**
+ * Send queued operations to the API in the order they were made, including
+ * those queued while sending. Stops at the first network failure so the
+ * remaining operations keep their order.
+ * @param {Object} handlers - Callbacks for replay results
+ * @param {Function} handlers.onFileCreated - (localId, file) when an offline file gets its real ID
+ * @param {Function} handlers.onFileSaved - (file, content, projectId) when queued content is saved
+ * @param {Function} handlers.onConflict - (entry, theirs) when someone else saved the file first
+ * @returns {Promise<Object>} { completed } - false if the API is still unreachable
+ */
+export const replayOutbox = (handlers = {}) => {
+  if (!replayPromise) {
+    replayPromise = runReplay(handlers).finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
+
+// Apply a change to the entries still in the outbox after the sent one
+const updateLaterEntries = async (update) => {
+  const entries = await getOutboxEntries();
+  for (const entry of entries) {
+    const updated = update(entry);
+    if (updated) await putOutboxEntry(updated);
+  }
+};
+
+const runReplay = async ({ onFileCreated, onFileSaved, onConflict }) => {
+  for (;;) {
+    const entry = await withOutboxLock(async () => {
+      const [next] = await getOutboxEntries();
+      sendingEntryId = next?.id ?? null;
+      return next;
+    });
+    if (!entry) break;
+
+    let sent = null;
+    let newerContentQueued = false;
+    try {
+      if (entry.type === 'create') {
+        const { _id: localId, ...fileData } = entry.file;
+        const parentId = isLocalId(fileData.parentId) ? null : fileData.parentId;
+        sent = { localId, file: await createFile(entry.projectId, { ...fileData, parentId }) };
+      } else if (entry.type === 'update') {
+        sent = {
+          file: await updateFileContent(entry.projectId, entry.fileId, entry.content, entry.revision)
+        };
+      } else if (entry.type === 'delete') {
+        await deleteFile(entry.projectId, entry.fileId);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        sendingEntryId = null;
+        await notifyOutboxListeners();
+        return { completed: false };
+      }
+
+      if (entry.type === 'update' && isConflictError(error)) {
+        onConflict?.(entry, error.response.data?.file || null);
+      } else {
+        // The server rejected it (e.g. the file is gone); replaying it again won't help
+        console.error(`Dropping queued ${entry.type} operation:`, error);
+      }
+    }
+
+    await withOutboxLock(async () => {
+      if (entry.type === 'create' && sent) {
+        const { localId, file: createdFile } = sent;
+        
+        // Point later operations (and children) at the real ID
+        await updateLaterEntries((later) => {
+          if (later.fileId === localId) return { ...later, fileId: createdFile._id };
+          if (later.file?.parentId === localId) {
+            return { ...later, file: { ...later.file, parentId: createdFile._id } };
+          }
+          return null;
+        });
+      } else if (entry.type === 'update' && sent) {
+        // Content queued while this was being sent is based on what was just saved
+        await updateLaterEntries((later) => {
+          if (later.type !== 'update' || later.projectId !== entry.projectId || later.fileId !== entry.fileId) {
+            return null;
+          }
+          newerContentQueued = true;
+          return { ...later, revision: getFileRevision(sent.file), base: entry.content };
+        });
+      }
+      
+      await removeOutboxEntry(entry.id);
+      sendingEntryId = null;
+    });
+    
+    if (entry.type === 'create' && sent) {
+      await removeCachedFile(entry.projectId, sent.localId);
+      await cacheFile(entry.projectId, sent.file);
+      onFileCreated?.(sent.localId, sent.file);
+    } else if (entry.type === 'update' && sent) {
+      // The cache already holds the newer content
+      if (!newerContentQueued) await cacheFile(entry.projectId, { ...sent.file, content: entry.content });
+      onFileSaved?.(sent.file, entry.content, entry.projectId);
+    }
+  }
+
+  await notifyOutboxListeners();
+  return { completed: true };
+};
+
+/**
+ * Load a project, falling back to the offline cache when the API is unreachable
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Project data
+ */
+export const loadProject = async (projectId) => {
+  try {
+    const project = await getProject(projectId);
+    cacheProject(project).catch(error => console.error('Error caching project:', error));
+    return project;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    const cached = await getCachedProject(projectId).catch(() => null);
+    if (!cached) throw error;
+    return cached;
+  }
+};
+
+/**
+ * Load the files of a project. While local operations are still queued the
+ * cache is the most recent copy, so it is preferred over the API.
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Files
+ */
+export const loadProjectFiles = async (projectId) => {
+  if (await hasPendingOperations(projectId)) {
+    const cached = await getCachedProjectFiles(projectId);
+    if (cached.length > 0) return cached;
+  }
+
+  try {
+    const files = await getProjectFiles(projectId);
+    cacheProjectFiles(projectId, files).catch(error => console.error('Error caching files:', error));
+    return files;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    const cached = await getCachedProjectFiles(projectId).catch(() => []);
+    if (cached.length === 0) throw error;
+    return cached;
+  }
+};
@@ -0,0 +1,52 @@
+// client/src/utils/collaboratorColors.js
+
+// Colours used for collaborator cursors, selections and avatars
+export const COLLABORATOR_COLORS = [
+  '#f97316',
+  '#22c55e',
+  '#a855f7',
+  '#ec4899',
+  '#14b8a6',
+  '#eab308',
+  '#ef4444',
+  '#6366f1'
+];
+
+/**
+ * Get a stable palette index for a collaborator
+ * @param {string} id - User or client ID
+ * @returns {number} Index into COLLABORATOR_COLORS
+ */
+export const getCollaboratorColorIndex = (id) => {
+  if (!id) return 0;
+
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % COLLABORATOR_COLORS.length;
+};
+
+/**
+ * Get a stable colour for a collaborator
+ * @param {string} id - User or client ID
+ * @returns {string} CSS colour
+ */
+export const getCollaboratorColor = (id) => {
+  return COLLABORATOR_COLORS[getCollaboratorColorIndex(id)];
+};
+
+/**
+ * Get the initials to show in a collaborator avatar
+ * @param {string} name - Username or email
+ * @returns {string} One or two uppercase letters
+ */
+export const getInitials = (name) => {
+  if (!name) return '?';
+
+  const parts = name.split(/[\s._@-]+/).filter(Boolean);
+  if (parts.length > 1) {
+    return (parts[0][0] + parts[1][0]).toUpperCase();
+  }
+  return name.substring(0, 2).toUpperCase();
+};
@@ -0,0 +1,31 @@
+// client/src/utils/download.js
+
+/**
+ * Save data as a file through the browser's download prompt
+ * @param {Blob|BlobPart} data - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type, used when data is not already a Blob
+ */
+export const downloadFile = (data, fileName, type = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Turn a project or file name into something safe to use as a file name
+ * @param {string} name - Name
+ * @returns {string} File-system safe name
+ */
+export const toSafeFileName = (name) => {
+  return (name || 'project').trim().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+};
@@ -0,0 +1,267 @@
+// client/src/utils/editorGroups.js
+
+// Editor groups are { id, fileIds, activeFileId, pinnedIds }: the tabs of
+// one pane of a split editor, in tab order. Pinned tabs come first. These
+// helpers never mutate their input.
+
+let groupCounter = 0;
+
+/**
+ * Create an editor group
+ * @param {Array<string>} fileIds - IDs of the files open in the group
+ * @param {string|null} activeFileId - File shown in the group
+ * @param {Array<string>} pinnedIds - Files whose tabs are pinned, at the start of fileIds
+ * @returns {Object} Editor group
+ */
+export const createEditorGroup = (fileIds = [], activeFileId = fileIds[fileIds.length - 1] || null, pinnedIds = []) => {
+  groupCounter += 1;
+  return {
+    id: `group-${Date.now().toString(36)}-${groupCounter}`,
+    fileIds,
+    activeFileId,
+    pinnedIds
+  };
+};
+
+const updateGroup = (groups, groupId, update) => {
+  return groups.map(group => (group.id === groupId ? { ...group, ...update(group) } : group));
+};
+
+// The file shown after the active one is closed is the last remaining tab
+const withoutFile = (group, fileId) => {
+  const fileIds = group.fileIds.filter(id => id !== fileId);
+  const activeFileId = group.activeFileId === fileId ? fileIds[fileIds.length - 1] || null : group.activeFileId;
+  const pinnedIds = (group.pinnedIds || []).filter(id => id !== fileId);
+  return { ...group, fileIds, activeFileId, pinnedIds };
+};
+
+// Put a tab at a position, keeping pinned tabs ahead of the others
+const insertTab = (group, fileId, index, isPinned) => {
+  const pinnedIds = (group.pinnedIds || []).filter(id => id !== fileId);
+  const fileIds = group.fileIds.filter(id => id !== fileId);
+  const position = isPinned
+    ? Math.min(index, pinnedIds.length)
+    : Math.min(Math.max(index, pinnedIds.length), fileIds.length);
+
+  fileIds.splice(position, 0, fileId);
+  return {
+    ...group,
+    fileIds,
+    pinnedIds: isPinned ? [...pinnedIds, fileId] : pinnedIds
+  };
+};
+
+/**
+ * Open a file in a group, adding a tab for it if there isn't one, and show it
+ * @param {Array} groups - Editor groups
+ * @param {string} groupId - Group to open the file in
+ * @param {string} fileId - File to open
+ * @returns {Array} Updated groups
+ */
+export const openInGroup = (groups, groupId, fileId) => {
+  return updateGroup(groups, groupId, group => ({
+    fileIds: group.fileIds.includes(fileId) ? group.fileIds : [...group.fileIds, fileId],
+    activeFileId: fileId
+  }));
+};
+
+/**
+ * Close the tab of a file in one group
+ * @param {Array} groups - Editor groups
+ * @param {string} groupId - Group to close the tab in
+ * @param {string} fileId - File to close
+ * @returns {Array} Updated groups
+ */
+export const closeInGroup = (groups, groupId, fileId) => {
+  return groups.map(group => (group.id === groupId ? withoutFile(group, fileId) : group));
+};
+
+/**
+ * Close the tabs of files in every group, e.g. after the files were deleted
+ * @param {Array} groups - Editor groups
+ * @param {Array<string>} fileIds - Files to close
+ * @returns {Array} Updated groups
+ */
+export const closeInAllGroups = (groups, fileIds) => {
+  return groups.map(group => fileIds.reduce(withoutFile, group));
+};
+
+/**
+ * Move a tab within a group or to another group. A group emptied by the
+ * move is removed, unless it is the only one.
+ * @param {Array} groups - Editor groups
+ * @param {string} fileId - File whose tab is moved
+ * @param {string} fromGroupId - Group the tab is dragged from
+ * @param {string} toGroupId - Group the tab is dropped on
+ * @param {number} [index] - Tab position in the target group, defaults to the end
+ * @returns {Array} Updated groups
+ */
+export const moveFileToGroup = (groups, fileId, fromGroupId, toGroupId, index) => {
+  const target = groups.find(group => group.id === toGroupId);
+  if (!target) return groups;
+
+  // Positions are counted before the tab is taken out of its old place
+  let position = index ?? target.fileIds.length;
+  const currentIndex = target.fileIds.indexOf(fileId);
+  if (currentIndex !== -1 && currentIndex < position) position -= 1;
+
+  // A tab stays pinned when it is reordered, but not when it changes group
+  const isPinned = fromGroupId === toGroupId && (target.pinnedIds || []).includes(fileId);
+
+  const moved = groups.map(group => {
+    if (group.id === toGroupId) {
+      return { ...insertTab(group, fileId, position, isPinned), activeFileId: fileId };
+    }
+    return group.id === fromGroupId ? withoutFile(group, fileId) : group;
+  });
+
+  return removeEmptyGroups(moved, fromGroupId);
+};
+
+/**
+ * Pin or unpin a tab. Pinned tabs move to the end of the pinned ones at the
+ * start of the strip, unpinned ones to the start of the others.
+ * @param {Array} groups - Editor groups
+ * @param {string} groupId - Group of the tab
+ * @param {string} fileId - File whose tab is pinned
+ * @param {boolean} isPinned - Whether to pin or unpin the tab
+ * @returns {Array} Updated groups
+ */
+export const pinInGroup = (groups, groupId, fileId, isPinned) => {
+  return groups.map(group => {
+    if (group.id !== groupId || !group.fileIds.includes(fileId)) return group;
+    const pinnedCount = (group.pinnedIds || []).filter(id => id !== fileId).length;
+    return insertTab(group, fileId, pinnedCount, isPinned);
+  });
+};
+
+/**
+ * Split a group, opening its active file in a new group placed after it
+ * @param {Array} groups - Editor groups
+ * @param {string} groupId - Group to split
+ * @returns {{ groups: Array, groupId: string }} Updated groups and the new group's ID
+ */
+export const splitGroup = (groups, groupId) => {
+  const source = groups.find(group => group.id === groupId);
+  const activeFileId = source?.activeFileId || null;
+  const newGroup = createEditorGroup(activeFileId ? [activeFileId] : [], activeFileId);
+
+  const index = source ? groups.indexOf(source) + 1 : groups.length;
+  return {
+    groups: [...groups.slice(0, index), newGroup, ...groups.slice(index)],
+    groupId: newGroup.id
+  };
+};
+
+/**
+ * Close a group and its tabs. The last group is emptied instead of removed.
+ * @param {Array} groups - Editor groups
+ * @param {string} groupId - Group to close
+ * @returns {Array} Updated groups
+ */
+export const closeGroup = (groups, groupId) => {
+  if (groups.length <= 1) {
+    return groups.map(group => ({ ...group, fileIds: [], activeFileId: null, pinnedIds: [] }));
+  }
+  return groups.filter(group => group.id !== groupId);
+};
+
+/**
+ * Remove groups without tabs, always keeping at least one group
+ * @param {Array} groups - Editor groups
+ * @param {string} [groupId] - Only remove this group if it is empty
+ * @returns {Array} Updated groups
+ */
+export const removeEmptyGroups = (groups, groupId) => {
+  const remaining = groups.filter(group => group.fileIds.length > 0 || (groupId && group.id !== groupId));
+  return remaining.length > 0 ? remaining : [groups[0]];
+};
+
+/**
+ * Point the tabs of a file at a new ID, e.g. once a file created offline
+ * has been given its server ID
+ * @param {Array} groups - Editor groups
+ * @param {string} fromId - Old file ID
+ * @param {string} toId - New file ID
+ * @returns {Array} Updated groups
+ */
+export const replaceFileId = (groups, fromId, toId) => {
+  return groups.map(group => ({
+    ...group,
+    fileIds: group.fileIds.map(id => (id === fromId ? toId : id)),
+    activeFileId: group.activeFileId === fromId ? toId : group.activeFileId,
+    pinnedIds: (group.pinnedIds || []).map(id => (id === fromId ? toId : id))
+  }));
+};
+
+/**
+ * IDs of the files open in any group
+ * @param {Array} groups - Editor groups
+ * @returns {Set<string>} File IDs
+ */
+export const getOpenFileIds = (groups) => {
+  return new Set(groups.flatMap(group => group.fileIds));
+};
+
+/**
+ * Describe a layout for storage. Group IDs aren't kept, since they are only
+ * meaningful for this page load.
+ * @param {Object} layout - { groups, activeGroupId, direction, sizes }
+ * @returns {Object} { direction, sizes, activeGroup, groups: [{ fileIds, activeFileId, pinnedIds }] }
+ */
+export const serializeLayout = ({ groups, activeGroupId, direction, sizes }) => {
+  return {
+    direction,
+    sizes,
+    activeGroup: Math.max(groups.findIndex(group => group.id === activeGroupId), 0),
+    groups: groups.map(({ fileIds, activeFileId, pinnedIds = [] }) => ({ fileIds, activeFileId, pinnedIds }))
+  };
+};
+
+/**
+ * Rebuild a stored layout, leaving out files that no longer exist
+ * @param {Object} stored - From serializeLayout
+ * @param {Set<string>} existingFileIds - Files of the project
+ * @returns {Object} { groups, activeGroupId, direction, sizes }
+ */
+export const deserializeLayout = (stored, existingFileIds) => {
+  const storedGroups = Array.isArray(stored?.groups) ? stored.groups : [];
+  const groups = storedGroups.map(group => {
+    const fileIds = (group.fileIds || []).filter(id => existingFileIds.has(id));
+    return createEditorGroup(
+      fileIds,
+      fileIds.includes(group.activeFileId) ? group.activeFileId : fileIds[fileIds.length - 1] || null,
+      (group.pinnedIds || []).filter(id => fileIds.includes(id))
+    );
+  });
+
+  const activeGroup = groups[stored?.activeGroup] || groups[0];
+  const remaining = groups.filter(group => group.fileIds.length > 0);
+  const restored = remaining.length > 0 ? remaining : [createEditorGroup()];
+
+  // Sizes only still apply if every group survived
+  const sizes = Array.isArray(stored?.sizes) && stored.sizes.length === restored.length ? stored.sizes : null;
+
+  return {
+    groups: restored,
+    activeGroupId: restored.includes(activeGroup) ? activeGroup.id : restored[0].id,
+    direction: stored?.direction === 'vertical' ? 'vertical' : 'horizontal',
+    sizes
+  };
+};
+
+// Data type of a tab being dragged, so drops from the explorer are ignored
+export const TAB_DRAG_TYPE = 'application/x-codeconclave-tab';
+
+/**
+ * Read the tab being dragged from a drop event
+ * @param {DragEvent} e - Drop event
+ * @returns {{ fileId: string, groupId: string }|null} Dragged tab, if it is one
+ */
+export const getDraggedTab = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(TAB_DRAG_TYPE)) || null;
+  } catch {
+    return null;
+  }
+};
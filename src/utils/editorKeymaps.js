@@ -0,0 +1,55 @@
+// client/src/utils/editorKeymaps.js
+
+export const KEYMAPS = [
+  { value: 'default', label: 'Default' },
+  { value: 'vim', label: 'Vim' },
+  { value: 'emacs', label: 'Emacs' }
+];
+
+const attachVim = async (editor, statusNode) => {
+  const { initVimMode } = await import('monaco-vim');
+  // Shows the mode, the pending command and the : prompt in the status node
+  const vimMode = initVimMode(editor, statusNode);
+  return () => vimMode.dispose();
+};
+
+const attachEmacs = async (editor, statusNode) => {
+  const { EmacsExtension } = await import('monaco-emacs');
+  const emacsMode = new EmacsExtension(editor);
+  let isMarkSet = false;
+  let pendingKeys = '';
+
+  const render = () => {
+    statusNode.textContent = [isMarkSet && 'Mark set', pendingKeys].filter(Boolean).join('  ');
+  };
+  emacsMode.onDidMarkChange(markSet => {
+    isMarkSet = markSet;
+    render();
+  });
+  emacsMode.onDidChangeKey(keys => {
+    pendingKeys = keys;
+    render();
+  });
+  emacsMode.start();
+
+  return () => {
+    emacsMode.dispose();
+    statusNode.textContent = '';
+  };
+};
+
+/**
+ * Turn on vim or emacs key bindings in a Monaco editor. The keymaps are only
+ * loaded once someone picks them.
+ * @param {Object} editor - Mounted Monaco editor instance
+ * @param {string} keymap - 'vim', 'emacs' or 'default'
+ * @param {HTMLElement} statusNode - Element the keymap's mode and pending keys are shown in
+ * @returns {Promise<Function>} Function that turns the key bindings off again
+ */
+export const attachKeymap = (editor, keymap, statusNode) => {
+  switch (keymap) {
+    case 'vim': return attachVim(editor, statusNode);
+    case 'emacs': return attachEmacs(editor, statusNode);
+    default: return Promise.resolve(() => {});
+  }
+};
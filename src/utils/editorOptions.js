@@ -0,0 +1,31 @@
+// client/src/utils/editorOptions.js
+
+/**
+ * Monaco editor options for the user's editor settings
+ * @param {Object} settings - Editor settings from loadEditorSettings
+ * @returns {Object} Options for a Monaco editor
+ */
+export const getMonacoOptions = (settings) => ({
+  fontSize: Number(settings.fontSize),
+  fontFamily: settings.fontFamily,
+  tabSize: Number(settings.tabSize),
+  // The configured tab size wins over one guessed from the file
+  detectIndentation: false,
+  insertSpaces: true,
+  wordWrap: settings.wordWrap,
+  minimap: { enabled: Boolean(settings.minimap) }
+});
+
+/**
+ * Apply the indentation settings to a model. Monaco only reads them from
+ * the editor options when a model is created, so models that already
+ * exist are updated directly.
+ * @param {Object} model - Monaco text model
+ * @param {Object} settings - Editor settings
+ */
+export const applyModelSettings = (model, settings) => {
+  model?.updateOptions({
+    tabSize: Number(settings.tabSize),
+    insertSpaces: true
+  });
+};
@@ -0,0 +1,101 @@
+// client/src/utils/fileCopy.js
+import { buildFilePaths, getDescendantIds, getFileName } from './filePaths';
+
+/**
+ * Drop IDs that are inside another selected folder, since they come along
+ * with it anyway
+ * @param {Array} files - Flat list of project files with parentId links
+ * @param {Array<string>} fileIds - Selected file and folder IDs
+ * @returns {Array<string>} Top-most selected IDs
+ */
+export const getTopLevelIds = (files, fileIds) => {
+  const nested = new Set(fileIds.flatMap(id => [...getDescendantIds(files, id)]));
+  return fileIds.filter(id => !nested.has(id) && files.some(f => f._id === id));
+};
+
+/**
+ * Collect files and folders together with everything inside the folders
+ * @param {Array} files - Flat list of project files with parentId links
+ * @param {Array<string>} fileIds - Selected file and folder IDs
+ * @returns {Array} Files ordered parents first, each listed once
+ */
+export const collectSubtree = (files, fileIds) => {
+  const included = new Set();
+  fileIds.forEach(id => {
+    included.add(id);
+    getDescendantIds(files, id).forEach(descendantId => included.add(descendantId));
+  });
+
+  const paths = buildFilePaths(files);
+  const depth = (file) => paths.get(file._id).split('/').length;
+  return files
+    .filter(file => included.has(file._id))
+    .sort((a, b) => depth(a) - depth(b));
+};
+
+/**
+ * Pick a name for a copy that doesn't clash with existing names, following
+ * the "name copy", "name copy 2" convention
+ * @param {Object} file - File being copied
+ * @param {Set<string>} takenNames - Full names (with extension) already in the destination
+ * @returns {string} Name without extension
+ */
+export const getCopyName = (file, takenNames) => {
+  const extension = file.type === 'directory' ? '' : file.extension || '';
+  if (!takenNames.has(getFileName(file))) return file.name;
+
+  for (let count = 1; ; count++) {
+    const name = `${file.name} copy${count === 1 ? '' : ` ${count}`}`;
+    if (!takenNames.has(`${name}${extension}`)) return name;
+  }
+};
+
+/**
+ * Plan the creation of copies of files and folders, including folder contents
+ * @param {Array} files - Files of the source project, with content
+ * @param {Array<string>} fileIds - Selected file and folder IDs
+ * @param {Object} options - Options
+ * @param {string|null} options.targetFolderId - Destination folder, null for the root;
+ *   leave undefined to duplicate each item next to its original
+ * @param {Array} options.targetFiles - Files of the destination project, for name clashes
+ * @returns {Array} Entries for createFiles: [{ tempId, name, type, extension, content, parentId }],
+ *   where parentId is a real folder ID or the tempId of an earlier entry
+ */
+export const planCopy = (files, fileIds, { targetFolderId, targetFiles = files } = {}) => {
+  const rootIds = new Set(getTopLevelIds(files, fileIds));
+  const tempIds = new Map();
+  const takenNames = new Map();
+
+  // Names already used in a destination folder, including planned copies
+  const getTakenNames = (parentId) => {
+    if (!takenNames.has(parentId)) {
+      takenNames.set(parentId, new Set(
+        targetFiles.filter(f => (f.parentId || null) === parentId).map(getFileName)
+      ));
+    }
+    return takenNames.get(parentId);
+  };
+
+  return collectSubtree(files, [...rootIds]).map((file, index) => {
+    const tempId = `copy-${index}`;
+    tempIds.set(file._id, tempId);
+
+    let parentId = tempIds.get(file.parentId);
+    let name = file.name;
+    if (rootIds.has(file._id)) {
+      parentId = targetFolderId === undefined ? file.parentId || null : targetFolderId;
+      const taken = getTakenNames(parentId);
+      name = getCopyName(file, taken);
+      taken.add(getFileName({ ...file, name }));
+    }
+
+    return {
+      tempId,
+      name,
+      type: file.type,
+      extension: file.type === 'directory' ? undefined : file.extension || '',
+      content: file.type === 'directory' ? undefined : file.content || '',
+      parentId
+    };
+  });
+};
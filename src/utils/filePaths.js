@@ -0,0 +1,161 @@
+// client/src/utils/filePaths.js
+
+/**
+ * Get the display name of a file including its extension
+ * @param {Object} file - File data
+ * @returns {string} File name, e.g. "index.js"
+ */
+export const getFileName = (file) => {
+  if (!file) return '';
+  return file.type === 'directory' ? file.name : `${file.name}${file.extension || ''}`;
+};
+
+/**
+ * Split a file name into the name and extension the API stores
+ * @param {string} fileName - File name, e.g. "index.test.js"
+ * @returns {Object} { name, extension } - e.g. { name: 'index.test', extension: '.js' }
+ */
+export const splitFileName = (fileName) => {
+  const lastDotIndex = fileName.lastIndexOf('.');
+  if (lastDotIndex <= 0) return { name: fileName, extension: '' };
+
+  return {
+    name: fileName.substring(0, lastDotIndex),
+    extension: fileName.substring(lastDotIndex)
+  };
+};
+
+/**
+ * Build the project-relative path of every file
+ * @param {Array} files - Flat list of project files with parentId links
+ * @returns {Map<string, string>} File ID to path, e.g. "src/index.js"
+ */
+export const buildFilePaths = (files) => {
+  const byId = new Map(files.map(file => [file._id, file]));
+  const paths = new Map();
+
+  const resolve = (file, seen = new Set()) => {
+    if (paths.has(file._id)) return paths.get(file._id);
+
+    const parent = file.parentId ? byId.get(file.parentId) : null;
+    // Guard against broken or cyclic parent links
+    const prefix = parent && !seen.has(parent._id)
+      ? `${resolve(parent, new Set([...seen, file._id]))}/`
+      : '';
+    const path = `${prefix}${getFileName(file)}`;
+
+    paths.set(file._id, path);
+    return path;
+  };
+
+  files.forEach(file => resolve(file));
+  return paths;
+};
+
+/**
+ * Collect the IDs of everything inside a folder, at any depth
+ * @param {Array} files - Flat list of project files with parentId links
+ * @param {string} folderId - Folder ID
+ * @returns {Set<string>} Descendant IDs, not including the folder itself
+ */
+export const getDescendantIds = (files, folderId) => {
+  const descendants = new Set();
+  const pending = [folderId];
+
+  while (pending.length > 0) {
+    const parentId = pending.pop();
+    files.forEach(file => {
+      // The has() check guards against cyclic parent links
+      if (file.parentId === parentId && !descendants.has(file._id) && file._id !== folderId) {
+        descendants.add(file._id);
+        pending.push(file._id);
+      }
+    });
+  }
+
+  return descendants;
+};
+
+/**
+ * Get the path of the directory containing a path
+ * @param {string} path - File path
+ * @returns {string} Parent path, or '' at the project root
+ */
+export const getParentPath = (path) => {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.substring(0, index);
+};
+
+/**
+ * Recreate a list of paths as files and folders, creating parent folders on
+ * demand and reusing folders that already exist
+ * @param {Array} entries - [{ path, content }] files and [{ path, type: 'directory' }] folders
+ * @param {Function} createEntry - Async (fileData) => created file, e.g. useFileSystem's createFile
+ * @param {Object} options - Options
+ * @param {string|null} options.parentId - Folder to create the entries in; null for the project root
+ * @param {Array} options.existingFiles - Current project files, so existing folders are merged into
+ * @param {Function} options.onProgress - Optional (done, total) callback
+ * @returns {Promise<Object>} { created, skipped } where skipped lists paths of
+ *   files that already exist
+ */
+export const createTreeFromPaths = async (entries, createEntry, {
+  parentId = null,
+  existingFiles = [],
+  onProgress
+} = {}) => {
+  const folderIds = new Map([['', parentId]]);
+  const existingPaths = new Set();
+
+  // Index what already exists under the target folder by relative path
+  const paths = buildFilePaths(existingFiles);
+  const basePath = parentId ? paths.get(parentId) : '';
+  existingFiles.forEach(file => {
+    const path = paths.get(file._id);
+    if (basePath && !path.startsWith(`${basePath}/`)) return;
+
+    const relativePath = basePath ? path.substring(basePath.length + 1) : path;
+    if (file.type === 'directory') folderIds.set(relativePath, file._id);
+    else existingPaths.add(relativePath);
+  });
+
+  const created = [];
+  const skipped = [];
+  let done = 0;
+
+  const ensureFolder = async (path) => {
+    if (folderIds.has(path)) return folderIds.get(path);
+
+    const folder = await createEntry({
+      name: path.split('/').pop(),
+      type: 'directory',
+      parentId: await ensureFolder(getParentPath(path))
+    });
+    folderIds.set(path, folder._id);
+    created.push(folder);
+    return folder._id;
+  };
+
+  for (const entry of entries) {
+    if (entry.type === 'directory') {
+      await ensureFolder(entry.path);
+    } else if (existingPaths.has(entry.path)) {
+      skipped.push(entry.path);
+    } else {
+      const folderId = await ensureFolder(getParentPath(entry.path));
+      const { name, extension } = splitFileName(entry.path.split('/').pop());
+      created.push(await createEntry({
+        name,
+        extension,
+        type: 'file',
+        content: entry.content || '',
+        parentId: folderId
+      }));
+      existingPaths.add(entry.path);
+    }
+
+    done++;
+    onProgress?.(done, entries.length);
+  }
+
+  return { created, skipped };
+};
@@ -0,0 +1,92 @@
+// client/src/utils/fuzzyMatch.js
+
+// Characters after which a match counts as the start of a word
+const SEPARATORS = new Set(['/', '\\', '.', '-', '_', ' ']);
+
+const isWordStart = (text, index) => {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  if (SEPARATORS.has(previous)) return true;
+  // camelCase boundary
+  return previous === previous.toLowerCase() && text[index] !== text[index].toLowerCase();
+};
+
+/**
+ * Score how well a query matches a text when its characters appear in
+ * order, not necessarily next to each other. Runs of consecutive characters,
+ * word starts and matches in the last path segment score higher.
+ * @param {string} query - What was typed; spaces are ignored
+ * @param {string} text - Text to match, e.g. a file path
+ * @returns {Object|null} { score, positions } with the indexes of the matched
+ *   characters, or null if the query doesn't match
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = query.replace(/\s+/g, '').toLowerCase();
+  if (!needle) return { score: 0, positions: [] };
+
+  const haystack = text.toLowerCase();
+  const nameStart = text.lastIndexOf('/') + 1;
+  const positions = [];
+  let score = 0;
+  let searchFrom = 0;
+
+  // Prefer matching inside the file name, where most queries aim
+  const nameIndex = haystack.indexOf(needle, nameStart);
+  if (nameIndex !== -1) {
+    for (let i = 0; i < needle.length; i++) positions.push(nameIndex + i);
+    score = needle.length * 10 + (nameIndex === nameStart ? 20 : 0) + 30;
+    return { score: score - text.length * 0.1, positions };
+  }
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, searchFrom);
+    if (index === -1) return null;
+
+    let charScore = 1;
+    if (positions.length > 0 && index === positions[positions.length - 1] + 1) charScore += 5;
+    if (isWordStart(text, index)) charScore += 4;
+    if (index >= nameStart) charScore += 2;
+
+    score += charScore;
+    positions.push(index);
+    searchFrom = index + 1;
+  }
+
+  // Between equally good matches, shorter paths win
+  return { score: score - text.length * 0.1, positions };
+};
+
+/**
+ * Rank items by how well they match a query, breaking ties by recency.
+ * With an empty query, recently used items come first in order of use.
+ * @param {Array} items - Items to rank
+ * @param {string} query - What was typed
+ * @param {Object} options - Options
+ * @param {Function} options.getText - Returns the text to match for an item
+ * @param {Function} options.getId - Returns the ID used in recentIds
+ * @param {Array<string>} options.recentIds - IDs of recently used items, most recent first
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array} [{ item, text, positions }] best first
+ */
+export const rankMatches = (items, query, { getText, getId, recentIds = [], limit = 50 }) => {
+  const recency = new Map(recentIds.map((id, index) => [id, recentIds.length - index]));
+
+  return items
+    .map(item => {
+      const text = getText(item);
+      const match = fuzzyMatch(query, text);
+      if (!match) return null;
+
+      // A recently used file is usually the one being looked for
+      const recent = recency.get(getId(item)) || 0;
+      const boost = recent > 0 ? 5 + recent / recentIds.length * 10 : 0;
+      return { item, text, positions: match.positions, score: match.score + boost, recent };
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      if (!query.trim()) return b.recent - a.recent || a.text.localeCompare(b.text);
+      return b.score - a.score || b.recent - a.recent || a.text.localeCompare(b.text);
+    })
+    .slice(0, limit)
+    .map(({ item, text, positions }) => ({ item, text, positions }));
+};
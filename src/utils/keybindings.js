@@ -0,0 +1,129 @@
+// client/src/utils/keybindings.js
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+const KEY_ALIASES = {
+  ' ': 'space',
+  spacebar: 'space',
+  esc: 'escape',
+  del: 'delete',
+  return: 'enter',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+  cmd: 'meta',
+  command: 'meta',
+  control: 'ctrl',
+  option: 'alt'
+};
+
+const isMac = () => typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+/**
+ * Bring a keybinding into a canonical form such as "ctrl+shift+p", so that
+ * "Shift+Ctrl+P" and "ctrl+shift+p" compare equal. "mod" stands for Cmd on
+ * macOS and Ctrl elsewhere.
+ * @param {string} keybinding - Keys joined by "+"
+ * @returns {string} Normalized keybinding, or '' for an empty one
+ */
+export const normalizeKeybinding = (keybinding) => {
+  if (!keybinding) return '';
+
+  // "+" itself can be the key, as in "ctrl++"
+  const parts = keybinding.toLowerCase().replace(/\+\+$/, '+plus').split('+')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => KEY_ALIASES[part] || part)
+    .map(part => (part === 'mod' ? (isMac() ? 'meta' : 'ctrl') : part))
+    .map(part => (part === 'plus' ? '+' : part));
+
+  const modifiers = MODIFIERS.filter(modifier => parts.includes(modifier));
+  const keys = parts.filter(part => !MODIFIERS.includes(part));
+  return [...modifiers, ...keys.slice(-1)].join('+');
+};
+
+/**
+ * Build the keybinding a keyboard event represents
+ * @param {KeyboardEvent} e - Key event
+ * @returns {string} Normalized keybinding, or '' while only modifiers are held
+ */
+export const eventToKeybinding = (e) => {
+  let key = (e.key || '').toLowerCase();
+  if (['control', 'shift', 'alt', 'meta'].includes(key)) return '';
+
+  // Shift and Alt change e.key ("!" for Shift+1, "π" for Alt+P), the code doesn't
+  const code = e.code || '';
+  if (/^Key[A-Z]$/.test(code)) key = code.substring(3).toLowerCase();
+  else if (/^Digit\d$/.test(code)) key = code.substring(5);
+
+  key = KEY_ALIASES[key] || key;
+  const modifiers = MODIFIERS.filter(modifier => e[`${modifier}Key`]);
+  return [...modifiers, key].join('+');
+};
+
+/**
+ * Format a keybinding for display, e.g. "Ctrl+Shift+P"
+ * @param {string} keybinding - Normalized keybinding
+ * @returns {string} Readable keybinding
+ */
+export const formatKeybinding = (keybinding) => {
+  if (!keybinding) return '';
+
+  const names = {
+    ctrl: 'Ctrl',
+    alt: isMac() ? 'Option' : 'Alt',
+    shift: 'Shift',
+    meta: isMac() ? 'Cmd' : 'Meta',
+    arrowup: '↑',
+    arrowdown: '↓',
+    arrowleft: '←',
+    arrowright: '→'
+  };
+
+  return keybinding.split(/\+(?!$)/)
+    .map(part => names[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.substring(1)))
+    .join('+');
+};
+
+/**
+ * Whether a keybinding may fire while typing in a text field. Plain keys and
+ * Shift combinations are left to the field.
+ * @param {string} keybinding - Normalized keybinding
+ * @returns {boolean} True if the keybinding uses Ctrl, Alt, Meta or a function key
+ */
+export const worksInTextFields = (keybinding) => {
+  const parts = keybinding.split('+');
+  const key = parts[parts.length - 1];
+  return parts.some(part => ['ctrl', 'alt', 'meta'].includes(part)) || /^f\d{1,2}$/.test(key) || key === 'escape';
+};
+
+/**
+ * Work out the keybinding of each command, letting user overrides replace
+ * the defaults. An empty override removes a default keybinding.
+ * @param {Array} commands - Commands with { id, keybinding }
+ * @param {Object} overrides - User keybindings keyed by command ID
+ * @returns {Map<string, string>} Command ID to normalized keybinding
+ */
+export const resolveKeybindings = (commands, overrides = {}) => {
+  return new Map(commands.map(command => [
+    command.id,
+    normalizeKeybinding(command.id in overrides ? overrides[command.id] : command.keybinding)
+  ]));
+};
+
+/**
+ * Find commands that share a keybinding
+ * @param {Map<string, string>} keybindings - From resolveKeybindings
+ * @returns {Map<string, Array<string>>} Keybinding to the IDs of the commands using it,
+ *   for keybindings used more than once
+ */
+export const findConflicts = (keybindings) => {
+  const byKeybinding = new Map();
+  keybindings.forEach((keybinding, id) => {
+    if (!keybinding) return;
+    byKeybinding.set(keybinding, [...(byKeybinding.get(keybinding) || []), id]);
+  });
+
+  return new Map([...byKeybinding].filter(([, ids]) => ids.length > 1));
+};
@@ -0,0 +1,135 @@
+// client/src/utils/lspProtocol.js
+// Conversions between Language Server Protocol types and Monaco's
+
+// LSP CompletionItemKind values, 1-based, by their Monaco names
+const COMPLETION_KINDS = [
+  null, 'Text', 'Method', 'Function', 'Constructor', 'Field', 'Variable', 'Class',
+  'Interface', 'Module', 'Property', 'Unit', 'Value', 'Enum', 'Keyword', 'Snippet',
+  'Color', 'File', 'Reference', 'Folder', 'EnumMember', 'Constant', 'Struct', 'Event',
+  'Operator', 'TypeParameter'
+];
+
+// LSP DiagnosticSeverity values, 1-based, by their Monaco names
+const MARKER_SEVERITIES = [null, 'Error', 'Warning', 'Info', 'Hint'];
+
+const SNIPPET_FORMAT = 2;
+
+/**
+ * Convert a Monaco position to an LSP position
+ * @param {Object} position - { lineNumber, column }, 1-based
+ * @returns {Object} { line, character }, 0-based
+ */
+export const toLspPosition = (position) => ({
+  line: position.lineNumber - 1,
+  character: position.column - 1
+});
+
+/**
+ * Convert an LSP range to a Monaco range
+ * @param {Object} range - { start, end } LSP positions
+ * @returns {Object} Monaco range
+ */
+export const toMonacoRange = (range) => ({
+  startLineNumber: range.start.line + 1,
+  startColumn: range.start.character + 1,
+  endLineNumber: range.end.line + 1,
+  endColumn: range.end.character + 1
+});
+
+/**
+ * Convert LSP hover or documentation content to Monaco markdown strings
+ * @param {string|Object|Array} content - MarkupContent, MarkedString or an array of them
+ * @returns {Array} Markdown strings, e.g. [{ value: '**x**: int' }]
+ */
+export const toMarkdown = (content) => {
+  if (!content) return [];
+  if (Array.isArray(content)) return content.flatMap(toMarkdown);
+  if (typeof content === 'string') return [{ value: content }];
+
+  // MarkedString with a language is a code block
+  if (content.language) {
+    return [{ value: `\`\`\`${content.language}\n${content.value}\n\`\`\`` }];
+  }
+  return content.value ? [{ value: content.value }] : [];
+};
+
+/**
+ * Convert an LSP diagnostic to a Monaco marker
+ * @param {Object} diagnostic - LSP diagnostic
+ * @param {Object} monaco - Monaco namespace, for its MarkerSeverity enum
+ * @returns {Object} Marker data for setModelMarkers
+ */
+export const toMonacoMarker = (diagnostic, monaco) => ({
+  ...toMonacoRange(diagnostic.range),
+  severity: monaco.MarkerSeverity[MARKER_SEVERITIES[diagnostic.severity] || 'Error'],
+  message: diagnostic.message,
+  source: diagnostic.source,
+  code: diagnostic.code === undefined ? undefined : String(diagnostic.code)
+});
+
+/**
+ * Convert an LSP completion item to a Monaco suggestion
+ * @param {Object} item - LSP completion item
+ * @param {Object} defaultRange - Range replaced when the item has no text edit,
+ *   usually the word before the cursor
+ * @param {Object} monaco - Monaco namespace, for its completion enums
+ * @returns {Object} Monaco completion item
+ */
+export const toMonacoCompletion = (item, defaultRange, monaco) => {
+  const { CompletionItemKind, CompletionItemInsertTextRule } = monaco.languages;
+  const textEdit = item.textEdit;
+  // Insert/replace edits carry two ranges; Monaco takes both the same way
+  const editRange = textEdit && (textEdit.range || textEdit.replace);
+  const documentation = toMarkdown(item.documentation)[0];
+
+  return {
+    label: item.label,
+    kind: CompletionItemKind[COMPLETION_KINDS[item.kind] || 'Text'],
+    detail: item.detail,
+    documentation,
+    insertText: textEdit ? textEdit.newText : (item.insertText ?? item.label),
+    insertTextRules: item.insertTextFormat === SNIPPET_FORMAT
+      ? CompletionItemInsertTextRule.InsertAsSnippet
+      : undefined,
+    range: editRange ? toMonacoRange(editRange) : defaultRange,
+    sortText: item.sortText,
+    filterText: item.filterText,
+    preselect: item.preselect
+  };
+};
+
+/**
+ * Convert an LSP hover to a Monaco hover
+ * @param {Object|null} hover - LSP hover
+ * @returns {Object|null} Monaco hover, or null if there is nothing to show
+ */
+export const toMonacoHover = (hover) => {
+  const contents = toMarkdown(hover?.contents);
+  if (contents.length === 0) return null;
+
+  return {
+    contents,
+    range: hover.range ? toMonacoRange(hover.range) : undefined
+  };
+};
+
+/**
+ * Convert the result of a definition request to Monaco locations
+ * @param {Object|Array|null} result - Location, Location[] or LocationLink[]
+ * @param {Object} monaco - Monaco namespace, for Uri
+ * @returns {Array} Monaco locations, { uri, range }
+ */
+export const toMonacoLocations = (result, monaco) => {
+  if (!result) return [];
+
+  return (Array.isArray(result) ? result : [result]).map(location => {
+    // LocationLink
+    if (location.targetUri) {
+      return {
+        uri: monaco.Uri.parse(location.targetUri),
+        range: toMonacoRange(location.targetSelectionRange || location.targetRange)
+      };
+    }
+    return { uri: monaco.Uri.parse(location.uri), range: toMonacoRange(location.range) };
+  });
+};
@@ -0,0 +1,207 @@
+// client/src/utils/memoryFs.js
+
+/*
+ * A small in-memory file system implementing the promise-based subset of
+ * the Node fs API that isomorphic-git uses, so repositories can be cloned
+ * and committed to entirely in the browser.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const fsError = (code, syscall, path) => {
+  const error = new Error(`${code}: ${syscall} '${path}'`);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Normalise a path to an absolute path without '.', '..' or trailing slashes
+ * @param {string} path - Path
+ * @returns {string} Normalised path
+ */
+const normalize = (path) => {
+  const parts = [];
+  String(path).split('/').forEach(part => {
+    if (!part || part === '.') return;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  });
+  return `/${parts.join('/')}`;
+};
+
+const dirname = (path) => {
+  const index = path.lastIndexOf('/');
+  return index <= 0 ? '/' : path.substring(0, index);
+};
+
+const basename = (path) => path.substring(path.lastIndexOf('/') + 1);
+
+let nextIno = 1;
+
+/**
+ * Create an in-memory file system
+ * @param {Array} initialEntries - Entries previously returned by exportEntries()
+ * @returns {Object} File system with a `promises` API and exportEntries()
+ */
+export const createMemoryFs = (initialEntries = []) => {
+  // path -> { type: 'file' | 'dir' | 'symlink', data?, target?, mode, mtimeMs, ino }
+  const nodes = new Map();
+  const children = new Map();
+
+  const addNode = (path, node) => {
+    nodes.set(path, { mtimeMs: Date.now(), ino: nextIno++, ...node });
+    if (node.type === 'dir' && !children.has(path)) children.set(path, new Set());
+    if (path !== '/') children.get(dirname(path)).add(basename(path));
+  };
+
+  const removeNode = (path) => {
+    nodes.delete(path);
+    children.delete(path);
+    children.get(dirname(path))?.delete(basename(path));
+  };
+
+  const getNode = (path, syscall) => {
+    const node = nodes.get(path);
+    if (!node) throw fsError('ENOENT', syscall, path);
+    return node;
+  };
+
+  const requireParentDir = (path, syscall) => {
+    const parent = nodes.get(dirname(path));
+    if (!parent) throw fsError('ENOENT', syscall, path);
+    if (parent.type !== 'dir') throw fsError('ENOTDIR', syscall, path);
+  };
+
+  const toStats = (node) => ({
+    type: node.type,
+    mode: node.mode,
+    size: node.type === 'file' ? node.data.length : 0,
+    ino: node.ino,
+    mtimeMs: node.mtimeMs,
+    ctimeMs: node.mtimeMs,
+    uid: 1,
+    gid: 1,
+    dev: 1,
+    isFile: () => node.type === 'file',
+    isDirectory: () => node.type === 'dir',
+    isSymbolicLink: () => node.type === 'symlink'
+  });
+
+  addNode('/', { type: 'dir', mode: 0o40755 });
+
+  const promises = {
+    async readFile(path, options = {}) {
+      const filePath = normalize(path);
+      const node = getNode(filePath, 'open');
+      if (node.type === 'dir') throw fsError('EISDIR', 'read', filePath);
+
+      const encoding = typeof options === 'string' ? options : options.encoding;
+      return encoding === 'utf8' ? decoder.decode(node.data) : node.data;
+    },
+
+    async writeFile(path, data, options = {}) {
+      const filePath = normalize(path);
+      requireParentDir(filePath, 'open');
+      if (nodes.get(filePath)?.type === 'dir') throw fsError('EISDIR', 'open', filePath);
+
+      const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+      addNode(filePath, { type: 'file', data: bytes, mode: options.mode || 0o100644 });
+    },
+
+    async unlink(path) {
+      const filePath = normalize(path);
+      const node = getNode(filePath, 'unlink');
+      if (node.type === 'dir') throw fsError('EISDIR', 'unlink', filePath);
+      removeNode(filePath);
+    },
+
+    async readdir(path) {
+      const dirPath = normalize(path);
+      const node = getNode(dirPath, 'scandir');
+      if (node.type !== 'dir') throw fsError('ENOTDIR', 'scandir', dirPath);
+      return [...children.get(dirPath)];
+    },
+
+    async mkdir(path) {
+      const dirPath = normalize(path);
+      if (nodes.has(dirPath)) throw fsError('EEXIST', 'mkdir', dirPath);
+      requireParentDir(dirPath, 'mkdir');
+      addNode(dirPath, { type: 'dir', mode: 0o40755 });
+    },
+
+    async rmdir(path) {
+      const dirPath = normalize(path);
+      const node = getNode(dirPath, 'rmdir');
+      if (node.type !== 'dir') throw fsError('ENOTDIR', 'rmdir', dirPath);
+      if (children.get(dirPath).size > 0) throw fsError('ENOTEMPTY', 'rmdir', dirPath);
+      removeNode(dirPath);
+    },
+
+    async stat(path) {
+      let filePath = normalize(path);
+      let node = getNode(filePath, 'stat');
+      // Follow symlinks, guarding against loops
+      for (let hops = 0; node.type === 'symlink' && hops < 40; hops++) {
+        filePath = normalize(node.target.startsWith('/') ? node.target : `${dirname(filePath)}/${node.target}`);
+        node = getNode(filePath, 'stat');
+      }
+      return toStats(node);
+    },
+
+    async lstat(path) {
+      return toStats(getNode(normalize(path), 'lstat'));
+    },
+
+    async readlink(path) {
+      const filePath = normalize(path);
+      const node = getNode(filePath, 'readlink');
+      if (node.type !== 'symlink') throw fsError('EINVAL', 'readlink', filePath);
+      return node.target;
+    },
+
+    async symlink(target, path) {
+      const filePath = normalize(path);
+      if (nodes.has(filePath)) throw fsError('EEXIST', 'symlink', filePath);
+      requireParentDir(filePath, 'symlink');
+      addNode(filePath, { type: 'symlink', target, mode: 0o120000 });
+    },
+
+    async chmod(path, mode) {
+      const node = getNode(normalize(path), 'chmod');
+      node.mode = mode;
+    }
+  };
+
+  /**
+   * Serialise every entry under a directory, e.g. to persist a repository's
+   * .git folder in IndexedDB
+   * @param {string} root - Directory to export
+   * @returns {Array} Entries that createMemoryFs() accepts
+   */
+  const exportEntries = (root = '/') => {
+    const rootPath = normalize(root);
+    const prefix = rootPath === '/' ? '/' : `${rootPath}/`;
+
+    return [...nodes.entries()]
+      .filter(([path]) => path !== '/' && (path === rootPath || path.startsWith(prefix)))
+      .map(([path, node]) => ({ path, type: node.type, data: node.data, target: node.target, mode: node.mode }));
+  };
+
+  // Parents sort before their children, so they are created first
+  [...initialEntries]
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length)
+    .forEach(({ path, ...node }) => {
+      const entryPath = normalize(path);
+      let parent = dirname(entryPath);
+      const missing = [];
+      while (!nodes.has(parent)) {
+        missing.unshift(parent);
+        parent = dirname(parent);
+      }
+      missing.forEach(dirPath => addNode(dirPath, { type: 'dir', mode: 0o40755 }));
+      addNode(entryPath, node);
+    });
+
+  return { promises, exportEntries };
+};
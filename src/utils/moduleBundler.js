@@ -0,0 +1,224 @@
+// client/src/utils/moduleBundler.js
+import { getParentPath } from './filePaths';
+
+// Tried in this order for imports without an extension, then as folder indexes
+export const MODULE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.json'];
+
+// Modules are evaluated with this prefix as their source URL, so stack traces
+// name the project file an error came from
+const SOURCE_URL_PREFIX = 'project:///';
+
+const RELATIVE_IMPORT = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"]\.{0,2}\//;
+const REQUIRE_CALL = /\brequire\(\s*(['"])([^'"\n]+)\1\s*\)/g;
+// Sucrase turns dynamic imports into requires, but .cjs files are left as
+// they are, and an import() could load code from anywhere on the network
+const DYNAMIC_IMPORT = /\bimport\s*\(/;
+
+// Taken before the sandbox hides eval from the code it runs
+const evaluate = (0, eval);
+
+const getExtension = (path) => {
+  const name = path.substring(path.lastIndexOf('/') + 1);
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.substring(dot).toLowerCase() : '';
+};
+
+/**
+ * Check whether code imports other files of the project
+ * @param {string} code - JavaScript or TypeScript source
+ * @returns {boolean} True if it has a relative import or require
+ */
+export const hasRelativeImports = (code) => RELATIVE_IMPORT.test(code || '');
+
+/**
+ * Collect the content of every file of a project by path, with the unsaved
+ * edits of open files
+ * @param {Array} files - Project files
+ * @param {Map} filePaths - Path of every file, keyed by file ID
+ * @param {Array} openFiles - Open files, with their current content
+ * @returns {Object} Content keyed by project-relative path
+ */
+export const collectSources = (files, filePaths, openFiles = []) => {
+  const sources = {};
+  files
+    .filter(file => file.type === 'file' && filePaths.has(file._id))
+    .forEach(file => {
+      sources[filePaths.get(file._id)] = (openFiles.find(f => f._id === file._id) || file).content || '';
+    });
+  return sources;
+};
+
+/**
+ * Resolve an import the way Node resolves relative ones: the exact path,
+ * then with each of MODULE_EXTENSIONS, then as a folder with an index file
+ * @param {string} fromPath - Path of the importing file
+ * @param {string} specifier - Imported path, e.g. "./utils" or "../lib/math.js"
+ * @param {Object} sources - Content keyed by path, for the files that exist
+ * @returns {string|null} Resolved path, or null if no file matches
+ */
+export const resolveModulePath = (fromPath, specifier, sources) => {
+  // Packages aren't installed in the browser
+  if (!/^\.{0,2}\//.test(specifier)) return null;
+
+  const segments = specifier.startsWith('/') ? [] : getParentPath(fromPath).split('/').filter(Boolean);
+  for (const segment of specifier.split('/')) {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+
+  const path = segments.join('/');
+  const candidates = [
+    path,
+    ...MODULE_EXTENSIONS.map(extension => `${path}${extension}`),
+    ...MODULE_EXTENSIONS.map(extension => `${path ? `${path}/` : ''}index${extension}`)
+  ];
+  return candidates.find(candidate => candidate in sources) ?? null;
+};
+
+// ES modules become CommonJS; Sucrase keeps every statement on its line, so
+// line numbers in errors match the original file
+const transformModule = (transform, code, path) => {
+  const extension = getExtension(path);
+  if (extension === '.json') return `module.exports = ${code.trim() || 'null'};`;
+  if (extension === '.cjs') return code;
+
+  const transforms = ['imports'];
+  if (extension === '.ts' || extension === '.tsx') transforms.push('typescript');
+  if (extension !== '.ts') transforms.push('jsx');
+
+  const result = transform(code, { transforms, filePath: path, production: true }).code;
+  // Only ES modules are strict, as in Node
+  return /^\s*(import|export)\b/m.test(code) ? result : result.replace(/^"use strict";/, '');
+};
+
+/**
+ * Get the project file and line an error was thrown from
+ * @param {Error} error - Error thrown while bundling or running modules
+ * @returns {Object|null} { path, line, column }, or null if it didn't come
+ *   from a project file
+ */
+export const getErrorLocation = (error) => {
+  if (error?.location) return error.location;
+
+  const match = String(error?.stack || '').match(/project:\/\/\/([^\s)]+?):(\d+):(\d+)/);
+  if (!match) return null;
+
+  // The first line starts with the module wrapper and Sucrase's helpers, so
+  // columns on it don't match the file
+  const line = Number(match[2]);
+  return { path: decodeURI(match[1]), line, column: line === 1 ? null : Number(match[3]) };
+};
+
+/**
+ * Describe an error with the project file and line it was thrown from
+ * @param {Error} error - Error thrown while bundling or running modules
+ * @returns {string} e.g. "ReferenceError: x is not defined\n    at src/util.js:3:5"
+ */
+export const formatModuleError = (error) => {
+  const message = error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+  const location = getErrorLocation(error);
+  if (!location) return message;
+
+  const position = [location.line, location.column].filter(Boolean).map(value => `:${value}`).join('');
+  return `${message}\n    at ${location.path}${position}`;
+};
+
+/**
+ * Compile an entry file and every project file it imports, directly or not
+ * @param {Object} sources - Content keyed by project-relative path
+ * @param {string} entryPath - Path of the file to run
+ * @returns {Promise<Object>} Bundle, { entry, modules: { [path]: { code, dependencies } } }
+ * @throws {Error} With a location, for files that don't compile
+ */
+export const bundleModules = async (sources, entryPath) => {
+  const { transform } = await import('sucrase');
+  const modules = {};
+  const queue = [entryPath];
+
+  while (queue.length > 0) {
+    const path = queue.shift();
+    if (modules[path]) continue;
+    if (!(path in sources)) throw new Error(`Cannot find module '${path}'`);
+
+    let code;
+    try {
+      code = transformModule(transform, sources[path], path);
+    } catch (error) {
+      // The location is reported separately
+      const message = error.message.replace(/^Error transforming .*?: /, '').replace(/\s*\(\d+:\d+\)$/, '');
+      const syntaxError = new SyntaxError(message);
+      syntaxError.location = { path, line: error.loc?.line ?? null, column: error.loc?.column ?? null };
+      throw syntaxError;
+    }
+
+    if (DYNAMIC_IMPORT.test(code)) {
+      const error = new SyntaxError('Dynamic import() is not supported, use require() instead');
+      const before = sources[path].split(DYNAMIC_IMPORT)[0].split('\n');
+      error.location = { path, line: before.length, column: before[before.length - 1].length + 1 };
+      throw error;
+    }
+
+    // Imports that don't resolve fail when they run, like in Node, so a
+    // require in a comment or an unused branch does no harm
+    const dependencies = {};
+    for (const [, , specifier] of code.matchAll(REQUIRE_CALL)) {
+      const resolved = resolveModulePath(path, specifier, sources);
+      if (resolved) {
+        dependencies[specifier] = resolved;
+        queue.push(resolved);
+      }
+    }
+
+    modules[path] = { code, dependencies };
+  }
+
+  return { entry: entryPath, modules };
+};
+
+/**
+ * Run a bundle's entry module. Each module is evaluated once, with its own
+ * module, exports and require, and sees the given globals in place of the
+ * page's.
+ * @param {Object} bundle - Bundle from bundleModules
+ * @param {Object} globals - Globals visible to the modules, e.g. { console }
+ * @returns {*} Exports of the entry module
+ */
+export const runBundle = (bundle, globals = {}) => {
+  const cache = {};
+  const globalNames = Object.keys(globals);
+
+  const load = (path) => {
+    if (cache[path]) return cache[path].exports;
+
+    const module = { id: path, exports: {} };
+    cache[path] = module;
+
+    const { code, dependencies } = bundle.modules[path];
+    const require = (specifier) => {
+      if (!(specifier in dependencies)) {
+        throw new Error(`Cannot find module '${specifier}' from '${path}'`);
+      }
+      return load(dependencies[specifier]);
+    };
+
+    // The wrapper shares the first line with the code to keep line numbers
+    let factory;
+    try {
+      factory = evaluate(
+        `(function (module, exports, require, ${globalNames.join(', ')}) {${code}\n})` +
+        `\n//# sourceURL=${SOURCE_URL_PREFIX}${encodeURI(path)}`
+      );
+    } catch (error) {
+      // Browsers don't say where the syntax errors Sucrase lets through are
+      error.location = { path, line: null, column: null };
+      throw error;
+    }
+    factory(module, module.exports, require, ...Object.values(globals));
+    return module.exports;
+  };
+
+  return load(bundle.entry);
+};
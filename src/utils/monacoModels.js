@@ -0,0 +1,61 @@
+// client/src/utils/monacoModels.js
+import { SUPPORTED_LANGUAGES } from '../config/constants';
+
+/**
+ * Get the path of the Monaco model for a project file. Models live at the
+ * file's real path, so the TypeScript service can resolve imports between
+ * them.
+ * @param {string} path - Project-relative path, e.g. "src/index.js"
+ * @returns {string} Model URI, e.g. "file:///src/index.js"
+ */
+export const getModelPath = (path) => {
+  return `file:///${path.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+/**
+ * Get the project-relative path of a Monaco model
+ * @param {string} uri - Model URI, as returned by getModelPath
+ * @returns {string|null} Path, or null for models that aren't project files
+ */
+export const getPathFromModelUri = (uri) => {
+  if (!uri.startsWith('file:///')) return null;
+  return uri.substring('file:///'.length).split('/').map(decodeURIComponent).join('/');
+};
+
+/**
+ * Get the Monaco language of a file from its extension
+ * @param {Object} file - File data
+ * @returns {string} Monaco language ID, 'plaintext' for unknown extensions
+ */
+export const getModelLanguage = (file) => {
+  if (!file || !file.extension) return 'plaintext';
+
+  const extension = file.extension.toLowerCase();
+  const language = SUPPORTED_LANGUAGES.find(lang => lang.extensions.includes(extension));
+  return language ? language.id : 'plaintext';
+};
+
+/**
+ * Set up Monaco's TypeScript service for a project of JavaScript and
+ * TypeScript files importing each other
+ * @param {Object} monaco - Monaco namespace
+ */
+export const configureTypeScript = (monaco) => {
+  const { typescript } = monaco.languages;
+  const compilerOptions = {
+    target: typescript.ScriptTarget.ESNext,
+    module: typescript.ModuleKind.ESNext,
+    moduleResolution: typescript.ModuleResolutionKind.NodeJs,
+    jsx: typescript.JsxEmit.React,
+    allowJs: true,
+    allowNonTsExtensions: true,
+    esModuleInterop: true,
+    allowSyntheticDefaultImports: true
+  };
+
+  [typescript.typescriptDefaults, typescript.javascriptDefaults].forEach(defaults => {
+    defaults.setCompilerOptions({ ...defaults.getCompilerOptions(), ...compilerOptions });
+    // Files that aren't open in an editor are part of the project as well
+    defaults.setEagerModelSync(true);
+  });
+};
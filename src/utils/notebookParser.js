@@ -154,6 +154,76 @@ export const parseNotebook = (content) => {
     return newNotebook;
   };
   
+  /**
+   * Set the outputs of a code cell after it ran
+   * @param {Object} notebook - Notebook object
+   * @param {number} cellIndex - Index of the cell
+   * @param {Array} outputs - Outputs in the notebook format
+   * @param {number} executionCount - Execution counter of the run
+   * @returns {Object} Updated notebook object
+   */
+  export const setNotebookCellOutputs = (notebook, cellIndex, outputs, executionCount) => {
+    // Create a deep copy of the notebook
+    const newNotebook = JSON.parse(JSON.stringify(notebook));
+    
+    // Make sure the cell exists
+    if (!newNotebook.cells || !newNotebook.cells[cellIndex]) {
+      throw new Error(`Cell at index ${cellIndex} does not exist`);
+    }
+    
+    const cell = newNotebook.cells[cellIndex];
+    cell.outputs = outputs;
+    cell.execution_count = executionCount;
+    
+    return newNotebook;
+  };
+
+  // Notebooks store multi-line text as a list of lines, each with its newline
+  const toSourceLines = (text) => text.split(/(?<=\n)/);
+
+  /**
+   * Convert the result of a run in the browser to notebook cell outputs
+   * @param {Object} run - { outputs: [{ stream, text }], result, error, ename, evalue }
+   * @param {number} executionCount - Execution counter of the run
+   * @returns {Array} Outputs in the notebook format
+   */
+  export const toNotebookOutputs = ({ outputs = [], result = null, error = null, ename, evalue }, executionCount = null) => {
+    const notebookOutputs = [];
+    
+    // Consecutive writes to a stream make up one output
+    outputs.forEach(({ stream, text }) => {
+      const last = notebookOutputs[notebookOutputs.length - 1];
+      if (last && last.name === stream) {
+        last.text.push(text);
+      } else {
+        notebookOutputs.push({ output_type: 'stream', name: stream, text: [text] });
+      }
+    });
+    notebookOutputs.forEach(output => {
+      output.text = toSourceLines(output.text.join(''));
+    });
+    
+    if (result !== null) {
+      notebookOutputs.push({
+        output_type: 'execute_result',
+        execution_count: executionCount,
+        data: { 'text/plain': toSourceLines(result) },
+        metadata: {}
+      });
+    }
+    
+    if (error) {
+      notebookOutputs.push({
+        output_type: 'error',
+        ename: ename || 'Error',
+        evalue: evalue || '',
+        traceback: toSourceLines(error)
+      });
+    }
+    
+    return notebookOutputs;
+  };
+
   /**
    * Create a new empty notebook
    * @param {string} language - Programming language (default: python)
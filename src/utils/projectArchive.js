@@ -0,0 +1,195 @@
+// client/src/utils/projectArchive.js
+import { zipSync, unzipSync, strToU8 } from 'fflate';
+import { buildFilePaths } from './filePaths';
+import { decodeText } from './textContent';
+
+// Files that operating systems add to archives and folders on their own
+const IGNORED_NAMES = ['.DS_Store', 'Thumbs.db', 'desktop.ini'];
+const IGNORED_FOLDERS = ['__MACOSX'];
+
+const isIgnored = (path) => {
+  const parts = path.split('/');
+  return IGNORED_FOLDERS.includes(parts[0]) || IGNORED_NAMES.includes(parts[parts.length - 1]);
+};
+
+const isZipFile = (file) => /\.zip$/i.test(file.name) || file.type === 'application/zip';
+
+/**
+ * Build a ZIP archive of a project, with every file inside a folder named
+ * after the project
+ * @param {Array} files - Project files with parentId links and content
+ * @param {string} rootName - Name of the top-level folder
+ * @returns {Uint8Array} ZIP file content
+ */
+export const createProjectZip = (files, rootName) => {
+  const paths = buildFilePaths(files);
+  const archive = {};
+
+  files.forEach(file => {
+    const path = `${rootName}/${paths.get(file._id)}`;
+    // Folders are stored too, so empty ones survive a round trip
+    if (file.type === 'directory') archive[`${path}/`] = new Uint8Array(0);
+    else archive[path] = strToU8(file.content || '');
+  });
+
+  return zipSync(archive, { level: 6 });
+};
+
+/**
+ * Drop the top-level folder when every entry is inside the same one, as in
+ * archives of a single folder
+ * @param {Array} entries - Entries with project-relative paths
+ * @returns {Array} Entries
+ */
+const stripCommonRoot = (entries) => {
+  if (entries.length === 0) return entries;
+
+  const root = entries[0].path.split('/')[0];
+  const isWrapped = entries.every(entry =>
+    entry.path.startsWith(`${root}/`) || (entry.path === root && entry.type === 'directory')
+  );
+  if (!isWrapped) return entries;
+
+  return entries
+    .filter(entry => entry.path !== root)
+    .map(entry => ({ ...entry, path: entry.path.substring(root.length + 1) }));
+};
+
+/**
+ * Turn path and content pairs into entries createTreeFromPaths accepts,
+ * setting aside files that are not text
+ * @param {Array} items - [{ path, bytes }] files and [{ path, type: 'directory' }] folders
+ * @param {boolean} stripRoot - Whether to drop a top-level folder shared by every entry
+ * @returns {Object} { entries, skipped } where skipped lists binary file paths
+ */
+const toEntries = (items, stripRoot) => {
+  const entries = [];
+  const skipped = [];
+
+  items
+    .filter(item => item.path && !isIgnored(item.path))
+    .forEach(item => {
+      if (item.type === 'directory') {
+        entries.push({ path: item.path, type: 'directory' });
+        return;
+      }
+
+      const content = decodeText(item.bytes);
+      if (content === null) skipped.push(item.path);
+      else entries.push({ path: item.path, content });
+    });
+
+  // Parents before children keeps folder creation in order
+  entries.sort((a, b) => a.path.localeCompare(b.path));
+  return { entries: stripRoot ? stripCommonRoot(entries) : entries, skipped };
+};
+
+/**
+ * Read the files and folders of a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} data - ZIP file content
+ * @param {Object} options - Options
+ * @param {boolean} options.stripRoot - Whether to drop a top-level folder shared by every entry
+ * @returns {Object} { entries, skipped } where skipped lists binary file paths
+ */
+export const readZipEntries = (data, { stripRoot = false } = {}) => {
+  const archive = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+
+  const items = Object.entries(archive).map(([name, bytes]) => {
+    const path = name.replace(/\\/g, '/').replace(/^\/+/, '');
+    return path.endsWith('/')
+      ? { path: path.slice(0, -1), type: 'directory' }
+      : { path, bytes };
+  });
+
+  return toEntries(items, stripRoot);
+};
+
+/**
+ * Read files chosen in a file input. A single ZIP file is extracted; files
+ * from a folder input keep their relative paths.
+ * @param {FileList|Array<File>} fileList - Chosen files
+ * @param {Object} options - Options
+ * @param {boolean} options.stripRoot - Whether to drop a top-level folder shared by every entry
+ * @returns {Promise<Object>} { entries, skipped }
+ */
+export const readUploadedFiles = async (fileList, { stripRoot = false } = {}) => {
+  const uploads = [...fileList];
+
+  if (uploads.length === 1 && isZipFile(uploads[0])) {
+    return readZipEntries(await uploads[0].arrayBuffer(), { stripRoot });
+  }
+
+  const items = await Promise.all(uploads.map(async file => ({
+    path: file.webkitRelativePath || file.name,
+    bytes: new Uint8Array(await file.arrayBuffer())
+  })));
+
+  return toEntries(items, stripRoot);
+};
+
+// Promise wrappers around the callback-based File and Directory Entries API
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const readDirectoryEntries = async (directory) => {
+  const reader = directory.createReader();
+  const children = [];
+
+  // readEntries returns results in batches until it returns an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return children;
+    children.push(...batch);
+  }
+};
+
+const collectEntry = async (entry, items) => {
+  const path = entry.fullPath.replace(/^\/+/, '');
+
+  if (entry.isDirectory) {
+    items.push({ path, type: 'directory' });
+    for (const child of await readDirectoryEntries(entry)) {
+      await collectEntry(child, items);
+    }
+  } else {
+    const file = await readEntryFile(entry);
+    items.push({ path, bytes: new Uint8Array(await file.arrayBuffer()), file });
+  }
+};
+
+/**
+ * Read files and folders dropped from the operating system. A single dropped
+ * ZIP file is extracted.
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @param {Object} options - Options
+ * @param {boolean} options.stripRoot - Whether to drop a top-level folder shared by every entry
+ * @returns {Promise<Object>} { entries, skipped }
+ */
+export const readDroppedItems = async (dataTransfer, { stripRoot = false } = {}) => {
+  // Entries must be taken synchronously, before the drop event ends
+  const roots = [...dataTransfer.items]
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (roots.length === 0) {
+    return readUploadedFiles(dataTransfer.files, { stripRoot });
+  }
+
+  const items = [];
+  for (const root of roots) {
+    await collectEntry(root, items);
+  }
+
+  if (items.length === 1 && items[0].file && isZipFile(items[0].file)) {
+    return readZipEntries(items[0].bytes, { stripRoot });
+  }
+
+  return toEntries(items, stripRoot);
+};
+
+/**
+ * Check whether a drag carries files from the operating system
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} True if files are being dragged
+ */
+export const isFileDrag = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
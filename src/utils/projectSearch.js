@@ -0,0 +1,232 @@
+// client/src/utils/projectSearch.js
+
+// Lines longer than this are cut around the match in result previews
+const PREVIEW_LENGTH = 160;
+
+// Stop collecting matches in a single file after this many; replacing stops
+// there too, so nothing changes that the results didn't show
+export const MAX_MATCHES_PER_FILE = 1000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a glob such as "src/**\/*.js" into a regular expression. Patterns
+ * without a slash match a file or folder name anywhere in the path.
+ * @param {string} glob - Glob pattern supporting *, **, ? and {a,b}
+ * @returns {RegExp} Regular expression matching project-relative paths
+ */
+export const globToRegExp = (glob) => {
+  let pattern = glob.trim().replace(/^\.?\/+/, '');
+  if (pattern.endsWith('/')) pattern += '**';
+  if (!pattern.includes('/')) pattern = `**/${pattern}`;
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of folders, including none
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${pattern.substring(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // A folder pattern also matches everything inside it
+  return new RegExp(`^${source}(?:/.*)?$`);
+};
+
+/**
+ * Split a comma-separated list of globs
+ * @param {string} value - e.g. "src/**, *.test.js"
+ * @returns {Array<RegExp>} One expression per glob
+ */
+export const parseGlobs = (value) => {
+  return (value || '')
+    .split(',')
+    .map(glob => glob.trim())
+    .filter(Boolean)
+    .map(globToRegExp);
+};
+
+/**
+ * Check a path against include and exclude globs
+ * @param {string} path - Project-relative path
+ * @param {Array<RegExp>} include - Globs the path must match one of, if any
+ * @param {Array<RegExp>} exclude - Globs the path must not match
+ * @returns {boolean} True if the path is searched
+ */
+export const matchesGlobs = (path, include = [], exclude = []) => {
+  if (include.length > 0 && !include.some(glob => glob.test(path))) return false;
+  return !exclude.some(glob => glob.test(path));
+};
+
+/**
+ * Build the expression for a search query
+ * @param {string} query - Text or regular expression source
+ * @param {Object} options - Search options
+ * @param {boolean} options.isRegex - Treat the query as a regular expression
+ * @param {boolean} options.matchCase - Case-sensitive search
+ * @param {boolean} options.wholeWord - Only match whole words
+ * @returns {RegExp} Global, multiline expression
+ * @throws {SyntaxError} If the query is not a valid regular expression
+ */
+export const buildSearchRegExp = (query, { isRegex = false, matchCase = false, wholeWord = false } = {}) => {
+  let source = isRegex ? query : escapeRegExp(query);
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+  return new RegExp(source, `g${matchCase ? '' : 'i'}m`);
+};
+
+// Cut a long line down to the part around the match
+const createPreview = (line, column, length) => {
+  if (line.length <= PREVIEW_LENGTH) {
+    return {
+      before: line.substring(0, column),
+      match: line.substring(column, column + length),
+      after: line.substring(column + length)
+    };
+  }
+
+  const start = Math.max(0, column - 40);
+  const end = Math.min(line.length, start + PREVIEW_LENGTH);
+  return {
+    before: `${start > 0 ? '…' : ''}${line.substring(start, column)}`,
+    match: line.substring(column, column + length),
+    after: `${line.substring(column + length, end)}${end < line.length ? '…' : ''}`
+  };
+};
+
+/**
+ * Find every match of an expression in a file's content
+ * @param {string} content - File content
+ * @param {RegExp} regexp - Expression from buildSearchRegExp
+ * @returns {Array} [{ index, length, text, captures, groups, lineNumber, column, preview }],
+ *   where lineNumber and column are 1-based as in Monaco
+ */
+export const findMatches = (content, regexp) => {
+  const matches = [];
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const pattern = new RegExp(regexp.source, regexp.flags);
+  let match;
+  let line = 0;
+  while ((match = pattern.exec(content)) !== null && matches.length < MAX_MATCHES_PER_FILE) {
+    // Empty matches would loop forever and aren't useful results
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= match.index) line++;
+    const lineEnd = content.indexOf('\n', match.index);
+    const text = content.substring(lineStarts[line], lineEnd === -1 ? content.length : lineEnd).replace(/\r$/, '');
+    const column = match.index - lineStarts[line];
+
+    matches.push({
+      index: match.index,
+      length: match[0].length,
+      text: match[0],
+      captures: match.slice(1),
+      groups: match.groups,
+      lineNumber: line + 1,
+      column: column + 1,
+      preview: createPreview(text, column, Math.min(match[0].length, text.length - column))
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Search the content of project files
+ * @param {Array} files - Project files with content
+ * @param {Function} getPath - Returns the project-relative path of a file
+ * @param {string} query - Search query
+ * @param {Object} options - buildSearchRegExp options plus include and
+ *   exclude glob lists as comma-separated strings
+ * @returns {Array} [{ file, path, matches }] for files with at least one
+ *   match, sorted by path
+ * @throws {SyntaxError} If the query is not a valid regular expression
+ */
+export const searchFiles = (files, getPath, query, { include = '', exclude = '', ...options } = {}) => {
+  if (!query) return [];
+
+  const regexp = buildSearchRegExp(query, options);
+  const includeGlobs = parseGlobs(include);
+  const excludeGlobs = parseGlobs(exclude);
+
+  return files
+    .filter(file => file.type !== 'directory')
+    .map(file => ({ file, path: getPath(file) }))
+    .filter(({ path }) => matchesGlobs(path, includeGlobs, excludeGlobs))
+    .map(result => ({ ...result, matches: findMatches(result.file.content || '', regexp) }))
+    .filter(result => result.matches.length > 0)
+    .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * Expand $&, $1 and $<name> references in a replacement the way
+ * String.replace does
+ * @param {string} replacement - Replacement text
+ * @param {string} text - Matched text
+ * @param {Array<string>} captures - Captured groups
+ * @param {Object} groups - Named groups, if any
+ * @returns {string} Text to insert
+ */
+export const expandReplacement = (replacement, text, captures = [], groups = undefined) => {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (reference, token, name) => {
+    if (token === '$') return '$';
+    if (token === '&') return text;
+    if (name !== undefined) return groups?.[name] ?? '';
+
+    const group = Number(token);
+    return group >= 1 && group <= captures.length ? captures[group - 1] ?? '' : reference;
+  });
+};
+
+/**
+ * Replace matches in content, skipping the ones left out of the replace.
+ * Only the first MAX_MATCHES_PER_FILE matches, the ones findMatches
+ * returns, are replaced.
+ * @param {string} content - File content
+ * @param {RegExp} regexp - Expression from buildSearchRegExp
+ * @param {string} replacement - Replacement text
+ * @param {Object} options - Options
+ * @param {boolean} options.isRegex - Expand $1 style group references
+ * @param {Set<number>} options.excluded - Match indexes (from findMatches) to keep as they are
+ * @returns {string} New content
+ */
+export const replaceMatches = (content, regexp, replacement, { isRegex = false, excluded = new Set() } = {}) => {
+  const pattern = new RegExp(regexp.source, regexp.flags);
+  let matchCount = 0;
+  return content.replace(pattern, (match, ...rest) => {
+    const offsetIndex = rest.findIndex(arg => typeof arg === 'number');
+    const index = rest[offsetIndex];
+    if (match.length === 0 || ++matchCount > MAX_MATCHES_PER_FILE || excluded.has(index)) return match;
+    if (!isRegex) return replacement;
+
+    const namedGroups = typeof rest[rest.length - 1] === 'object' ? rest[rest.length - 1] : undefined;
+    return expandReplacement(replacement, match, rest.slice(0, offsetIndex), namedGroups);
+  });
+};
@@ -0,0 +1,184 @@
+// client/src/utils/pythonRuntime.js
+// Runs Python with Pyodide. The Pyodide instance is loaded once by the Python
+// worker; this module only talks to its API, so it can run with a stand-in.
+
+// Where project files are written in Pyodide's virtual file system
+export const PROJECT_ROOT = '/home/pyodide/project';
+
+const getDirectory = (path) => path.substring(0, path.lastIndexOf('/'));
+
+/**
+ * Turn a traceback from Pyodide into what the user needs: frames from
+ * Pyodide's own modules are dropped and project paths made relative
+ * @param {string} message - Traceback text of a PythonError
+ * @returns {string} Traceback of the user's code
+ */
+export const formatPythonError = (message) => {
+  const lines = message.trimEnd().split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (/^ {2}File "\/lib\//.test(lines[i])) {
+      // The frame's source lines follow its location, indented further
+      while (lines[i + 1]?.startsWith('    ')) i++;
+      continue;
+    }
+    kept.push(lines[i].split(`${PROJECT_ROOT}/`).join(''));
+  }
+  return kept.join('\n');
+};
+
+/**
+ * Split the last line of a traceback into exception name and value
+ * @param {string} traceback - Formatted traceback
+ * @returns {Object} { ename, evalue }
+ */
+export const parseExceptionLine = (traceback) => {
+  const lastLine = traceback.split('\n').pop();
+  const match = lastLine.match(/^([\w.]+)(?::\s?(.*))?$/);
+  return match
+    ? { ename: match[1], evalue: match[2] || '' }
+    : { ename: 'Error', evalue: lastLine };
+};
+
+/**
+ * Create a Python runtime on a loaded Pyodide instance. Project files are
+ * mirrored into the virtual file system before every run, so code can import
+ * and open them. Scripts get fresh globals each run; notebook cells share the
+ * globals of their notebook.
+ * @param {Object} pyodide - Loaded Pyodide instance
+ * @returns {Object} Runtime with run
+ */
+export const createPythonRuntime = (pyodide) => {
+  const { FS } = pyodide;
+  const notebookGlobals = new Map();
+  let writtenPaths = new Set();
+
+  const syncFiles = (sources) => {
+    const paths = new Set(Object.keys(sources));
+
+    writtenPaths.forEach(path => {
+      if (paths.has(path)) return;
+      try {
+        FS.unlink(`${PROJECT_ROOT}/${path}`);
+      } catch {
+        // Removed by the program itself
+      }
+    });
+
+    paths.forEach(path => {
+      const fullPath = `${PROJECT_ROOT}/${path}`;
+      FS.mkdirTree(getDirectory(fullPath));
+      FS.writeFile(fullPath, sources[path]);
+    });
+    writtenPaths = paths;
+  };
+
+  const createGlobals = (filePath) => {
+    const globals = pyodide.globals.get('dict')();
+    globals.set('__name__', '__main__');
+    if (filePath) globals.set('__file__', `${PROJECT_ROOT}/${filePath}`);
+    return globals;
+  };
+
+  // Imports find the file's siblings first, as with `python file.py`, and
+  // see edits made since the last run
+  const prepareImports = (filePath) => {
+    const scriptDirectory = getDirectory(`${PROJECT_ROOT}/${filePath}`);
+    pyodide.runPython([
+      'import sys, importlib',
+      `sys.path[:] = [p for p in sys.path if not p.startswith(${JSON.stringify(PROJECT_ROOT)})]`,
+      `sys.path.insert(0, ${JSON.stringify(scriptDirectory)})`,
+      'for _name, _module in list(sys.modules.items()):',
+      `    if (getattr(_module, "__file__", None) or "").startswith(${JSON.stringify(PROJECT_ROOT)}):`,
+      '        del sys.modules[_name]',
+      'importlib.invalidate_caches()'
+    ].join('\n'));
+  };
+
+  /**
+   * Run Python code
+   * @param {Object} request - What to run
+   * @param {string} request.code - The code
+   * @param {string} request.filePath - Project-relative path the code runs as
+   * @param {Object} request.sources - Content of the project's files, keyed by path
+   * @param {string} request.notebookId - Run as a cell of this notebook
+   * @param {Object} request.limits - { maxOutputLength }
+   * @returns {Promise<Object>} { outputs: [{ stream, text }], result, error,
+   *   ename, evalue, executionTime }; result is the repr of a cell's last
+   *   expression
+   */
+  const run = async ({ code, filePath = 'main.py', sources = {}, notebookId = null, limits = {} }) => {
+    const { maxOutputLength = Infinity } = limits;
+    const outputs = [];
+    let outputLength = 0;
+
+    const capture = (stream) => ({
+      batched: (line) => {
+        if (outputLength >= maxOutputLength) return;
+        let text = `${line}\n`;
+        if (outputLength + text.length > maxOutputLength) {
+          text = `${text.substring(0, maxOutputLength - outputLength)}\n[Output truncated after ${maxOutputLength} characters]\n`;
+        }
+        outputLength += line.length + 1;
+        outputs.push({ stream, text });
+      }
+    });
+
+    pyodide.setStdout(capture('stdout'));
+    pyodide.setStderr(capture('stderr'));
+    // Nothing can answer input() from a worker; programs see end of file
+    pyodide.setStdin({ stdin: () => null });
+
+    const startTime = performance.now();
+    let globals = null;
+    let value;
+
+    try {
+      syncFiles({ ...sources, ...(notebookId ? {} : { [filePath]: code }) });
+      FS.chdir(PROJECT_ROOT);
+      prepareImports(filePath);
+
+      // Packages of Pyodide's distribution the code imports, e.g. numpy
+      const pythonSources = Object.keys(sources)
+        .filter(path => path.endsWith('.py'))
+        .map(path => sources[path]);
+      await pyodide.loadPackagesFromImports([code, ...pythonSources].join('\n'));
+
+      if (notebookId) {
+        if (!notebookGlobals.has(notebookId)) notebookGlobals.set(notebookId, createGlobals(null));
+        globals = notebookGlobals.get(notebookId);
+      } else {
+        globals = createGlobals(filePath);
+      }
+
+      value = await pyodide.runPythonAsync(code, {
+        globals,
+        filename: notebookId ? '<cell>' : `${PROJECT_ROOT}/${filePath}`
+      });
+
+      let result = null;
+      if (notebookId && value !== undefined) {
+        const repr = pyodide.globals.get('repr');
+        result = repr(value);
+        repr.destroy?.();
+      }
+
+      return { outputs, result, error: null, executionTime: Math.round(performance.now() - startTime) };
+    } catch (error) {
+      const traceback = formatPythonError(error.message || String(error));
+      return {
+        outputs,
+        result: null,
+        error: traceback,
+        ...parseExceptionLine(traceback),
+        executionTime: Math.round(performance.now() - startTime)
+      };
+    } finally {
+      value?.destroy?.();
+      if (!notebookId) globals?.destroy?.();
+    }
+  };
+
+  return { run };
+};
@@ -0,0 +1,207 @@
+// client/src/utils/sandboxRuntime.js
+// Runs bundled user code inside the sandbox worker. Kept apart from the
+// worker itself so it can be tested without one.
+import { bundleModules, runBundle, formatModuleError } from './moduleBundler';
+
+// Globals user code keeps: the language's built-ins and a few safe helpers.
+// Network, storage and messaging APIs are hidden, and so is everything that
+// runs a string as code (eval, Function, string timers), as that code could
+// use import() to load more from the network.
+const ALLOWED_GLOBALS = new Set([
+  'Object', 'Array', 'Number', 'Boolean', 'String', 'Symbol', 'BigInt',
+  'Date', 'Promise', 'RegExp', 'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef',
+  'FinalizationRegistry', 'Proxy', 'Reflect', 'JSON', 'Math', 'Intl',
+  'Error', 'AggregateError', 'EvalError', 'RangeError', 'ReferenceError',
+  'SyntaxError', 'TypeError', 'URIError',
+  'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Atomics',
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'globalThis', 'Infinity', 'NaN', 'undefined', 'isFinite', 'isNaN',
+  'parseFloat', 'parseInt', 'decodeURI', 'decodeURIComponent', 'encodeURI',
+  'encodeURIComponent', 'escape', 'unescape',
+  'console', 'queueMicrotask', 'structuredClone', 'atob', 'btoa', 'crypto', 'performance',
+  'TextEncoder', 'TextDecoder', 'URL', 'URLSearchParams'
+]);
+
+// The worker's timers, taken before the lockdown hides them. User code gets
+// the ones runSandboxed makes, which only take functions.
+const { setTimeout, clearTimeout, setInterval, clearInterval } = globalThis;
+
+/**
+ * Hide everything but the allowed globals from code run in a worker. The
+ * names are removed from the global object and from every prototype it
+ * inherits from, as code can reach those through Object.getPrototypeOf;
+ * fetch, importScripts and indexedDB live on WorkerGlobalScope.prototype.
+ * The Function constructors every function reaches through its constructor
+ * property are hidden as well.
+ * @param {Object} scope - The worker's global object
+ * @param {Set<string>} allowed - Names kept
+ */
+export const lockDownGlobals = (scope, allowed = ALLOWED_GLOBALS) => {
+  // Everything up to, but not including, Object.prototype
+  const targets = [];
+  for (let target = scope; Object.getPrototypeOf(target); target = Object.getPrototypeOf(target)) {
+    targets.push(target);
+  }
+  // Taken from the scope, which may be another realm's
+  const functionPrototypes = scope.eval('[function () {}, async function () {}, function* () {}, async function* () {}]')
+    .map(fn => Object.getPrototypeOf(fn));
+
+  const hide = (target, name) => {
+    try {
+      Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  targets.forEach(target => {
+    Object.getOwnPropertyNames(target).forEach(name => {
+      if (allowed.has(name) || hide(target, name)) return;
+      // Non-configurable; at least shadow it on the global object
+      if (target !== scope) hide(scope, name);
+    });
+  });
+
+  functionPrototypes.forEach(prototype => hide(prototype, 'constructor'));
+};
+
+const formatArg = (arg) => {
+  if (typeof arg === 'object') {
+    try {
+      return JSON.stringify(arg, null, 2);
+    } catch {
+      return String(arg);
+    }
+  }
+  return String(arg);
+};
+
+/**
+ * Run a bundle with sandboxed console and timers. The run is done once the
+ * modules have been evaluated and no timer is left, or at the first error,
+ * uncaught ones in timer callbacks included.
+ * @param {Object} bundle - Bundle from bundleModules
+ * @param {Object} options - Run options
+ * @param {number} options.maxOutputLength - Characters of output kept; the rest is dropped
+ * @param {number} options.maxTimerDelay - Longest delay a timer may have, in ms
+ * @param {Function} options.onOutput - Called with each line written to the console
+ * @returns {Object} Run with done, a promise of { error, executionTime }, and
+ *   fail(error) to end it with an error caught elsewhere
+ */
+export const runSandboxed = (bundle, { maxOutputLength, maxTimerDelay, onOutput }) => {
+  const startTime = performance.now();
+  const timers = new Map();
+  let outputLength = 0;
+  let finished = false;
+  let settle;
+  const done = new Promise(resolve => { settle = resolve; });
+
+  const finish = (error) => {
+    if (finished) return;
+    finished = true;
+    timers.forEach((clear, id) => clear(id));
+    timers.clear();
+    settle({
+      error: error === undefined ? null : formatModuleError(error),
+      executionTime: Math.round(performance.now() - startTime)
+    });
+  };
+
+  // Promise callbacks run before the check, so work they schedule counts
+  const checkIdle = () => {
+    setTimeout(() => timers.size === 0 && finish(), 0);
+  };
+
+  const write = (text) => {
+    if (finished || outputLength >= maxOutputLength) return;
+
+    if (outputLength + text.length > maxOutputLength) {
+      onOutput(text.substring(0, maxOutputLength - outputLength));
+      onOutput(`[Output truncated after ${maxOutputLength} characters]`);
+      outputLength = maxOutputLength;
+      return;
+    }
+    outputLength += text.length + 1;
+    onOutput(text);
+  };
+
+  const invoke = (callback, args) => {
+    if (finished || typeof callback !== 'function') return;
+    try {
+      callback(...args);
+    } catch (error) {
+      finish(error);
+    }
+  };
+
+  const globals = {
+    console: {
+      log: (...args) => write(args.map(formatArg).join(' ')),
+      info: (...args) => write(args.map(formatArg).join(' ')),
+      error: (...args) => write('ERROR: ' + args.map(String).join(' ')),
+      warn: (...args) => write('WARNING: ' + args.map(String).join(' '))
+    },
+    setTimeout: (callback, delay = 0, ...args) => {
+      const id = setTimeout(() => {
+        timers.delete(id);
+        invoke(callback, args);
+        checkIdle();
+      }, Math.min(delay, maxTimerDelay));
+      timers.set(id, clearTimeout);
+      return id;
+    },
+    clearTimeout: (id) => {
+      if (!timers.delete(id)) return;
+      clearTimeout(id);
+      checkIdle();
+    },
+    // Intervals that are never cleared run until the time limit
+    setInterval: (callback, delay = 0, ...args) => {
+      const id = setInterval(() => invoke(callback, args), Math.min(delay, maxTimerDelay));
+      timers.set(id, clearInterval);
+      return id;
+    },
+    clearInterval: (id) => {
+      if (!timers.delete(id)) return;
+      clearInterval(id);
+      checkIdle();
+    }
+  };
+
+  try {
+    runBundle(bundle, globals);
+    checkIdle();
+  } catch (error) {
+    finish(error);
+  }
+
+  return { done, fail: finish };
+};
+
+/**
+ * Handle a run request sent to the sandbox worker. Replies with
+ * { type: 'output', text } for every console line, then
+ * { type: 'done', error, executionTime }.
+ * @param {Object} request - { sources, entryPath, limits }
+ * @param {Function} post - Sends a reply
+ * @param {Object} options - Hooks
+ * @param {Function} options.beforeRun - Called once the code is compiled,
+ *   right before it runs
+ * @returns {Promise<Object|null>} The run, or null if the code didn't compile
+ */
+export const handleSandboxRequest = async ({ sources, entryPath, limits }, post, { beforeRun = () => {} } = {}) => {
+  let bundle;
+  try {
+    bundle = await bundleModules(sources, entryPath);
+  } catch (error) {
+    post({ type: 'done', error: formatModuleError(error), executionTime: 0 });
+    return null;
+  }
+
+  beforeRun();
+  const run = runSandboxed(bundle, { ...limits, onOutput: text => post({ type: 'output', text }) });
+  run.done.then(result => post({ type: 'done', ...result }));
+  return run;
+};
@@ -0,0 +1,78 @@
+// client/src/utils/snapshotDiff.js
+import { buildFilePaths, getParentPath } from './filePaths';
+
+/**
+ * Index files by their project-relative path. Files are matched by path
+ * rather than ID because restored files get new IDs.
+ * @param {Array} files - Flat list of project files
+ * @returns {Map<string, Object>} Path to file
+ */
+const indexByPath = (files) => {
+  const paths = buildFilePaths(files);
+  return new Map(files.map(file => [paths.get(file._id), file]));
+};
+
+const depth = (path) => path.split('/').length;
+
+/**
+ * Compare two versions of a project tree
+ * @param {Array} fromFiles - Files of the older version
+ * @param {Array} toFiles - Files of the newer version
+ * @returns {Array} Changes sorted by path: { path, status, type, before, after }
+ *   where status is 'added', 'removed' or 'modified'
+ */
+export const diffFileTrees = (fromFiles, toFiles) => {
+  const from = indexByPath(fromFiles);
+  const to = indexByPath(toFiles);
+  const changes = [];
+
+  from.forEach((before, path) => {
+    const after = to.get(path);
+    if (!after) {
+      changes.push({ path, status: 'removed', type: before.type, before, after: null });
+    } else if (after.type !== before.type) {
+      changes.push({ path, status: 'removed', type: before.type, before, after: null });
+      changes.push({ path, status: 'added', type: after.type, before: null, after });
+    } else if (after.type === 'file' && (after.content || '') !== (before.content || '')) {
+      changes.push({ path, status: 'modified', type: after.type, before, after });
+    }
+  });
+
+  to.forEach((after, path) => {
+    if (!from.has(path)) {
+      changes.push({ path, status: 'added', type: after.type, before: null, after });
+    }
+  });
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * Work out the API calls that turn the current project tree into a snapshot
+ * @param {Array} currentFiles - Files currently in the project
+ * @param {Array} targetFiles - Files of the snapshot to roll back to
+ * @returns {Object} { deletes, creates, updates }
+ *   deletes: [{ fileId, path }] deepest first, so children go before folders
+ *   creates: [{ path, parentPath, file }] shallowest first, so folders exist before children
+ *   updates: [{ fileId, path, content }]
+ */
+export const planRollback = (currentFiles, targetFiles) => {
+  const deletes = [];
+  const creates = [];
+  const updates = [];
+
+  diffFileTrees(currentFiles, targetFiles).forEach(change => {
+    if (change.status === 'removed') {
+      deletes.push({ fileId: change.before._id, path: change.path });
+    } else if (change.status === 'added') {
+      creates.push({ path: change.path, parentPath: getParentPath(change.path), file: change.after });
+    } else {
+      updates.push({ fileId: change.before._id, path: change.path, content: change.after.content || '' });
+    }
+  });
+
+  deletes.sort((a, b) => depth(b.path) - depth(a.path));
+  creates.sort((a, b) => depth(a.path) - depth(b.path));
+
+  return { deletes, creates, updates };
+};
@@ -0,0 +1,18 @@
+// client/src/utils/textContent.js
+
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Decode file content as UTF-8 text, or return null for binary content
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} Text content
+ */
+export const decodeText = (bytes) => {
+  // Git's own heuristic: a NUL byte near the start means binary
+  if (bytes.subarray(0, 8000).includes(0)) return null;
+  try {
+    return textDecoder.decode(bytes);
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,373 @@
+// client/src/utils/textOperation.js
+
+/*
+ * Operational transformation for plain text documents.
+ *
+ * An operation is an array of components that walk over the whole document:
+ *   - a positive number retains that many characters
+ *   - a negative number deletes that many characters
+ *   - a string inserts that text
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+/**
+ * Append a retain component to an operation, merging with the previous one
+ * @param {Array} operation - Operation being built
+ * @param {number} count - Number of characters to retain
+ * @returns {Array} The same operation
+ */
+export const retain = (operation, count) => {
+  if (count <= 0) return operation;
+
+  const last = operation[operation.length - 1];
+  if (isRetain(last)) {
+    operation[operation.length - 1] = last + count;
+  } else {
+    operation.push(count);
+  }
+  return operation;
+};
+
+/**
+ * Append an insert component to an operation. Inserts are always kept
+ * before a trailing delete so equivalent operations look the same.
+ * @param {Array} operation - Operation being built
+ * @param {string} text - Text to insert
+ * @returns {Array} The same operation
+ */
+export const insert = (operation, text) => {
+  if (!text) return operation;
+
+  const last = operation[operation.length - 1];
+  if (isInsert(last)) {
+    operation[operation.length - 1] = last + text;
+  } else if (isDelete(last)) {
+    const beforeLast = operation[operation.length - 2];
+    if (isInsert(beforeLast)) {
+      operation[operation.length - 2] = beforeLast + text;
+    } else {
+      operation.splice(operation.length - 1, 0, text);
+    }
+  } else {
+    operation.push(text);
+  }
+  return operation;
+};
+
+/**
+ * Append a delete component to an operation
+ * @param {Array} operation - Operation being built
+ * @param {number} count - Number of characters to delete
+ * @returns {Array} The same operation
+ */
+export const remove = (operation, count) => {
+  if (count <= 0) return operation;
+
+  const last = operation[operation.length - 1];
+  if (isDelete(last)) {
+    operation[operation.length - 1] = last - count;
+  } else {
+    operation.push(-count);
+  }
+  return operation;
+};
+
+/**
+ * Length of the document an operation can be applied to
+ * @param {Array} operation - Text operation
+ * @returns {number} Base length
+ */
+export const baseLength = (operation) => operation.reduce((length, component) => {
+  if (isInsert(component)) return length;
+  return length + Math.abs(component);
+}, 0);
+
+/**
+ * Length of the document after an operation has been applied
+ * @param {Array} operation - Text operation
+ * @returns {number} Target length
+ */
+export const targetLength = (operation) => operation.reduce((length, component) => {
+  if (isInsert(component)) return length + component.length;
+  if (isRetain(component)) return length + component;
+  return length;
+}, 0);
+
+/**
+ * Check whether an operation leaves the document unchanged
+ * @param {Array} operation - Text operation
+ * @returns {boolean} True if the operation is a no-op
+ */
+export const isNoop = (operation) => {
+  return operation.length === 0 || (operation.length === 1 && isRetain(operation[0]));
+};
+
+/**
+ * Apply an operation to a document
+ * @param {string} doc - Document content
+ * @param {Array} operation - Text operation
+ * @returns {string} New document content
+ */
+export const applyOperation = (doc, operation) => {
+  if (baseLength(operation) !== doc.length) {
+    throw new Error('Operation base length does not match document length');
+  }
+
+  const parts = [];
+  let index = 0;
+
+  operation.forEach(component => {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  });
+
+  return parts.join('');
+};
+
+/**
+ * Compose two consecutive operations into one with the same effect
+ * @param {Array} first - Operation applied first
+ * @param {Array} second - Operation applied to the result of the first
+ * @returns {Array} Composed operation
+ */
+export const composeOperations = (first, second) => {
+  if (targetLength(first) !== baseLength(second)) {
+    throw new Error('Cannot compose operations: length mismatch');
+  }
+
+  const result = [];
+  const a = [...first];
+  const b = [...second];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isDelete(opA)) {
+      remove(result, -opA);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      insert(result, opB);
+      opB = b[j++];
+      continue;
+    }
+
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Cannot compose operations: first operation is too short');
+    }
+
+    if (isRetain(opA) && isRetain(opB)) {
+      const count = Math.min(opA, opB);
+      retain(result, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else if (isInsert(opA) && isDelete(opB)) {
+      const count = Math.min(opA.length, -opB);
+      opA = opA.length > count ? opA.slice(count) : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    } else if (isInsert(opA) && isRetain(opB)) {
+      const count = Math.min(opA.length, opB);
+      insert(result, opA.slice(0, count));
+      opA = opA.length > count ? opA.slice(count) : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else {
+      // Retain in the first operation, delete in the second
+      const count = Math.min(opA, -opB);
+      remove(result, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Transform two concurrent operations against each other so that
+ * apply(apply(doc, a), bPrime) === apply(apply(doc, b), aPrime).
+ * When both insert at the same position, the first operation's text wins.
+ * @param {Array} first - Operation that takes precedence on ties
+ * @param {Array} second - Concurrent operation
+ * @returns {Array} [firstPrime, secondPrime]
+ */
+export const transformOperations = (first, second) => {
+  if (baseLength(first) !== baseLength(second)) {
+    throw new Error('Cannot transform operations: base length mismatch');
+  }
+
+  const firstPrime = [];
+  const secondPrime = [];
+  const a = [...first];
+  const b = [...second];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      insert(firstPrime, opA);
+      retain(secondPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      retain(firstPrime, opB.length);
+      insert(secondPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Cannot transform operations: operation is too short');
+    }
+
+    if (isRetain(opA) && isRetain(opB)) {
+      const count = Math.min(opA, opB);
+      retain(firstPrime, count);
+      retain(secondPrime, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else if (isDelete(opA) && isDelete(opB)) {
+      // Both deleted the same text; nothing left to do for either side
+      const count = Math.min(-opA, -opB);
+      opA = -opA > count ? opA + count : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    } else if (isDelete(opA) && isRetain(opB)) {
+      const count = Math.min(-opA, opB);
+      remove(firstPrime, count);
+      opA = -opA > count ? opA + count : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else {
+      // Retain in the first operation, delete in the second
+      const count = Math.min(opA, -opB);
+      remove(secondPrime, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    }
+  }
+
+  return [firstPrime, secondPrime];
+};
+
+/**
+ * Build an operation from a list of Monaco content changes. All change
+ * offsets must refer to the document before any of them were applied,
+ * which is how Monaco reports the changes of a single edit event.
+ * @param {number} docLength - Length of the document before the changes
+ * @param {Array} changes - Changes with {rangeOffset, rangeLength, text}
+ * @returns {Array} Text operation
+ */
+export const operationFromChanges = (docLength, changes) => {
+  const operation = [];
+  let index = 0;
+
+  [...changes]
+    .sort((a, b) => a.rangeOffset - b.rangeOffset)
+    .forEach(change => {
+      retain(operation, change.rangeOffset - index);
+      remove(operation, change.rangeLength);
+      insert(operation, change.text);
+      index = change.rangeOffset + change.rangeLength;
+    });
+
+  retain(operation, docLength - index);
+  return operation;
+};
+
+/**
+ * Build an operation turning one document into another, replacing the text
+ * between their common prefix and suffix
+ * @param {string} before - Document before
+ * @param {string} after - Document after
+ * @returns {Array} Text operation
+ */
+export const operationFromContents = (before, after) => {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return operationFromChanges(before.length, [{
+    rangeOffset: prefix,
+    rangeLength: before.length - prefix - suffix,
+    text: after.slice(prefix, after.length - suffix)
+  }]);
+};
+
+/**
+ * Convert an operation into offset-based edits against the document it
+ * applies to, suitable for Monaco's model.applyEdits.
+ * @param {Array} operation - Text operation
+ * @returns {Array} Edits with {offset, length, text}
+ */
+export const editsFromOperation = (operation) => {
+  const edits = [];
+  let index = 0;
+
+  operation.forEach(component => {
+    if (isRetain(component)) {
+      index += component;
+    } else if (isInsert(component)) {
+      edits.push({ offset: index, length: 0, text: component });
+    } else {
+      const last = edits[edits.length - 1];
+      // Merge "insert then delete" at the same spot into a single replace
+      if (last && last.offset === index && last.length === 0) {
+        last.length = -component;
+      } else {
+        edits.push({ offset: index, length: -component, text: '' });
+      }
+      index -= component;
+    }
+  });
+
+  return edits;
+};
+
+/**
+ * Map a document offset through an operation (e.g. to move a cursor)
+ * @param {number} offset - Offset in the document before the operation
+ * @param {Array} operation - Text operation
+ * @returns {number} Offset in the document after the operation
+ */
+export const transformOffset = (offset, operation) => {
+  let index = 0;
+  let newOffset = offset;
+
+  for (const component of operation) {
+    if (index > offset) break;
+
+    if (isRetain(component)) {
+      index += component;
+    } else if (isInsert(component)) {
+      newOffset += component.length;
+    } else {
+      newOffset -= Math.min(-component, offset - index);
+      index -= component;
+    }
+  }
+
+  return newOffset;
+};
@@ -0,0 +1,150 @@
+// client/src/utils/threeWayMerge.js
+
+// Above this many cells the LCS table gets too big to build in the browser
+const MAX_LCS_CELLS = 25000000;
+
+export const CONFLICT_MARKERS = {
+  start: '<<<<<<< mine',
+  separator: '=======',
+  end: '>>>>>>> theirs'
+};
+
+/**
+ * Match equal lines between two line arrays using their longest common subsequence
+ * @param {Array<string>} a - Lines of the first text
+ * @param {Array<string>} b - Lines of the second text
+ * @returns {Array<number>} For each line of a, the index of its match in b or -1
+ */
+export const matchLines = (a, b) => {
+  const matches = new Array(a.length).fill(-1);
+
+  // Trim the common prefix and suffix; most edits touch a small region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) return matches;
+
+  // lengths[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const width = m + 1;
+  const lengths = new Int32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Merge two edited versions of a text against their common ancestor.
+ * Regions changed on only one side are taken automatically; regions changed
+ * differently on both sides are wrapped in conflict markers.
+ * @param {string} base - Common ancestor content
+ * @param {string} mine - Local content
+ * @param {string} theirs - Remote content
+ * @returns {Object} { content, conflicts } where conflicts is the number of conflicting regions
+ */
+export const threeWayMerge = (base, mine, theirs) => {
+  const baseLines = base.split('\n');
+  const mineLines = mine.split('\n');
+  const theirLines = theirs.split('\n');
+
+  const mineMatches = matchLines(baseLines, mineLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const result = [];
+  let conflicts = 0;
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  while (i < baseLines.length || a < mineLines.length || b < theirLines.length) {
+    // Stable line: unchanged on both sides
+    if (i < baseLines.length && mineMatches[i] === a && theirMatches[i] === b) {
+      result.push(baseLines[i]);
+      i++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // Find the next base line kept by both sides; everything before it is a changed region
+    let next = i;
+    while (next < baseLines.length && (mineMatches[next] === -1 || theirMatches[next] === -1)) {
+      next++;
+    }
+
+    const baseChunk = baseLines.slice(i, next);
+    const mineEnd = next < baseLines.length ? mineMatches[next] : mineLines.length;
+    const theirEnd = next < baseLines.length ? theirMatches[next] : theirLines.length;
+    const mineChunk = mineLines.slice(a, mineEnd);
+    const theirChunk = theirLines.slice(b, theirEnd);
+
+    if (sameLines(mineChunk, baseChunk)) {
+      result.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(mineChunk, theirChunk)) {
+      result.push(...mineChunk);
+    } else {
+      conflicts++;
+      result.push(
+        CONFLICT_MARKERS.start,
+        ...mineChunk,
+        CONFLICT_MARKERS.separator,
+        ...theirChunk,
+        CONFLICT_MARKERS.end
+      );
+    }
+
+    i = next;
+    a = mineEnd;
+    b = theirEnd;
+  }
+
+  return {
+    content: result.join('\n'),
+    conflicts
+  };
+};
+
+/**
+ * Check whether content still contains unresolved conflict markers
+ * @param {string} content - Content to check
+ * @returns {boolean} True if conflict markers remain
+ */
+export const hasConflictMarkers = (content) => {
+  return content.split('\n').some(line =>
+    line === CONFLICT_MARKERS.start || line === CONFLICT_MARKERS.end
+  );
+};
@@ -0,0 +1,116 @@
+// client/src/utils/unifiedDiff.js
+import { matchLines } from './threeWayMerge';
+
+// Lines of unchanged context shown around each change, as in `git diff`
+const CONTEXT_LINES = 3;
+
+// Appended to a last line without a trailing newline, so it differs from
+// the same line with one, as it does for git
+const NO_NEWLINE = '\u0000';
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    // A trailing newline ends the last line rather than starting a new one
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+};
+
+const hunkRange = (start, count) => {
+  // An empty range is written as the line before it, e.g. "-0,0"
+  const first = count === 0 ? start : start + 1;
+  return count === 1 ? `${first}` : `${first},${count}`;
+};
+
+/**
+ * Build the hunks of a unified diff between two texts
+ * @param {string} before - Original content
+ * @param {string} after - New content
+ * @returns {Array<string>} Hunk lines including their "@@" headers
+ */
+export const createHunks = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const matches = matchLines(a, b);
+
+  // Edit script of [' ' | '-' | '+', line, indexA, indexB]
+  const script = [];
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (matches[i] === -1) {
+      script.push(['-', a[i], i, j]);
+      continue;
+    }
+    while (j < matches[i]) {
+      script.push(['+', b[j], i, j]);
+      j++;
+    }
+    script.push([' ', a[i], i, j]);
+    j++;
+  }
+  while (j < b.length) {
+    script.push(['+', b[j], a.length, j]);
+    j++;
+  }
+
+  const lines = [];
+  let index = 0;
+  while (index < script.length) {
+    if (script[index][0] === ' ') {
+      index++;
+      continue;
+    }
+
+    // Extend the hunk while the next change is within two contexts' reach
+    let lastChange = index;
+    for (let next = index + 1; next < script.length && next - lastChange <= CONTEXT_LINES * 2; next++) {
+      if (script[next][0] !== ' ') lastChange = next;
+    }
+
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(script.length, lastChange + CONTEXT_LINES + 1);
+    const hunk = script.slice(start, end);
+    const countA = hunk.filter(([op]) => op !== '+').length;
+    const countB = hunk.filter(([op]) => op !== '-').length;
+    const [, , startA, startB] = hunk[0];
+
+    lines.push(`@@ -${hunkRange(startA, countA)} +${hunkRange(startB, countB)} @@`);
+    hunk.forEach(([op, line]) => {
+      if (line.endsWith(NO_NEWLINE)) {
+        lines.push(`${op}${line.slice(0, -1)}`, '\\ No newline at end of file');
+      } else {
+        lines.push(`${op}${line}`);
+      }
+    });
+    index = end;
+  }
+
+  return lines;
+};
+
+/**
+ * Build a git-style unified diff of one file
+ * @param {string} path - File path
+ * @param {string|null} before - Original content, or null if the file was added
+ * @param {string|null} after - New content, or null if the file was deleted
+ * @returns {string} Diff text, empty if nothing changed
+ */
+export const createFileDiff = (path, before, after) => {
+  if (before === after) return '';
+
+  const header = [`diff --git a/${path} b/${path}`];
+  if (before === null) header.push('new file mode 100644');
+  if (after === null) header.push('deleted file mode 100644');
+
+  const hunks = createHunks(before || '', after || '');
+  // Adding or deleting an empty file has no hunks
+  if (hunks.length === 0) return `${header.join('\n')}\n`;
+
+  header.push(before === null ? '--- /dev/null' : `--- a/${path}`);
+  header.push(after === null ? '+++ /dev/null' : `+++ b/${path}`);
+  return `${header.join('\n')}\n${hunks.join('\n')}\n`;
+};
@@ -1,4 +1,5 @@
 // client/src/utils/validators.js
+import { getDescendantIds, getFileName } from './filePaths';
 
 /**
  * Validate an email address
@@ -189,6 +190,58 @@ export const isValidEmail = (email) => {
     };
   };
   
+  /**
+   * Validate moving files and folders into a folder
+   * @param {Array} files - Flat list of project files with parentId links
+   * @param {Array<string>} fileIds - IDs of the files and folders to move
+   * @param {string|null} targetFolderId - Destination folder ID, or null for the project root
+   * @returns {Object} Validation result with isValid and message
+   */
+  export const validateMove = (files, fileIds, targetFolderId) => {
+    const target = targetFolderId ? files.find(f => f._id === targetFolderId) : null;
+    if (targetFolderId && (!target || target.type !== 'directory')) {
+      return {
+        isValid: false,
+        message: 'Files can only be moved into a folder'
+      };
+    }
+    
+    const moving = fileIds.map(id => files.find(f => f._id === id)).filter(Boolean);
+    
+    for (const file of moving) {
+      if (file.type !== 'directory') continue;
+      
+      if (file._id === targetFolderId || getDescendantIds(files, file._id).has(targetFolderId)) {
+        return {
+          isValid: false,
+          message: `Cannot move "${file.name}" into itself or one of its subfolders`
+        };
+      }
+    }
+    
+    // Names must stay unique within the destination folder
+    const takenNames = new Set(
+      files
+        .filter(f => (f.parentId || null) === targetFolderId && !fileIds.includes(f._id))
+        .map(getFileName)
+    );
+    for (const file of moving) {
+      const name = getFileName(file);
+      if (takenNames.has(name)) {
+        return {
+          isValid: false,
+          message: `"${name}" already exists in ${target ? `"${target.name}"` : 'the project root'}`
+        };
+      }
+      takenNames.add(name);
+    }
+    
+    return {
+      isValid: true,
+      message: ''
+    };
+  };
+  
   /**
    * Check if a string is a valid JSON
    * @param {string} str - String to validate
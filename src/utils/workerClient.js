@@ -0,0 +1,55 @@
+// client/src/utils/workerClient.js
+
+/**
+ * Send requests to a web worker and get its replies as promises. The worker
+ * answers each { id, ...request } message with { id, result } or
+ * { id, error }. It is started on the first request and started again after
+ * it crashed.
+ * @param {Function} createWorker - Returns a new Worker
+ * @returns {Object} { request(message, transfer) => Promise, terminate() }
+ */
+export const createWorkerClient = (createWorker) => {
+  let worker = null;
+  let nextRequestId = 0;
+  const pendingRequests = new Map();
+
+  const rejectAll = (error) => {
+    pendingRequests.forEach(({ reject }) => reject(error));
+    pendingRequests.clear();
+  };
+
+  const terminate = () => {
+    worker?.terminate();
+    worker = null;
+    rejectAll(new Error('Worker was stopped'));
+  };
+
+  const getWorker = () => {
+    if (worker) return worker;
+
+    worker = createWorker();
+    worker.onmessage = ({ data }) => {
+      const pending = pendingRequests.get(data.id);
+      if (!pending) return;
+
+      pendingRequests.delete(data.id);
+      if (data.error) pending.reject(new Error(data.error));
+      else pending.resolve(data.result);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      worker.terminate();
+      worker = null;
+      rejectAll(new Error(event.message || 'Worker failed'));
+    };
+    return worker;
+  };
+
+  const request = (message, transfer = []) => new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ ...message, id }, transfer);
+  });
+
+  return { request, terminate };
+};
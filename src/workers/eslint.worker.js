@@ -0,0 +1,87 @@
+// client/src/workers/eslint.worker.js
+import { Linter } from 'eslint-linter-browserify';
+import { transform } from 'sucrase';
+
+const linter = new Linter();
+const rules = linter.getRules();
+
+const recommendedRules = Object.fromEntries(
+  [...rules]
+    .filter(([, rule]) => rule.meta?.docs?.recommended)
+    .map(([ruleId]) => [ruleId, 'error'])
+);
+
+// Types are checked by TypeScript, so these rules only add noise once the
+// types have been stripped
+const TYPESCRIPT_RULES = {
+  'no-undef': 'off',
+  'no-unused-vars': 'off'
+};
+
+const resolveConfig = (config, language) => {
+  const parserOptions = config.parserOptions || {};
+  const configured = {
+    ...([].concat(config.extends || []).includes('eslint:recommended') ? recommendedRules : {}),
+    ...config.rules,
+    ...(language === 'typescript' ? TYPESCRIPT_RULES : {})
+  };
+
+  return {
+    env: config.env,
+    globals: config.globals,
+    parserOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      ...parserOptions,
+      ecmaFeatures: { jsx: true, ...parserOptions.ecmaFeatures }
+    },
+    // Plugins can't be loaded here, so their rules are left out
+    rules: Object.fromEntries(Object.entries(configured).filter(([ruleId]) => rules.has(ruleId)))
+  };
+};
+
+// ESLint only reads JavaScript. Sucrase strips the types and keeps every
+// line where it was, so problems are reported on the right lines.
+const stripTypes = (source, filePath) => transform(source, {
+  transforms: filePath.endsWith('.tsx') ? ['typescript', 'jsx'] : ['typescript'],
+  jsxRuntime: 'preserve',
+  disableESTransforms: true,
+  keepUnusedImports: true
+}).code;
+
+const toProblem = (message) => ({
+  line: message.line || 1,
+  column: message.column || 1,
+  endLine: message.endLine || message.line || 1,
+  endColumn: message.endColumn || (message.column || 1) + 1,
+  severity: message.severity === 2 ? 'error' : 'warning',
+  message: message.message,
+  ruleId: message.ruleId || null
+});
+
+const lint = ({ source, language, filePath, config }) => {
+  let code = source;
+  if (language === 'typescript') {
+    try {
+      code = stripTypes(source, filePath);
+    } catch (error) {
+      return [toProblem({
+        line: error.loc?.line,
+        column: error.loc ? error.loc.column + 1 : 1,
+        severity: 2,
+        message: `Parsing error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`
+      })];
+    }
+  }
+
+  return linter.verify(code, resolveConfig(config, language), { filename: filePath }).map(toProblem);
+};
+
+// Lints { id, source, language, filePath, config } requests off the main thread
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, result: lint(data) });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message });
+  }
+};
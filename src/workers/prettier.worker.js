@@ -0,0 +1,21 @@
+// client/src/workers/prettier.worker.js
+import { format } from 'prettier/standalone';
+import * as babel from 'prettier/plugins/babel';
+import * as estree from 'prettier/plugins/estree';
+import * as typescript from 'prettier/plugins/typescript';
+import * as postcss from 'prettier/plugins/postcss';
+import * as html from 'prettier/plugins/html';
+import * as markdown from 'prettier/plugins/markdown';
+import * as yaml from 'prettier/plugins/yaml';
+
+const plugins = [babel, estree, typescript, postcss, html, markdown, yaml];
+
+// Formats { id, source, options } requests with Prettier, off the main thread
+self.onmessage = async ({ data: { id, source, options } }) => {
+  try {
+    const result = await format(source, { ...options, plugins });
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
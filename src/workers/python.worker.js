@@ -0,0 +1,39 @@
+// client/src/workers/python.worker.js
+// Runs Python with Pyodide, off the main thread. Loading Pyodide takes a
+// while, so the worker is kept between runs; notebooks keep their variables.
+import { createPythonRuntime } from '../utils/pythonRuntime';
+
+let runtimePromise = null;
+
+// Pyodide is loaded from where the app hosts it, not bundled. Its packages
+// are next to it, or on the CDN of the same version.
+const loadRuntime = (indexURL, packages, cdnPackages) => {
+  if (!runtimePromise) {
+    runtimePromise = import(/* @vite-ignore */ `${indexURL}pyodide.mjs`)
+      .then(({ loadPyodide, version }) => loadPyodide({
+        indexURL,
+        packages,
+        ...(cdnPackages ? { packageBaseUrl: `https://cdn.jsdelivr.net/pyodide/v${version}/full/` } : {})
+      }))
+      .then(createPythonRuntime)
+      .catch((error) => {
+        // Try again on the next run, e.g. after a network error
+        runtimePromise = null;
+        throw new Error(`Could not load the Python runtime: ${error.message}`);
+      });
+  }
+  return runtimePromise;
+};
+
+// Answers { id, type: 'load', indexURL, packages, cdnPackages } once Pyodide
+// and the packages are loaded, and { id, type: 'run', ...request } with the
+// result of runtime.run(request)
+self.onmessage = async ({ data: { id, type, indexURL, packages, cdnPackages, ...request } }) => {
+  try {
+    const runtime = await loadRuntime(indexURL, packages, cdnPackages);
+    const result = type === 'load' ? null : await runtime.run(request);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,17 @@
+// client/src/workers/sandbox.worker.js
+// Runs user code off the main thread. A fresh worker is started for every run
+// and terminated afterwards, so nothing carries over between runs.
+import { handleSandboxRequest, lockDownGlobals } from '../utils/sandboxRuntime';
+
+const post = self.postMessage.bind(self);
+let currentRun = null;
+
+// Errors in async code that nothing catches end the run
+self.addEventListener('unhandledrejection', (event) => {
+  event.preventDefault();
+  currentRun?.fail(event.reason);
+});
+
+self.addEventListener('message', async ({ data }) => {
+  currentRun = await handleSandboxRequest(data, post, { beforeRun: () => lockDownGlobals(self) });
+});
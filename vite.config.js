@@ -2,10 +2,60 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
+import fs from 'fs';
+
+const PYODIDE_DIR = path.resolve(__dirname, 'node_modules/pyodide');
+
+// Files of the pyodide package the runtime loads; the rest are types,
+// docs and demo pages
+const isPyodideRuntimeFile = (name) => !/\.(d\.ts|html|md)$/.test(name) && name !== 'package.json';
+
+const CONTENT_TYPES = {
+  '.mjs': 'text/javascript',
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.json': 'application/json',
+  '.zip': 'application/zip'
+};
+
+// Serve the Pyodide runtime at /pyodide/, where the Python worker loads it
+// from, and copy it into the build. Not needed when VITE_PYODIDE_URL points
+// to a copy hosted elsewhere.
+const pyodideRuntime = () => {
+  let config;
+  const isHostedElsewhere = () => Boolean(config.env.VITE_PYODIDE_URL);
+
+  return {
+    name: 'pyodide-runtime',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    configureServer(server) {
+      if (isHostedElsewhere()) return;
+
+      server.middlewares.use('/pyodide', (req, res, next) => {
+        const name = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).slice(1);
+        const file = path.join(PYODIDE_DIR, name);
+        if (name.includes('/') || !isPyodideRuntimeFile(name) || !fs.existsSync(file)) return next();
+
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(name)] || 'application/octet-stream');
+        fs.createReadStream(file).pipe(res);
+      });
+    },
+    writeBundle() {
+      if (isHostedElsewhere()) return;
+
+      fs.cpSync(PYODIDE_DIR, path.resolve(config.root, config.build.outDir, 'pyodide'), {
+        recursive: true,
+        filter: (source) => source === PYODIDE_DIR || isPyodideRuntimeFile(path.basename(source))
+      });
+    }
+  };
+};
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pyodideRuntime()],
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),
@@ -20,6 +70,10 @@ export default defineConfig({
       },
     },
   },
+  // Workers are started as modules and may load parts of themselves lazily
+  worker: {
+    format: 'es',
+  },
   build: {
     outDir: 'dist',
     sourcemap: true,